@@ -7,6 +7,7 @@ extends RefCounted
 var _errors: Array[Dictionary] = []
 var _warnings: Array[Dictionary] = []
 var _log_baseline_size: Dictionary = {}  # log_path -> file size at plugin load
+var _output_offsets: Dictionary = {}  # log_path -> bytes already streamed as output
 
 const INITIAL_LOG_TAIL_BYTES = 262144  # Read last 256 KB on first scan
 const DETAILED_SKIP_THRESHOLD = 8
@@ -168,6 +169,42 @@ func _scan_log_files():
 		_parse_log_file(appdata + "/Godot/editor_data/editor_log.txt")
 
 
+## Lines appended to a log since the previous call, for the bridge event
+## stream. The first call only records the end of the file; a file that got
+## shorter (log rotated by a new run) is read from the start.
+func read_new_output_lines(log_path: String = "user://logs/godot.log") -> PackedStringArray:
+	var lines := PackedStringArray()
+	if not FileAccess.file_exists(log_path):
+		return lines
+	var file = FileAccess.open(log_path, FileAccess.READ)
+	if file == null:
+		return lines
+	var file_size = file.get_length()
+	if not _output_offsets.has(log_path):
+		_output_offsets[log_path] = file_size
+		file.close()
+		return lines
+	var start_pos: int = _output_offsets[log_path]
+	if file_size < start_pos:
+		start_pos = 0
+	if file_size == start_pos:
+		file.close()
+		return lines
+	file.seek(start_pos)
+	var content = file.get_buffer(file_size - start_pos).get_string_from_utf8()
+	file.close()
+	# Hold back a trailing partial line until it is complete
+	var last_newline = content.rfind("\n")
+	if last_newline < 0:
+		return lines
+	_output_offsets[log_path] = start_pos + content.substr(0, last_newline + 1).to_utf8_buffer().size()
+	for line in content.substr(0, last_newline).split("\n"):
+		var stripped = line.strip_edges(false, true)
+		if not stripped.is_empty():
+			lines.append(stripped)
+	return lines
+
+
 func _parse_log_file(log_path: String):
 	if not FileAccess.file_exists(log_path):
 		return
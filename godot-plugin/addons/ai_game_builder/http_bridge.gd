@@ -3,6 +3,8 @@ extends Node
 ## HTTP server running inside the Godot editor.
 ## Listens on port 6100 for requests from the MCP server.
 ## Exposes editor state, error collection, scene running, and filesystem control.
+## GET /events keeps the connection open as a Server-Sent Events stream of
+## error state, runtime output, play state, saves and phase changes.
 
 var editor_interface: EditorInterface
 var port: int = 6100
@@ -14,11 +16,27 @@ var _error_collector: RefCounted
 var _project_scanner: RefCounted
 var _phase_state: Dictionary = {}
 
+# Event stream (GET /events)
+var _event_clients: Array[StreamPeerTCP] = []
+var _event_seq: int = 0
+var _event_log: Array[Dictionary] = []  # recent events, replayed on reconnect
+var _keepalive_timer: float = 0.0
+var _output_timer: float = 0.0
+var _errors_dirty: bool = false
+var _errors_refresh_timer: float = 0.0
+var _errors_force_emit: bool = false
+var _last_errors_signature: String = ""
+var _was_playing: bool = false
+
 signal bridge_log(message: String)
 signal phase_updated(phase_data: Dictionary)
 
 
 const PHASE_STATE_PATH = "res://.claude/current_phase.json"
+const EVENT_LOG_SIZE = 200
+const EVENT_KEEPALIVE_SEC = 15.0
+const EVENT_OUTPUT_POLL_SEC = 0.5
+const EVENT_ERRORS_DEBOUNCE_SEC = 1.0
 
 
 func _ready():
@@ -37,6 +55,11 @@ func _ready():
 		return
 	bridge_log.emit("HTTP bridge listening on 127.0.0.1:%d" % port)
 
+	var fs = _get_resource_filesystem()
+	if fs:
+		fs.filesystem_changed.connect(_mark_errors_dirty)
+		fs.script_classes_updated.connect(_mark_errors_dirty)
+
 
 func shutdown():
 	if _server:
@@ -45,11 +68,15 @@ func shutdown():
 		client.disconnect_from_host()
 	_clients.clear()
 	_request_buffers.clear()
+	for client in _event_clients:
+		client.disconnect_from_host()
+	_event_clients.clear()
 
 
-func _process(_delta):
+func _process(delta):
 	if _server == null or not _server.is_listening():
 		return
+	_process_events(delta)
 
 	# Accept new connections
 	while _server.is_connection_available():
@@ -60,6 +87,7 @@ func _process(_delta):
 
 	# Process existing connections
 	var to_remove: Array[int] = []
+	var to_stream: Array[int] = []
 	for i in range(_clients.size()):
 		var client = _clients[i]
 		client.poll()
@@ -85,19 +113,26 @@ func _process(_delta):
 						var body_start = header_end_pos + 4
 						var body_received = buffer.size() - body_start
 						if body_received >= content_len:
-							_handle_request(client, buffer.get_string_from_utf8())
-							to_remove.append(i)
+							if _handle_request(client, buffer.get_string_from_utf8()):
+								to_stream.append(i)
+							else:
+								to_remove.append(i)
 
 			StreamPeerTCP.STATUS_NONE, StreamPeerTCP.STATUS_ERROR:
 				to_remove.append(i)
 
-	# Clean up finished/dead connections (reverse order)
-	to_remove.sort()
-	to_remove.reverse()
-	for idx in to_remove:
+	# Clean up finished/dead connections (reverse order); event streams stay
+	# open and move to _event_clients
+	var finished: Array[int] = to_remove + to_stream
+	finished.sort()
+	finished.reverse()
+	for idx in finished:
 		var client = _clients[idx]
 		_request_buffers.erase(client)
-		client.disconnect_from_host()
+		if idx in to_stream:
+			_event_clients.append(client)
+		else:
+			client.disconnect_from_host()
 		_clients.remove_at(idx)
 
 
@@ -117,20 +152,26 @@ func _find_header_end(buffer: PackedByteArray) -> int:
 	return -1
 
 
-func _handle_request(client: StreamPeerTCP, raw: String):
+## Returns true when the connection was turned into an event stream and must
+## stay open.
+func _handle_request(client: StreamPeerTCP, raw: String) -> bool:
 	var lines = raw.split("\r\n")
 	if lines.is_empty():
 		_send_response(client, 400, {"error": "empty request"})
-		return
+		return false
 
 	var request_line = lines[0].split(" ")
 	if request_line.size() < 2:
 		_send_response(client, 400, {"error": "malformed request"})
-		return
+		return false
 
 	var method = request_line[0]
 	var path = request_line[1]
 
+	if method == "GET" and path.split("?")[0] == "/events":
+		_open_event_stream(client, path, lines)
+		return true
+
 	# Extract body (everything after \r\n\r\n)
 	var body_str = ""
 	var header_end = raw.find("\r\n\r\n")
@@ -142,12 +183,13 @@ func _handle_request(client: StreamPeerTCP, raw: String):
 		var json = JSON.new()
 		if json.parse(body_str) != OK or not (json.data is Dictionary):
 			_send_response(client, 400, {"error": "invalid JSON body"})
-			return
+			return false
 		body = json.data
 
 	# Route
 	var response = _route(method, path, body)
 	_send_response(client, response.code, response.data)
+	return false
 
 
 func _route(method: String, path: String, body: Dictionary) -> Dictionary:
@@ -243,6 +285,7 @@ func _handle_reload() -> Dictionary:
 	if fs:
 		fs.scan()
 		bridge_log.emit("Filesystem rescanned")
+	_mark_errors_dirty()
 	return {"ok": true}
 
 
@@ -300,6 +343,7 @@ func _auto_update_phase(phase_num: int, phase_name: String, status: String):
 	}
 	_save_phase_state()
 	phase_updated.emit(_phase_state)
+	emit_event("phase", _phase_state)
 
 
 func _phase_name_for(num: int) -> String:
@@ -318,6 +362,7 @@ func _handle_update_phase(body: Dictionary) -> Dictionary:
 	_phase_state = body
 	_save_phase_state()
 	phase_updated.emit(body)
+	emit_event("phase", body)
 	bridge_log.emit("Phase %d: %s — %s" % [body.get("phase_number", 0), body.get("phase_name", ""), body.get("status", "")])
 	# Trigger filesystem scan so Godot picks up files written during this phase
 	var fs = _get_resource_filesystem()
@@ -353,6 +398,145 @@ func _load_phase_state():
 	file.close()
 
 
+## --- Event stream ---
+##
+## Each event is one SSE message: "id: <seq>", "event: <type>", "data: <json>".
+## Types: hello, errors (full error/warning snapshot, sent when it changes),
+## output and runtime_error (new log lines while a scene runs), play_state,
+## scene_saved, resource_saved, phase. Clients reconnecting with
+## Last-Event-ID (or ?since=<seq>) get the events they missed replayed.
+
+
+func _open_event_stream(client: StreamPeerTCP, path: String, request_lines: PackedStringArray):
+	var since = -1
+	var q_idx = path.find("?")
+	if q_idx >= 0:
+		since = String(_parse_query_string(path.substr(q_idx + 1)).get("since", "-1")).to_int()
+	for line in request_lines:
+		if line.to_lower().begins_with("last-event-id:"):
+			since = line.substr(14).strip_edges().to_int()
+
+	var header = "HTTP/1.1 200 OK\r\n"
+	header += "Content-Type: text/event-stream\r\n"
+	header += "Cache-Control: no-cache\r\n"
+	header += "Connection: keep-alive\r\n"
+	header += "Access-Control-Allow-Origin: *\r\n"
+	header += "\r\n"
+	header += "retry: 2000\n\n"
+	client.put_data(header.to_utf8_buffer())
+
+	client.put_data(_format_event({"seq": _event_seq, "type": "hello", "data": {
+		"seq": _event_seq,
+		"is_playing": editor_interface.is_playing_scene() if editor_interface else false,
+	}}))
+	if since >= 0:
+		for event in _event_log:
+			if event.seq > since:
+				client.put_data(_format_event(event))
+	# A fresh subscriber needs the current error state
+	_mark_errors_dirty()
+	_last_errors_signature = ""
+
+
+## Send an event to every open stream and keep it for replay.
+func emit_event(type: String, data: Dictionary):
+	_event_seq += 1
+	var event = {"seq": _event_seq, "type": type, "data": data}
+	_event_log.append(event)
+	if _event_log.size() > EVENT_LOG_SIZE:
+		_event_log.pop_front()
+	if _event_clients.is_empty():
+		return
+	var payload = _format_event(event)
+	for client in _event_clients:
+		client.put_data(payload)
+
+
+func _format_event(event: Dictionary) -> PackedByteArray:
+	return ("id: %d\nevent: %s\ndata: %s\n\n" % [event.seq, event.type, JSON.stringify(event.data)]).to_utf8_buffer()
+
+
+## Schedule an "errors" snapshot. Throttled rather than debounced, so a game
+## printing continuously still gets a refresh every EVENT_ERRORS_DEBOUNCE_SEC.
+## `force` sends the snapshot even when it is unchanged, so clients that saw
+## a runtime_error know the count has been rechecked.
+func _mark_errors_dirty(force: bool = false):
+	if force:
+		_errors_force_emit = true
+	if _errors_dirty:
+		return
+	_errors_dirty = true
+	_errors_refresh_timer = EVENT_ERRORS_DEBOUNCE_SEC
+
+
+## Called by plugin.gd for EditorPlugin.resource_saved / scene_saved.
+func notify_saved(path: String, is_scene: bool):
+	emit_event("scene_saved" if is_scene else "resource_saved", {"path": path})
+	_mark_errors_dirty()
+
+
+func _process_events(delta: float):
+	# Drop closed streams
+	for i in range(_event_clients.size() - 1, -1, -1):
+		var client = _event_clients[i]
+		client.poll()
+		if client.get_status() != StreamPeerTCP.STATUS_CONNECTED:
+			client.disconnect_from_host()
+			_event_clients.remove_at(i)
+
+	var playing = editor_interface.is_playing_scene() if editor_interface else false
+	if playing != _was_playing:
+		_was_playing = playing
+		emit_event("play_state", {"is_playing": playing})
+		_mark_errors_dirty()
+
+	if _event_clients.is_empty():
+		return
+
+	_keepalive_timer += delta
+	if _keepalive_timer >= EVENT_KEEPALIVE_SEC:
+		_keepalive_timer = 0.0
+		for client in _event_clients:
+			client.put_data(": keepalive\n\n".to_utf8_buffer())
+
+	_output_timer += delta
+	if _output_timer >= EVENT_OUTPUT_POLL_SEC:
+		_output_timer = 0.0
+		var lines = _error_collector.read_new_output_lines()
+		if not lines.is_empty():
+			emit_event("output", {"lines": Array(lines)})
+			for line in lines:
+				if "ERROR:" in line:
+					emit_event("runtime_error", {"message": line})
+			# get_errors() rescans the logs, so new lines can change the count
+			_mark_errors_dirty(true)
+
+	if _errors_dirty:
+		_errors_refresh_timer -= delta
+		if _errors_refresh_timer <= 0.0:
+			_errors_dirty = false
+			var snapshot = {
+				"errors": _error_collector.get_errors(),
+				"warnings": _error_collector.get_warnings(),
+			}
+			var signature = _errors_signature(snapshot)
+			if signature != _last_errors_signature or _errors_force_emit:
+				_last_errors_signature = signature
+				_errors_force_emit = false
+				snapshot["error_count"] = snapshot.errors.size()
+				snapshot["warning_count"] = snapshot.warnings.size()
+				emit_event("errors", snapshot)
+
+
+# Entries carry a fresh timestamp on every refresh; compare what they say.
+func _errors_signature(snapshot: Dictionary) -> String:
+	var parts := PackedStringArray()
+	for kind in ["errors", "warnings"]:
+		for entry in snapshot[kind]:
+			parts.append("%s|%s|%s|%s" % [kind, entry.get("file", ""), entry.get("line", -1), entry.get("message", "")])
+	return "\n".join(parts)
+
+
 ## --- Query string parsing ---
 
 
@@ -380,7 +564,8 @@ func _serialize_node_tree(root: Node, node: Node, max_depth: int, current_depth:
 	var result: Dictionary = {
 		"name": node.name,
 		"type": node.get_class(),
-		"path": str(node.get_path()) if current_depth == 0 else str(root.get_path_to(node)),
+		# Relative to the scene root ("." for the root), like godot_parse_scene's tree
+		"path": str(root.get_path_to(node)),
 	}
 
 	# Include script path if attached
@@ -17,6 +17,9 @@ func _enter_tree():
 	http_bridge.name = "AIGameBuilderBridge"
 	http_bridge.editor_interface = get_editor_interface()
 	add_child(http_bridge)
+	resource_saved.connect(_on_resource_saved)
+	if has_signal("scene_saved"):  # Godot 4.2+
+		connect("scene_saved", _on_scene_saved)
 
 	# Load the dock UI
 	dock = preload("res://addons/ai_game_builder/dock.tscn").instantiate()
@@ -27,6 +30,19 @@ func _enter_tree():
 	print("[AI Game Builder] Plugin enabled — bridge on port %d" % http_bridge.port)
 
 
+func _on_resource_saved(resource: Resource):
+	if http_bridge == null or resource == null:
+		return
+	if resource is PackedScene and has_signal("scene_saved"):
+		return  # reported by _on_scene_saved
+	http_bridge.notify_saved(resource.resource_path, resource is PackedScene)
+
+
+func _on_scene_saved(filepath: String):
+	if http_bridge:
+		http_bridge.notify_saved(filepath, true)
+
+
 func _exit_tree():
 	if http_bridge:
 		http_bridge.shutdown()
@@ -6,6 +6,8 @@ import {
   ListToolsRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import { TOOL_DEFINITIONS, handleToolCall, getErrorCount } from "./src/tools.js";
+import { startBridgeEvents } from "./src/bridge-events.js";
+import { getBridgeState } from "./src/godot-bridge.js";
 
 const server = new Server(
   { name: "godot-ai-builder", version: "0.1.0" },
@@ -21,8 +23,14 @@ const SKIP_ERROR_CHECK = new Set([
   "godot_log",
   "godot_update_phase",
   "godot_get_errors",
+  "godot_get_events",
+  "godot_lint_scripts",
   "godot_reload_filesystem",
   "godot_get_build_state",
+  "godot_list_build_states",
+  "godot_list_snapshots",
+  "godot_diff_snapshots",
+  "godot_git_diff_since_phase",
   "godot_read_project_setting",
   "godot_get_class_info",
 ]);
@@ -36,7 +44,19 @@ const MUTATING_PROGRESS_TOOLS = new Set([
   "godot_add_node",
   "godot_update_node",
   "godot_delete_node",
+  "godot_scene_add_node",
+  "godot_scene_update_node",
+  "godot_scene_delete_node",
+  "godot_write_resource",
+  "godot_write_project_setting",
+  "godot_add_input_action",
+  "godot_remove_input_action",
+  "godot_add_autoload",
+  "godot_reorder_autoloads",
+  "godot_remove_autoload",
   "godot_save_build_state",
+  "godot_restore_build_state",
+  "godot_rollback_project",
   "godot_update_phase",
   "godot_run_scene",
   "godot_stop_scene",
@@ -132,7 +152,10 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             `and fix ALL errors before writing more files or completing any phase.`;
         }
       } catch {
-        // Bridge not available — skip error check
+        // Bridge not available — point at the offline check instead
+        result._error_check =
+          "Editor bridge unavailable, so compile errors were not checked. " +
+          "Call godot_lint_scripts to check scripts without the editor.";
       }
     }
 
@@ -157,12 +180,20 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
     }
 
+    // Editor reachability after this call (healthy / degraded / down)
+    result.bridge_state = getBridgeState();
+
     return {
       content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
     };
   } catch (err) {
+    const failure = {
+      error: err.message,
+      ...(err.bridge ? { bridge_error: err.bridge } : {}),
+      bridge_state: getBridgeState(),
+    };
     return {
-      content: [{ type: "text", text: `Error: ${err.message}` }],
+      content: [{ type: "text", text: JSON.stringify(failure, null, 2) }],
       isError: true,
     };
   }
@@ -170,3 +201,9 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
 const transport = new StdioServerTransport();
 await server.connect(transport);
+
+// Live error state and runtime events from the editor; getErrorCount() reads
+// from it while connected and falls back to GET /errors otherwise.
+if (process.env.GODOT_BRIDGE_EVENTS !== "0") {
+  startBridgeEvents();
+}
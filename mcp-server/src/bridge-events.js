@@ -0,0 +1,255 @@
+/**
+ * Client for the Godot bridge event stream (GET /events, Server-Sent Events).
+ * Keeps a live copy of the editor's error/warning state and a buffer of
+ * recent events (runtime output, play state, saves, phase changes) so tools
+ * can read them without another round trip to the editor.
+ *
+ * The stream reconnects with backoff and asks the bridge to replay missed
+ * events via Last-Event-ID. While it is down the cached error state is
+ * treated as unknown.
+ */
+import { bridgeUrl } from "./godot-bridge.js";
+
+export const EVENT_BUFFER_SIZE = 500;
+export const EVENT_TYPES = [
+  "hello",
+  "errors",
+  "output",
+  "runtime_error",
+  "play_state",
+  "scene_saved",
+  "resource_saved",
+  "phase",
+];
+
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+const state = {
+  running: false,
+  connected: false,
+  controller: null,
+  reconnectTimer: null,
+  reconnectMs: RECONNECT_MIN_MS,
+  lastEventId: null,
+  lastEventAt: null,
+  connectedAt: null,
+  errors: null,
+  warnings: null,
+  errorsUpdatedAt: null,
+  errorsStale: false,
+  isPlaying: null,
+  events: [],
+  seq: 0,
+  readCursor: 0,
+};
+
+// ---------------------------------------------------------------------------
+// SSE parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Incremental Server-Sent Events parser.
+ * @param {(event: {id: string|null, type: string, data: string}) => void} onEvent
+ * @returns {{push(text: string): void}}
+ */
+export function createSseParser(onEvent) {
+  let buffer = "";
+  let id = null;
+  let type = "";
+  let data = [];
+
+  function line(text) {
+    if (text === "") {
+      if (data.length > 0) onEvent({ id, type: type || "message", data: data.join("\n") });
+      type = "";
+      data = [];
+      return;
+    }
+    if (text.startsWith(":")) return;
+    const colon = text.indexOf(":");
+    const field = colon < 0 ? text : text.slice(0, colon);
+    let value = colon < 0 ? "" : text.slice(colon + 1);
+    if (value.startsWith(" ")) value = value.slice(1);
+    if (field === "data") data.push(value);
+    else if (field === "event") type = value;
+    else if (field === "id") id = value;
+  }
+
+  return {
+    push(text) {
+      buffer += text;
+      let index;
+      while ((index = buffer.search(/\r\n|\r|\n/)) >= 0) {
+        const eol = buffer.startsWith("\r\n", index) ? 2 : 1;
+        // A lone \r at the end may be the first half of \r\n
+        if (eol === 1 && buffer[index] === "\r" && index === buffer.length - 1) break;
+        line(buffer.slice(0, index));
+        buffer = buffer.slice(index + eol);
+      }
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// State
+// ---------------------------------------------------------------------------
+
+function record(type, data) {
+  state.seq += 1;
+  state.events.push({ seq: state.seq, type, data, received_at: new Date().toISOString() });
+  if (state.events.length > EVENT_BUFFER_SIZE) state.events.shift();
+}
+
+function applyEvent({ id, type, data }) {
+  let payload;
+  try {
+    payload = JSON.parse(data);
+  } catch {
+    payload = { raw: data };
+  }
+  if (id !== null) state.lastEventId = id;
+  state.lastEventAt = new Date().toISOString();
+
+  if (type === "errors") {
+    state.errors = Array.isArray(payload.errors) ? payload.errors : [];
+    state.warnings = Array.isArray(payload.warnings) ? payload.warnings : [];
+    state.errorsUpdatedAt = state.lastEventAt;
+    state.errorsStale = false;
+  } else if (type === "runtime_error") {
+    // The editor follows up with a fresh "errors" snapshot; until then the
+    // cached count may be behind
+    state.errorsStale = true;
+  } else if (type === "hello" || type === "play_state") {
+    if (typeof payload.is_playing === "boolean") state.isPlaying = payload.is_playing;
+  }
+  if (type !== "hello") record(type, payload);
+}
+
+function markDisconnected() {
+  state.connected = false;
+  state.errors = null;
+  state.warnings = null;
+  state.errorsUpdatedAt = null;
+  state.errorsStale = false;
+}
+
+// ---------------------------------------------------------------------------
+// Connection
+// ---------------------------------------------------------------------------
+
+async function connect(url, fetchImpl) {
+  const controller = new AbortController();
+  state.controller = controller;
+  const headers = { Accept: "text/event-stream" };
+  if (state.lastEventId !== null) headers["Last-Event-ID"] = state.lastEventId;
+
+  try {
+    const res = await fetchImpl(url, { headers, signal: controller.signal });
+    if (!res.ok || !res.body) throw new Error(`HTTP ${res.status}`);
+    state.connected = true;
+    state.connectedAt = new Date().toISOString();
+    state.reconnectMs = RECONNECT_MIN_MS;
+
+    const parser = createSseParser(applyEvent);
+    const decoder = new TextDecoder();
+    for await (const chunk of res.body) {
+      parser.push(decoder.decode(chunk, { stream: true }));
+    }
+  } catch {
+    // Editor closed or not running yet — reconnect below
+  }
+
+  // A stop/start while this stream was closing has already opened the next
+  // one; only the current stream reports the disconnect and reconnects.
+  if (state.controller !== controller) return;
+  state.controller = null;
+  markDisconnected();
+  if (!state.running) return;
+  state.reconnectTimer = setTimeout(() => {
+    state.reconnectTimer = null;
+    connect(url, fetchImpl);
+  }, state.reconnectMs);
+  state.reconnectTimer.unref?.();
+  state.reconnectMs = Math.min(state.reconnectMs * 2, RECONNECT_MAX_MS);
+}
+
+/**
+ * Subscribe to the bridge event stream. Safe to call more than once.
+ * @param {{url?: string, fetch?: typeof fetch}} [options]
+ */
+export function startBridgeEvents({ url = bridgeUrl("/events"), fetch: fetchImpl = fetch } = {}) {
+  if (state.running) return;
+  state.running = true;
+  connect(url, fetchImpl);
+}
+
+/** Close the stream and forget all cached state. */
+export function stopBridgeEvents() {
+  state.running = false;
+  if (state.reconnectTimer) clearTimeout(state.reconnectTimer);
+  state.reconnectTimer = null;
+  state.controller?.abort();
+  markDisconnected();
+  Object.assign(state, {
+    reconnectMs: RECONNECT_MIN_MS,
+    lastEventId: null,
+    lastEventAt: null,
+    connectedAt: null,
+    isPlaying: null,
+    events: [],
+    seq: 0,
+    readCursor: 0,
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Reading
+// ---------------------------------------------------------------------------
+
+/**
+ * Error count from the live stream, or null when the stream is down, has
+ * not delivered an error snapshot yet, or reported a runtime error the
+ * snapshot does not reflect yet.
+ */
+export function cachedErrorCount() {
+  return state.connected && state.errors && !state.errorsStale ? state.errors.length : null;
+}
+
+/** Connection status and the live error/warning state. */
+export function getBridgeEventState() {
+  return {
+    connected: state.connected,
+    connected_at: state.connectedAt,
+    last_event_at: state.lastEventAt,
+    is_playing: state.isPlaying,
+    error_count: state.errors ? state.errors.length : null,
+    warning_count: state.warnings ? state.warnings.length : null,
+    errors: state.errors,
+    warnings: state.warnings,
+    errors_updated_at: state.errorsUpdatedAt,
+    errors_stale: state.errorsStale,
+  };
+}
+
+/**
+ * Buffered events after a cursor. Without `since`, continues from where the
+ * previous read stopped; the read cursor only advances when `peek` is false.
+ * @param {{since?: number, types?: string[], limit?: number, peek?: boolean}} [options]
+ * @returns {{events: object[], cursor: number, missed: number}} `missed` counts
+ *   events that fell out of the buffer before they were read
+ */
+export function readBridgeEvents({ since, types, limit = 100, peek = false } = {}) {
+  const from = Number.isInteger(since) ? since : state.readCursor;
+  const oldest = state.events.length > 0 ? state.events[0].seq : state.seq + 1;
+  const missed = Math.max(0, oldest - from - 1);
+  const wanted = Array.isArray(types) && types.length > 0 ? new Set(types) : null;
+
+  const newer = state.events.filter((event) => event.seq > from);
+  const matching = newer.filter((event) => !wanted || wanted.has(event.type));
+  const events = matching.slice(0, limit);
+  // Stop the cursor at the last returned event when the limit cut the list
+  const cursor = matching.length > limit ? events.at(-1).seq : Math.max(from, state.seq);
+  if (!peek) state.readCursor = cursor;
+  return { events, cursor, missed };
+}
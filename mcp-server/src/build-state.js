@@ -0,0 +1,202 @@
+/**
+ * Build checkpoints (.claude/build_state.json): validation against
+ * docs/build-state-schema.json, atomic writes, and the checkpoint history in
+ * .claude/build_states that lets a bad save be rolled back.
+ */
+import { readFileSync } from "fs";
+import { mkdir, readdir, readFile, rename, rm, writeFile } from "fs/promises";
+import { dirname, join } from "path";
+import { validateSchema } from "./json-schema.js";
+
+export const BUILD_STATE_VERSION = 2;
+export const BUILD_STATE_SCHEMA_FILE = "docs/build-state-schema.json";
+export const BUILD_STATE_FILE = "build_state.json";
+export const BUILD_STATE_HISTORY_DIR = "build_states";
+export const BUILD_STATE_HISTORY_LIMIT = 50;
+
+const SCHEMA_URL = new URL(`../../${BUILD_STATE_SCHEMA_FILE}`, import.meta.url);
+const CHECKPOINT_ID = /^[\w.-]+$/;
+let schema = null;
+
+// ---------------------------------------------------------------------------
+// Schema
+// ---------------------------------------------------------------------------
+
+/**
+ * Stamp unversioned and version "1.0" states with the current version. The
+ * 1.0 layout is a subset of version 2, so nothing else changes.
+ * @returns {{state: object, migrated_from: string|null}}
+ */
+export function migrateBuildState(state) {
+  if (!state || typeof state !== "object" || Array.isArray(state)) {
+    return { state, migrated_from: null };
+  }
+  if (state.version === undefined || state.version === "1.0") {
+    return { state: { ...state, version: BUILD_STATE_VERSION }, migrated_from: "1.0" };
+  }
+  return { state, migrated_from: null };
+}
+
+/**
+ * Validate a state as it will be stored (after a JSON round trip).
+ * @returns {{path: string, message: string}[]}
+ */
+export function validateBuildState(state) {
+  schema ??= JSON.parse(readFileSync(SCHEMA_URL, "utf-8"));
+  return validateSchema(schema, JSON.parse(JSON.stringify(state ?? null)));
+}
+
+// ---------------------------------------------------------------------------
+// Files
+// ---------------------------------------------------------------------------
+
+/**
+ * Write JSON through a temp file in the same directory and rename it over
+ * the target, so readers never see a half-written file.
+ */
+export async function writeJsonAtomic(absPath, value) {
+  await mkdir(dirname(absPath), { recursive: true });
+  const tmpPath = `${absPath}.${process.pid}-${Date.now()}.tmp`;
+  try {
+    await writeFile(tmpPath, JSON.stringify(value, null, 2), "utf-8");
+    await rename(tmpPath, absPath);
+  } catch (err) {
+    await rm(tmpPath, { force: true });
+    throw err;
+  }
+}
+
+async function readJson(absPath) {
+  try {
+    return { value: JSON.parse(await readFile(absPath, "utf-8")), error: null };
+  } catch (err) {
+    if (err.code === "ENOENT") return { value: null, error: null, missing: true };
+    return { value: null, error: err instanceof SyntaxError ? `Invalid JSON: ${err.message}` : err.message };
+  }
+}
+
+async function historyFiles(claudeDir) {
+  try {
+    return (await readdir(join(claudeDir, BUILD_STATE_HISTORY_DIR)))
+      .filter((name) => name.endsWith(".json"))
+      .sort();
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+function checkpointId(savedAt, state, trigger) {
+  const phase = Number.isInteger(state.current_phase?.number) ? `-phase${state.current_phase.number}` : "";
+  const suffix = trigger === "save" ? "" : `-${trigger}`;
+  return `${savedAt.replace(/[:.]/g, "-")}${phase}${suffix}`;
+}
+
+// ---------------------------------------------------------------------------
+// Save / read
+// ---------------------------------------------------------------------------
+
+/**
+ * Validate and save a state: the checkpoint goes to the history first, then
+ * replaces build_state.json. Nothing is written when validation fails.
+ * @param {string} claudeDir - absolute path of the project's .claude directory
+ * @param {object} input
+ * @param {{trigger?: "save"|"restore", now?: string, limit?: number}} [options]
+ * @returns {Promise<{state: object, errors: object[], migrated_from: string|null,
+ *   checkpoint?: string, pruned?: number}>}
+ */
+export async function saveBuildState(claudeDir, input, { trigger = "save", now, limit = BUILD_STATE_HISTORY_LIMIT } = {}) {
+  const { state: migrated, migrated_from } = migrateBuildState(input);
+  const errors = validateBuildState(migrated);
+  if (errors.length > 0) return { state: migrated, errors, migrated_from };
+
+  const state = { ...migrated, saved_at: now || new Date().toISOString() };
+  const existing = new Set(await historyFiles(claudeDir));
+  const baseId = checkpointId(state.saved_at, state, trigger);
+  let id = baseId;
+  for (let n = 2; existing.has(`${id}.json`); n += 1) id = `${baseId}-${n}`;
+
+  await writeJsonAtomic(join(claudeDir, BUILD_STATE_HISTORY_DIR, `${id}.json`), state);
+  await writeJsonAtomic(join(claudeDir, BUILD_STATE_FILE), state);
+
+  const files = [...existing, `${id}.json`].sort();
+  const stale = files.slice(0, Math.max(0, files.length - limit));
+  for (const name of stale) {
+    await rm(join(claudeDir, BUILD_STATE_HISTORY_DIR, name), { force: true });
+  }
+  return { state, errors: [], migrated_from, checkpoint: id, pruned: stale.length };
+}
+
+/**
+ * Read build_state.json. When it is missing, unreadable or not valid JSON
+ * but a readable checkpoint exists, the newest one is returned instead with
+ * `recovered_from` set.
+ * @returns {Promise<{state: object|null, errors: object[], migrated_from: string|null,
+ *   error?: string, recovered_from?: string}>}
+ */
+export async function readBuildState(claudeDir) {
+  const current = await readJson(join(claudeDir, BUILD_STATE_FILE));
+  if (current.value !== null) {
+    const { state, migrated_from } = migrateBuildState(current.value);
+    return { state, errors: validateBuildState(state), migrated_from };
+  }
+  if (current.missing) return { state: null, errors: [], migrated_from: null };
+
+  for (const name of (await historyFiles(claudeDir)).reverse()) {
+    const { value } = await readJson(join(claudeDir, BUILD_STATE_HISTORY_DIR, name));
+    if (value === null) continue;
+    const { state, migrated_from } = migrateBuildState(value);
+    const errors = validateBuildState(state);
+    if (errors.length > 0) continue;
+    return { state, errors, migrated_from, error: current.error, recovered_from: name.slice(0, -".json".length) };
+  }
+  return { state: null, errors: [], migrated_from: null, error: current.error };
+}
+
+/**
+ * Load one checkpoint from the history.
+ * @returns {Promise<{state: object|null, errors: object[], error?: string}>}
+ */
+export async function loadBuildStateCheckpoint(claudeDir, id) {
+  if (typeof id !== "string" || !CHECKPOINT_ID.test(id) || id.startsWith(".")) {
+    return { state: null, errors: [], error: `Invalid checkpoint id: ${id}` };
+  }
+  const { value, error, missing } = await readJson(join(claudeDir, BUILD_STATE_HISTORY_DIR, `${id}.json`));
+  if (missing) return { state: null, errors: [], error: `Checkpoint not found: ${id}` };
+  if (value === null) return { state: null, errors: [], error };
+  const { state } = migrateBuildState(value);
+  return { state, errors: validateBuildState(state) };
+}
+
+/**
+ * Summaries of the saved checkpoints, newest first. `current` marks the one
+ * build_state.json was last written from.
+ */
+export async function listBuildStates(claudeDir) {
+  const current = (await readJson(join(claudeDir, BUILD_STATE_FILE))).value;
+  const entries = [];
+  for (const name of (await historyFiles(claudeDir)).reverse()) {
+    const id = name.slice(0, -".json".length);
+    const { value, error } = await readJson(join(claudeDir, BUILD_STATE_HISTORY_DIR, name));
+    if (value === null) {
+      entries.push({ id, valid: false, errors: [{ path: "", message: error }] });
+      continue;
+    }
+    const errors = validateBuildState(migrateBuildState(value).state);
+    entries.push({
+      id,
+      saved_at: value.saved_at ?? null,
+      trigger: /-restore(-\d+)?$/.test(id) ? "restore" : "save",
+      game_name: value.game_name ?? null,
+      current_phase: value.current_phase ?? null,
+      completed_phase_count: Array.isArray(value.completed_phases) ? value.completed_phases.length : 0,
+      file_count: Array.isArray(value.files_written) ? value.files_written.length : 0,
+      open_task_count: Array.isArray(value.open_tasks) ? value.open_tasks.length : 0,
+      session_number: value.session_number ?? null,
+      current: Boolean(current?.saved_at) && current.saved_at === value.saved_at,
+      valid: errors.length === 0,
+      ...(errors.length > 0 ? { errors } : {}),
+    });
+  }
+  return entries;
+}
@@ -0,0 +1,363 @@
+/**
+ * Builds the project's file dependency graph from disk: ext_resources and
+ * res:// values in .tscn/.tres files, preload()/load()/extends paths in .gd
+ * scripts (including built-in scripts), and resource paths in project.godot.
+ * Reports dangling references, orphaned assets and cyclic hard dependencies.
+ */
+import { readFile, stat } from "fs/promises";
+import { extname } from "path";
+import { parseTres, parseTscn, resToAbsolute } from "./scene-parser.js";
+import { lineNumberAt, skipString, stripComments } from "./gdscript-text.js";
+
+// File types that take part in the graph. They are only ever used by being
+// referenced, so unreferenced ones are reported as orphaned (scripts with a
+// class_name are global and exempt).
+export const DEPENDENCY_FILE_EXTENSIONS = [
+  "tscn",
+  "tres",
+  "gd",
+  "gdshader",
+  "png",
+  "svg",
+  "jpg",
+  "jpeg",
+  "webp",
+  "ogg",
+  "wav",
+  "mp3",
+  "ttf",
+  "otf",
+  "woff",
+  "woff2",
+];
+
+// Edge kinds Godot resolves while loading the referencing file. A cycle of
+// these makes the files impossible to load; load() and plain paths are
+// resolved at runtime and are exempt.
+const HARD_EDGE_KINDS = new Set(["ext_resource", "preload", "extends"]);
+
+/**
+ * Build the dependency graph of the given files.
+ *
+ * Edges are `{from, to, reference, kind, line?, id?}` where `kind` is
+ * "ext_resource", "property" (res:// value in a scene/resource), "preload",
+ * "load", "extends", "path" (any other res:// string in a script) or
+ * "project_setting". `to` is the resolved res:// path, or null when the
+ * reference is dangling.
+ * @param {{files: string[], uidFiles?: string[]}} input - res:// paths of the
+ *   project files, plus .uid/.import sidecars used to resolve uid:// values
+ * @returns {Promise<object>}
+ */
+export async function buildDependencyGraph({ files, uidFiles = [] }) {
+  const context = {
+    fileSet: new Set(files),
+    contents: new Map(),
+    uids: new Map(),
+    globalScripts: new Set(),
+    existence: new Map(),
+    errors: [],
+  };
+
+  for (const file of files) {
+    try {
+      const ext = extname(file).slice(1);
+      if (ext === "tscn" || ext === "tres" || ext === "gd" || ext === "godot") {
+        context.contents.set(file, await readFile(resToAbsolute(file), "utf-8"));
+      }
+    } catch (err) {
+      context.errors.push({ file, error: err.message });
+    }
+  }
+  await indexUids(context, uidFiles);
+
+  const edges = [];
+  for (const [file, content] of context.contents) {
+    try {
+      edges.push(...(await collectEdges(context, file, content)));
+    } catch (err) {
+      context.errors.push({ file, error: err.message });
+    }
+  }
+
+  const dangling = edges
+    .filter((edge) => edge.to === null)
+    .map(({ to, ...edge }) => edge);
+  const staleUids = edges
+    .filter((edge) => edge.stale_uid)
+    .map(({ from, id, stale_uid: uid, to }) => ({ from, id, uid, path: to }));
+
+  const referenced = new Set();
+  for (const edge of edges) {
+    if (edge.to && edge.to !== edge.from) referenced.add(edge.to);
+  }
+  const orphaned = files.filter(
+    (file) =>
+      DEPENDENCY_FILE_EXTENSIONS.includes(extname(file).slice(1)) &&
+      !referenced.has(file) &&
+      !context.globalScripts.has(file)
+  );
+
+  return {
+    edges,
+    dangling,
+    stale_uids: staleUids,
+    orphaned,
+    cycles: findCycles(edges.filter((edge) => edge.to && HARD_EDGE_KINDS.has(edge.kind))),
+    errors: context.errors,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Edge collection
+// ---------------------------------------------------------------------------
+
+async function collectEdges(context, file, content) {
+  const ext = extname(file).slice(1);
+  if (ext === "gd") {
+    if (/^(?:@\w+(?:\([^)]*\))?\s+)*class_name\s+\w+/m.test(content)) {
+      context.globalScripts.add(file);
+    }
+    return collectScriptEdges(context, file, content);
+  }
+  if (ext === "godot") return collectProjectEdges(context, file, content);
+
+  const doc = content.trimStart().startsWith("[gd_resource")
+    ? parseTres(content)
+    : parseTscn(content);
+  const edges = [];
+
+  for (const extResource of doc.ext_resources) {
+    const edge = {
+      from: file,
+      reference: extResource.uid || extResource.path,
+      kind: "ext_resource",
+      id: extResource.id,
+    };
+    const byUid = extResource.uid ? context.uids.get(extResource.uid) : null;
+    if (byUid) {
+      // Godot prefers the uid, so moved files still load.
+      edges.push({ ...edge, to: byUid });
+    } else if (await referenceExists(context, extResource.path)) {
+      edges.push({
+        ...edge,
+        reference: extResource.path,
+        to: stripSubpath(extResource.path),
+        // Only files we indexed can tell whether their uid changed.
+        ...(extResource.uid && context.fileSet.has(extResource.path)
+          ? { stale_uid: extResource.uid }
+          : {}),
+      });
+    } else {
+      edges.push({ ...edge, to: null });
+    }
+  }
+
+  const values = [
+    ...(doc.nodes || []).map((node) => node.properties),
+    ...doc.sub_resources.map((sub) => sub.properties),
+    doc.properties || {},
+  ];
+  for (const value of values) {
+    for (const reference of collectPathValues(value)) {
+      edges.push(await resolveEdge(context, { from: file, reference, kind: "property" }));
+    }
+  }
+
+  // Built-in scripts carry their own preload()/load() calls.
+  for (const sub of doc.sub_resources) {
+    const source = sub.properties?.["script/source"];
+    if (typeof source === "string") {
+      const scriptEdges = await collectScriptEdges(context, file, source);
+      edges.push(...scriptEdges.map(({ line, ...edge }) => ({ ...edge, id: sub.id })));
+    }
+  }
+  return edges;
+}
+
+async function collectScriptEdges(context, file, source) {
+  const code = stripComments(source.replace(/\r\n/g, "\n"));
+  const edges = [];
+  for (let i = 0; i < code.length; i++) {
+    const ch = code[i];
+    if (ch !== '"' && ch !== "'") continue;
+    const end = skipString(code, i);
+    const literal = code.slice(i + 1, end - 1);
+    if (/^(?:res|uid):\/\//.test(literal) && !isDynamicPath(literal)) {
+      const lineStart = code.lastIndexOf("\n", i) + 1;
+      const before = code.slice(lineStart, i);
+      edges.push(
+        await resolveEdge(context, {
+          from: file,
+          reference: literal,
+          kind: scriptReferenceKind(before),
+          line: lineNumberAt(code, i),
+        })
+      );
+    }
+    i = end - 1;
+  }
+  return edges;
+}
+
+function scriptReferenceKind(before) {
+  if (/\bpreload\s*\(\s*$/.test(before)) return "preload";
+  if (/\bextends\s+$/.test(before)) return "extends";
+  if (/\bload\s*\(\s*$/.test(before)) return "load";
+  return "path";
+}
+
+async function collectProjectEdges(context, file, content) {
+  const edges = [];
+  const lines = content.split("\n");
+  for (let i = 0; i < lines.length; i++) {
+    if (lines[i].trim().startsWith(";")) continue;
+    // Autoload values are "*res://..." when enabled as singletons.
+    for (const match of lines[i].matchAll(/"\*?((?:res|uid):\/\/[^"]*)"/g)) {
+      if (isDynamicPath(match[1])) continue;
+      edges.push(
+        await resolveEdge(context, {
+          from: file,
+          reference: match[1],
+          kind: "project_setting",
+          line: i + 1,
+        })
+      );
+    }
+  }
+  return edges;
+}
+
+/**
+ * res:// strings and Resource("res://...") values anywhere in a typed value.
+ */
+function collectPathValues(value, out = []) {
+  if (typeof value === "string") {
+    if (/^(?:res|uid):\/\/./.test(value) && !isDynamicPath(value)) out.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectPathValues(item, out));
+  } else if (value && typeof value === "object") {
+    if (value.type === "Resource" && typeof value.path === "string") {
+      out.push(value.path);
+      return out;
+    }
+    Object.values(value).forEach((item) => collectPathValues(item, out));
+  }
+  return out;
+}
+
+async function resolveEdge(context, edge) {
+  const { reference } = edge;
+  if (reference.startsWith("uid://")) {
+    return { ...edge, to: context.uids.get(reference) || null };
+  }
+  if (await referenceExists(context, reference)) {
+    return { ...edge, to: stripSubpath(reference) };
+  }
+  return { ...edge, to: null };
+}
+
+async function referenceExists(context, resPath) {
+  const path = stripSubpath(resPath);
+  if (!path.startsWith("res://")) return false;
+  if (context.fileSet.has(path)) return true;
+  // Directories, addons and other skipped folders are checked on disk.
+  if (!context.existence.has(path)) {
+    context.existence.set(
+      path,
+      stat(resToAbsolute(path)).then(
+        () => true,
+        () => false
+      )
+    );
+  }
+  return context.existence.get(path);
+}
+
+// "res://levels/level_%d.tscn", "res://skins/" + name + ".png" and the like
+// are only complete at runtime.
+function isDynamicPath(path) {
+  return /%[sd\d]|\{\w*\}/.test(path) || /\/$/.test(path) || path === "res://";
+}
+
+// "res://scene.tscn::Resource_abc" refers to a built-in resource of the file.
+function stripSubpath(resPath) {
+  const index = resPath.indexOf("::");
+  return index === -1 ? resPath : resPath.slice(0, index);
+}
+
+// ---------------------------------------------------------------------------
+// uid:// resolution
+// ---------------------------------------------------------------------------
+
+/**
+ * Map uid:// values to files the way Godot does: the uid in a .tscn/.tres
+ * header, a .uid sidecar next to scripts and shaders, or the uid in an
+ * imported asset's .import file.
+ */
+async function indexUids(context, uidFiles) {
+  for (const [file, content] of context.contents) {
+    const match = content.match(/^\[gd_(?:scene|resource)[^\]]*\buid="(uid:\/\/[^"]+)"/m);
+    if (match) context.uids.set(match[1], file);
+  }
+
+  for (const sidecar of uidFiles) {
+    const ext = extname(sidecar);
+    const pattern = ext === ".uid" ? /^(uid:\/\/\S+)/m : /^uid="(uid:\/\/[^"]+)"/m;
+    try {
+      const match = (await readFile(resToAbsolute(sidecar), "utf-8")).match(pattern);
+      if (match) context.uids.set(match[1], sidecar.slice(0, -ext.length));
+    } catch {
+      // Unreadable sidecars leave their uid unresolved.
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Cycles
+// ---------------------------------------------------------------------------
+
+/**
+ * Cycles in the hard-dependency subgraph, each as a list of files starting
+ * and ending with the same file.
+ */
+function findCycles(edges) {
+  const adjacency = new Map();
+  for (const edge of edges) {
+    if (!adjacency.has(edge.from)) adjacency.set(edge.from, new Set());
+    adjacency.get(edge.from).add(edge.to);
+  }
+
+  const cycles = [];
+  const seen = new Set();
+  const state = new Map();
+  const stack = [];
+
+  const visit = (file) => {
+    state.set(file, "active");
+    stack.push(file);
+    for (const next of adjacency.get(file) || []) {
+      if (state.get(next) === "active") {
+        const cycle = stack.slice(stack.indexOf(next));
+        const key = canonicalCycleKey(cycle);
+        if (!seen.has(key)) {
+          seen.add(key);
+          cycles.push([...cycle, next]);
+        }
+      } else if (!state.has(next)) {
+        visit(next);
+      }
+    }
+    stack.pop();
+    state.set(file, "done");
+  };
+
+  for (const file of [...adjacency.keys()].sort()) {
+    if (!state.has(file)) visit(file);
+  }
+  return cycles;
+}
+
+function canonicalCycleKey(cycle) {
+  const start = cycle.indexOf([...cycle].sort()[0]);
+  return [...cycle.slice(start), ...cycle.slice(0, start)].join(" -> ");
+}
@@ -0,0 +1,529 @@
+/**
+ * Static checks for GDScript files that need no running editor: the
+ * lexical problems reported by the parser, plus undefined locals, unknown
+ * base classes, duplicate functions, await outside functions and Godot 3
+ * leftovers. Issues use the bridge's error shape ({message, file, line})
+ * with a column and rule id added.
+ */
+import { posix } from "path";
+import {
+  matchingBracket,
+  opensBlock,
+  parameterTokens,
+  parseGDScript,
+  statementKeyword,
+} from "./gdscript-parser.js";
+import { ENGINE_CLASSES, GODOT3_RENAMED_CLASSES } from "./godot-classes.js";
+
+// Godot 3 global functions and their Godot 4 replacements.
+const GODOT3_FUNCTIONS = {
+  rand_range: "randf_range() or randi_range()",
+  stepify: "snapped()",
+  deg2rad: "deg_to_rad()",
+  rad2deg: "rad_to_deg()",
+  range_lerp: "remap()",
+  linear2db: "linear_to_db()",
+  db2linear: "db_to_linear()",
+  str2var: "str_to_var()",
+  var2str: "var_to_str()",
+  bytes2var: "bytes_to_var()",
+  var2bytes: "var_to_bytes()",
+  parse_json: "JSON.parse_string()",
+  to_json: "JSON.stringify()",
+  funcref: 'Callable(object, "method")',
+  polar2cartesian: "Vector2.from_angle() * radius",
+  cartesian2polar: "Vector2.length() and Vector2.angle()",
+  ColorN: "Color.named()",
+};
+
+// Godot 3 methods (called as `.name(`) and their Godot 4 replacements.
+const GODOT3_METHODS = {
+  instance: "instantiate()",
+  change_scene: "change_scene_to_file()",
+  change_scene_to: "change_scene_to_packed()",
+  is_network_master: "is_multiplayer_authority()",
+  set_network_master: "set_multiplayer_authority()",
+  get_network_master: "get_multiplayer_authority()",
+  empty: "is_empty()",
+};
+
+// OS methods that moved to Time or DisplayServer.
+const GODOT3_OS_METHODS = {
+  get_ticks_msec: "Time.get_ticks_msec()",
+  get_ticks_usec: "Time.get_ticks_usec()",
+  get_unix_time: "Time.get_unix_time_from_system()",
+  get_system_time_msecs: "Time.get_unix_time_from_system()",
+  get_datetime: "Time.get_datetime_dict_from_system()",
+  get_window_size: "DisplayServer.window_get_size()",
+  set_window_size: "DisplayServer.window_set_size()",
+  get_screen_size: "DisplayServer.screen_get_size()",
+  set_window_fullscreen: "DisplayServer.window_set_mode()",
+};
+
+const GODOT3_RPC_KEYWORDS = new Set([
+  "remote",
+  "master",
+  "puppet",
+  "remotesync",
+  "mastersync",
+  "puppetsync",
+]);
+
+/**
+ * Lint one GDScript file.
+ * @param {string} source
+ * @param {object} [options]
+ * @param {string} [options.file] - res:// path, used in results and to resolve relative extends paths
+ * @param {Set<string>} [options.globals] - project class_names and autoload names
+ * @param {(resPath: string) => boolean} [options.pathExists] - checks `extends "res://..."` targets
+ * @returns {{errors: object[], warnings: object[]}} entries are `{message, file, line, column, rule}`
+ */
+export function lintGDScript(source, options = {}) {
+  const { file = "", globals = new Set(), pathExists = () => true } = options;
+  const parsed = parseGDScript(source);
+  const ctx = { file, globals, pathExists, issues: [...parsed.issues] };
+
+  const topClass = { members: new Map(), functions: new Map(), outer: null };
+  const declared = new Set();
+  collectDeclaredNames(parsed.lines, declared);
+  checkGodot3Idioms(parsed.lines, ctx, declared);
+  analyzeClass(parsed.statements, ctx, topClass);
+
+  const results = { errors: [], warnings: [] };
+  const seen = new Set();
+  ctx.issues
+    .sort((a, b) => a.line - b.line || a.column - b.column)
+    .forEach(({ severity, rule, message, line, column }) => {
+      const key = `${line}:${column}:${rule}:${message}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      const entry = { message, file, line, column, rule };
+      (severity === "warning" ? results.warnings : results.errors).push(entry);
+    });
+  return results;
+}
+
+/**
+ * class_name declared in GDScript source, or "".
+ */
+export function scriptClassName(source) {
+  return source.match(/^(?:@\w+(?:\([^)]*\))?\s+)*class_name\s+(\w+)/m)?.[1] || "";
+}
+
+function report(ctx, severity, rule, message, token) {
+  ctx.issues.push({ severity, rule, message, line: token.line, column: token.column });
+}
+
+// ---------------------------------------------------------------------------
+// Classes
+// ---------------------------------------------------------------------------
+
+function analyzeClass(statements, ctx, scope) {
+  for (const statement of statements) collectMember(statement, scope);
+
+  for (const statement of statements) {
+    const { tokens } = statement;
+    const { keyword, index } = statementKeyword(statement);
+    const nameToken = tokens[index + 1];
+
+    if (keyword === "extends") {
+      checkExtends(tokens, index + 1, ctx, scope);
+    } else if (keyword === "class_name") {
+      const extendsAt = tokens.findIndex((token) => token.value === "extends");
+      if (extendsAt !== -1) checkExtends(tokens, extendsAt + 1, ctx, scope);
+    } else if (keyword === "func" && nameToken?.type === "name") {
+      const first = scope.functions.get(nameToken.value);
+      if (first !== undefined) {
+        report(
+          ctx,
+          "error",
+          "duplicate_function",
+          `Function "${nameToken.value}" has the same name as a previously declared function (line ${first}).`,
+          nameToken
+        );
+      } else {
+        scope.functions.set(nameToken.value, nameToken.line);
+      }
+      const open = tokens.findIndex((token, i) => i > index && token.value === "(");
+      const params = open === -1 ? [] : parameterTokens(tokens, open).map((token) => token.value);
+      analyzeFunction(statement, open === -1 ? index + 1 : matchingBracket(tokens, open), params, ctx, scope);
+    } else if (keyword === "class" && nameToken?.type === "name") {
+      const extendsAt = tokens.findIndex((token) => token.value === "extends");
+      if (extendsAt !== -1) checkExtends(tokens, extendsAt + 1, ctx, scope);
+      analyzeClass(statement.body, ctx, {
+        members: new Map(),
+        functions: new Map(),
+        outer: scope,
+      });
+    } else {
+      checkClassLevelAwait(tokens, ctx);
+      if (keyword === "var" && statement.body.length > 0) {
+        analyzePropertyAccessors(statement, ctx, scope);
+      } else if (statement.body.length > 0) {
+        // A multi-line lambda assigned at class level.
+        const lambda = tokens.findIndex((token) => token.value === "func");
+        const open = tokens.findIndex((token, i) => i > lambda && token.value === "(");
+        const params =
+          lambda === -1 || open === -1 ? [] : parameterTokens(tokens, open).map((token) => token.value);
+        analyzeBody(statement.body, [], params, ctx, scope);
+      }
+    }
+  }
+}
+
+function collectMember(statement, scope) {
+  const { tokens } = statement;
+  const { keyword, index } = statementKeyword(statement);
+  const name = tokens[index + 1];
+  if (!name || name.type !== "name") return;
+  if (["var", "const", "func", "signal", "class", "enum"].includes(keyword)) {
+    if (!scope.members.has(name.value)) scope.members.set(name.value, name.line);
+  }
+  if (keyword === "enum") {
+    for (const value of enumValues(tokens, index)) {
+      if (!scope.members.has(value.value)) scope.members.set(value.value, value.line);
+    }
+  }
+}
+
+function enumValues(tokens, enumIndex) {
+  const open = tokens.findIndex((token, i) => i > enumIndex && token.value === "{");
+  if (open === -1) return [];
+  const close = matchingBracket(tokens, open);
+  return tokens.filter(
+    (token, i) =>
+      i > open &&
+      i < close &&
+      token.type === "name" &&
+      (tokens[i - 1].value === "{" || tokens[i - 1].value === ",")
+  );
+}
+
+function hasMember(scope, name) {
+  for (let current = scope; current; current = current.outer) {
+    if (current.members.has(name)) return true;
+  }
+  return false;
+}
+
+function checkExtends(tokens, at, ctx, scope) {
+  const base = tokens[at];
+  if (!base) return;
+  if (base.type === "string") {
+    const path = base.value;
+    if (path.startsWith("uid://")) return;
+    const resolved = path.startsWith("res://")
+      ? path
+      : `res://${posix.join(posix.dirname(ctx.file.replace(/^res:\/\//, "")), path)}`;
+    if (!ctx.pathExists(resolved)) {
+      report(ctx, "error", "unknown_base_class", `Could not find base script "${path}".`, base);
+    }
+    return;
+  }
+  if (base.type !== "name") return;
+  const name = base.value;
+  // Renamed Godot 3 classes are reported by checkGodot3Idioms.
+  if (
+    ENGINE_CLASSES.has(name) ||
+    ctx.globals.has(name) ||
+    hasMember(scope, name) ||
+    GODOT3_RENAMED_CLASSES[name]
+  ) {
+    return;
+  }
+  report(
+    ctx,
+    "error",
+    "unknown_base_class",
+    `Could not find base class "${name}". It is not an engine class, a class_name in the project, or an inner class.`,
+    base
+  );
+}
+
+function checkClassLevelAwait(tokens, ctx) {
+  for (const token of tokens) {
+    // Everything after `func` belongs to a lambda.
+    if (token.value === "func") return;
+    if (token.type === "keyword" && token.value === "await") {
+      report(
+        ctx,
+        "error",
+        "await_outside_function",
+        '"await" can only be used inside a function.',
+        token
+      );
+    }
+  }
+}
+
+// `var x: set(value): ... get: ...` accessor blocks are functions.
+function analyzePropertyAccessors(statement, ctx, scope) {
+  for (const accessor of statement.body) {
+    const { tokens } = accessor;
+    if (tokens[0]?.value !== "get" && tokens[0]?.value !== "set") continue;
+    const params = tokens[1]?.value === "(" ? parameterTokens(tokens, 1).map((token) => token.value) : [];
+    const colon = tokens.findIndex((token) => token.value === ":");
+    analyzeFunction(accessor, colon === -1 ? tokens.length - 1 : colon - 1, params, ctx, scope);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Functions and local scope
+// ---------------------------------------------------------------------------
+
+/**
+ * Check a function whose header ends at `headerEnd` (the closing paren of
+ * its parameters). A body on the header line (`func f(): return 1`) is
+ * treated as the first statement of the block.
+ */
+function analyzeFunction(statement, headerEnd, params, ctx, scope) {
+  const { tokens } = statement;
+  let colon = headerEnd + 1;
+  while (colon < tokens.length && tokens[colon].value !== ":") colon += 1;
+  const inline = tokens.slice(colon + 1);
+  const inlineStatements = inline.length > 0 ? [{ tokens: inline, line: inline[0].line, body: [] }] : [];
+  analyzeBody([...inlineStatements, ...statement.body], [], params, ctx, scope);
+}
+
+function analyzeBody(statements, outerScopes, params, ctx, scope) {
+  const locals = new Set();
+  collectLocalNames(statements, locals);
+  const fn = { locals, params: new Set(params), ctx, scope };
+  walkBlock(statements, [...outerScopes, new Set(params)], fn);
+}
+
+// Every name declared as a local anywhere in the function. Only these are
+// checked: other names may be members inherited from engine classes, which
+// are not known without the editor.
+function collectLocalNames(statements, out) {
+  for (const statement of statements) {
+    const { tokens } = statement;
+    tokens.forEach((token, i) => {
+      if ((token.value === "var" || token.value === "const" || token.value === "for") && tokens[i + 1]?.type === "name") {
+        out.add(tokens[i + 1].value);
+      } else if (token.value === "func") {
+        const open = tokens.findIndex((candidate, j) => j > i && candidate.value === "(");
+        if (open !== -1) parameterTokens(tokens, open).forEach((param) => out.add(param.value));
+      }
+    });
+    collectLocalNames(statement.body, out);
+  }
+}
+
+function walkBlock(statements, scopes, fn) {
+  const scope = new Set();
+  const active = [...scopes, scope];
+  for (const statement of statements) {
+    const { declared, blockNames } = visitStatement(statement, active, fn);
+    if (statement.body.length > 0) walkBlock(statement.body, [...active, new Set(blockNames)], fn);
+    if (declared) {
+      if (hasMember(fn.scope, declared.value) && !fn.params.has(declared.value)) {
+        report(
+          fn.ctx,
+          "warning",
+          "shadowed_variable",
+          `The local ${statement.tokens[0].value === "const" ? "constant" : "variable"} "${declared.value}" is shadowing an already-declared member of the class.`,
+          declared
+        );
+      }
+      scope.add(declared.value);
+    }
+  }
+}
+
+/**
+ * Check the identifiers used on one logical line. Returns the local the
+ * statement declares (visible from the next statement on) and the names
+ * its block sees: the `for` variable, match bindings and lambda parameters.
+ */
+function visitStatement(statement, scopes, fn) {
+  const { tokens } = statement;
+  const lineScope = new Set();
+  const skip = new Set();
+  const blockNames = [];
+  const isBlock = opensBlock(statement) || statement.body.length > 0;
+  let declared = null;
+
+  const first = tokens[0];
+  if ((first?.value === "var" || first?.value === "const") && tokens[1]?.type === "name") {
+    skip.add(1);
+    // `var x when ...:` binds a match pattern for its block only; an
+    // assignment (a multi-line lambda) declares the name like any local.
+    const assigns = tokens.some((token) => token.value === "=" || token.value === ":=");
+    if (isBlock && !assigns) lineScope.add(tokens[1].value);
+    else declared = tokens[1];
+    if (tokens[2]?.value === ":") skipType(tokens, 3, skip);
+  } else if (first?.value === "for" && tokens[1]?.type === "name") {
+    skip.add(1);
+    blockNames.push(tokens[1].value);
+    if (tokens[2]?.value === ":") skipType(tokens, 3, skip);
+  }
+
+  const brackets = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type === "op") {
+      if (token.value === "(" || token.value === "[" || token.value === "{") brackets.push(token.value);
+      else if (token.value === ")" || token.value === "]" || token.value === "}") brackets.pop();
+      continue;
+    }
+    if (i > 0 && (token.value === "var" || token.value === "const" || token.value === "for")) {
+      const name = tokens[i + 1];
+      if (name?.type === "name") {
+        lineScope.add(name.value);
+        skip.add(i + 1);
+        if (tokens[i + 2]?.value === ":") skipType(tokens, i + 3, skip);
+      }
+      continue;
+    }
+    if (token.value === "func") {
+      const open = tokens.findIndex((candidate, j) => j > i && candidate.value === "(");
+      if (open !== -1) {
+        parameterTokens(tokens, open).forEach((param) => lineScope.add(param.value));
+        for (let j = i + 1; j <= matchingBracket(tokens, open); j++) skip.add(j);
+      }
+      continue;
+    }
+    if ((token.value === "is" || token.value === "as") && token.type === "keyword") {
+      skipType(tokens, i + 1, skip);
+      continue;
+    }
+    if (token.type !== "name" || skip.has(i)) continue;
+
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+    if (prev?.value === "." || prev?.value === "->") continue;
+    // Lua-style dictionary keys: {key = value}
+    if (brackets[brackets.length - 1] === "{" && next?.value === "=") continue;
+    checkLocalUse(token, [...scopes, lineScope], fn);
+  }
+
+  if (isBlock) blockNames.push(...lineScope);
+  return { declared, blockNames };
+}
+
+// Skip a type annotation starting at `start`: Name(.Name)*([...])?
+function skipType(tokens, start, skip) {
+  let i = start;
+  while (tokens[i]?.type === "name" || tokens[i]?.type === "keyword") {
+    skip.add(i);
+    if (tokens[i + 1]?.value === "." && tokens[i + 2]?.type === "name") {
+      skip.add(i + 1);
+      i += 2;
+      continue;
+    }
+    if (tokens[i + 1]?.value === "[") {
+      const close = matchingBracket(tokens, i + 1);
+      for (let j = i + 1; j <= close; j++) skip.add(j);
+    }
+    break;
+  }
+}
+
+function checkLocalUse(token, scopes, fn) {
+  const name = token.value;
+  if (!fn.locals.has(name) || fn.params.has(name)) return;
+  if (scopes.some((scope) => scope.has(name))) return;
+  if (hasMember(fn.scope, name) || fn.ctx.globals.has(name) || ENGINE_CLASSES.has(name)) return;
+  report(
+    fn.ctx,
+    "error",
+    "undefined_identifier",
+    `Identifier "${name}" not declared in the current scope.`,
+    token
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Godot 3 idioms
+// ---------------------------------------------------------------------------
+
+function collectDeclaredNames(lines, out) {
+  for (const line of lines) {
+    line.tokens.forEach((token, i) => {
+      const next = line.tokens[i + 1];
+      if (
+        ["var", "const", "func", "signal", "class", "class_name", "enum"].includes(token.value) &&
+        next?.type === "name"
+      ) {
+        out.add(next.value);
+      }
+    });
+  }
+}
+
+function checkGodot3Idioms(lines, ctx, declared) {
+  const godot3 = (message, token) => report(ctx, "error", "godot3_syntax", message, token);
+
+  for (const line of lines) {
+    const { tokens } = line;
+    const first = tokens[0]?.type === "name" ? tokens[0] : null;
+    const second = tokens[1];
+
+    if (first?.value === "onready" && second?.value === "var") {
+      godot3('"onready var" is Godot 3 syntax. Use the @onready annotation: @onready var ...', first);
+    } else if (first?.value === "export" && (second?.value === "var" || second?.value === "(")) {
+      godot3('"export var" is Godot 3 syntax. Use @export var (or @export_range, @export_enum, ...).', first);
+    } else if (first?.value === "tool" && tokens.length === 1) {
+      godot3('"tool" is Godot 3 syntax. Use the @tool annotation.', first);
+    } else if (GODOT3_RPC_KEYWORDS.has(first?.value) && (second?.value === "func" || second?.value === "var")) {
+      godot3(`"${first.value}" is Godot 3 syntax. Use the @rpc annotation.`, first);
+    }
+
+    tokens.forEach((token, i) => {
+      if (token.type !== "name") return;
+      const prev = tokens[i - 1];
+      const next = tokens[i + 1];
+      const isCall = next?.value === "(";
+      const isMember = prev?.value === ".";
+
+      if (token.value === "yield" && isCall && !isMember) {
+        godot3('"yield" was removed in Godot 4. Use await, e.g. await get_tree().create_timer(1.0).timeout', token);
+      } else if (token.value === "setget") {
+        godot3('"setget" was removed in Godot 4. Use property accessors: var x: set = _set_x, get = _get_x', token);
+      } else if (GODOT3_RENAMED_CLASSES[token.value] && !isMember && !declared.has(token.value) && !ctx.globals.has(token.value)) {
+        godot3(`${token.value} was renamed in Godot 4. Use ${GODOT3_RENAMED_CLASSES[token.value]}.`, token);
+      } else if (isCall && !isMember && GODOT3_FUNCTIONS[token.value] && !declared.has(token.value)) {
+        godot3(`${token.value}() was removed in Godot 4. Use ${GODOT3_FUNCTIONS[token.value]}.`, token);
+      } else if (isCall && isMember && GODOT3_METHODS[token.value]) {
+        godot3(`${token.value}() was renamed in Godot 4. Use ${GODOT3_METHODS[token.value]}.`, token);
+      } else if (isCall && isMember && tokens[i - 2]?.value === "OS" && GODOT3_OS_METHODS[token.value]) {
+        godot3(`OS.${token.value}() was moved in Godot 4. Use ${GODOT3_OS_METHODS[token.value]}.`, token);
+      } else if (token.value === "move_and_slide" && isCall && tokens[i + 2] && tokens[i + 2].value !== ")") {
+        godot3(
+          "move_and_slide() takes no arguments in Godot 4. Set velocity (and up_direction) first, then call move_and_slide().",
+          token
+        );
+      } else if (token.value === "connect" && isCall && isGodot3Connect(tokens, i + 1)) {
+        godot3(
+          'connect("signal", target, "method") is Godot 3 syntax. Pass a Callable: signal_name.connect(target.method)',
+          token
+        );
+      }
+    });
+  }
+}
+
+// connect("signal", target, "method"): a string method name as the third argument.
+function isGodot3Connect(tokens, open) {
+  const close = matchingBracket(tokens, open);
+  const args = [];
+  let depth = 0;
+  let start = open + 1;
+  for (let i = open + 1; i <= close; i++) {
+    const value = tokens[i].value;
+    if (tokens[i].type === "op" && (value === "(" || value === "[" || value === "{")) depth += 1;
+    else if (tokens[i].type === "op" && (value === ")" || value === "]" || value === "}")) depth -= 1;
+    if ((depth === 0 && value === ",") || i === close) {
+      args.push(tokens.slice(start, i));
+      start = i + 1;
+    }
+  }
+  return (
+    args.length >= 3 &&
+    args[0].length === 1 &&
+    args[0][0].type === "string" &&
+    args[2].length === 1 &&
+    args[2][0].type === "string"
+  );
+}
@@ -0,0 +1,498 @@
+/**
+ * Tokenizer and block parser for GDScript 2.0 (Godot 4).
+ *
+ * Physical lines are joined into logical lines across brackets and
+ * backslash continuations, then arranged into a tree by indentation: each
+ * statement carries the statements of its indented block in `body`.
+ * Lexical problems found on the way (indentation, brackets, unterminated
+ * strings) are returned as issues rather than thrown, so one bad line does
+ * not hide the rest of the file.
+ */
+
+const KEYWORDS = new Set([
+  "and",
+  "as",
+  "assert",
+  "await",
+  "break",
+  "breakpoint",
+  "class",
+  "class_name",
+  "const",
+  "continue",
+  "elif",
+  "else",
+  "enum",
+  "extends",
+  "false",
+  "for",
+  "func",
+  "if",
+  "in",
+  "is",
+  "match",
+  "not",
+  "null",
+  "or",
+  "pass",
+  "preload",
+  "return",
+  "self",
+  "signal",
+  "static",
+  "super",
+  "true",
+  "var",
+  "void",
+  "when",
+  "while",
+  "PI",
+  "TAU",
+  "INF",
+  "NAN",
+]);
+
+// Longest first, so "**=" wins over "**" and "*".
+const OPERATORS = [
+  "**=",
+  "<<=",
+  ">>=",
+  "...",
+  "->",
+  ":=",
+  "==",
+  "!=",
+  "<=",
+  ">=",
+  "&&",
+  "||",
+  "+=",
+  "-=",
+  "*=",
+  "/=",
+  "%=",
+  "&=",
+  "|=",
+  "^=",
+  "**",
+  "<<",
+  ">>",
+  "..",
+];
+
+const OPENERS = { "(": ")", "[": "]", "{": "}" };
+const CLOSERS = { ")": "(", "]": "[", "}": "{" };
+const OPERAND_KEYWORDS = new Set(["self", "super", "true", "false", "null", "PI", "TAU", "INF", "NAN"]);
+const TAB_WIDTH = 4;
+
+/**
+ * @typedef {object} Token
+ * @property {"name"|"keyword"|"number"|"string"|"annotation"|"node"|"op"} type
+ *   "node" is a $Path or %UniqueName node reference
+ * @property {string} value - identifier/operator text, or a string's contents
+ * @property {number} line - 1-based
+ * @property {number} column - 1-based
+ * @property {number} offset - start index in the source (line breaks normalized to "\n")
+ * @property {number} end - index just past the token
+ * @property {string} [prefix] - for strings: "&" (StringName), "^" (NodePath), "r" (raw) or ""
+ */
+
+/**
+ * @typedef {object} Statement
+ * @property {Token[]} tokens
+ * @property {number} line - line of the first token
+ * @property {number} indent - indentation width (tabs count as 4)
+ * @property {Statement[]} body - the indented block, if the line ends with ":"
+ */
+
+/**
+ * Parse GDScript source.
+ * @param {string} source
+ * @returns {{text: string, statements: Statement[], lines: Statement[], issues: object[]}}
+ *   `text` is the source with line breaks normalized (token offsets index
+ *   into it), `statements` the top-level block and `lines` every logical
+ *   line in order. Issues are `{severity, rule, message, line, column}`.
+ */
+export function parseGDScript(source) {
+  const text = source.replace(/\r\n?/g, "\n");
+  const { lines, issues } = tokenize(text);
+  checkIndentation(lines, issues);
+  return { text, statements: buildTree(lines), lines, issues };
+}
+
+/**
+ * Whether a logical line opens an indented block (ends with ":").
+ */
+export function opensBlock(statement) {
+  const last = statement.tokens[statement.tokens.length - 1];
+  return Boolean(last) && last.type === "op" && last.value === ":";
+}
+
+/**
+ * The statement's leading keyword (or first token) after any annotations,
+ * with `static` folded into the following func/var. Returns
+ * `{keyword, index}` where index points at that token.
+ */
+export function statementKeyword(statement) {
+  const { tokens } = statement;
+  let i = 0;
+  while (i < tokens.length && tokens[i].type === "annotation") {
+    i += 1;
+    if (tokens[i]?.value === "(") i = matchingBracket(tokens, i) + 1;
+  }
+  if (tokens[i]?.value === "static" && tokens[i + 1]) i += 1;
+  return { keyword: tokens[i]?.value ?? "", index: i };
+}
+
+/**
+ * Index of the bracket closing the one at `open`, or the last token index
+ * when it is never closed.
+ */
+export function matchingBracket(tokens, open) {
+  let depth = 0;
+  for (let i = open; i < tokens.length; i++) {
+    if (tokens[i].type !== "op") continue;
+    if (OPENERS[tokens[i].value]) depth += 1;
+    else if (CLOSERS[tokens[i].value] && --depth === 0) return i;
+  }
+  return tokens.length - 1;
+}
+
+/**
+ * Parameter name tokens of the list opening at `open` ("(").
+ */
+export function parameterTokens(tokens, open) {
+  const close = matchingBracket(tokens, open);
+  const params = [];
+  let depth = 0;
+  let expectName = true;
+  for (let i = open + 1; i < close; i++) {
+    const token = tokens[i];
+    if (token.type === "op" && OPENERS[token.value]) depth += 1;
+    else if (token.type === "op" && CLOSERS[token.value]) depth -= 1;
+    else if (depth === 0 && token.value === ",") expectName = true;
+    else if (expectName && token.type === "name") {
+      params.push(token);
+      expectName = false;
+    }
+  }
+  return params;
+}
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+// ---------------------------------------------------------------------------
+
+function tokenize(text) {
+  const lines = [];
+  const issues = [];
+  const brackets = [];
+  let current = null;
+  let line = 1;
+  let lineStart = 0;
+  let atLineStart = true;
+  let indentChar = "";
+  let i = 0;
+
+  const issue = (rule, message, atLine, column) =>
+    issues.push({ severity: "error", rule, message, line: atLine, column });
+  const push = (type, value, start, end, extra = {}) => {
+    const token = { type, value, line, column: start - lineStart + 1, offset: start, end, ...extra };
+    current.tokens.push(token);
+    return token;
+  };
+  const isOperand = () => {
+    const prev = current.tokens[current.tokens.length - 1];
+    if (!prev) return false;
+    if (prev.type === "op") return prev.value === ")" || prev.value === "]" || prev.value === "}";
+    if (prev.type === "keyword") return OPERAND_KEYWORDS.has(prev.value);
+    return prev.type !== "annotation";
+  };
+
+  while (i < text.length) {
+    if (atLineStart) {
+      let j = i;
+      while (text[j] === " " || text[j] === "\t") j += 1;
+      if (j >= text.length || text[j] === "\n" || text[j] === "#") {
+        // Blank and comment-only lines do not count for indentation.
+        const newline = text.indexOf("\n", j);
+        if (newline === -1) break;
+        i = newline + 1;
+        line += 1;
+        lineStart = i;
+        continue;
+      }
+      const indentText = text.slice(i, j);
+      if (indentText.includes(" ") && indentText.includes("\t")) {
+        issue("mixed_indentation", "Mixed use of tabs and spaces for indentation.", line, 1);
+      } else if (indentText) {
+        if (!indentChar) indentChar = indentText[0];
+        else if (indentText[0] !== indentChar) {
+          const used = indentText[0] === "\t" ? "tab" : "space";
+          const before = indentChar === "\t" ? "tab" : "space";
+          issue(
+            "mixed_indentation",
+            `Used ${used} character for indentation instead of ${before} as used before in the file.`,
+            line,
+            1
+          );
+        }
+      }
+      current = { tokens: [], line, indent: indentWidth(indentText), body: [] };
+      lines.push(current);
+      atLineStart = false;
+      i = j;
+      continue;
+    }
+
+    const ch = text[i];
+    if (ch === "\n") {
+      i += 1;
+      line += 1;
+      lineStart = i;
+      if (brackets.length === 0) atLineStart = true;
+      continue;
+    }
+    if (ch === " " || ch === "\t") {
+      i += 1;
+      continue;
+    }
+    if (ch === "#") {
+      const newline = text.indexOf("\n", i);
+      i = newline === -1 ? text.length : newline;
+      continue;
+    }
+    if (ch === "\\" && text[i + 1] === "\n") {
+      i += 2;
+      line += 1;
+      lineStart = i;
+      continue;
+    }
+
+    // Strings, including &"StringName", ^"NodePath" and r"raw" literals.
+    const prefixed = /[&^r]/.test(ch) && (text[i + 1] === '"' || text[i + 1] === "'");
+    if (ch === '"' || ch === "'" || (prefixed && (ch !== "r" || !isIdentifierChar(text[i - 1])))) {
+      const start = i;
+      const quoteAt = prefixed ? i + 1 : i;
+      const { end, value, terminated, newlines, lastNewline } = readString(text, quoteAt);
+      push("string", value, start, end, { prefix: prefixed ? ch : "" });
+      if (!terminated) issue("unterminated_string", "Unterminated string.", line, start - lineStart + 1);
+      if (newlines > 0) {
+        line += newlines;
+        lineStart = lastNewline + 1;
+      }
+      i = end;
+      continue;
+    }
+
+    // $Node/Path, $"Node", %UniqueName
+    if (ch === "$" || (ch === "%" && !isOperand() && isIdentifierStart(text[i + 1]))) {
+      const start = i;
+      if (ch === "$" && (text[i + 1] === '"' || text[i + 1] === "'")) {
+        const { end, value } = readString(text, i + 1);
+        push("node", value, start, end);
+        i = end;
+      } else {
+        let j = i + 1;
+        while (j < text.length && /[\w%/]/.test(text[j])) j += 1;
+        push("node", text.slice(i, j).replace(/^\$/, ""), start, j);
+        i = j;
+      }
+      continue;
+    }
+
+    if (ch === "@" && isIdentifierStart(text[i + 1])) {
+      const end = identifierEnd(text, i + 1);
+      push("annotation", text.slice(i + 1, end), i, end);
+      i = end;
+      continue;
+    }
+
+    if (isIdentifierStart(ch)) {
+      const end = identifierEnd(text, i);
+      const word = text.slice(i, end);
+      push(KEYWORDS.has(word) ? "keyword" : "name", word, i, end);
+      i = end;
+      continue;
+    }
+
+    if (/\d/.test(ch) || (ch === "." && /\d/.test(text[i + 1] || "") && !isOperand())) {
+      const match = text
+        .slice(i)
+        .match(/^(?:0x[\da-fA-F_]+|0b[01_]+|(?:\d[\d_]*)?\.?[\d_]*(?:[eE][+-]?\d[\d_]*)?)/);
+      const length = match[0].length || 1;
+      push("number", match[0], i, i + length);
+      i += length;
+      continue;
+    }
+
+    const op = OPERATORS.find((candidate) => text.startsWith(candidate, i)) || ch;
+    const token = push("op", op, i, i + op.length);
+    if (OPENERS[op]) {
+      brackets.push(token);
+    } else if (CLOSERS[op]) {
+      const top = brackets[brackets.length - 1];
+      if (!top) {
+        issue(
+          "unbalanced_brackets",
+          `Closing "${op}" doesn't have an opening counterpart.`,
+          token.line,
+          token.column
+        );
+      } else if (top.value !== CLOSERS[op]) {
+        issue(
+          "unbalanced_brackets",
+          `Closing "${op}" doesn't match the opening "${top.value}" at line ${top.line}, column ${top.column}.`,
+          token.line,
+          token.column
+        );
+        // Recover by closing up to a matching opener, if there is one.
+        const match = brackets.map((open) => open.value).lastIndexOf(CLOSERS[op]);
+        if (match !== -1) brackets.length = match;
+      } else {
+        brackets.pop();
+      }
+    }
+    i += op.length;
+  }
+
+  for (const open of brackets) {
+    issue(
+      "unbalanced_brackets",
+      `"${open.value}" is never closed (expected "${OPENERS[open.value]}").`,
+      open.line,
+      open.column
+    );
+  }
+  return { lines, issues };
+}
+
+function readString(text, start) {
+  const quote = text[start];
+  const triple = text.startsWith(quote.repeat(3), start);
+  const delimiter = triple ? quote.repeat(3) : quote;
+  let i = start + delimiter.length;
+  let newlines = 0;
+  let lastNewline = -1;
+  while (i < text.length) {
+    if (text[i] === "\\") {
+      if (text[i + 1] === "\n") {
+        newlines += 1;
+        lastNewline = i + 1;
+      }
+      i += 2;
+      continue;
+    }
+    if (text.startsWith(delimiter, i)) {
+      return {
+        end: i + delimiter.length,
+        value: text.slice(start + delimiter.length, i),
+        terminated: true,
+        newlines,
+        lastNewline,
+      };
+    }
+    if (text[i] === "\n") {
+      if (!triple) break;
+      newlines += 1;
+      lastNewline = i;
+    }
+    i += 1;
+  }
+  return {
+    end: i,
+    value: text.slice(start + delimiter.length, i),
+    terminated: false,
+    newlines,
+    lastNewline,
+  };
+}
+
+function isIdentifierStart(ch) {
+  return ch !== undefined && /[\p{L}_]/u.test(ch);
+}
+
+function isIdentifierChar(ch) {
+  return ch !== undefined && /[\p{L}\p{N}_]/u.test(ch);
+}
+
+function identifierEnd(text, start) {
+  let i = start;
+  while (i < text.length && isIdentifierChar(text[i])) i += 1;
+  return i;
+}
+
+function indentWidth(indentText) {
+  let width = 0;
+  for (const ch of indentText) width += ch === "\t" ? TAB_WIDTH : 1;
+  return width;
+}
+
+// ---------------------------------------------------------------------------
+// Indentation
+// ---------------------------------------------------------------------------
+
+function checkIndentation(lines, issues) {
+  const levels = [0];
+  let header = null;
+
+  for (const line of lines) {
+    const top = levels[levels.length - 1];
+    if (header) {
+      if (line.indent > top) levels.push(line.indent);
+      else issues.push(expectedBlockIssue(header));
+      header = null;
+    } else if (line.indent > top) {
+      issues.push({
+        severity: "error",
+        rule: "indentation",
+        message: "Unexpected indentation.",
+        line: line.line,
+        column: 1,
+      });
+      levels.push(line.indent);
+    }
+
+    if (line.indent < levels[levels.length - 1]) {
+      while (levels.length > 1 && levels[levels.length - 1] > line.indent) levels.pop();
+      if (levels[levels.length - 1] !== line.indent) {
+        issues.push({
+          severity: "error",
+          rule: "indentation",
+          message: "Unindent doesn't match the previous indentation level.",
+          line: line.line,
+          column: 1,
+        });
+        levels.push(line.indent);
+      }
+    }
+    if (opensBlock(line)) header = line;
+  }
+  if (header) issues.push(expectedBlockIssue(header));
+}
+
+function expectedBlockIssue(header) {
+  const colon = header.tokens[header.tokens.length - 1];
+  return {
+    severity: "error",
+    rule: "indentation",
+    message: `Expected an indented block after "${statementKeyword(header).keyword}".`,
+    line: colon.line,
+    column: colon.column,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Block tree
+// ---------------------------------------------------------------------------
+
+function buildTree(lines) {
+  const root = { body: [] };
+  const stack = [{ indent: -1, statement: root }];
+  for (const line of lines) {
+    while (stack.length > 1 && line.indent <= stack[stack.length - 1].indent) stack.pop();
+    stack[stack.length - 1].statement.body.push(line);
+    if (opensBlock(line)) stack.push({ indent: line.indent, statement: line });
+  }
+  return root.body;
+}
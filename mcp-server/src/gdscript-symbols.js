@@ -0,0 +1,455 @@
+/**
+ * Symbol index for the project's GDScript files: class_name, extends,
+ * functions, signals, exported and plain variables, constants, enums and
+ * inner classes, plus a token-level search for where a name is used.
+ *
+ * Parsed scripts are cached per path and reused while the file's mtime and
+ * size are unchanged, so repeated queries only re-read edited files.
+ */
+import { readFile, stat } from "fs/promises";
+import { parseTscn, resToAbsolute } from "./scene-parser.js";
+import { matchingBracket, opensBlock, parseGDScript, statementKeyword } from "./gdscript-parser.js";
+
+export const SYMBOL_KINDS = ["function", "signal", "export", "variable", "constant", "enum", "class"];
+
+// Calls whose string arguments name a method, signal or property.
+const STRING_REFERENCE_CALLS = new Set([
+  "connect",
+  "disconnect",
+  "is_connected",
+  "call",
+  "call_deferred",
+  "callv",
+  "rpc",
+  "rpc_id",
+  "has_method",
+  "emit_signal",
+  "has_signal",
+  "Callable",
+  "get",
+  "set",
+  "set_deferred",
+]);
+
+// Standalone annotations that do not attach to the following declaration.
+const CLASS_ANNOTATIONS = new Set([
+  "tool",
+  "icon",
+  "static_unload",
+  "export_group",
+  "export_subgroup",
+  "export_category",
+]);
+
+/** @type {Map<string, {mtimeMs: number, size: number, script: object}>} */
+const cache = new Map();
+
+/**
+ * Parse and index scripts, reusing cached results for unchanged files.
+ * Each script is `{file, class_name, extends, symbols, parsed}`; symbols are
+ * described in {@link extractSymbols} and carry their `file`.
+ * @param {string[]} scriptPaths - res:// paths
+ * @returns {Promise<{scripts: object[], errors: object[]}>}
+ */
+export async function loadScripts(scriptPaths) {
+  const scripts = [];
+  const errors = [];
+  const wanted = new Set(scriptPaths);
+  for (const file of cache.keys()) {
+    if (!wanted.has(file)) cache.delete(file);
+  }
+
+  for (const file of scriptPaths) {
+    try {
+      const absolute = resToAbsolute(file);
+      const info = await stat(absolute);
+      const cached = cache.get(file);
+      if (cached && cached.mtimeMs === info.mtimeMs && cached.size === info.size) {
+        scripts.push(cached.script);
+        continue;
+      }
+      const parsed = parseGDScript(await readFile(absolute, "utf-8"));
+      const summary = extractSymbols(parsed);
+      const script = {
+        file,
+        class_name: summary.class_name,
+        extends: summary.extends,
+        symbols: summary.symbols.map((symbol) => ({ file, ...symbol })),
+        parsed,
+      };
+      cache.set(file, { mtimeMs: info.mtimeMs, size: info.size, script });
+      scripts.push(script);
+    } catch (err) {
+      cache.delete(file);
+      errors.push({ file, error: err.message });
+    }
+  }
+  return { scripts, errors };
+}
+
+/**
+ * Declarations of a parsed script.
+ *
+ * Every symbol has `kind`, `name`, `line`, `column` and `class` (the inner
+ * class path it belongs to, e.g. "Outer.Inner", or null for the script
+ * itself). Kind-specific fields:
+ *   - function: `params` [{name, type?, default?}], `return_type`, `static`, `signature`
+ *   - signal: `params`, `signature`
+ *   - export: `annotations`, `type`, `default`
+ *   - variable: `type`, `default`, `onready`, `static`
+ *   - constant: `type`, `value`
+ *   - enum: `values` [{name, value?}] (anonymous enums have name "")
+ *   - class: `extends`
+ * Types and defaults are source text; `type` is null when not written and
+ * "inferred" for `:=`.
+ * @param {{text: string, statements: object[]}} parsed - from parseGDScript
+ * @returns {{class_name: string|null, extends: string|null, symbols: object[]}}
+ */
+export function extractSymbols(parsed) {
+  const result = { class_name: null, extends: null, symbols: [] };
+  collectDeclarations(parsed.statements, parsed.text, null, result);
+  return result;
+}
+
+/**
+ * Find where `name` is used across scripts and scenes.
+ *
+ * References are `{file, line, column, kind, context}` where kind is
+ * "call" (`name(...)`), "access" (any other identifier use), "string" (a
+ * string argument of connect/call/has_method/emit_signal and friends) or
+ * "scene_connection" (a .tscn [connection] whose method or signal is
+ * `name`). Member uses carry the `receiver` before the dot. Comments and
+ * ordinary string contents never match.
+ * @param {string} name
+ * @param {{scripts: object[], scenePaths?: string[]}} sources - scripts from loadScripts
+ * @returns {Promise<{references: object[], errors: object[]}>}
+ */
+export async function findReferences(name, { scripts, scenePaths = [] }) {
+  const references = [];
+  const errors = [];
+
+  for (const script of scripts) {
+    const declared = new Set(
+      script.symbols
+        .filter((symbol) => symbol.name === name)
+        .map((symbol) => `${symbol.line}:${symbol.column}`)
+    );
+    let sourceLines = null;
+    const contextOf = (line) => {
+      sourceLines ??= script.parsed.text.split("\n");
+      return (sourceLines[line - 1] || "").trim();
+    };
+
+    for (const statement of script.parsed.lines) {
+      for (const reference of statementReferences(statement.tokens, name)) {
+        if (declared.has(`${reference.line}:${reference.column}`)) continue;
+        references.push({ file: script.file, ...reference, context: contextOf(reference.line) });
+      }
+    }
+  }
+
+  for (const scenePath of scenePaths) {
+    let content;
+    try {
+      content = await readFile(resToAbsolute(scenePath), "utf-8");
+    } catch (err) {
+      errors.push({ file: scenePath, error: err.message });
+      continue;
+    }
+    if (!content.includes(name)) continue;
+    let scene;
+    try {
+      scene = parseTscn(content);
+    } catch (err) {
+      errors.push({ file: scenePath, error: err.message });
+      continue;
+    }
+    const lines = content.split("\n");
+    const headers = [];
+    lines.forEach((line, i) => {
+      if (line.startsWith("[connection ") || line.startsWith("[connection]")) headers.push(i + 1);
+    });
+    scene.connections.forEach((connection, i) => {
+      if (connection.method !== name && connection.signal !== name) return;
+      const line = headers[i] ?? 0;
+      references.push({
+        file: scenePath,
+        line,
+        column: 0,
+        kind: "scene_connection",
+        match: connection.method === name ? "method" : "signal",
+        context: (lines[line - 1] || "").trim(),
+      });
+    });
+  }
+
+  return { references, errors };
+}
+
+// ---------------------------------------------------------------------------
+// Declarations
+// ---------------------------------------------------------------------------
+
+function collectDeclarations(statements, text, owner, result) {
+  let pending = [];
+  for (const statement of statements) {
+    const { tokens } = statement;
+    const { keyword, index } = statementKeyword(statement);
+    const annotations = [...pending, ...annotationTexts(tokens, index, text)];
+    pending = [];
+
+    // An annotation on its own line applies to the next declaration.
+    if (index >= tokens.length) {
+      pending = annotations.filter((annotation) => !CLASS_ANNOTATIONS.has(annotationName(annotation)));
+      continue;
+    }
+
+    const nameToken = tokens[index + 1];
+    const base = (kind) => ({
+      kind,
+      name: nameToken?.value ?? "",
+      line: nameToken?.line ?? statement.line,
+      column: nameToken?.column ?? tokens[index].column,
+      class: owner,
+    });
+
+    switch (keyword) {
+      case "class_name":
+        if (!owner && nameToken) result.class_name = nameToken.value;
+        if (!owner && tokens[index + 2]?.value === "extends") {
+          result.extends = typeText(tokens, index + 3, tokens.length, text);
+        }
+        break;
+      case "extends":
+        if (!owner) result.extends = typeText(tokens, index + 1, tokens.length, text);
+        break;
+      case "func":
+        if (nameToken?.type === "name") {
+          result.symbols.push({ ...base("function"), ...describeFunction(tokens, index, text) });
+        }
+        break;
+      case "signal":
+        if (nameToken?.type === "name") result.symbols.push({ ...base("signal"), ...describeSignal(tokens, index, text) });
+        break;
+      case "var":
+      case "const":
+        if (nameToken?.type === "name") {
+          result.symbols.push({ ...base("variable"), ...describeVariable(tokens, index, text, annotations) });
+        }
+        break;
+      case "enum":
+        result.symbols.push(describeEnum(tokens, index, text, owner));
+        break;
+      case "class": {
+        if (nameToken?.type !== "name") break;
+        const extendsAt = tokens.findIndex((token, i) => i > index && token.value === "extends");
+        const end = opensBlock(statement) ? tokens.length - 1 : tokens.length;
+        result.symbols.push({
+          ...base("class"),
+          extends: extendsAt === -1 ? null : typeText(tokens, extendsAt + 1, end, text),
+        });
+        collectDeclarations(statement.body, text, owner ? `${owner}.${nameToken.value}` : nameToken.value, result);
+        break;
+      }
+    }
+  }
+}
+
+function describeFunction(tokens, index, text) {
+  const open = tokens.findIndex((token, i) => i > index && token.value === "(");
+  const close = open === -1 ? tokens.length - 1 : matchingBracket(tokens, open);
+  let end = close + 1;
+  let returnType = null;
+  if (tokens[end]?.value === "->") {
+    const colon = tokens.findIndex((token, i) => i > end && token.value === ":");
+    const typeEnd = colon === -1 ? tokens.length : colon;
+    returnType = typeText(tokens, end + 1, typeEnd, text);
+    end = typeEnd;
+  }
+  const first = tokens[index - 1]?.value === "static" ? index - 1 : index;
+  return {
+    params: open === -1 ? [] : parameterList(tokens, open, close, text),
+    return_type: returnType,
+    static: first !== index,
+    signature: sliceTokens(tokens, first, Math.min(end, tokens.length), text),
+  };
+}
+
+function describeSignal(tokens, index, text) {
+  const open = tokens[index + 2]?.value === "(" ? index + 2 : -1;
+  const close = open === -1 ? index + 1 : matchingBracket(tokens, open);
+  return {
+    params: open === -1 ? [] : parameterList(tokens, open, close, text),
+    signature: sliceTokens(tokens, index, close + 1, text),
+  };
+}
+
+function describeVariable(tokens, index, text, annotations) {
+  const isConst = tokens[index].value === "const";
+  // A trailing ":" opens a property accessor (or lambda) block.
+  const end = tokens[tokens.length - 1].value === ":" ? tokens.length - 1 : tokens.length;
+  let i = index + 2;
+  let type = null;
+  if (tokens[i]?.value === ":=") {
+    type = "inferred";
+  } else if (tokens[i]?.value === ":" && i < end) {
+    const typeEnd = findTopLevel(tokens, i + 1, end, "=");
+    type = typeText(tokens, i + 1, typeEnd, text);
+    i = typeEnd;
+  }
+  const value = tokens[i]?.value === "=" || tokens[i]?.value === ":=" ? sliceTokens(tokens, i + 1, end, text) : null;
+
+  if (isConst) return { kind: "constant", type, value };
+  const names = annotations.map(annotationName);
+  if (names.some((annotation) => annotation.startsWith("export"))) {
+    return { kind: "export", annotations, type, default: value };
+  }
+  return {
+    type,
+    default: value,
+    onready: names.includes("onready"),
+    static: tokens[index - 1]?.value === "static",
+  };
+}
+
+function describeEnum(tokens, index, text, owner) {
+  const named = tokens[index + 1]?.type === "name";
+  const nameToken = named ? tokens[index + 1] : tokens[index];
+  const open = tokens.findIndex((token, i) => i > index && token.value === "{");
+  const values = [];
+  if (open !== -1) {
+    const close = matchingBracket(tokens, open);
+    for (const [start, stop] of splitTopLevel(tokens, open + 1, close)) {
+      if (tokens[start]?.type !== "name") continue;
+      const entry = { name: tokens[start].value };
+      if (tokens[start + 1]?.value === "=") entry.value = sliceTokens(tokens, start + 2, stop, text);
+      values.push(entry);
+    }
+  }
+  return {
+    kind: "enum",
+    name: named ? nameToken.value : "",
+    line: nameToken.line,
+    column: nameToken.column,
+    class: owner,
+    values,
+  };
+}
+
+function parameterList(tokens, open, close, text) {
+  const params = [];
+  for (const [start, stop] of splitTopLevel(tokens, open + 1, close)) {
+    if (tokens[start]?.type !== "name") continue;
+    const param = { name: tokens[start].value };
+    let i = start + 1;
+    if (tokens[i]?.value === ":") {
+      const typeEnd = findTopLevel(tokens, i + 1, stop, "=");
+      param.type = typeText(tokens, i + 1, typeEnd, text);
+      i = typeEnd;
+    } else if (tokens[i]?.value === ":=") {
+      param.type = "inferred";
+    }
+    if (tokens[i]?.value === "=" || tokens[i]?.value === ":=") {
+      param.default = sliceTokens(tokens, i + 1, stop, text);
+    }
+    params.push(param);
+  }
+  return params;
+}
+
+function annotationTexts(tokens, index, text) {
+  const annotations = [];
+  for (let i = 0; i < index; i++) {
+    if (tokens[i].type !== "annotation") continue;
+    const end = tokens[i + 1]?.value === "(" ? matchingBracket(tokens, i + 1) : i;
+    annotations.push(sliceTokens(tokens, i, end + 1, text));
+  }
+  return annotations;
+}
+
+function annotationName(annotation) {
+  return annotation.slice(1).split("(")[0];
+}
+
+// ---------------------------------------------------------------------------
+// References
+// ---------------------------------------------------------------------------
+
+function statementReferences(tokens, name) {
+  const references = [];
+  // Names of the calls whose argument lists we are inside.
+  const calls = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type === "op") {
+      if (token.value === "(") calls.push(tokens[i - 1]?.type === "name" ? tokens[i - 1].value : "");
+      else if (token.value === "[" || token.value === "{") calls.push("");
+      else if (token.value === ")" || token.value === "]" || token.value === "}") calls.pop();
+      continue;
+    }
+    if (token.type === "string" && token.value === name) {
+      const call = calls[calls.length - 1];
+      if (call && STRING_REFERENCE_CALLS.has(call)) {
+        references.push({ line: token.line, column: token.column, kind: "string", call });
+      }
+      continue;
+    }
+    if (token.type !== "name" || token.value !== name) continue;
+
+    const reference = {
+      line: token.line,
+      column: token.column,
+      kind: tokens[i + 1]?.value === "(" ? "call" : "access",
+    };
+    if (tokens[i - 1]?.value === ".") reference.receiver = receiverText(tokens[i - 2]);
+    references.push(reference);
+  }
+  return references;
+}
+
+function receiverText(token) {
+  if (!token) return "";
+  if (token.type === "node") return `$${token.value}`;
+  if (token.type === "op") return token.value === ")" ? "(...)" : token.value === "]" ? "[...]" : "";
+  return token.value;
+}
+
+// ---------------------------------------------------------------------------
+// Token helpers
+// ---------------------------------------------------------------------------
+
+function sliceTokens(tokens, start, end, text) {
+  if (start >= end || !tokens[start]) return "";
+  return text.slice(tokens[start].offset, tokens[end - 1].end).trim();
+}
+
+function typeText(tokens, start, end, text) {
+  if (start >= end) return null;
+  if (tokens[start].type === "string" && end === start + 1) return tokens[start].value;
+  return sliceTokens(tokens, start, end, text) || null;
+}
+
+// Index of the first `value` at bracket depth 0 in [start, end), or end.
+function findTopLevel(tokens, start, end, value) {
+  let depth = 0;
+  for (let i = start; i < end; i++) {
+    const token = tokens[i];
+    if (token.type !== "op") continue;
+    if (token.value === "(" || token.value === "[" || token.value === "{") depth += 1;
+    else if (token.value === ")" || token.value === "]" || token.value === "}") depth -= 1;
+    else if (depth === 0 && token.value === value) return i;
+  }
+  return end;
+}
+
+// [start, stop) ranges between depth-0 commas.
+function splitTopLevel(tokens, start, end) {
+  const ranges = [];
+  let from = start;
+  while (from < end) {
+    const comma = findTopLevel(tokens, from, end, ",");
+    if (comma > from) ranges.push([from, comma]);
+    from = comma + 1;
+  }
+  return ranges;
+}
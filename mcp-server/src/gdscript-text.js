@@ -0,0 +1,59 @@
+/**
+ * Lexical helpers for GDScript source text: comment stripping, string
+ * literal bounds and line numbers.
+ */
+
+/**
+ * Blank out `#` comments, leaving string literals (which may contain `#`)
+ * and line breaks in place so offsets map to the same lines.
+ */
+export function stripComments(source) {
+  let out = "";
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === '"' || ch === "'") {
+      const end = skipString(source, i);
+      out += source.slice(i, end);
+      i = end - 1;
+    } else if (ch === "#") {
+      const newline = source.indexOf("\n", i);
+      if (newline === -1) break;
+      i = newline - 1;
+    } else {
+      out += ch;
+    }
+  }
+  return out;
+}
+
+/**
+ * Index just past the string literal (single, double or triple quoted)
+ * starting at `start`.
+ */
+export function skipString(text, start) {
+  const quote = text[start];
+  const triple = text.startsWith(quote.repeat(3), start);
+  const delimiter = triple ? quote.repeat(3) : quote;
+  let i = start + delimiter.length;
+  while (i < text.length) {
+    if (text[i] === "\\") {
+      i += 2;
+      continue;
+    }
+    if (text.startsWith(delimiter, i)) return i + delimiter.length;
+    if (!triple && text[i] === "\n") return i;
+    i += 1;
+  }
+  return text.length;
+}
+
+/**
+ * 1-based line number of `index` in `text`.
+ */
+export function lineNumberAt(text, index) {
+  let line = 1;
+  for (let i = 0; i < index; i++) {
+    if (text[i] === "\n") line += 1;
+  }
+  return line;
+}
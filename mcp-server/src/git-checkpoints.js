@@ -0,0 +1,296 @@
+/**
+ * Optional git checkpoint mode: commit the project on every phase
+ * completion, tag PoC runs that reach a "go" verdict, and diff the project
+ * against the commit of an earlier phase.
+ *
+ * The mode is switched on per project with godot_git_checkpoints, which
+ * records the session in .claude/git_checkpoints.json. It refuses to start on
+ * a tree with uncommitted changes, commits only the files the session wrote,
+ * and stops committing if HEAD moves to a commit the session did not make, so
+ * user work is never swept into an agent commit.
+ */
+import { execFile } from "child_process";
+import { readFile } from "fs/promises";
+import { join } from "path";
+import { promisify } from "util";
+import { writeJsonAtomic } from "./build-state.js";
+
+export const GIT_CHECKPOINT_CONFIG_FILE = "git_checkpoints.json";
+export const GIT_CHECKPOINT_EXCLUDES = [".claude", ".godot"];
+export const PHASE_TRAILER = "Godot-Phase";
+
+const execFileAsync = promisify(execFile);
+const EXCLUDE_PATHSPECS = GIT_CHECKPOINT_EXCLUDES.map((dir) => `:(exclude)${dir}`);
+
+async function git(cwd, args, { maxBuffer = 8 * 1024 * 1024 } = {}) {
+  const { stdout } = await execFileAsync("git", args, { cwd, timeout: 30000, maxBuffer });
+  return stdout;
+}
+
+// ---------------------------------------------------------------------------
+// Repository state
+// ---------------------------------------------------------------------------
+
+/**
+ * Repository, HEAD and uncommitted changes under the project directory.
+ * .claude/ and .godot/ are session and editor data and never count as changes.
+ * @returns {Promise<{repo: boolean, root?: string, head?: string|null, branch?: string|null,
+ *   changes?: {path: string, status: string}[], error?: string}>}
+ */
+export async function readGitState(cwd) {
+  let root;
+  try {
+    root = (await git(cwd, ["rev-parse", "--show-toplevel"])).trim();
+  } catch (err) {
+    return { repo: false, error: String(err.stderr || err.message).trim() };
+  }
+  const head = (await git(cwd, ["rev-parse", "--verify", "-q", "HEAD"]).catch(() => "")).trim() || null;
+  const branch = (await git(cwd, ["symbolic-ref", "--short", "-q", "HEAD"]).catch(() => "")).trim() || null;
+  const status = await git(cwd, ["status", "--porcelain=v1", "-z", "--untracked-files=all", "--", ".", ...EXCLUDE_PATHSPECS]);
+  const changes = [];
+  const records = status.split("\0");
+  for (let i = 0; i < records.length; i += 1) {
+    const record = records[i];
+    if (!record) continue;
+    changes.push({ status: record.slice(0, 2).trim(), path: record.slice(3) });
+    if (record[0] === "R" || record[0] === "C") i += 1; // skip the rename source
+  }
+  return { repo: true, root, head, branch, changes };
+}
+
+// ---------------------------------------------------------------------------
+// Session config
+// ---------------------------------------------------------------------------
+
+/** The saved session, or null when checkpoint mode is off. */
+export async function readGitCheckpointConfig(claudeDir) {
+  try {
+    const config = JSON.parse(await readFile(join(claudeDir, GIT_CHECKPOINT_CONFIG_FILE), "utf-8"));
+    return config?.enabled ? config : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Start a checkpoint session. Rejected outside a git repository and when the
+ * project has uncommitted changes.
+ */
+export async function enableGitCheckpoints(cwd, claudeDir, { now } = {}) {
+  const state = await readGitState(cwd);
+  if (!state.repo) {
+    return { ok: false, rejected: true, reason: `Project is not in a git repository: ${state.error}` };
+  }
+  if (state.changes.length > 0) {
+    return {
+      ok: false,
+      rejected: true,
+      reason:
+        `Working tree has ${state.changes.length} uncommitted change(s) that were not made in this session. ` +
+        "Commit or stash them first so agent checkpoints never include user work.",
+      changes: state.changes,
+    };
+  }
+  const config = {
+    enabled: true,
+    started_at: now || new Date().toISOString(),
+    repo_root: state.root,
+    branch: state.branch,
+    base_commit: state.head,
+    last_commit: state.head,
+  };
+  await writeJsonAtomic(join(claudeDir, GIT_CHECKPOINT_CONFIG_FILE), config);
+  return { ok: true, ...config };
+}
+
+/**
+ * Remember files (or directories) the session wrote so the next checkpoint
+ * commits them. Does nothing while checkpoint mode is off.
+ * @param {string} claudeDir
+ * @param {string[]} paths - res:// or project-relative paths
+ */
+export async function recordCheckpointFiles(claudeDir, paths) {
+  const config = await readGitCheckpointConfig(claudeDir);
+  if (!config) return;
+  const known = new Set(config.session_files || []);
+  const added = paths.map(projectRelative).filter((path) => path && !known.has(path));
+  if (added.length === 0) return;
+  await writeJsonAtomic(join(claudeDir, GIT_CHECKPOINT_CONFIG_FILE), {
+    ...config,
+    session_files: [...known, ...added].sort(),
+  });
+}
+
+function projectRelative(path) {
+  return String(path ?? "")
+    .replace(/^res:\/\//, "")
+    .replace(/^(?:\.?\/)+/, "")
+    .replace(/\/+$/, "");
+}
+
+export async function disableGitCheckpoints(claudeDir) {
+  const config = await readGitCheckpointConfig(claudeDir);
+  if (config) await writeJsonAtomic(join(claudeDir, GIT_CHECKPOINT_CONFIG_FILE), { ...config, enabled: false });
+  return { ok: true, enabled: false };
+}
+
+// ---------------------------------------------------------------------------
+// Commits and tags
+// ---------------------------------------------------------------------------
+
+/**
+ * Commit message for a completed phase, with git trailers that
+ * findPhaseCommit and other tools can search for.
+ * @param {{phaseNumber: number, phaseName: string, gates?: Object<string, boolean>,
+ *   errorCount?: number|null, qualityReportPath?: string, snapshotId?: string|null}} info
+ */
+export function phaseCommitMessage({ phaseNumber, phaseName, gates = {}, errorCount = null, qualityReportPath = "", snapshotId = null }) {
+  const entries = Object.entries(gates);
+  const passed = entries.filter(([, ok]) => ok === true).length;
+  const failed = entries.filter(([, ok]) => ok !== true).map(([name]) => name);
+  const lines = [
+    `Phase ${phaseNumber}: ${phaseName} completed`,
+    "",
+    `Gates passed: ${passed}/${entries.length}${failed.length ? ` (failed: ${failed.join(", ")})` : ""}`,
+    `Errors: ${errorCount ?? "unknown"}`,
+    "",
+    `${PHASE_TRAILER}: ${phaseNumber}`,
+    `Godot-Phase-Name: ${phaseName}`,
+    `Godot-Gates-Passed: ${passed}/${entries.length}`,
+    `Godot-Errors: ${errorCount ?? "unknown"}`,
+  ];
+  if (qualityReportPath) lines.push(`Godot-Quality-Report: ${qualityReportPath}`);
+  if (snapshotId) lines.push(`Godot-Snapshot: ${snapshotId}`);
+  return lines.join("\n");
+}
+
+/** Commit message for a PoC run that is about to be tagged. */
+export function pocCommitMessage({ benchmarkId, runId, verdict, score, iteration, qualityReportPath = "" }) {
+  const lines = [
+    `PoC ${benchmarkId} ${runId}: ${verdict} (score ${score})`,
+    "",
+    `Godot-PoC-Benchmark: ${benchmarkId}`,
+    `Godot-PoC-Run: ${runId}`,
+    `Godot-PoC-Verdict: ${verdict}`,
+    `Godot-PoC-Score: ${score}`,
+    `Godot-PoC-Iteration: ${iteration}`,
+  ];
+  if (qualityReportPath) lines.push(`Godot-Quality-Report: ${qualityReportPath}`);
+  return lines.join("\n");
+}
+
+/** Tag name for a PoC run, e.g. poc/poc_prompt_01/run-3-go. */
+export function pocTagName(benchmarkId, runId, verdict = "go") {
+  const clean = (value) => String(value || "unknown").replace(/[^A-Za-z0-9._-]+/g, "-").replace(/^[.-]+|[.-]+$/g, "").replace(/\.\.+/g, ".") || "unknown";
+  return `poc/${clean(benchmarkId)}/${clean(runId)}-${verdict}`;
+}
+
+/**
+ * Commit the changes to files the session wrote as the next checkpoint: the
+ * files recorded with recordCheckpointFiles plus `sessionFiles` (such as the
+ * build state's files_written). Other changes are left uncommitted and
+ * listed in `left_uncommitted`. Refuses when HEAD is no longer the session's
+ * last commit.
+ * @param {string[]} [sessionFiles] - res:// or project-relative paths
+ * @returns {Promise<{ok: boolean, commit?: string, files_changed?: number,
+ *   left_uncommitted?: {path: string, status: string}[], rejected?: boolean, reason?: string}>}
+ */
+export async function commitCheckpoint(cwd, claudeDir, config, message, sessionFiles = []) {
+  const state = await readGitState(cwd);
+  if (!state.repo) return { ok: false, rejected: true, reason: "Project is no longer in a git repository" };
+  if (state.head !== config.last_commit) {
+    return {
+      ok: false,
+      rejected: true,
+      reason:
+        `HEAD moved to ${state.head?.slice(0, 12) ?? "(none)"} outside this session ` +
+        `(expected ${config.last_commit?.slice(0, 12) ?? "(none)"}). Checkpoint commits are paused; ` +
+        "call godot_git_checkpoints(true) again once the tree is clean.",
+    };
+  }
+  // Status paths are relative to the repository root, session paths to the project
+  const prefix = (await git(cwd, ["rev-parse", "--show-prefix"])).trim();
+  const written = [...(config.session_files || []), ...sessionFiles]
+    .map(projectRelative)
+    .filter(Boolean)
+    .map((path) => `${prefix}${path}`);
+  const isWritten = (path) => written.some((entry) => path === entry || path.startsWith(`${entry}/`));
+  const ours = state.changes.filter((change) => isWritten(change.path));
+  const pathspecs = ours.map((change) => `:(top,literal)${change.path}`);
+
+  // --only commits just these paths, whatever else is staged; without any it
+  // makes an empty commit.
+  if (pathspecs.length > 0) await git(cwd, ["add", "-A", "--", ...pathspecs]);
+  await git(cwd, ["commit", "--only", "--allow-empty", "--no-verify", "-q", "-m", message, "--", ...pathspecs]);
+  const commit = (await git(cwd, ["rev-parse", "HEAD"])).trim();
+  await writeJsonAtomic(join(claudeDir, GIT_CHECKPOINT_CONFIG_FILE), { ...config, last_commit: commit });
+  return {
+    ok: true,
+    commit,
+    files_changed: ours.length,
+    left_uncommitted: state.changes.filter((change) => !isWritten(change.path)),
+  };
+}
+
+/** Annotated tag on HEAD; a numeric suffix is added if the name is taken. */
+export async function tagCheckpoint(cwd, name, message) {
+  const existing = new Set((await git(cwd, ["tag", "--list", `${name}*`])).split("\n").filter(Boolean));
+  let tag = name;
+  for (let n = 2; existing.has(tag); n += 1) tag = `${name}-${n}`;
+  await git(cwd, ["tag", "-a", tag, "-m", message]);
+  return tag;
+}
+
+// ---------------------------------------------------------------------------
+// Diff since phase
+// ---------------------------------------------------------------------------
+
+/** Newest checkpoint commit for a phase, or null. */
+export async function findPhaseCommit(cwd, phaseNumber) {
+  const out = await git(cwd, ["log", "-1", "--format=%H%x00%cI%x00%s", `--grep=^${PHASE_TRAILER}: ${phaseNumber}$`]).catch(() => "");
+  if (!out.trim()) return null;
+  const [commit, committedAt, subject] = out.trim().split("\0");
+  return { commit, committed_at: committedAt, subject };
+}
+
+/**
+ * Changes between a commit and the working tree under the project directory,
+ * uncommitted and untracked files included.
+ * @param {{patch?: boolean, maxPatchChars?: number}} [options]
+ * @returns {Promise<{files: {path: string, status: string, lines_added: number|null, lines_removed: number|null}[],
+ *   patch?: string, patch_truncated?: boolean}>}
+ */
+export async function diffSinceCommit(cwd, commit, { patch = false, maxPatchChars = 20000 } = {}) {
+  // Untracked files only show up in the diff once they are in the index
+  // (intent-to-add keeps their contents unstaged).
+  const untracked = (await readGitState(cwd)).changes.filter((change) => change.status === "??").map((change) => change.path);
+  const root = (await git(cwd, ["rev-parse", "--show-toplevel"])).trim();
+  if (untracked.length > 0) await git(root, ["add", "-N", "--", ...untracked]);
+  try {
+    const spec = ["--", ".", ...EXCLUDE_PATHSPECS];
+    const statuses = new Map();
+    const nameStatus = (await git(cwd, ["diff", "--name-status", "-z", "--no-renames", commit, ...spec])).split("\0");
+    for (let i = 0; i + 1 < nameStatus.length; i += 2) statuses.set(nameStatus[i + 1], nameStatus[i]);
+    const files = (await git(cwd, ["diff", "--numstat", "-z", "--no-renames", commit, ...spec]))
+      .split("\0")
+      .filter(Boolean)
+      .map((record) => {
+        const [added, removed, path] = record.split("\t");
+        return {
+          path,
+          status: statuses.get(path) || "M",
+          lines_added: added === "-" ? null : Number(added),
+          lines_removed: removed === "-" ? null : Number(removed),
+        };
+      });
+    if (!patch) return { files };
+    const text = await git(cwd, ["diff", "--no-renames", commit, ...spec]);
+    return {
+      files,
+      patch: text.slice(0, maxPatchChars),
+      patch_truncated: text.length > maxPatchChars,
+    };
+  } finally {
+    if (untracked.length > 0) await git(root, ["reset", "-q", "--", ...untracked]);
+  }
+}
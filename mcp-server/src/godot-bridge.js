@@ -1,23 +1,215 @@
 /**
  * HTTP client that talks to the Godot plugin's HTTP bridge (port 6100).
  * All methods return parsed JSON or throw on failure.
+ *
+ * Requests follow a per-route policy: idempotent GETs retry timeouts,
+ * connection failures and 5xx answers with exponential backoff; POSTs are
+ * sent once. A circuit breaker shared by all routes opens after repeated
+ * failed requests and fails fast until a cooldown has passed, so a hung
+ * editor is not hammered by every tool call. getBridgeState() reports the
+ * result as healthy / degraded / down.
  */
 
 const BRIDGE_PORT = parseInt(process.env.GODOT_BRIDGE_PORT || "6100", 10);
 const BRIDGE_HOST = process.env.GODOT_BRIDGE_HOST || "127.0.0.1";
-const BRIDGE_TIMEOUT = 5000;
+const BRIDGE_TIMEOUT = parseInt(
+  process.env.GODOT_BRIDGE_TIMEOUT_MS || "5000",
+  10
+);
 const BRIDGE_DETAILED_TIMEOUT = parseInt(
   process.env.GODOT_BRIDGE_DETAILED_TIMEOUT || "8000",
   10
 );
+const RETRY_BASE_MS = envInt("GODOT_BRIDGE_RETRY_BASE_MS", 250);
+const RETRY_MAX_MS = 2000;
+const BREAKER_THRESHOLD = envInt("GODOT_BRIDGE_BREAKER_THRESHOLD", 3);
+const BREAKER_COOLDOWN_MS = envInt("GODOT_BRIDGE_BREAKER_COOLDOWN_MS", 10000);
+const BREAKER_MAX_COOLDOWN_MS = 60000;
+// GET /status is how callers check whether the editor is back, so it is
+// still sent while the circuit is open — once, with a short timeout.
+const PROBE_TIMEOUT_MS = envInt("GODOT_BRIDGE_PROBE_TIMEOUT_MS", 1500);
+
+function envInt(name, fallback) {
+  const parsed = Number.parseInt(process.env[name] ?? "", 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
 
-function bridgeUrl(path) {
+export function bridgeUrl(path) {
   return `http://${BRIDGE_HOST}:${BRIDGE_PORT}${path}`;
 }
 
-async function bridgeRequest(method, path, body = null, timeoutMs = BRIDGE_TIMEOUT) {
+// ---------------------------------------------------------------------------
+// Route policies
+// ---------------------------------------------------------------------------
+
+// `retries` extra attempts, `timeoutMs` per attempt, `tripsBreaker` whether a
+// failure counts towards opening the circuit. Routes not listed get
+// DEFAULT_POLICY for their method.
+const DEFAULT_POLICY = {
+  GET: { retries: 2, timeoutMs: BRIDGE_TIMEOUT, tripsBreaker: true },
+  POST: { retries: 0, timeoutMs: BRIDGE_TIMEOUT, tripsBreaker: true },
+};
+
+const ROUTE_POLICIES = {
+  "GET /status": { retries: 1, probe: true },
+  "GET /screenshot": { retries: 1 },
+  // Heavy validation on the editor side; godot_get_errors falls back to the
+  // fast /errors check, so a slow answer here says little about the editor.
+  "GET /detailed_errors": { retries: 0, timeoutMs: BRIDGE_DETAILED_TIMEOUT, tripsBreaker: false },
+  ...parseRoutePolicies(process.env.GODOT_BRIDGE_ROUTE_POLICIES),
+};
+
+/**
+ * GODOT_BRIDGE_ROUTE_POLICIES overrides, as JSON:
+ * {"GET /scene_tree": {"retries": 4, "timeout_ms": 10000, "trips_breaker": false}}
+ */
+function parseRoutePolicies(raw) {
+  if (!raw) return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    console.error("[bridge] Ignoring GODOT_BRIDGE_ROUTE_POLICIES: not valid JSON");
+    return {};
+  }
+  const policies = {};
+  for (const [route, policy] of Object.entries(parsed ?? {})) {
+    if (!policy || typeof policy !== "object") continue;
+    policies[route] = {
+      ...(Number.isInteger(policy.retries) && policy.retries >= 0 ? { retries: policy.retries } : {}),
+      ...(Number.isInteger(policy.timeout_ms) && policy.timeout_ms > 0 ? { timeoutMs: policy.timeout_ms } : {}),
+      ...(typeof policy.trips_breaker === "boolean" ? { tripsBreaker: policy.trips_breaker } : {}),
+    };
+  }
+  return policies;
+}
+
+/** Effective policy for a request; `path` may include a query string. */
+export function routePolicy(method, path) {
+  const route = `${method} ${path.split("?")[0]}`;
+  return {
+    route,
+    probe: false,
+    ...DEFAULT_POLICY[method] ?? DEFAULT_POLICY.POST,
+    ...ROUTE_POLICIES[route],
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Circuit breaker
+// ---------------------------------------------------------------------------
+
+const breaker = {
+  circuit: "closed",
+  consecutiveFailures: 0,
+  cooldownMs: BREAKER_COOLDOWN_MS,
+  openedAt: null,
+  probeInFlight: false,
+  lastSuccessAt: null,
+  lastFailureAt: null,
+  lastError: null,
+  lastRequestRetried: false,
+};
+
+function recordSuccess(attempts) {
+  breaker.circuit = "closed";
+  breaker.consecutiveFailures = 0;
+  breaker.cooldownMs = BREAKER_COOLDOWN_MS;
+  breaker.openedAt = null;
+  breaker.lastSuccessAt = new Date().toISOString();
+  breaker.lastRequestRetried = attempts > 1;
+}
+
+function recordFailure(policy, err) {
+  breaker.lastFailureAt = new Date().toISOString();
+  breaker.lastError = { route: policy.route, kind: err.bridge?.kind ?? "error", message: err.message };
+  breaker.lastRequestRetried = true;
+  if (!policy.tripsBreaker && breaker.circuit === "closed") return;
+
+  breaker.consecutiveFailures += 1;
+  if (breaker.circuit === "half_open") {
+    // The probe failed: back off longer before the next one
+    breaker.cooldownMs = Math.min(breaker.cooldownMs * 2, BREAKER_MAX_COOLDOWN_MS);
+  }
+  if (breaker.circuit !== "closed" || breaker.consecutiveFailures >= BREAKER_THRESHOLD) {
+    breaker.circuit = "open";
+    breaker.openedAt = Date.now();
+  }
+}
+
+/**
+ * Whether a request may go out now, and as what. Returns "normal", "probe"
+ * (single attempt that decides whether the circuit closes) or null.
+ */
+function admit(policy) {
+  if (breaker.circuit === "closed") return "normal";
+  if (breaker.circuit === "open" && Date.now() - breaker.openedAt >= breaker.cooldownMs) {
+    breaker.circuit = "half_open";
+  }
+  if (breaker.circuit === "half_open" && !breaker.probeInFlight) return "probe";
+  if (policy.probe) return "probe";
+  return null;
+}
+
+/**
+ * Health of the editor bridge as seen by this client: "down" while the
+ * circuit is open, "degraded" when the last request failed or needed
+ * retries, "healthy" otherwise.
+ */
+export function getBridgeState() {
+  const status =
+    breaker.circuit !== "closed" ? "down" : breaker.lastRequestRetried ? "degraded" : "healthy";
+  const state = {
+    status,
+    circuit: breaker.circuit,
+    last_success_at: breaker.lastSuccessAt,
+    last_failure_at: breaker.lastFailureAt,
+    consecutive_failures: breaker.consecutiveFailures,
+    last_error: breaker.lastError,
+  };
+  if (breaker.circuit === "open") {
+    state.retry_in_ms = Math.max(0, breaker.cooldownMs - (Date.now() - breaker.openedAt));
+  }
+  return state;
+}
+
+/** Forget all failures and close the circuit (tests, or after a manual restart). */
+export function resetBridgeState() {
+  Object.assign(breaker, {
+    circuit: "closed",
+    consecutiveFailures: 0,
+    cooldownMs: BREAKER_COOLDOWN_MS,
+    openedAt: null,
+    probeInFlight: false,
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    lastError: null,
+    lastRequestRetried: false,
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Requests
+// ---------------------------------------------------------------------------
+
+function bridgeError(message, details, name = "BridgeError") {
+  const err = new Error(message);
+  err.name = name;
+  err.bridge = details;
+  return err;
+}
+
+function isRetryable(err) {
+  const { kind, status } = err.bridge ?? {};
+  return kind === "timeout" || kind === "unreachable" || (kind === "http" && status >= 500);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function bridgeAttempt(method, path, body, timeoutMs) {
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  const route = `${method} ${path}`;
 
   try {
     const opts = {
@@ -33,40 +225,87 @@ async function bridgeRequest(method, path, body = null, timeoutMs = BRIDGE_TIMEO
     try {
       payload = JSON.parse(text);
     } catch {
-      const parseErr = new Error(
-        `Godot bridge ${method} ${path} returned non-JSON response`
+      throw bridgeError(
+        `Godot bridge ${route} returned non-JSON response`,
+        { kind: "invalid_response", status: res.status },
+        "BridgeHttpError"
       );
-      parseErr.name = "BridgeHttpError";
-      throw parseErr;
     }
 
     if (!res.ok) {
       const detail =
         payload?.error || payload?.message || `HTTP ${res.status} ${res.statusText}`;
-      const httpErr = new Error(
-        `Godot bridge ${method} ${path} failed: ${detail}`
+      throw bridgeError(
+        `Godot bridge ${route} failed: ${detail}`,
+        { kind: "http", status: res.status },
+        "BridgeHttpError"
       );
-      httpErr.name = "BridgeHttpError";
-      throw httpErr;
     }
     return payload;
   } catch (err) {
-    if (err.name === "AbortError") {
-      throw new Error(
-        "Godot editor not responding. Is the AI Game Builder plugin enabled?"
-      );
-    }
     if (err.name === "BridgeHttpError") {
       throw err;
     }
-    throw new Error(
-      `Cannot connect to Godot editor on port ${BRIDGE_PORT}: ${err.message}`
+    if (err.name === "AbortError") {
+      throw bridgeError(
+        "Godot editor not responding. Is the AI Game Builder plugin enabled?",
+        { kind: "timeout", timeout_ms: timeoutMs }
+      );
+    }
+    throw bridgeError(
+      `Cannot connect to Godot editor on port ${BRIDGE_PORT}: ${err.message}`,
+      { kind: "unreachable" }
     );
   } finally {
     clearTimeout(timeout);
   }
 }
 
+async function bridgeRequest(method, path, body = null) {
+  const policy = routePolicy(method, path);
+  const admission = admit(policy);
+  if (!admission) {
+    const state = getBridgeState();
+    throw bridgeError(
+      `Godot editor bridge is down after ${state.consecutive_failures} failed requests ` +
+        `(last: ${state.last_error?.message ?? "unknown"}). Not contacting it for another ` +
+        `${Math.ceil((state.retry_in_ms ?? 0) / 1000)}s so a busy editor can recover; ` +
+        "offline tools such as godot_lint_scripts keep working.",
+      { kind: "circuit_open", route: policy.route },
+      "BridgeUnavailableError"
+    );
+  }
+
+  const probing = admission === "probe";
+  const attempts = probing ? 1 : policy.retries + 1;
+  const timeoutMs = probing && policy.probe ? Math.min(policy.timeoutMs, PROBE_TIMEOUT_MS) : policy.timeoutMs;
+  if (probing) breaker.probeInFlight = true;
+
+  try {
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        const payload = await bridgeAttempt(method, path, body, timeoutMs);
+        recordSuccess(attempt);
+        return payload;
+      } catch (err) {
+        err.bridge = { ...err.bridge, route: policy.route, attempts: attempt };
+        // A well-formed error answer means the editor is alive
+        if (!isRetryable(err)) {
+          recordSuccess(attempt);
+          throw err;
+        }
+        if (attempt >= attempts) {
+          recordFailure(policy, err);
+          throw err;
+        }
+        await sleep(Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS));
+      }
+    }
+  } finally {
+    if (probing) breaker.probeInFlight = false;
+  }
+}
+
 export async function getStatus() {
   return bridgeRequest("GET", "/status");
 }
@@ -144,7 +383,7 @@ export async function getDetailedErrors() {
   // Keep this bounded — long waits make sessions feel hung and can cascade into
   // "editor not responding" retries. Server-side now skips heavy detailed mode
   // under large error sets.
-  return bridgeRequest("GET", "/detailed_errors", null, BRIDGE_DETAILED_TIMEOUT);
+  return bridgeRequest("GET", "/detailed_errors");
 }
 
 export async function isConnected() {
@@ -0,0 +1,1095 @@
+/**
+ * Godot 4 engine class names known without a running editor, and the
+ * Godot 3 names that were renamed or removed in Godot 4.
+ */
+
+// Classes scripts commonly extend or name as types: nodes, resources,
+// RefCounted helpers, editor classes and engine singletons.
+export const ENGINE_CLASSES = new Set([
+  // Core
+  "Object",
+  "RefCounted",
+  "Resource",
+  "Node",
+  "MainLoop",
+  "SceneTree",
+  "SceneTreeTimer",
+  "Tween",
+  "Tweener",
+  "PropertyTweener",
+  "MethodTweener",
+  "CallbackTweener",
+  "IntervalTweener",
+  "Script",
+  "GDScript",
+  "PackedScene",
+  "SceneState",
+  "InstancePlaceholder",
+  "MissingNode",
+  "MissingResource",
+  "Viewport",
+  "SubViewport",
+  "Window",
+  "Timer",
+  "HTTPRequest",
+  "ResourcePreloader",
+  "WorldEnvironment",
+  "CanvasLayer",
+  "CanvasModulate",
+  "CanvasItem",
+  "MultiplayerSpawner",
+  "MultiplayerSynchronizer",
+  "ShaderGlobalsOverride",
+  "StatusIndicator",
+
+  // Animation
+  "AnimationMixer",
+  "AnimationPlayer",
+  "AnimationTree",
+  "Animation",
+  "AnimationLibrary",
+  "AnimationNode",
+  "AnimationRootNode",
+  "AnimationNodeAnimation",
+  "AnimationNodeBlendTree",
+  "AnimationNodeBlendSpace1D",
+  "AnimationNodeBlendSpace2D",
+  "AnimationNodeStateMachine",
+  "AnimationNodeStateMachinePlayback",
+  "AnimationNodeStateMachineTransition",
+  "AnimationNodeOneShot",
+  "AnimationNodeTransition",
+  "AnimationNodeAdd2",
+  "AnimationNodeBlend2",
+  "AnimationNodeTimeScale",
+  "AnimationNodeTimeSeek",
+
+  // Audio
+  "AudioStreamPlayer",
+  "AudioStreamPlayer2D",
+  "AudioStreamPlayer3D",
+  "AudioListener2D",
+  "AudioListener3D",
+  "AudioStream",
+  "AudioStreamWAV",
+  "AudioStreamOggVorbis",
+  "AudioStreamMP3",
+  "AudioStreamRandomizer",
+  "AudioStreamPlaylist",
+  "AudioStreamSynchronized",
+  "AudioStreamInteractive",
+  "AudioStreamGenerator",
+  "AudioStreamGeneratorPlayback",
+  "AudioStreamPlayback",
+  "AudioBusLayout",
+  "AudioEffect",
+  "AudioEffectAmplify",
+  "AudioEffectBandPassFilter",
+  "AudioEffectCapture",
+  "AudioEffectChorus",
+  "AudioEffectCompressor",
+  "AudioEffectDelay",
+  "AudioEffectDistortion",
+  "AudioEffectEQ",
+  "AudioEffectFilter",
+  "AudioEffectHardLimiter",
+  "AudioEffectHighPassFilter",
+  "AudioEffectLimiter",
+  "AudioEffectLowPassFilter",
+  "AudioEffectNotchFilter",
+  "AudioEffectPanner",
+  "AudioEffectPhaser",
+  "AudioEffectPitchShift",
+  "AudioEffectRecord",
+  "AudioEffectReverb",
+  "AudioEffectSpectrumAnalyzer",
+  "AudioEffectStereoEnhance",
+
+  // 2D
+  "Node2D",
+  "Sprite2D",
+  "AnimatedSprite2D",
+  "Camera2D",
+  "CollisionObject2D",
+  "CollisionShape2D",
+  "CollisionPolygon2D",
+  "PhysicsBody2D",
+  "Area2D",
+  "CharacterBody2D",
+  "RigidBody2D",
+  "StaticBody2D",
+  "AnimatableBody2D",
+  "PhysicalBone2D",
+  "RayCast2D",
+  "ShapeCast2D",
+  "Joint2D",
+  "PinJoint2D",
+  "GrooveJoint2D",
+  "DampedSpringJoint2D",
+  "Line2D",
+  "Polygon2D",
+  "MeshInstance2D",
+  "MultiMeshInstance2D",
+  "TileMap",
+  "TileMapLayer",
+  "Path2D",
+  "PathFollow2D",
+  "Marker2D",
+  "RemoteTransform2D",
+  "VisibleOnScreenNotifier2D",
+  "VisibleOnScreenEnabler2D",
+  "GPUParticles2D",
+  "CPUParticles2D",
+  "Light2D",
+  "PointLight2D",
+  "DirectionalLight2D",
+  "LightOccluder2D",
+  "ParallaxBackground",
+  "ParallaxLayer",
+  "Parallax2D",
+  "BackBufferCopy",
+  "CanvasGroup",
+  "Skeleton2D",
+  "Bone2D",
+  "TouchScreenButton",
+  "NavigationAgent2D",
+  "NavigationRegion2D",
+  "NavigationLink2D",
+  "NavigationObstacle2D",
+
+  // 3D
+  "Node3D",
+  "VisualInstance3D",
+  "GeometryInstance3D",
+  "MeshInstance3D",
+  "MultiMeshInstance3D",
+  "Camera3D",
+  "CollisionObject3D",
+  "CollisionShape3D",
+  "CollisionPolygon3D",
+  "PhysicsBody3D",
+  "Area3D",
+  "CharacterBody3D",
+  "RigidBody3D",
+  "StaticBody3D",
+  "AnimatableBody3D",
+  "VehicleBody3D",
+  "VehicleWheel3D",
+  "SoftBody3D",
+  "PhysicalBone3D",
+  "PhysicalBoneSimulator3D",
+  "RayCast3D",
+  "ShapeCast3D",
+  "SpringArm3D",
+  "Joint3D",
+  "PinJoint3D",
+  "HingeJoint3D",
+  "SliderJoint3D",
+  "ConeTwistJoint3D",
+  "Generic6DOFJoint3D",
+  "Light3D",
+  "DirectionalLight3D",
+  "OmniLight3D",
+  "SpotLight3D",
+  "GPUParticles3D",
+  "CPUParticles3D",
+  "GPUParticlesAttractor3D",
+  "GPUParticlesCollision3D",
+  "GPUParticlesCollisionBox3D",
+  "GPUParticlesCollisionSphere3D",
+  "SpriteBase3D",
+  "Sprite3D",
+  "AnimatedSprite3D",
+  "Label3D",
+  "Decal",
+  "FogVolume",
+  "ReflectionProbe",
+  "LightmapGI",
+  "LightmapProbe",
+  "VoxelGI",
+  "OccluderInstance3D",
+  "Marker3D",
+  "Path3D",
+  "PathFollow3D",
+  "RemoteTransform3D",
+  "VisibleOnScreenNotifier3D",
+  "VisibleOnScreenEnabler3D",
+  "Skeleton3D",
+  "SkeletonIK3D",
+  "SkeletonModifier3D",
+  "BoneAttachment3D",
+  "GridMap",
+  "CSGShape3D",
+  "CSGPrimitive3D",
+  "CSGBox3D",
+  "CSGCylinder3D",
+  "CSGSphere3D",
+  "CSGTorus3D",
+  "CSGPolygon3D",
+  "CSGMesh3D",
+  "CSGCombiner3D",
+  "ImporterMeshInstance3D",
+  "RootMotionView",
+  "XROrigin3D",
+  "XRCamera3D",
+  "XRController3D",
+  "XRAnchor3D",
+  "XRNode3D",
+  "NavigationAgent3D",
+  "NavigationRegion3D",
+  "NavigationLink3D",
+  "NavigationObstacle3D",
+
+  // UI
+  "Control",
+  "Container",
+  "BoxContainer",
+  "HBoxContainer",
+  "VBoxContainer",
+  "GridContainer",
+  "MarginContainer",
+  "CenterContainer",
+  "PanelContainer",
+  "ScrollContainer",
+  "SplitContainer",
+  "HSplitContainer",
+  "VSplitContainer",
+  "FlowContainer",
+  "HFlowContainer",
+  "VFlowContainer",
+  "AspectRatioContainer",
+  "TabContainer",
+  "SubViewportContainer",
+  "GraphEdit",
+  "GraphElement",
+  "GraphNode",
+  "GraphFrame",
+  "Label",
+  "RichTextLabel",
+  "BaseButton",
+  "Button",
+  "CheckBox",
+  "CheckButton",
+  "LinkButton",
+  "MenuButton",
+  "OptionButton",
+  "ColorPickerButton",
+  "TextureButton",
+  "LineEdit",
+  "TextEdit",
+  "CodeEdit",
+  "Panel",
+  "TextureRect",
+  "ColorRect",
+  "NinePatchRect",
+  "ReferenceRect",
+  "Range",
+  "ProgressBar",
+  "TextureProgressBar",
+  "Slider",
+  "HSlider",
+  "VSlider",
+  "ScrollBar",
+  "HScrollBar",
+  "VScrollBar",
+  "SpinBox",
+  "Separator",
+  "HSeparator",
+  "VSeparator",
+  "ItemList",
+  "Tree",
+  "TreeItem",
+  "TabBar",
+  "MenuBar",
+  "ColorPicker",
+  "VideoStreamPlayer",
+  "Popup",
+  "PopupMenu",
+  "PopupPanel",
+  "AcceptDialog",
+  "ConfirmationDialog",
+  "FileDialog",
+
+  // Resources
+  "Texture",
+  "Texture2D",
+  "Texture3D",
+  "TextureLayered",
+  "ImageTexture",
+  "AtlasTexture",
+  "CompressedTexture2D",
+  "GradientTexture1D",
+  "GradientTexture2D",
+  "NoiseTexture2D",
+  "NoiseTexture3D",
+  "CanvasTexture",
+  "ViewportTexture",
+  "AnimatedTexture",
+  "PlaceholderTexture2D",
+  "CurveTexture",
+  "Image",
+  "BitMap",
+  "Material",
+  "ShaderMaterial",
+  "BaseMaterial3D",
+  "StandardMaterial3D",
+  "ORMMaterial3D",
+  "CanvasItemMaterial",
+  "ParticleProcessMaterial",
+  "Shader",
+  "ShaderInclude",
+  "VisualShader",
+  "Mesh",
+  "ArrayMesh",
+  "ImmediateMesh",
+  "PrimitiveMesh",
+  "BoxMesh",
+  "SphereMesh",
+  "CapsuleMesh",
+  "CylinderMesh",
+  "PlaneMesh",
+  "QuadMesh",
+  "PrismMesh",
+  "TorusMesh",
+  "TextMesh",
+  "PointMesh",
+  "RibbonTrailMesh",
+  "TubeTrailMesh",
+  "MultiMesh",
+  "MeshLibrary",
+  "Skin",
+  "Shape2D",
+  "CircleShape2D",
+  "RectangleShape2D",
+  "CapsuleShape2D",
+  "SegmentShape2D",
+  "SeparationRayShape2D",
+  "ConvexPolygonShape2D",
+  "ConcavePolygonShape2D",
+  "WorldBoundaryShape2D",
+  "Shape3D",
+  "BoxShape3D",
+  "SphereShape3D",
+  "CapsuleShape3D",
+  "CylinderShape3D",
+  "ConvexPolygonShape3D",
+  "ConcavePolygonShape3D",
+  "HeightMapShape3D",
+  "SeparationRayShape3D",
+  "WorldBoundaryShape3D",
+  "Font",
+  "FontFile",
+  "FontVariation",
+  "SystemFont",
+  "Theme",
+  "StyleBox",
+  "StyleBoxFlat",
+  "StyleBoxTexture",
+  "StyleBoxLine",
+  "StyleBoxEmpty",
+  "LabelSettings",
+  "SpriteFrames",
+  "TileSet",
+  "TileSetSource",
+  "TileSetAtlasSource",
+  "TileSetScenesCollectionSource",
+  "TileMapPattern",
+  "TileData",
+  "Curve",
+  "Curve2D",
+  "Curve3D",
+  "Gradient",
+  "Environment",
+  "Sky",
+  "ProceduralSkyMaterial",
+  "PanoramaSkyMaterial",
+  "PhysicalSkyMaterial",
+  "CameraAttributes",
+  "CameraAttributesPractical",
+  "CameraAttributesPhysical",
+  "PhysicsMaterial",
+  "NavigationPolygon",
+  "NavigationMesh",
+  "OccluderPolygon2D",
+  "Occluder3D",
+  "ArrayOccluder3D",
+  "BoxOccluder3D",
+  "SphereOccluder3D",
+  "QuadOccluder3D",
+  "PolygonOccluder3D",
+  "World2D",
+  "World3D",
+  "Noise",
+  "FastNoiseLite",
+  "Translation",
+  "VideoStream",
+  "VideoStreamTheora",
+  "ButtonGroup",
+  "Shortcut",
+  "InputEvent",
+  "InputEventAction",
+  "InputEventFromWindow",
+  "InputEventGesture",
+  "InputEventJoypadButton",
+  "InputEventJoypadMotion",
+  "InputEventKey",
+  "InputEventMagnifyGesture",
+  "InputEventMIDI",
+  "InputEventMouse",
+  "InputEventMouseButton",
+  "InputEventMouseMotion",
+  "InputEventPanGesture",
+  "InputEventScreenDrag",
+  "InputEventScreenTouch",
+  "InputEventShortcut",
+  "InputEventWithModifiers",
+  "JSON",
+
+  // RefCounted helpers
+  "RandomNumberGenerator",
+  "AStar2D",
+  "AStar3D",
+  "AStarGrid2D",
+  "ConfigFile",
+  "FileAccess",
+  "DirAccess",
+  "Expression",
+  "RegEx",
+  "RegExMatch",
+  "Thread",
+  "Mutex",
+  "Semaphore",
+  "HTTPClient",
+  "StreamPeer",
+  "StreamPeerBuffer",
+  "StreamPeerTCP",
+  "StreamPeerTLS",
+  "PacketPeer",
+  "PacketPeerUDP",
+  "TCPServer",
+  "UDPServer",
+  "WebSocketPeer",
+  "WebSocketMultiplayerPeer",
+  "MultiplayerPeer",
+  "MultiplayerAPI",
+  "SceneMultiplayer",
+  "ENetMultiplayerPeer",
+  "ENetConnection",
+  "OfflineMultiplayerPeer",
+  "KinematicCollision2D",
+  "KinematicCollision3D",
+  "PhysicsDirectBodyState2D",
+  "PhysicsDirectBodyState3D",
+  "PhysicsDirectSpaceState2D",
+  "PhysicsDirectSpaceState3D",
+  "PhysicsPointQueryParameters2D",
+  "PhysicsPointQueryParameters3D",
+  "PhysicsRayQueryParameters2D",
+  "PhysicsRayQueryParameters3D",
+  "PhysicsShapeQueryParameters2D",
+  "PhysicsShapeQueryParameters3D",
+  "PhysicsTestMotionParameters2D",
+  "PhysicsTestMotionParameters3D",
+  "PhysicsTestMotionResult2D",
+  "PhysicsTestMotionResult3D",
+  "SurfaceTool",
+  "MeshDataTool",
+  "PolygonPathFinder",
+  "XMLParser",
+  "Crypto",
+  "CryptoKey",
+  "HashingContext",
+  "X509Certificate",
+  "PCKPacker",
+  "ZIPReader",
+  "ZIPPacker",
+  "ImageFormatLoader",
+  "ResourceFormatLoader",
+  "ResourceFormatSaver",
+  "EngineProfiler",
+
+  // Editor
+  "EditorPlugin",
+  "EditorScript",
+  "EditorInspectorPlugin",
+  "EditorImportPlugin",
+  "EditorExportPlugin",
+  "EditorProperty",
+  "EditorResourcePicker",
+  "EditorScenePostImport",
+  "EditorScenePostImportPlugin",
+  "EditorNode3DGizmo",
+  "EditorNode3DGizmoPlugin",
+  "EditorTranslationParserPlugin",
+  "EditorSyntaxHighlighter",
+  "EditorDebuggerPlugin",
+  "EditorInterface",
+  "EditorFileSystem",
+  "EditorSettings",
+  "EditorUndoRedoManager",
+  "SyntaxHighlighter",
+  "CodeHighlighter",
+
+  // Singletons
+  "AudioServer",
+  "CameraServer",
+  "ClassDB",
+  "DisplayServer",
+  "Engine",
+  "EngineDebugger",
+  "Geometry2D",
+  "Geometry3D",
+  "GDExtensionManager",
+  "Input",
+  "InputMap",
+  "IP",
+  "JavaScriptBridge",
+  "Marshalls",
+  "NavigationServer2D",
+  "NavigationServer3D",
+  "OS",
+  "Performance",
+  "PhysicsServer2D",
+  "PhysicsServer3D",
+  "ProjectSettings",
+  "RenderingServer",
+  "ResourceLoader",
+  "ResourceSaver",
+  "ResourceUID",
+  "TextServerManager",
+  "ThemeDB",
+  "Time",
+  "TranslationServer",
+  "WorkerThreadPool",
+  "XRServer",
+]);
+
+// Godot 3 class names and what replaced them in Godot 4.
+export const GODOT3_RENAMED_CLASSES = {
+  KinematicBody2D: "CharacterBody2D",
+  KinematicBody: "CharacterBody3D",
+  KinematicCollision: "KinematicCollision3D",
+  Spatial: "Node3D",
+  Sprite: "Sprite2D",
+  AnimatedSprite: "AnimatedSprite2D",
+  Position2D: "Marker2D",
+  Position3D: "Marker3D",
+  Particles2D: "GPUParticles2D",
+  Particles: "GPUParticles3D",
+  CPUParticles: "CPUParticles3D",
+  ParticlesMaterial: "ParticleProcessMaterial",
+  Camera: "Camera3D",
+  Area: "Area3D",
+  RigidBody: "RigidBody3D",
+  StaticBody: "StaticBody3D",
+  PhysicsBody: "PhysicsBody3D",
+  CollisionShape: "CollisionShape3D",
+  CollisionPolygon: "CollisionPolygon3D",
+  CollisionObject: "CollisionObject3D",
+  MeshInstance: "MeshInstance3D",
+  MultiMeshInstance: "MultiMeshInstance3D",
+  GeometryInstance: "GeometryInstance3D",
+  VisualInstance: "VisualInstance3D",
+  ImmediateGeometry: "ImmediateMesh",
+  RayCast: "RayCast3D",
+  SpringArm: "SpringArm3D",
+  Path: "Path3D",
+  PathFollow: "PathFollow3D",
+  RemoteTransform: "RemoteTransform3D",
+  Skeleton: "Skeleton3D",
+  BoneAttachment: "BoneAttachment3D",
+  SoftBody: "SoftBody3D",
+  VehicleBody: "VehicleBody3D",
+  VehicleWheel: "VehicleWheel3D",
+  Joint: "Joint3D",
+  PinJoint: "PinJoint3D",
+  HingeJoint: "HingeJoint3D",
+  SliderJoint: "SliderJoint3D",
+  ConeTwistJoint: "ConeTwistJoint3D",
+  Generic6DOFJoint: "Generic6DOFJoint3D",
+  Light: "Light3D",
+  DirectionalLight: "DirectionalLight3D",
+  OmniLight: "OmniLight3D",
+  SpotLight: "SpotLight3D",
+  GIProbe: "VoxelGI",
+  BakedLightmap: "LightmapGI",
+  Listener: "AudioListener3D",
+  Listener2D: "AudioListener2D",
+  CSGBox: "CSGBox3D",
+  CSGCylinder: "CSGCylinder3D",
+  CSGSphere: "CSGSphere3D",
+  CSGTorus: "CSGTorus3D",
+  CSGPolygon: "CSGPolygon3D",
+  CSGMesh: "CSGMesh3D",
+  CSGCombiner: "CSGCombiner3D",
+  VisibilityNotifier2D: "VisibleOnScreenNotifier2D",
+  VisibilityEnabler2D: "VisibleOnScreenEnabler2D",
+  VisibilityNotifier: "VisibleOnScreenNotifier3D",
+  VisibilityEnabler: "VisibleOnScreenEnabler3D",
+  YSort: "Node2D (with y_sort_enabled)",
+  Navigation2D: "NavigationRegion2D",
+  Navigation: "NavigationRegion3D",
+  NavigationPolygonInstance: "NavigationRegion2D",
+  NavigationMeshInstance: "NavigationRegion3D",
+  TextureProgress: "TextureProgressBar",
+  ToolButton: "Button (with flat = true)",
+  ViewportContainer: "SubViewportContainer",
+  WindowDialog: "Window",
+  PopupDialog: "Popup",
+  AnimationTreePlayer: "AnimationTree",
+  StreamTexture: "CompressedTexture2D",
+  GradientTexture: "GradientTexture1D",
+  NoiseTexture: "NoiseTexture2D",
+  OpenSimplexNoise: "FastNoiseLite",
+  DynamicFont: "FontFile",
+  DynamicFontData: "FontFile",
+  BitmapFont: "FontFile",
+  SpatialMaterial: "StandardMaterial3D",
+  CubeMesh: "BoxMesh",
+  Reference: "RefCounted",
+  File: "FileAccess",
+  Directory: "DirAccess",
+  ARVROrigin: "XROrigin3D",
+  ARVRCamera: "XRCamera3D",
+  ARVRController: "XRController3D",
+  ARVRAnchor: "XRAnchor3D",
+  VisualServer: "RenderingServer",
+  Physics2DServer: "PhysicsServer2D",
+  PhysicsServer: "PhysicsServer3D",
+  Physics2DDirectSpaceState: "PhysicsDirectSpaceState2D",
+  PhysicsDirectSpaceState: "PhysicsDirectSpaceState3D",
+  Physics2DDirectBodyState: "PhysicsDirectBodyState2D",
+  PhysicsDirectBodyState: "PhysicsDirectBodyState3D",
+  EditorSpatialGizmo: "EditorNode3DGizmo",
+  EditorSpatialGizmoPlugin: "EditorNode3DGizmoPlugin",
+  PoolByteArray: "PackedByteArray",
+  PoolIntArray: "PackedInt32Array",
+  PoolRealArray: "PackedFloat32Array",
+  PoolStringArray: "PackedStringArray",
+  PoolVector2Array: "PackedVector2Array",
+  PoolVector3Array: "PackedVector3Array",
+  PoolColorArray: "PackedColorArray",
+  Quat: "Quaternion",
+  Transform: "Transform3D",
+};
+
+// Node classes deriving from CanvasItem (2D nodes and Controls) and from
+// Node3D: the ones that have a `visible` property.
+export const CANVAS_ITEM_CLASSES = new Set([
+  "CanvasItem", "Node2D", "Sprite2D", "AnimatedSprite2D", "Camera2D", "CollisionObject2D",
+  "CollisionShape2D", "CollisionPolygon2D", "PhysicsBody2D", "Area2D", "CharacterBody2D",
+  "RigidBody2D", "StaticBody2D", "AnimatableBody2D", "PhysicalBone2D", "RayCast2D",
+  "ShapeCast2D", "Joint2D", "PinJoint2D", "GrooveJoint2D", "DampedSpringJoint2D", "Line2D",
+  "Polygon2D", "MeshInstance2D", "MultiMeshInstance2D", "TileMap", "TileMapLayer", "Path2D",
+  "PathFollow2D", "Marker2D", "RemoteTransform2D", "VisibleOnScreenNotifier2D",
+  "VisibleOnScreenEnabler2D", "GPUParticles2D", "CPUParticles2D", "Light2D", "PointLight2D",
+  "DirectionalLight2D", "LightOccluder2D", "ParallaxLayer", "Parallax2D", "BackBufferCopy",
+  "CanvasGroup", "Skeleton2D", "Bone2D", "TouchScreenButton", "NavigationRegion2D",
+  "NavigationLink2D", "NavigationObstacle2D", "AudioStreamPlayer2D", "AudioListener2D",
+  "Control", "Container", "BoxContainer", "HBoxContainer", "VBoxContainer", "GridContainer",
+  "MarginContainer", "CenterContainer", "PanelContainer", "ScrollContainer",
+  "SplitContainer", "HSplitContainer", "VSplitContainer", "FlowContainer", "HFlowContainer",
+  "VFlowContainer", "AspectRatioContainer", "TabContainer", "SubViewportContainer",
+  "GraphEdit", "GraphElement", "GraphNode", "GraphFrame", "Label", "RichTextLabel",
+  "BaseButton", "Button", "CheckBox", "CheckButton", "LinkButton", "MenuButton",
+  "OptionButton", "ColorPickerButton", "TextureButton", "LineEdit", "TextEdit", "CodeEdit",
+  "Panel", "TextureRect", "ColorRect", "NinePatchRect", "ReferenceRect", "Range",
+  "ProgressBar", "TextureProgressBar", "Slider", "HSlider", "VSlider", "ScrollBar",
+  "HScrollBar", "VScrollBar", "SpinBox", "Separator", "HSeparator", "VSeparator",
+  "ItemList", "Tree", "TabBar", "MenuBar", "ColorPicker", "VideoStreamPlayer",
+]);
+
+export const NODE_3D_CLASSES = new Set([
+  "Node3D", "VisualInstance3D", "GeometryInstance3D", "MeshInstance3D", "MultiMeshInstance3D",
+  "Camera3D", "CollisionObject3D", "CollisionShape3D", "CollisionPolygon3D", "PhysicsBody3D",
+  "Area3D", "CharacterBody3D", "RigidBody3D", "StaticBody3D", "AnimatableBody3D",
+  "VehicleBody3D", "VehicleWheel3D", "SoftBody3D", "PhysicalBone3D",
+  "PhysicalBoneSimulator3D", "RayCast3D", "ShapeCast3D", "SpringArm3D", "Joint3D",
+  "PinJoint3D", "HingeJoint3D", "SliderJoint3D", "ConeTwistJoint3D", "Generic6DOFJoint3D",
+  "Light3D", "DirectionalLight3D", "OmniLight3D", "SpotLight3D", "GPUParticles3D",
+  "CPUParticles3D", "GPUParticlesAttractor3D", "GPUParticlesCollision3D",
+  "GPUParticlesCollisionBox3D", "GPUParticlesCollisionSphere3D", "SpriteBase3D", "Sprite3D",
+  "AnimatedSprite3D", "Label3D", "Decal", "FogVolume", "ReflectionProbe", "LightmapGI",
+  "LightmapProbe", "VoxelGI", "OccluderInstance3D", "Marker3D", "Path3D", "PathFollow3D",
+  "RemoteTransform3D", "VisibleOnScreenNotifier3D", "VisibleOnScreenEnabler3D",
+  "Skeleton3D", "SkeletonIK3D", "SkeletonModifier3D", "BoneAttachment3D", "GridMap",
+  "CSGShape3D", "CSGPrimitive3D", "CSGBox3D", "CSGCylinder3D", "CSGSphere3D", "CSGTorus3D",
+  "CSGPolygon3D", "CSGMesh3D", "CSGCombiner3D", "ImporterMeshInstance3D", "RootMotionView",
+  "XROrigin3D", "XRCamera3D", "XRController3D", "XRAnchor3D", "XRNode3D",
+  "NavigationRegion3D", "NavigationLink3D", "NavigationObstacle3D", "AudioStreamPlayer3D",
+  "AudioListener3D",
+]);
+
+// Parent class, methods and properties of the engine classes signal targets
+// most often are. Properties also answer for their set_/get_/is_ accessors;
+// accessors named differently from their property are listed as methods.
+// A class missing here makes every class derived from it unknown.
+export const ENGINE_CLASS_API = {
+  Object: {
+    parent: null,
+    methods: [
+      "add_user_signal", "call", "call_deferred", "callv", "can_translate_messages",
+      "cancel_free", "connect", "disconnect", "emit_signal", "free", "get", "get_class",
+      "get_incoming_connections", "get_indexed", "get_instance_id", "get_meta",
+      "get_meta_list", "get_method_argument_count", "get_method_list", "get_property_list",
+      "get_script", "get_signal_connection_list", "get_signal_list", "get_translation_domain",
+      "has_meta", "has_method", "has_signal", "has_user_signal", "is_blocking_signals",
+      "is_class", "is_connected", "is_queued_for_deletion", "notification",
+      "notify_property_list_changed", "property_can_revert", "property_get_revert",
+      "remove_meta", "remove_user_signal", "set", "set_block_signals", "set_deferred",
+      "set_indexed", "set_message_translation", "set_meta", "set_script",
+      "set_translation_domain", "to_string", "tr", "tr_n",
+    ],
+    properties: [],
+  },
+  Node: {
+    parent: "Object",
+    methods: [
+      "_enter_tree", "_exit_tree", "_get_configuration_warnings", "_input",
+      "_physics_process", "_process", "_ready", "_shortcut_input", "_unhandled_input",
+      "_unhandled_key_input", "add_child", "add_sibling", "add_to_group", "atr", "atr_n",
+      "call_deferred_thread_group", "call_thread_safe", "can_process", "create_tween",
+      "duplicate", "find_child", "find_children", "find_parent", "get_child",
+      "get_child_count", "get_children", "get_groups", "get_index",
+      "get_last_exclusive_window", "get_multiplayer_authority", "get_node",
+      "get_node_and_resource", "get_node_or_null", "get_parent", "get_path", "get_path_to",
+      "get_physics_process_delta_time", "get_process_delta_time", "get_rpc_config",
+      "get_scene_instance_load_placeholder", "get_tree", "get_tree_string",
+      "get_tree_string_pretty", "get_viewport", "get_window", "has_node",
+      "has_node_and_resource", "is_ancestor_of", "is_displayed_folded",
+      "is_editable_instance", "is_greater_than", "is_in_group", "is_inside_tree",
+      "is_multiplayer_authority", "is_node_ready", "is_part_of_edited_scene",
+      "is_physics_interpolated", "is_physics_interpolated_and_enabled",
+      "is_physics_processing", "is_physics_processing_internal", "is_processing",
+      "is_processing_input", "is_processing_internal", "is_processing_shortcut_input",
+      "is_processing_unhandled_input", "is_processing_unhandled_key_input", "move_child",
+      "notify_deferred_thread_group", "notify_thread_safe", "print_orphan_nodes",
+      "print_tree", "print_tree_pretty", "propagate_call", "propagate_notification",
+      "queue_free", "remove_child", "remove_from_group", "reparent", "replace_by",
+      "request_ready", "reset_physics_interpolation", "rpc", "rpc_config", "rpc_id",
+      "set_deferred_thread_group", "set_display_folded", "set_editable_instance",
+      "set_multiplayer_authority", "set_physics_process", "set_physics_process_internal",
+      "set_process", "set_process_input", "set_process_internal",
+      "set_process_shortcut_input", "set_process_unhandled_input",
+      "set_process_unhandled_key_input", "set_scene_instance_load_placeholder",
+      "set_thread_safe", "update_configuration_warnings", "set_physics_process_priority",
+      "get_physics_process_priority",
+    ],
+    properties: [
+      "name", "unique_name_in_owner", "scene_file_path", "owner", "multiplayer",
+      "process_mode", "process_priority", "process_thread_group",
+      "process_thread_group_order", "process_thread_messages",
+      "physics_interpolation_mode", "auto_translate_mode", "editor_description",
+    ],
+  },
+  CanvasItem: {
+    parent: "Node",
+    methods: [
+      "_draw", "draw_animation_slice", "draw_arc", "draw_char", "draw_char_outline",
+      "draw_circle", "draw_colored_polygon", "draw_dashed_line", "draw_end_animation",
+      "draw_lcd_texture_rect_region", "draw_line", "draw_mesh",
+      "draw_msdf_texture_rect_region", "draw_multiline", "draw_multiline_colors",
+      "draw_multiline_string", "draw_multiline_string_outline", "draw_multimesh",
+      "draw_polygon", "draw_polyline", "draw_polyline_colors", "draw_primitive",
+      "draw_rect", "draw_set_transform", "draw_set_transform_matrix", "draw_string",
+      "draw_string_outline", "draw_style_box", "draw_texture", "draw_texture_rect",
+      "draw_texture_rect_region", "force_update_transform", "get_canvas",
+      "get_canvas_item", "get_canvas_layer_node", "get_canvas_transform",
+      "get_global_mouse_position", "get_global_transform",
+      "get_global_transform_with_canvas", "get_instance_shader_parameter",
+      "get_local_mouse_position", "get_screen_transform", "get_transform",
+      "get_viewport_rect", "get_viewport_transform", "get_visibility_layer_bit",
+      "get_world_2d", "hide", "is_local_transform_notification_enabled",
+      "is_transform_notification_enabled", "is_visible_in_tree",
+      "make_canvas_position_local", "make_input_local", "move_to_front", "queue_redraw",
+      "set_instance_shader_parameter", "set_notify_local_transform",
+      "set_notify_transform", "set_visibility_layer_bit", "show", "set_as_top_level",
+      "is_set_as_top_level", "is_z_relative", "set_clip_children_mode",
+      "get_clip_children_mode", "set_draw_behind_parent", "is_draw_behind_parent_enabled",
+      "set_y_sort_enabled", "is_y_sort_enabled",
+    ],
+    properties: [
+      "visible", "modulate", "self_modulate", "light_mask", "visibility_layer",
+      "z_index", "z_as_relative", "texture_filter", "texture_repeat", "material",
+      "use_parent_material",
+    ],
+  },
+  Node2D: {
+    parent: "CanvasItem",
+    methods: [
+      "apply_scale", "get_angle_to", "get_relative_transform_to_parent",
+      "global_translate", "look_at", "move_local_x", "move_local_y", "rotate", "to_global",
+      "to_local", "translate",
+    ],
+    properties: [
+      "position", "rotation", "rotation_degrees", "scale", "skew", "transform",
+      "global_position", "global_rotation", "global_rotation_degrees", "global_scale",
+      "global_skew", "global_transform",
+    ],
+  },
+  Node3D: {
+    parent: "Node",
+    methods: [
+      "add_gizmo", "clear_gizmos", "clear_subgizmo_selection", "force_update_transform",
+      "get_gizmos", "get_parent_node_3d", "get_world_3d", "global_rotate", "global_scale",
+      "global_translate", "hide", "is_local_transform_notification_enabled",
+      "is_scale_disabled", "is_transform_notification_enabled", "is_visible_in_tree",
+      "look_at", "look_at_from_position", "orthonormalize", "rotate",
+      "rotate_object_local", "rotate_x", "rotate_y", "rotate_z", "scale_object_local",
+      "set_disable_scale", "set_identity", "set_ignore_transform_notification",
+      "set_notify_local_transform", "set_notify_transform", "set_subgizmo_selection",
+      "show", "to_global", "to_local", "translate", "translate_object_local",
+      "update_gizmos", "set_as_top_level", "is_set_as_top_level",
+    ],
+    properties: [
+      "transform", "global_transform", "position", "rotation", "rotation_degrees",
+      "quaternion", "basis", "scale", "rotation_edit_mode", "rotation_order",
+      "global_position", "global_basis", "global_rotation", "global_rotation_degrees",
+      "visible", "visibility_parent",
+    ],
+  },
+  Control: {
+    parent: "CanvasItem",
+    methods: [
+      "_can_drop_data", "_drop_data", "_get_drag_data", "_get_minimum_size",
+      "_get_tooltip", "_gui_input", "_has_point", "_make_custom_tooltip",
+      "_structured_text_parser", "accept_event", "add_theme_color_override",
+      "add_theme_constant_override", "add_theme_font_override",
+      "add_theme_font_size_override", "add_theme_icon_override",
+      "add_theme_stylebox_override", "begin_bulk_theme_override",
+      "end_bulk_theme_override", "find_next_valid_focus", "find_prev_valid_focus",
+      "find_valid_focus_neighbor", "force_drag", "get_anchor", "get_begin",
+      "get_combined_minimum_size", "get_cursor_shape", "get_end", "get_focus_neighbor",
+      "get_global_rect", "get_minimum_size", "get_offset", "get_parent_area_size",
+      "get_parent_control", "get_rect", "get_screen_position", "get_theme_color",
+      "get_theme_constant", "get_theme_default_base_scale", "get_theme_default_font",
+      "get_theme_default_font_size", "get_theme_font", "get_theme_font_size",
+      "get_theme_icon", "get_theme_stylebox", "get_tooltip", "grab_click_focus",
+      "grab_focus", "has_focus", "has_theme_color", "has_theme_color_override",
+      "has_theme_constant", "has_theme_constant_override", "has_theme_font",
+      "has_theme_font_override", "has_theme_font_size", "has_theme_font_size_override",
+      "has_theme_icon", "has_theme_icon_override", "has_theme_stylebox",
+      "has_theme_stylebox_override", "is_drag_successful", "is_layout_rtl",
+      "release_focus", "remove_theme_color_override", "remove_theme_constant_override",
+      "remove_theme_font_override", "remove_theme_font_size_override",
+      "remove_theme_icon_override", "remove_theme_stylebox_override", "reset_size",
+      "set_anchor", "set_anchor_and_offset", "set_anchors_and_offsets_preset",
+      "set_anchors_preset", "set_begin", "set_drag_forwarding", "set_drag_preview",
+      "set_end", "set_focus_neighbor", "set_offset", "set_offsets_preset",
+      "update_minimum_size", "warp_mouse", "set_clip_contents", "is_clipping_contents",
+      "set_h_size_flags", "get_h_size_flags", "set_v_size_flags", "get_v_size_flags",
+      "set_stretch_ratio", "get_stretch_ratio", "set_h_grow_direction",
+      "get_h_grow_direction", "set_v_grow_direction", "get_v_grow_direction",
+      "set_default_cursor_shape", "get_default_cursor_shape",
+      "set_force_pass_scroll_events", "is_force_pass_scroll_events",
+      "set_focus_next", "get_focus_next", "set_focus_previous", "get_focus_previous",
+    ],
+    properties: [
+      "custom_minimum_size", "layout_direction", "localize_numeral_system", "size",
+      "position", "global_position", "rotation", "rotation_degrees", "scale",
+      "pivot_offset", "auto_translate", "tooltip_text", "focus_mode", "mouse_filter",
+      "shortcut_context", "theme", "theme_type_variation",
+    ],
+  },
+  BaseButton: {
+    parent: "Control",
+    methods: [
+      "_pressed", "_toggled", "get_draw_mode", "is_hovered", "set_pressed",
+      "set_pressed_no_signal", "is_pressed", "is_shortcut_feedback",
+      "is_shortcut_in_tooltip_enabled",
+    ],
+    properties: [
+      "disabled", "toggle_mode", "action_mode", "button_mask", "keep_pressed_outside",
+      "button_group", "shortcut", "shortcut_feedback", "shortcut_in_tooltip",
+    ],
+  },
+  Button: {
+    parent: "BaseButton",
+    methods: [
+      "set_button_icon", "get_button_icon", "set_text_alignment", "get_text_alignment",
+      "set_clip_text", "get_clip_text",
+    ],
+    properties: [
+      "text", "flat", "text_overrun_behavior", "autowrap_mode", "icon_alignment",
+      "vertical_icon_alignment", "expand_icon", "text_direction", "language",
+    ],
+  },
+  CheckBox: { parent: "Button", methods: [], properties: [] },
+  CheckButton: { parent: "Button", methods: [], properties: [] },
+  Label: {
+    parent: "Control",
+    methods: [
+      "get_character_bounds", "get_line_count", "get_line_height",
+      "get_total_character_count", "get_visible_line_count", "is_clipping_text",
+    ],
+    properties: [
+      "text", "label_settings", "horizontal_alignment", "vertical_alignment",
+      "autowrap_mode", "justification_flags", "clip_text", "text_overrun_behavior",
+      "ellipsis_char", "uppercase", "tab_stops", "lines_skipped", "max_lines_visible",
+      "visible_characters", "visible_characters_behavior", "visible_ratio",
+      "text_direction", "language", "structured_text_bidi_override",
+      "structured_text_bidi_override_options",
+    ],
+  },
+  Timer: {
+    parent: "Node",
+    methods: [
+      "is_stopped", "start", "stop", "set_timer_process_callback",
+      "get_timer_process_callback", "has_autostart",
+    ],
+    properties: ["wait_time", "one_shot", "autostart", "paused", "ignore_time_scale", "time_left"],
+  },
+  AudioStreamPlayer: {
+    parent: "Node",
+    methods: [
+      "get_playback_position", "get_stream_playback", "has_stream_playback", "play", "seek",
+      "stop", "is_autoplay_enabled",
+    ],
+    properties: [
+      "stream", "volume_db", "volume_linear", "pitch_scale", "playing", "autoplay",
+      "stream_paused", "mix_target", "max_polyphony", "bus", "playback_type",
+    ],
+  },
+  AudioStreamPlayer2D: {
+    parent: "Node2D",
+    methods: [
+      "get_playback_position", "get_stream_playback", "has_stream_playback", "play", "seek",
+      "stop", "is_autoplay_enabled",
+    ],
+    properties: [
+      "stream", "volume_db", "volume_linear", "pitch_scale", "playing", "autoplay",
+      "stream_paused", "max_distance", "attenuation", "max_polyphony", "panning_strength",
+      "bus", "area_mask", "playback_type",
+    ],
+  },
+  AnimationMixer: {
+    parent: "Node",
+    methods: [
+      "add_animation_library", "advance", "capture", "clear_caches", "find_animation",
+      "find_animation_library", "get_animation", "get_animation_library",
+      "get_animation_library_list", "get_animation_list", "get_root_motion_position",
+      "get_root_motion_position_accumulator", "get_root_motion_rotation",
+      "get_root_motion_rotation_accumulator", "get_root_motion_scale",
+      "get_root_motion_scale_accumulator", "has_animation", "has_animation_library",
+      "remove_animation_library", "rename_animation_library",
+      "set_reset_on_save_enabled", "is_reset_on_save_enabled",
+    ],
+    properties: [
+      "active", "deterministic", "root_node", "root_motion_track", "audio_max_polyphony",
+      "callback_mode_process", "callback_mode_method", "callback_mode_discrete",
+    ],
+  },
+  AnimationPlayer: {
+    parent: "AnimationMixer",
+    methods: [
+      "animation_get_next", "animation_set_next", "clear_queue", "get_blend_time",
+      "get_playing_speed", "get_queue", "is_playing", "pause", "play", "play_backwards",
+      "play_section", "play_section_backwards", "play_section_with_markers",
+      "play_section_with_markers_backwards", "play_with_capture", "queue", "seek",
+      "set_blend_time", "stop", "set_default_blend_time", "get_default_blend_time",
+    ],
+    properties: [
+      "current_animation", "assigned_animation", "autoplay", "speed_scale",
+      "movie_quit_on_finish", "current_animation_length", "current_animation_position",
+    ],
+  },
+  CollisionObject2D: {
+    parent: "Node2D",
+    methods: [
+      "_input_event", "_mouse_enter", "_mouse_exit", "_mouse_shape_enter",
+      "_mouse_shape_exit", "create_shape_owner", "get_collision_layer_value",
+      "get_collision_mask_value", "get_rid", "get_shape_owner_one_way_collision_margin",
+      "get_shape_owners", "is_shape_owner_disabled",
+      "is_shape_owner_one_way_collision_enabled", "remove_shape_owner",
+      "set_collision_layer_value", "set_collision_mask_value", "shape_find_owner",
+      "shape_owner_add_shape", "shape_owner_clear_shapes", "shape_owner_get_owner",
+      "shape_owner_get_shape", "shape_owner_get_shape_count",
+      "shape_owner_get_shape_index", "shape_owner_get_transform",
+      "shape_owner_remove_shape", "shape_owner_set_disabled",
+      "shape_owner_set_one_way_collision", "shape_owner_set_one_way_collision_margin",
+      "shape_owner_set_transform", "set_pickable", "is_pickable",
+    ],
+    properties: ["disable_mode", "collision_layer", "collision_mask", "collision_priority"],
+  },
+  Area2D: {
+    parent: "CollisionObject2D",
+    methods: [
+      "get_overlapping_areas", "get_overlapping_bodies", "has_overlapping_areas",
+      "has_overlapping_bodies", "overlaps_area", "overlaps_body",
+      "set_gravity_space_override_mode", "get_gravity_space_override_mode",
+      "set_gravity_is_point", "is_gravity_a_point", "set_linear_damp_space_override_mode",
+      "get_linear_damp_space_override_mode", "set_angular_damp_space_override_mode",
+      "get_angular_damp_space_override_mode", "set_audio_bus_override",
+      "is_overriding_audio_bus",
+    ],
+    properties: [
+      "monitoring", "monitorable", "priority", "gravity_point_unit_distance",
+      "gravity_point_center", "gravity_direction", "gravity", "linear_damp",
+      "angular_damp", "audio_bus_name",
+    ],
+  },
+  PhysicsBody2D: {
+    parent: "CollisionObject2D",
+    methods: [
+      "add_collision_exception_with", "get_collision_exceptions", "get_gravity",
+      "move_and_collide", "remove_collision_exception_with", "test_move",
+    ],
+    properties: [],
+  },
+  StaticBody2D: {
+    parent: "PhysicsBody2D",
+    methods: [],
+    properties: ["constant_linear_velocity", "constant_angular_velocity", "physics_material_override"],
+  },
+  CharacterBody2D: {
+    parent: "PhysicsBody2D",
+    methods: [
+      "apply_floor_snap", "get_floor_angle", "get_floor_normal", "get_last_motion",
+      "get_last_slide_collision", "get_platform_velocity", "get_position_delta",
+      "get_real_velocity", "get_slide_collision", "get_slide_collision_count",
+      "get_wall_normal", "is_on_ceiling", "is_on_ceiling_only", "is_on_floor",
+      "is_on_floor_only", "is_on_wall", "is_on_wall_only", "move_and_slide",
+      "set_slide_on_ceiling_enabled", "is_slide_on_ceiling_enabled",
+      "set_floor_stop_on_slope_enabled", "is_floor_stop_on_slope_enabled",
+      "set_floor_constant_speed_enabled", "is_floor_constant_speed_enabled",
+      "set_floor_block_on_wall_enabled", "is_floor_block_on_wall_enabled",
+      "set_platform_on_leave", "get_platform_on_leave",
+    ],
+    properties: [
+      "motion_mode", "up_direction", "velocity", "wall_min_slide_angle",
+      "floor_max_angle", "floor_snap_length", "platform_floor_layers",
+      "platform_wall_layers", "safe_margin", "max_slides",
+    ],
+  },
+};
+
+const engineMethodCache = new Map();
+
+function engineMethodsOf(className) {
+  if (!engineMethodCache.has(className)) {
+    const api = ENGINE_CLASS_API[className];
+    const methods = new Set(api.methods);
+    for (const property of api.properties) {
+      methods.add(`set_${property}`).add(`get_${property}`).add(`is_${property}`);
+    }
+    engineMethodCache.set(className, methods);
+  }
+  return engineMethodCache.get(className);
+}
+
+/**
+ * Find the engine class that defines `method`, starting at `className` and
+ * walking its base classes.
+ * @returns {string|false|null} the defining class; false when every class in
+ *   the chain is described in ENGINE_CLASS_API and none has the method; null
+ *   when the chain reaches a class that is not described
+ */
+export function findEngineMethod(className, method) {
+  let current = className;
+  while (current) {
+    if (!ENGINE_CLASS_API[current]) return null;
+    if (engineMethodsOf(current).has(method)) return current;
+    current = ENGINE_CLASS_API[current].parent;
+  }
+  return false;
+}
@@ -0,0 +1,342 @@
+/**
+ * Builds and describes the InputEvent objects stored in project.godot's
+ * [input] section, and finds the input actions scripts refer to.
+ */
+import { lineNumberAt, stripComments } from "./gdscript-text.js";
+
+// Godot 4 Key enum values. Printable keys use their ASCII code; the rest live
+// above KEY_SPECIAL (1 << 22).
+const KEY_SPECIAL = 1 << 22;
+const SPECIAL_KEYS = [
+  "Escape",
+  "Tab",
+  "Backtab",
+  "Backspace",
+  "Enter",
+  "KpEnter",
+  "Insert",
+  "Delete",
+  "Pause",
+  "Print",
+  "SysReq",
+  "Clear",
+  "Home",
+  "End",
+  "Left",
+  "Up",
+  "Right",
+  "Down",
+  "PageUp",
+  "PageDown",
+  "Shift",
+  "Ctrl",
+  "Meta",
+  "Alt",
+  "CapsLock",
+  "NumLock",
+  "ScrollLock",
+];
+const KEYPAD_KEYS = ["KpMultiply", "KpDivide", "KpSubtract", "KpPeriod", "KpAdd"];
+const PUNCTUATION_KEYS = {
+  Space: 32,
+  Apostrophe: 39,
+  Comma: 44,
+  Minus: 45,
+  Period: 46,
+  Slash: 47,
+  Semicolon: 59,
+  Equal: 61,
+  BracketLeft: 91,
+  Backslash: 92,
+  BracketRight: 93,
+  QuoteLeft: 96,
+};
+
+const KEY_CODES = (() => {
+  const codes = { ...PUNCTUATION_KEYS };
+  for (let c = 65; c <= 90; c++) codes[String.fromCharCode(c)] = c;
+  for (let d = 0; d <= 9; d++) codes[String(d)] = 48 + d;
+  SPECIAL_KEYS.forEach((name, i) => (codes[name] = KEY_SPECIAL + 1 + i));
+  for (let f = 1; f <= 35; f++) codes[`F${f}`] = KEY_SPECIAL + 0x1b + f;
+  KEYPAD_KEYS.forEach((name, i) => (codes[name] = KEY_SPECIAL + 0x81 + i));
+  for (let d = 0; d <= 9; d++) codes[`Kp${d}`] = KEY_SPECIAL + 0x86 + d;
+  codes.Menu = KEY_SPECIAL + 0x42;
+  return codes;
+})();
+
+// Common spellings mapped onto Godot's key names.
+const KEY_ALIASES = {
+  esc: "Escape",
+  return: "Enter",
+  control: "Ctrl",
+  command: "Meta",
+  cmd: "Meta",
+  del: "Delete",
+  pgup: "PageUp",
+  pgdown: "PageDown",
+  arrowleft: "Left",
+  arrowright: "Right",
+  arrowup: "Up",
+  arrowdown: "Down",
+  spacebar: "Space",
+};
+
+const MOUSE_BUTTONS = {
+  left: 1,
+  right: 2,
+  middle: 3,
+  wheel_up: 4,
+  wheel_down: 5,
+  wheel_left: 6,
+  wheel_right: 7,
+  xbutton1: 8,
+  xbutton2: 9,
+};
+
+const JOY_BUTTONS = {
+  a: 0,
+  b: 1,
+  x: 2,
+  y: 3,
+  back: 4,
+  guide: 5,
+  start: 6,
+  left_stick: 7,
+  right_stick: 8,
+  left_shoulder: 9,
+  right_shoulder: 10,
+  dpad_up: 11,
+  dpad_down: 12,
+  dpad_left: 13,
+  dpad_right: 14,
+  misc1: 15,
+  paddle1: 16,
+  paddle2: 17,
+  paddle3: 18,
+  paddle4: 19,
+  touchpad: 20,
+};
+
+const JOY_AXES = {
+  left_x: 0,
+  left_y: 1,
+  right_x: 2,
+  right_y: 3,
+  trigger_left: 4,
+  trigger_right: 5,
+};
+
+// Actions every Godot 4 project has without listing them in project.godot.
+const BUILTIN_ACTION_PREFIX = "ui_";
+
+/**
+ * Build the Object(InputEvent...) value for one event spec, in the form the
+ * Godot editor writes to project.godot. Specs:
+ *   "W", "Space", "Escape"                          keyboard key (physical)
+ *   {type: "key", key: "W", physical?, ctrl?, shift?, alt?, meta?}
+ *   {type: "mouse_button", button: "left" | 1}
+ *   {type: "joypad_button", button: "a" | 0, device?}
+ *   {type: "joypad_motion", axis: "left_x" | 0, direction: -1 | 1, device?}
+ * Throws on unknown keys, buttons or axes.
+ */
+export function buildInputEvent(spec) {
+  const event = typeof spec === "string" ? { type: "key", key: spec } : spec || {};
+  const base = { resource_local_to_scene: false, resource_name: "", device: event.device ?? -1 };
+
+  switch (event.type) {
+    case "key": {
+      const name = keyName(event.key);
+      const code = KEY_CODES[name];
+      const physical = event.physical !== false;
+      const unicode = code < KEY_SPECIAL ? unicodeFor(code, Boolean(event.shift)) : 0;
+      return inputObject("InputEventKey", {
+        ...base,
+        window_id: 0,
+        ...modifiers(event),
+        pressed: false,
+        keycode: physical ? 0 : code,
+        physical_keycode: physical ? code : 0,
+        key_label: 0,
+        unicode,
+        location: 0,
+        echo: false,
+      });
+    }
+    case "mouse_button": {
+      const button = lookup(MOUSE_BUTTONS, event.button, "mouse button");
+      return inputObject("InputEventMouseButton", {
+        ...base,
+        window_id: 0,
+        ...modifiers(event),
+        button_mask: button <= 5 ? 1 << (button - 1) : 0,
+        position: { type: "Vector2", x: 0, y: 0 },
+        global_position: { type: "Vector2", x: 0, y: 0 },
+        factor: 1,
+        button_index: button,
+        canceled: false,
+        pressed: true,
+        double_click: false,
+      });
+    }
+    case "joypad_button":
+      return inputObject("InputEventJoypadButton", {
+        ...base,
+        button_index: lookup(JOY_BUTTONS, event.button, "joypad button"),
+        pressure: 0,
+        pressed: false,
+      });
+    case "joypad_motion": {
+      const direction = Number(event.direction ?? event.axis_value ?? 1);
+      if (direction !== 1 && direction !== -1) {
+        throw new Error(`joypad_motion direction must be 1 or -1, got ${event.direction}`);
+      }
+      return inputObject("InputEventJoypadMotion", {
+        ...base,
+        axis: lookup(JOY_AXES, event.axis, "joypad axis"),
+        axis_value: direction,
+      });
+    }
+    default:
+      throw new Error(
+        `Unknown input event type '${event.type}'. Use key, mouse_button, joypad_button or joypad_motion.`
+      );
+  }
+}
+
+/**
+ * Readable summary of a parsed InputEvent object, in the same shape
+ * buildInputEvent accepts.
+ */
+export function describeInputEvent(value) {
+  const props = value?.properties || {};
+  switch (value?.class) {
+    case "InputEventKey": {
+      const physical = Boolean(props.physical_keycode);
+      const code = physical ? props.physical_keycode : props.keycode || props.key_label;
+      const summary = { type: "key", key: nameForCode(KEY_CODES, code) ?? code, physical };
+      for (const [flag, prop] of MODIFIER_PROPS) {
+        if (props[prop]) summary[flag] = true;
+      }
+      return summary;
+    }
+    case "InputEventMouseButton":
+      return {
+        type: "mouse_button",
+        button: nameForCode(MOUSE_BUTTONS, props.button_index) ?? props.button_index,
+      };
+    case "InputEventJoypadButton":
+      return {
+        type: "joypad_button",
+        button: nameForCode(JOY_BUTTONS, props.button_index) ?? props.button_index,
+        ...(props.device !== undefined && props.device !== -1 ? { device: props.device } : {}),
+      };
+    case "InputEventJoypadMotion":
+      return {
+        type: "joypad_motion",
+        axis: nameForCode(JOY_AXES, props.axis) ?? props.axis,
+        direction: props.axis_value < 0 ? -1 : 1,
+        ...(props.device !== undefined && props.device !== -1 ? { device: props.device } : {}),
+      };
+    default:
+      return { type: "other", class: value?.class || "unknown" };
+  }
+}
+
+/**
+ * Whether two InputEvent objects trigger on the same input.
+ */
+export function sameInputEvent(a, b) {
+  return JSON.stringify(describeInputEvent(a)) === JSON.stringify(describeInputEvent(b));
+}
+
+export function isBuiltinAction(name) {
+  return name.startsWith(BUILTIN_ACTION_PREFIX);
+}
+
+/**
+ * Input actions a script refers to by name: Input.is_action_pressed("x"),
+ * event.is_action("x"), Input.get_axis("a", "b"), Input.get_vector(...) and
+ * the like. Actions created at runtime with InputMap.add_action("x") are
+ * returned separately.
+ * @returns {{references: {action: string, call: string, line: number}[], added: string[]}}
+ */
+export function findActionReferences(source) {
+  const code = stripComments(source.replace(/\r\n/g, "\n"));
+  const references = [];
+  const added = [];
+  const callRe =
+    /\b(is_action(?:_pressed|_just_pressed|_just_released|_released)?|get_action_(?:raw_)?strength|action_press|action_release|get_axis|get_vector|add_action|has_action|action_add_event|action_erase_events?)\s*\(([^()]*)\)/g;
+  let match;
+  while ((match = callRe.exec(code)) !== null) {
+    const [, call, argsText] = match;
+    const names = [...argsText.matchAll(/&?"([^"\n]*)"|&?'([^'\n]*)'/g)].map(
+      (arg) => arg[1] ?? arg[2]
+    );
+    if (names.length === 0) continue;
+    if (call === "add_action") {
+      added.push(names[0]);
+      continue;
+    }
+    // has_action() is how scripts check for optional actions.
+    if (call === "has_action") continue;
+    const line = lineNumberAt(code, match.index);
+    const actionArgs = call === "get_axis" || call === "get_vector" ? names.slice(0, 4) : names.slice(0, 1);
+    for (const action of actionArgs) {
+      references.push({ action, call, line });
+    }
+  }
+  return { references, added };
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const MODIFIER_PROPS = [
+  ["alt", "alt_pressed"],
+  ["shift", "shift_pressed"],
+  ["ctrl", "ctrl_pressed"],
+  ["meta", "meta_pressed"],
+];
+
+function modifiers(event) {
+  return Object.fromEntries(MODIFIER_PROPS.map(([flag, prop]) => [prop, Boolean(event[flag])]));
+}
+
+function inputObject(className, properties) {
+  return { type: "Object", class: className, properties: { ...properties, script: null } };
+}
+
+function keyName(key) {
+  if (typeof key === "number") {
+    const name = nameForCode(KEY_CODES, key);
+    if (name) return name;
+    throw new Error(`Unknown key code: ${key}`);
+  }
+  const raw = String(key ?? "").trim().replace(/^KEY_/i, "");
+  const compact = raw.replace(/[\s_-]/g, "").toLowerCase();
+  if (KEY_ALIASES[compact]) return KEY_ALIASES[compact];
+  const name = Object.keys(KEY_CODES).find((candidate) => candidate.toLowerCase() === compact);
+  if (!name) throw new Error(`Unknown key: '${key}'`);
+  return name;
+}
+
+function unicodeFor(code, shift) {
+  if (code >= 65 && code <= 90) return shift ? code : code + 32;
+  return code < 128 ? code : 0;
+}
+
+function lookup(table, value, label) {
+  if (typeof value === "number" && Number.isInteger(value)) return value;
+  const key = String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/^(?:mouse_button_|joy_button_|joy_axis_)/, "")
+    .replace(/[\s-]/g, "_");
+  if (key in table) return table[key];
+  throw new Error(`Unknown ${label}: '${value}'. Expected one of: ${Object.keys(table).join(", ")}`);
+}
+
+function nameForCode(table, code) {
+  return Object.keys(table).find((name) => table[name] === code);
+}
@@ -0,0 +1,204 @@
+/**
+ * Small offline JSON Schema validator for the schemas shipped in docs/.
+ *
+ * Supports the draft 2020-12 keywords those schemas use: type (including
+ * "integer" and type lists), const, enum, properties, required,
+ * additionalProperties, propertyNames, items, minItems, minLength, pattern,
+ * minimum, maximum, format "date-time", allOf/anyOf/oneOf, if/then/else and
+ * $ref to "#/..." pointers or to another registered schema's $id. Unknown
+ * keywords are ignored.
+ *
+ * Errors are `{path, message}` with paths written like
+ * `report.scores.core_loop_fun` or `custom_gates[0].rule`; "" is the root.
+ */
+
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i;
+
+/**
+ * Validate a value against a schema.
+ * @param {object} schema - root schema
+ * @param {*} value
+ * @param {{schemas?: object[], path?: string}} [options] - other schemas
+ *   that `$ref` may point at by `$id`, and a path prefix for errors
+ * @returns {{path: string, message: string}[]}
+ */
+export function validateSchema(schema, value, { schemas = [], path = "" } = {}) {
+  const registry = new Map();
+  for (const entry of [schema, ...schemas]) {
+    if (entry?.$id) registry.set(entry.$id, entry);
+  }
+  const errors = [];
+  check(schema, value, path, { root: schema, registry, errors });
+  return errors;
+}
+
+function check(schema, value, path, ctx) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    ctx.errors.push({ path, message: "is not allowed" });
+    return;
+  }
+
+  if (schema.$ref) {
+    const { target, root } = resolveRef(schema.$ref, ctx);
+    if (!target) {
+      ctx.errors.push({ path, message: `unresolved $ref ${schema.$ref}` });
+      return;
+    }
+    check(target, value, path, { ...ctx, root });
+  }
+
+  if (schema.type !== undefined && !matchesType(schema.type, value)) {
+    const types = Array.isArray(schema.type) ? schema.type.join(" or ") : schema.type;
+    ctx.errors.push({ path, message: `must be ${article(types)} ${types}` });
+    return;
+  }
+  if ("const" in schema && !deepEqual(schema.const, value)) {
+    ctx.errors.push({ path, message: `must equal ${JSON.stringify(schema.const)}` });
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some((option) => deepEqual(option, value))) {
+    ctx.errors.push({ path, message: `must be one of: ${schema.enum.map((option) => JSON.stringify(option)).join(", ")}` });
+  }
+
+  if (typeof value === "string") {
+    if (Number.isFinite(schema.minLength) && [...value].length < schema.minLength) {
+      ctx.errors.push({ path, message: `must have at least ${schema.minLength} character(s)` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) {
+      ctx.errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+    if (schema.format === "date-time" && (!DATE_TIME.test(value) || Number.isNaN(Date.parse(value)))) {
+      ctx.errors.push({ path, message: "must be an ISO 8601 date-time" });
+    }
+  }
+  if (typeof value === "number") {
+    if (Number.isFinite(schema.minimum) && value < schema.minimum) {
+      ctx.errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (Number.isFinite(schema.maximum) && value > schema.maximum) {
+      ctx.errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+  if (Array.isArray(value)) {
+    if (Number.isFinite(schema.minItems) && value.length < schema.minItems) {
+      ctx.errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, ctx));
+    }
+  }
+  if (isObject(value)) checkObject(schema, value, path, ctx);
+
+  for (const sub of schema.allOf || []) check(sub, value, path, ctx);
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some((sub) => passes(sub, value, path, ctx))) {
+    ctx.errors.push({ path, message: "does not match any allowed shape" });
+  }
+  if (Array.isArray(schema.oneOf)) {
+    const matching = schema.oneOf.filter((sub) => passes(sub, value, path, ctx));
+    if (matching.length !== 1) {
+      // With one candidate whose discriminating const matches, its errors are
+      // more useful than a generic message.
+      const candidate = matching.length === 0 ? closestBranch(schema.oneOf, value, path, ctx) : null;
+      if (candidate) check(candidate, value, path, ctx);
+      else {
+        ctx.errors.push({
+          path,
+          message: matching.length === 0 ? "does not match any allowed shape" : "matches more than one allowed shape",
+        });
+      }
+    }
+  }
+  if (schema.if !== undefined) {
+    if (passes(schema.if, value, path, ctx)) {
+      if (schema.then !== undefined) check(schema.then, value, path, ctx);
+    } else if (schema.else !== undefined) {
+      check(schema.else, value, path, ctx);
+    }
+  }
+}
+
+function checkObject(schema, value, path, ctx) {
+  for (const key of schema.required || []) {
+    if (!(key in value)) ctx.errors.push({ path: join(path, key), message: "is required" });
+  }
+  const properties = schema.properties || {};
+  for (const [key, item] of Object.entries(value)) {
+    const childPath = join(path, key);
+    if (schema.propertyNames) check(schema.propertyNames, key, childPath, ctx);
+    if (key in properties) {
+      check(properties[key], item, childPath, ctx);
+    } else if (schema.additionalProperties === false) {
+      ctx.errors.push({ path: childPath, message: "is not an allowed property" });
+    } else if (schema.additionalProperties !== undefined) {
+      check(schema.additionalProperties, item, childPath, ctx);
+    }
+  }
+}
+
+function passes(schema, value, path, ctx) {
+  const errors = [];
+  check(schema, value, path, { ...ctx, errors });
+  return errors.length === 0;
+}
+
+// oneOf branches that are objects told apart by a `type` const (like custom
+// gate rules): pick the branch whose const matches the value.
+function closestBranch(branches, value, path, ctx) {
+  if (!isObject(value)) return null;
+  const matches = branches.filter((branch) => {
+    const resolved = branch.$ref ? resolveRef(branch.$ref, ctx).target : branch;
+    const consts = Object.entries(resolved?.properties || {}).filter(([, prop]) => prop && "const" in prop);
+    return consts.length > 0 && consts.every(([key, prop]) => deepEqual(prop.const, value[key]));
+  });
+  return matches.length === 1 ? matches[0] : null;
+}
+
+function resolveRef(ref, ctx) {
+  const [base, fragment = ""] = ref.split("#");
+  const root = base ? ctx.registry.get(base) : ctx.root;
+  if (!root) return { target: null, root: ctx.root };
+  let target = root;
+  for (const part of fragment.split("/").filter(Boolean)) {
+    target = target?.[part.replace(/~1/g, "/").replace(/~0/g, "~")];
+  }
+  return { target: target ?? null, root };
+}
+
+function matchesType(type, value) {
+  if (Array.isArray(type)) return type.some((entry) => matchesType(entry, value));
+  switch (type) {
+    case "object":
+      return isObject(value);
+    case "array":
+      return Array.isArray(value);
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "null":
+      return value === null;
+    default:
+      return true;
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function join(path, key) {
+  if (!/^[\w$-]+$/.test(key)) return `${path}[${JSON.stringify(key)}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function article(word) {
+  return /^[aeiou]/i.test(word) ? "an" : "a";
+}
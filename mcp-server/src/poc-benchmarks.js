@@ -0,0 +1,485 @@
+/**
+ * PoC benchmark cohorts built from saved poc-quality-report-v1 rubric reports
+ * (.claude/quality_reports): the GO/NO-GO summary over the latest report of
+ * each benchmark, baseline vs candidate comparison by run_id prefix, and
+ * Markdown/HTML exports of both.
+ *
+ * Shared by godot_quality_summary / godot_compare_benchmarks and the
+ * scripts/poc-quality-summary.mjs and scripts/poc-benchmark-compare.mjs CLIs.
+ */
+import { readdir } from "fs/promises";
+import { resolve } from "path";
+import { readQualityReport } from "./quality-reports.js";
+
+export const DEFAULT_BENCHMARKS = ["poc_prompt_01", "poc_prompt_02", "poc_prompt_03"];
+export const DEFAULT_MIN_GO = 2;
+export const DEFAULT_MIN_SCORE_DELTA = 3;
+export const REPORT_FORMATS = ["json", "markdown", "html"];
+
+/**
+ * Load every rubric report in a reports directory. Files that cannot be
+ * parsed, and rubric reports that fail schema validation, are returned in
+ * `invalid` instead of being counted.
+ * @param {string} reportsDir - absolute directory path
+ * @param {{resDir?: string}} [options] - res:// form of the directory, used
+ *   for `quality_report_path` when the report does not carry one
+ * @returns {Promise<{reports: object[], invalid: {file: string, errors: object[]}[]}>}
+ *   reports carry `generated_at` and `_file`
+ */
+export async function loadPocReports(reportsDir, { resDir = "" } = {}) {
+  let entries = [];
+  try {
+    entries = await readdir(reportsDir, { withFileTypes: true });
+  } catch {
+    return { reports: [], invalid: [] };
+  }
+
+  const reports = [];
+  const invalid = [];
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    if (!entry.isFile() || !entry.name.endsWith(".json")) continue;
+    const absPath = resolve(reportsDir, entry.name);
+    const file = resDir ? `${resDir}/${entry.name}` : absPath;
+    const { payload, errors } = await readQualityReport(absPath);
+    const report = payload?.report;
+    const isRubric = payload?.trigger === "poc_rubric_score" || report?.schema_version === "poc-quality-report-v1";
+    if (!payload || (isRubric && errors.length > 0)) {
+      invalid.push({ file, errors });
+      continue;
+    }
+    if (!isRubric) continue;
+    reports.push({
+      ...report,
+      quality_report_path: report.quality_report_path || (resDir ? `${resDir}/${entry.name}` : null),
+      generated_at: payload.generated_at || "",
+      _file: absPath,
+    });
+  }
+  return { reports, invalid };
+}
+
+/**
+ * Latest report per benchmark, optionally limited to one run_id prefix.
+ * @returns {Map<string, object>}
+ */
+export function latestByBenchmark(reports, runPrefix = "") {
+  const latest = new Map();
+  for (const report of reports) {
+    const runId = typeof report.run_id === "string" ? report.run_id : "";
+    if (!runId.startsWith(runPrefix)) continue;
+    const benchmarkId = report.benchmark_id || "unknown";
+    const existing = latest.get(benchmarkId);
+    if (!existing) {
+      latest.set(benchmarkId, report);
+      continue;
+    }
+    const existingTs = reportTimestamp(existing);
+    const currentTs = reportTimestamp(report);
+    if (!existingTs || (currentTs && currentTs > existingTs)) {
+      latest.set(benchmarkId, report);
+    }
+  }
+  return latest;
+}
+
+/**
+ * GO/NO-GO decision over the latest report of each required benchmark:
+ * GO when at least `minGo` are "go", INSUFFICIENT_DATA when any is missing.
+ * @param {object[]} reports - from loadPocReports
+ * @param {{benchmarks?: string[], minGo?: number}} [options]
+ */
+export function summarizePocQuality(reports, { benchmarks = DEFAULT_BENCHMARKS, minGo = DEFAULT_MIN_GO } = {}) {
+  const latest = latestByBenchmark(reports);
+  const requiredResults = benchmarks.map((benchmarkId) => ({
+    benchmark_id: benchmarkId,
+    report: latest.get(benchmarkId) || null,
+  }));
+
+  const missing = requiredResults.filter((item) => !item.report).map((item) => item.benchmark_id);
+  const goCount = requiredResults.filter((item) => item.report?.verdict === "go").length;
+
+  let decision = "NO_GO";
+  if (missing.length > 0) {
+    decision = "INSUFFICIENT_DATA";
+  } else if (goCount >= minGo) {
+    decision = "GO";
+  }
+
+  return {
+    report_count: reports.length,
+    decision,
+    go_count: goCount,
+    min_go: minGo,
+    required_total: benchmarks.length,
+    missing_benchmarks: missing,
+    required_results: requiredResults.map((item) => ({
+      benchmark_id: item.benchmark_id,
+      run_id: item.report?.run_id || null,
+      verdict: item.report?.verdict || null,
+      weighted_total_score: item.report?.weighted_total_score ?? null,
+      iteration_count: item.report?.iteration_count ?? null,
+      max_iterations: item.report?.max_iterations ?? null,
+      quality_report_path: item.report?.quality_report_path || null,
+    })),
+  };
+}
+
+/**
+ * Summarize one cohort: the latest report per benchmark among runs whose
+ * run_id starts with `runPrefix`.
+ */
+export function summarizeCohort(name, runPrefix, benchmarks, reports) {
+  const latest = latestByBenchmark(reports, runPrefix);
+  const rows = benchmarks.map((benchmarkId) => {
+    const report = latest.get(benchmarkId) || null;
+    return {
+      benchmark_id: benchmarkId,
+      run_id: report?.run_id || null,
+      verdict: report?.verdict || null,
+      weighted_total_score: report?.weighted_total_score ?? null,
+      gates_passed: report?.gates_passed ?? null,
+      very_good_status: report?.very_good_status ?? null,
+      quality_report_path: report?.quality_report_path || null,
+      timestamp_utc: report?.timestamp_utc || report?.generated_at || null,
+    };
+  });
+
+  const available = rows.filter((row) => row.verdict !== null);
+  const scores = available.map((row) => row.weighted_total_score).filter((value) => Number.isFinite(value));
+  const missingBenchmarks = rows.filter((row) => row.verdict === null).map((row) => row.benchmark_id);
+  const cohortReports = reports.filter((report) =>
+    (typeof report.run_id === "string" ? report.run_id : "").startsWith(runPrefix)
+  );
+
+  return {
+    name,
+    run_prefix: runPrefix,
+    report_files_matched: cohortReports.length,
+    latest_per_benchmark: rows,
+    missing_benchmarks: missingBenchmarks,
+    complete: missingBenchmarks.length === 0,
+    go_count: available.filter((row) => row.verdict === "go").length,
+    no_go_count: available.filter((row) => row.verdict === "no_go").length,
+    needs_iteration_count: available.filter((row) => row.verdict === "needs_iteration").length,
+    very_good_count: available.filter((row) => row.very_good_status === true).length,
+    average_weighted_score: avg(scores),
+  };
+}
+
+/**
+ * BETTER when the candidate gains a "go" or its average score rises by at
+ * least `minScoreDelta`, WORSE on the reverse, SAME otherwise; both cohorts
+ * must be complete. Per-benchmark rows flag go → no_go/needs_iteration
+ * regressions.
+ */
+export function compareCohorts(baseline, candidate, minScoreDelta = DEFAULT_MIN_SCORE_DELTA) {
+  const hasComparableScores =
+    Number.isFinite(baseline.average_weighted_score) && Number.isFinite(candidate.average_weighted_score);
+  const scoreDelta = hasComparableScores
+    ? Number((candidate.average_weighted_score - baseline.average_weighted_score).toFixed(2))
+    : null;
+  const goDelta = candidate.go_count - baseline.go_count;
+
+  let verdict = "INSUFFICIENT_DATA";
+  if (baseline.complete && candidate.complete && hasComparableScores) {
+    if (goDelta > 0 || scoreDelta >= minScoreDelta) {
+      verdict = "BETTER";
+    } else if (goDelta < 0 || scoreDelta <= -minScoreDelta) {
+      verdict = "WORSE";
+    } else {
+      verdict = "SAME";
+    }
+  }
+
+  const perBenchmark = baseline.latest_per_benchmark.map((base, i) => {
+    const cand = candidate.latest_per_benchmark[i];
+    const delta =
+      Number.isFinite(base.weighted_total_score) && Number.isFinite(cand.weighted_total_score)
+        ? Number((cand.weighted_total_score - base.weighted_total_score).toFixed(2))
+        : null;
+    return {
+      benchmark_id: base.benchmark_id,
+      baseline_verdict: base.verdict,
+      candidate_verdict: cand.verdict,
+      baseline_score: base.weighted_total_score,
+      candidate_score: cand.weighted_total_score,
+      score_delta: delta,
+      regressed: base.verdict === "go" && cand.verdict !== null && cand.verdict !== "go",
+    };
+  });
+
+  return {
+    verdict,
+    min_score_delta: minScoreDelta,
+    go_delta: goDelta,
+    average_score_delta: scoreDelta,
+    regressed_benchmarks: perBenchmark.filter((row) => row.regressed).map((row) => row.benchmark_id),
+    per_benchmark: perBenchmark,
+  };
+}
+
+/**
+ * Baseline vs candidate comparison over a set of reports.
+ * @param {object[]} reports - from loadPocReports
+ * @param {{baselinePrefix?: string, candidatePrefix?: string,
+ *   benchmarks?: string[], minScoreDelta?: number}} [options]
+ */
+export function compareBenchmarks(
+  reports,
+  {
+    baselinePrefix = "baseline",
+    candidatePrefix = "candidate",
+    benchmarks = DEFAULT_BENCHMARKS,
+    minScoreDelta = DEFAULT_MIN_SCORE_DELTA,
+  } = {}
+) {
+  const baseline = summarizeCohort("baseline", baselinePrefix, benchmarks, reports);
+  const candidate = summarizeCohort("candidate", candidatePrefix, benchmarks, reports);
+  return {
+    benchmarks,
+    baseline,
+    candidate,
+    comparison: compareCohorts(baseline, candidate, minScoreDelta),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Report exports
+// ---------------------------------------------------------------------------
+
+/** Markdown for the result of summarizePocQuality. */
+export function qualitySummaryMarkdown(summary) {
+  const lines = [
+    "# PoC Quality Summary",
+    "",
+    `**Decision:** ${summary.decision} (go ${summary.go_count}/${summary.required_total}, need ${summary.min_go})`,
+    "",
+  ];
+  if (summary.missing_benchmarks.length > 0) {
+    lines.push(`**Missing:** ${summary.missing_benchmarks.join(", ")}`, "");
+  }
+  lines.push(...invalidMarkdown(summary.invalid_reports));
+  lines.push(
+    markdownTable(
+      ["Benchmark", "Run", "Verdict", "Score", "Iteration", "Report"],
+      summary.required_results.map((row) => [
+        row.benchmark_id,
+        row.run_id,
+        row.verdict,
+        row.weighted_total_score,
+        row.iteration_count === null ? null : `${row.iteration_count}/${row.max_iterations ?? "?"}`,
+        row.quality_report_path,
+      ])
+    )
+  );
+  return `${lines.join("\n")}\n`;
+}
+
+/** Markdown for the result of compareBenchmarks. */
+export function benchmarkComparisonMarkdown(result) {
+  const { baseline, candidate, comparison } = result;
+  const lines = [
+    "# PoC Benchmark Comparison",
+    "",
+    `**Verdict:** ${comparison.verdict} (go delta ${signed(comparison.go_delta)}, ` +
+      `average score delta ${comparison.average_score_delta === null ? "n/a" : signed(comparison.average_score_delta)}, ` +
+      `threshold ${comparison.min_score_delta})`,
+    "",
+  ];
+  if (comparison.regressed_benchmarks.length > 0) {
+    lines.push(`**Regressed from go:** ${comparison.regressed_benchmarks.join(", ")}`, "");
+  }
+  lines.push(...invalidMarkdown(result.invalid_reports));
+  lines.push(
+    markdownTable(
+      ["Cohort", "Prefix", "Complete", "Reports", "Avg score", "Go", "No-go", "Needs iteration"],
+      [baseline, candidate].map((cohort) => [
+        cohort.name,
+        cohort.run_prefix,
+        cohort.complete ? "yes" : "no",
+        cohort.report_files_matched,
+        cohort.average_weighted_score,
+        cohort.go_count,
+        cohort.no_go_count,
+        cohort.needs_iteration_count,
+      ])
+    ),
+    "",
+    markdownTable(
+      ["Benchmark", "Baseline", "Candidate", "Delta"],
+      comparison.per_benchmark.map((row) => [
+        row.benchmark_id,
+        cellPair(row.baseline_verdict, row.baseline_score),
+        cellPair(row.candidate_verdict, row.candidate_score),
+        row.score_delta === null ? null : signed(row.score_delta) + (row.regressed ? " ⚠ regressed" : ""),
+      ])
+    )
+  );
+  return `${lines.join("\n")}\n`;
+}
+
+/** Standalone HTML for the result of summarizePocQuality. */
+export function qualitySummaryHtml(summary) {
+  const body = [
+    `<h1>PoC Quality Summary</h1>`,
+    `<p class="verdict ${verdictClass(summary.decision)}">Decision: ${escapeHtml(summary.decision)} ` +
+      `(go ${summary.go_count}/${summary.required_total}, need ${summary.min_go})</p>`,
+    summary.missing_benchmarks.length > 0
+      ? `<p>Missing: ${escapeHtml(summary.missing_benchmarks.join(", "))}</p>`
+      : "",
+    invalidHtml(summary.invalid_reports),
+    htmlTable(
+      ["Benchmark", "Run", "Verdict", "Score", "Iteration", "Report"],
+      summary.required_results.map((row) => [
+        row.benchmark_id,
+        row.run_id,
+        row.verdict,
+        row.weighted_total_score,
+        row.iteration_count === null ? null : `${row.iteration_count}/${row.max_iterations ?? "?"}`,
+        row.quality_report_path,
+      ])
+    ),
+  ];
+  return htmlDocument("PoC Quality Summary", body.join("\n"));
+}
+
+/** Standalone HTML for the result of compareBenchmarks. */
+export function benchmarkComparisonHtml(result) {
+  const { baseline, candidate, comparison } = result;
+  const body = [
+    `<h1>PoC Benchmark Comparison</h1>`,
+    `<p class="verdict ${verdictClass(comparison.verdict)}">Verdict: ${escapeHtml(comparison.verdict)} ` +
+      `(go delta ${signed(comparison.go_delta)}, average score delta ` +
+      `${comparison.average_score_delta === null ? "n/a" : signed(comparison.average_score_delta)}, ` +
+      `threshold ${comparison.min_score_delta})</p>`,
+    comparison.regressed_benchmarks.length > 0
+      ? `<p class="verdict bad">Regressed from go: ${escapeHtml(comparison.regressed_benchmarks.join(", "))}</p>`
+      : "",
+    invalidHtml(result.invalid_reports),
+    htmlTable(
+      ["Cohort", "Prefix", "Complete", "Reports", "Avg score", "Go", "No-go", "Needs iteration"],
+      [baseline, candidate].map((cohort) => [
+        cohort.name,
+        cohort.run_prefix,
+        cohort.complete ? "yes" : "no",
+        cohort.report_files_matched,
+        cohort.average_weighted_score,
+        cohort.go_count,
+        cohort.no_go_count,
+        cohort.needs_iteration_count,
+      ])
+    ),
+    htmlTable(
+      ["Benchmark", "Baseline", "Candidate", "Delta"],
+      comparison.per_benchmark.map((row) => [
+        row.benchmark_id,
+        cellPair(row.baseline_verdict, row.baseline_score),
+        cellPair(row.candidate_verdict, row.candidate_score),
+        row.score_delta === null ? null : signed(row.score_delta) + (row.regressed ? " (regressed)" : ""),
+      ])
+    ),
+  ];
+  return htmlDocument("PoC Benchmark Comparison", body.join("\n"));
+}
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function invalidMarkdown(invalid = []) {
+  if (invalid.length === 0) return [];
+  return [
+    `**Invalid reports skipped:** ${invalid.length}`,
+    "",
+    ...invalid.map((entry) => `- ${entry.file}: ${schemaErrorText(entry.errors[0])}`),
+    "",
+  ];
+}
+
+function invalidHtml(invalid = []) {
+  if (invalid.length === 0) return "";
+  const items = invalid.map((entry) => `<li>${escapeHtml(`${entry.file}: ${schemaErrorText(entry.errors[0])}`)}</li>`);
+  return `<p class="verdict neutral">Invalid reports skipped: ${invalid.length}</p>\n<ul>${items.join("")}</ul>`;
+}
+
+function schemaErrorText(error) {
+  return error ? `${error.path || "(root)"} ${error.message}` : "invalid";
+}
+
+function markdownTable(headers, rows) {
+  const cell = (value) => (value === null || value === undefined ? "n/a" : String(value).replace(/\|/g, "\\|"));
+  return [
+    `| ${headers.join(" | ")} |`,
+    `| ${headers.map(() => "---").join(" | ")} |`,
+    ...rows.map((row) => `| ${row.map(cell).join(" | ")} |`),
+  ].join("\n");
+}
+
+function htmlTable(headers, rows) {
+  const cell = (value) => escapeHtml(value === null || value === undefined ? "n/a" : value);
+  return [
+    "<table>",
+    `<tr>${headers.map((header) => `<th>${escapeHtml(header)}</th>`).join("")}</tr>`,
+    ...rows.map((row) => `<tr>${row.map((value) => `<td>${cell(value)}</td>`).join("")}</tr>`),
+    "</table>",
+  ].join("\n");
+}
+
+function htmlDocument(title, body) {
+  return [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    "<style>",
+    "body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }",
+    "table { border-collapse: collapse; margin: 1rem 0; }",
+    "th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; text-align: left; }",
+    "th { background: #f3f3f3; }",
+    ".verdict { font-weight: bold; }",
+    ".good { color: #1a7f37; } .bad { color: #cf222e; } .neutral { color: #9a6700; }",
+    "</style>",
+    "</head>",
+    "<body>",
+    body,
+    "</body>",
+    "</html>",
+    "",
+  ].join("\n");
+}
+
+function verdictClass(verdict) {
+  if (verdict === "GO" || verdict === "BETTER" || verdict === "SAME") return "good";
+  if (verdict === "NO_GO" || verdict === "WORSE") return "bad";
+  return "neutral";
+}
+
+function cellPair(verdict, score) {
+  if (verdict === null) return null;
+  return `${verdict} (${score ?? "n/a"})`;
+}
+
+function signed(value) {
+  return value > 0 ? `+${value}` : String(value);
+}
+
+function safeDate(value) {
+  const d = new Date(value || "");
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function reportTimestamp(report) {
+  return safeDate(report.timestamp_utc) || safeDate(report.generated_at);
+}
+
+function avg(values) {
+  if (values.length === 0) return null;
+  const sum = values.reduce((acc, value) => acc + value, 0);
+  return Number((sum / values.length).toFixed(2));
+}
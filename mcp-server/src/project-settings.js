@@ -0,0 +1,289 @@
+/**
+ * Parses project.godot into typed settings and writes changes back without
+ * disturbing comments, ordering or untouched values.
+ */
+import { readFile, writeFile } from "fs/promises";
+import { resolve } from "path";
+import { keepFloat, parseVariant, readVariant, serializeVariant } from "./variant.js";
+
+const PROJECT_PATH = process.env.GODOT_PROJECT_PATH || ".";
+
+/**
+ * Read and parse the project's project.godot. Returns null when it does not
+ * exist.
+ */
+export async function readProjectSettings() {
+  let content;
+  try {
+    content = await readFile(resolve(PROJECT_PATH, "project.godot"), "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+  return parseProjectGodot(content);
+}
+
+/**
+ * Parse project.godot one line at a time for reading when parseProjectGodot
+ * fails: a value that doesn't parse is kept as its raw text (quotes
+ * stripped) instead of losing every other setting, and values continued on
+ * later lines are cut at the first line.
+ * @param {string} content
+ * @returns {Object<string, any>} settings by "section/key"
+ */
+export function parseProjectGodotLines(content) {
+  const settings = {};
+  let section = "";
+  for (const line of content.split("\n")) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith(";")) continue;
+
+    const header = trimmed.match(/^\[([^\]]+)\]$/);
+    if (header) {
+      section = header[1];
+      continue;
+    }
+    const kvMatch = trimmed.match(/^([\w/:.\-]+)\s*=\s*(.+)$/);
+    if (!kvMatch) continue;
+    const raw = kvMatch[2].trim();
+    let value;
+    try {
+      value = parseVariant(raw);
+    } catch {
+      value = raw.startsWith('"') && raw.endsWith('"') ? raw.slice(1, -1) : raw;
+    }
+    settings[section ? `${section}/${kvMatch[1]}` : kvMatch[1]] = value;
+  }
+  return settings;
+}
+
+/**
+ * Serialize settings (as returned by readProjectSettings) to project.godot.
+ */
+export async function writeProjectSettings(project) {
+  await writeFile(
+    resolve(PROJECT_PATH, "project.godot"),
+    serializeProjectGodot(project),
+    "utf-8"
+  );
+}
+
+// Source text captured by parseProjectGodot, keyed by the returned object.
+const _sourceInfo = new WeakMap();
+
+/**
+ * Parse project.godot text.
+ *
+ * Settings are keyed by their full path ("application/config/name"; keys
+ * before the first section, like config_version, have no section prefix) and
+ * decoded with the Variant parser, so multi-line dictionaries such as
+ * [input] actions and PackedStringArray plugin lists come back typed.
+ * @param {string} content
+ * @returns {{settings: Object<string, any>}}
+ */
+export function parseProjectGodot(content) {
+  const result = { settings: {} };
+  const source = {
+    text: content,
+    eol: content.includes("\r\n") ? "\r\n" : "\n",
+    entries: [],
+    sections: [],
+  };
+
+  let section = null;
+  let pos = 0;
+  while (pos < content.length) {
+    const lineEnd = _lineEnd(content, pos);
+    const line = content.slice(pos, lineEnd);
+    const trimmed = line.trim();
+
+    const header = trimmed.match(/^\[([^\]]+)\]$/);
+    if (header) {
+      section = { name: header[1], start: pos, end: lineEnd };
+      source.sections.push(section);
+    } else if (trimmed && !trimmed.startsWith(";")) {
+      const kvMatch = line.match(_KEY_RE);
+      if (kvMatch) {
+        const key = kvMatch[1].startsWith('"') ? parseVariant(kvMatch[1]) : kvMatch[1];
+        const { value, end } = readVariant(content, pos + kvMatch[0].length);
+        const fullKey = section ? `${section.name}/${key}` : key;
+        result.settings[fullKey] = value;
+        source.entries.push({
+          fullKey,
+          section: section ? section.name : "",
+          start: pos,
+          end,
+          literal: content.slice(pos + kvMatch[0].length, end),
+          snapshot: JSON.stringify(value),
+        });
+        pos = _lineEnd(content, end) + 1;
+        continue;
+      }
+    }
+    pos = lineEnd + 1;
+  }
+
+  _sourceInfo.set(result, source);
+  return result;
+}
+
+/**
+ * Serialize settings back to project.godot text.
+ *
+ * Untouched settings, comments and blank lines are copied from the parsed
+ * text. Changed settings are rewritten in place, removed ones are dropped,
+ * and new ones are added to their section, which is created (in the
+ * alphabetical position Godot uses) when missing. Within a section, settings
+ * keep their order in `settings`.
+ * @param {{settings: Object<string, any>}} project
+ * @returns {string}
+ */
+export function serializeProjectGodot(project) {
+  const source = _sourceInfo.get(project) || {
+    text: "",
+    eol: "\n",
+    entries: [],
+    sections: [],
+  };
+  const { text } = source;
+  const settings = project.settings || {};
+  const edits = [];
+
+  const existing = new Set();
+  const kept = [];
+  for (const entry of source.entries) {
+    existing.add(entry.fullKey);
+    if (!(entry.fullKey in settings)) {
+      // Drop the whole line, including its line break.
+      const end = text[entry.end] === "\r" ? entry.end + 1 : entry.end;
+      edits.push({ start: entry.start, end: text[end] === "\n" ? end + 1 : end, text: "" });
+      continue;
+    }
+    kept.push(entry);
+  }
+
+  // Settings are written in their order in `settings`, so a section can be
+  // reordered by re-inserting its keys: each existing entry slot takes the
+  // setting that now belongs there (comments between slots stay put), and
+  // the settings left over are appended after the section's last slot.
+  const keysBySection = new Map();
+  for (const [fullKey, value] of Object.entries(settings)) {
+    if (!existing.has(fullKey) && value === undefined) continue;
+    const { section } = splitSettingKey(fullKey);
+    if (!keysBySection.has(section)) keysBySection.set(section, []);
+    keysBySection.get(section).push(fullKey);
+  }
+  const keptByKey = new Map(kept.map((entry) => [entry.fullKey, entry]));
+  const added = new Map();
+  for (const [sectionName, keys] of keysBySection) {
+    const slots = kept.filter((entry) => entry.section === sectionName);
+    keys.forEach((fullKey, index) => {
+      const entry = keptByKey.get(fullKey);
+      const slot = slots[index];
+      const formatted = () =>
+        formatEntry(splitSettingKey(fullKey).key, keepFloat(settings[fullKey], entry?.literal));
+      if (!slot) {
+        if (!added.has(sectionName)) added.set(sectionName, []);
+        added.get(sectionName).push(formatted());
+        return;
+      }
+      const changed = !entry || JSON.stringify(settings[fullKey]) !== entry.snapshot;
+      if (entry === slot && !changed) return;
+      edits.push({
+        start: slot.start,
+        end: slot.end,
+        text: changed ? formatted() : text.slice(entry.start, entry.end),
+      });
+    });
+  }
+
+  // New sections that land at the same offset are written in name order,
+  // like the editor writes them.
+  const byName = [...added].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  for (const [sectionName, lines] of byName) {
+    const block = lines.join("\n");
+    // Leftover settings follow the last setting kept in their section, or
+    // take the place of the first removed one.
+    const anchor = kept.filter((entry) => entry.section === sectionName).pop();
+    const removed = source.entries.find((entry) => entry.section === sectionName);
+    if (anchor) {
+      edits.push({ start: anchor.end, end: anchor.end, text: `\n${block}` });
+      continue;
+    }
+    if (removed) {
+      edits.push({ start: removed.start, end: removed.start, text: `${block}\n` });
+      continue;
+    }
+
+    if (sectionName === "") {
+      const at = source.sections[0]?.start ?? text.length;
+      edits.push({ start: at, end: at, text: `${block}\n\n` });
+      continue;
+    }
+
+    const section = source.sections.find((candidate) => candidate.name === sectionName);
+    if (section) {
+      edits.push({ start: section.end, end: section.end, text: `\n\n${block}` });
+      continue;
+    }
+
+    const following = source.sections.find((candidate) => candidate.name > sectionName);
+    if (following) {
+      edits.push({
+        start: following.start,
+        end: following.start,
+        text: `[${sectionName}]\n\n${block}\n\n`,
+      });
+    } else {
+      const needsBreak = text.length > 0 && !text.endsWith("\n");
+      const separator = text.length === 0 ? "" : needsBreak ? "\n\n" : "\n";
+      edits.push({
+        start: text.length,
+        end: text.length,
+        text: `${separator}[${sectionName}]\n\n${block}\n`,
+      });
+    }
+  }
+
+  // Apply edits back to front so earlier offsets stay valid. At the same
+  // offset, replacements go first and insertions keep their queued order.
+  const ordered = edits
+    .map((edit, index) => ({ ...edit, index }))
+    .sort(
+      (a, b) =>
+        b.start - a.start ||
+        b.end - b.start - (a.end - a.start) ||
+        b.index - a.index
+    );
+  let out = text;
+  for (const edit of ordered) {
+    const replacement =
+      source.eol === "\n" ? edit.text : edit.text.replace(/\r?\n/g, source.eol);
+    out = out.slice(0, edit.start) + replacement + out.slice(edit.end);
+  }
+  return out;
+}
+
+/**
+ * Split "application/config/name" into its section and in-section key.
+ * Keys without a slash live before the first section.
+ */
+export function splitSettingKey(fullKey) {
+  const slash = fullKey.indexOf("/");
+  if (slash === -1) return { section: "", key: fullKey };
+  return { section: fullKey.slice(0, slash), key: fullKey.slice(slash + 1) };
+}
+
+// Setting keys may contain slashes and dots ("rendering_method.mobile"), or
+// be quoted when they hold anything else.
+const _KEY_RE = /^\s*([\w/:.\-]+|"(?:[^"\\]|\\.)*")\s*=\s*/;
+
+function formatEntry(key, value) {
+  const formattedKey = /^[\w/:.\-]+$/.test(key) ? key : serializeVariant(key);
+  return `${formattedKey}=${serializeVariant(value)}`;
+}
+
+function _lineEnd(content, pos) {
+  const idx = content.indexOf("\n", pos);
+  return idx === -1 ? content.length : idx;
+}
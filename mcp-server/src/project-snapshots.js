@@ -0,0 +1,368 @@
+/**
+ * Project file snapshots (.claude/snapshots): content-addressed copies of the
+ * project's scripts, scenes, resources and project.godot, taken by hand or on
+ * every phase completion, plus diffs between snapshots and rollback.
+ *
+ * Layout: objects/<sha[0:2]>/<sha256> holds file contents once per distinct
+ * content; manifests/<id>.json maps res:// paths to hashes.
+ */
+import { createHash } from "crypto";
+import { mkdir, readdir, readFile, rename, rm, stat, writeFile } from "fs/promises";
+import { dirname, extname, join, relative, resolve } from "path";
+import { writeJsonAtomic } from "./build-state.js";
+
+export const SNAPSHOT_EXTENSIONS = [".gd", ".tscn", ".tres"];
+export const SNAPSHOT_ROOT_FILES = ["project.godot"];
+export const SNAPSHOT_MAX_FILE_BYTES = 1024 * 1024;
+export const SNAPSHOT_LIMIT = 100;
+
+const SNAPSHOT_ID = /^[\w.-]+$/;
+
+// ---------------------------------------------------------------------------
+// Collecting files
+// ---------------------------------------------------------------------------
+
+function isSnapshotFile(resPath) {
+  return SNAPSHOT_EXTENSIONS.includes(extname(resPath)) || SNAPSHOT_ROOT_FILES.includes(resPath.slice("res://".length));
+}
+
+async function walk(root, dir, out) {
+  let entries;
+  try {
+    entries = await readdir(dir, { withFileTypes: true });
+  } catch {
+    return out;
+  }
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const full = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      // Hidden dirs cover .godot/, .claude/ and .git/; addons are managed by godot_install_addon
+      if (entry.name.startsWith(".") || (dir === root && entry.name === "addons")) continue;
+      await walk(root, full, out);
+    } else if (entry.isFile()) {
+      const resPath = `res://${relative(root, full).split("\\").join("/")}`;
+      if (isSnapshotFile(resPath)) out.push({ path: resPath, abs: full });
+    }
+  }
+  return out;
+}
+
+function hashContent(content) {
+  return createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Read and hash the files a snapshot would contain, without storing them.
+ * Files over `maxBytes` and files with NUL bytes (binary .res saved as .tres)
+ * are listed in `skipped`.
+ * @returns {Promise<{files: Object<string, {sha256: string, size: number}>,
+ *   skipped: {path: string, reason: string, size: number}[], contents: Map<string, Buffer>}>}
+ */
+export async function scanProjectFiles(root, { maxBytes = SNAPSHOT_MAX_FILE_BYTES } = {}) {
+  const files = {};
+  const skipped = [];
+  const contents = new Map();
+  for (const { path, abs } of await walk(resolve(root), resolve(root), [])) {
+    const { size } = await stat(abs);
+    if (size > maxBytes) {
+      skipped.push({ path, reason: "too_large", size });
+      continue;
+    }
+    const content = await readFile(abs);
+    if (content.includes(0)) {
+      skipped.push({ path, reason: "binary", size });
+      continue;
+    }
+    const sha256 = hashContent(content);
+    files[path] = { sha256, size };
+    contents.set(sha256, content);
+  }
+  return { files, skipped, contents };
+}
+
+// ---------------------------------------------------------------------------
+// Store
+// ---------------------------------------------------------------------------
+
+function objectPath(storeDir, sha256) {
+  return join(storeDir, "objects", sha256.slice(0, 2), sha256);
+}
+
+async function manifestNames(storeDir) {
+  try {
+    return (await readdir(join(storeDir, "manifests"))).filter((name) => name.endsWith(".json")).sort();
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+async function storeObject(storeDir, sha256, content) {
+  const target = objectPath(storeDir, sha256);
+  try {
+    await stat(target);
+    return false;
+  } catch {
+    /* not stored yet */
+  }
+  await mkdir(dirname(target), { recursive: true });
+  const tmpPath = `${target}.${process.pid}.tmp`;
+  await writeFile(tmpPath, content);
+  await rename(tmpPath, target);
+  return true;
+}
+
+/** Contents of a stored file, or null if the object is missing. */
+export async function readSnapshotObject(storeDir, sha256) {
+  try {
+    return await readFile(objectPath(storeDir, sha256));
+  } catch {
+    return null;
+  }
+}
+
+function snapshotId(createdAt, { trigger, phaseNumber, label }) {
+  const parts = [createdAt.replace(/[:.]/g, "-")];
+  if (Number.isInteger(phaseNumber)) parts.push(`phase${phaseNumber}`);
+  if (trigger !== "manual") return [...parts, trigger.replace(/_/g, "-")].join("-");
+  const slug = String(label || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 40);
+  if (slug) parts.push(slug);
+  return parts.join("-");
+}
+
+/**
+ * Snapshot the project: store new file contents and write a manifest.
+ * @param {string} root - project root
+ * @param {string} storeDir - absolute path of .claude/snapshots
+ * @param {{trigger?: "manual"|"phase_completion"|"pre_rollback", phaseNumber?: number,
+ *   phaseName?: string, label?: string, now?: string, limit?: number}} [options]
+ * @returns {Promise<{manifest: object, stored_objects: number, pruned: number}>}
+ */
+export async function createSnapshot(root, storeDir, options = {}) {
+  const { trigger = "manual", phaseNumber = null, phaseName = "", label = "", now, limit = SNAPSHOT_LIMIT, protect = [] } = options;
+  const { files, skipped, contents } = await scanProjectFiles(root);
+  let storedObjects = 0;
+  for (const [sha256, content] of contents) {
+    if (await storeObject(storeDir, sha256, content)) storedObjects += 1;
+  }
+
+  const createdAt = now || new Date().toISOString();
+  const names = new Set(await manifestNames(storeDir));
+  const baseId = snapshotId(createdAt, { trigger, phaseNumber, label });
+  let id = baseId;
+  for (let n = 2; names.has(`${id}.json`); n += 1) id = `${baseId}-${n}`;
+
+  const manifest = {
+    version: 1,
+    id,
+    created_at: createdAt,
+    trigger,
+    phase_number: Number.isInteger(phaseNumber) ? phaseNumber : null,
+    phase_name: phaseName || "",
+    label: label || "",
+    files,
+    skipped,
+  };
+  await writeJsonAtomic(join(storeDir, "manifests", `${id}.json`), manifest);
+  const pruned = await pruneSnapshots(storeDir, limit, { protect: [...protect, id] });
+  return { manifest, stored_objects: storedObjects, pruned };
+}
+
+/**
+ * Drop the oldest manifests beyond `limit` and delete objects no remaining
+ * manifest refers to. Snapshots named in `protect` (e.g. a rollback target)
+ * are kept; older unprotected ones go in their place.
+ * @param {{protect?: string[]}} [options]
+ * @returns {Promise<number>} number of manifests removed
+ */
+export async function pruneSnapshots(storeDir, limit = SNAPSHOT_LIMIT, { protect = [] } = {}) {
+  const names = await manifestNames(storeDir);
+  const kept = new Set(protect.map((id) => `${id}.json`));
+  const stale = new Set(names.filter((name) => !kept.has(name)).slice(0, Math.max(0, names.length - limit)));
+  if (stale.size === 0) return 0;
+  for (const name of stale) await rm(join(storeDir, "manifests", name), { force: true });
+
+  const referenced = new Set();
+  for (const name of names.filter((name) => !stale.has(name))) {
+    const manifest = JSON.parse(await readFile(join(storeDir, "manifests", name), "utf-8"));
+    for (const entry of Object.values(manifest.files || {})) referenced.add(entry.sha256);
+  }
+  const objectsDir = join(storeDir, "objects");
+  for (const prefix of await readdir(objectsDir).catch(() => [])) {
+    for (const sha256 of await readdir(join(objectsDir, prefix))) {
+      if (!referenced.has(sha256)) await rm(join(objectsDir, prefix, sha256), { force: true });
+    }
+  }
+  return stale.size;
+}
+
+/** Manifest summaries, newest first. */
+export async function listSnapshots(storeDir) {
+  const out = [];
+  for (const name of (await manifestNames(storeDir)).reverse()) {
+    try {
+      const manifest = JSON.parse(await readFile(join(storeDir, "manifests", name), "utf-8"));
+      out.push({
+        id: manifest.id,
+        created_at: manifest.created_at,
+        trigger: manifest.trigger,
+        phase_number: manifest.phase_number,
+        phase_name: manifest.phase_name,
+        label: manifest.label,
+        file_count: Object.keys(manifest.files || {}).length,
+        skipped_count: (manifest.skipped || []).length,
+      });
+    } catch (err) {
+      out.push({ id: name.slice(0, -".json".length), error: err.message });
+    }
+  }
+  return out;
+}
+
+/**
+ * Load a manifest by id, "latest", or "phase:N" (newest snapshot taken when
+ * phase N completed).
+ * @returns {Promise<{manifest: object|null, error?: string}>}
+ */
+export async function loadSnapshot(storeDir, ref) {
+  const names = await manifestNames(storeDir);
+  let name = null;
+  const phaseRef = /^phase:(\d+)$/.exec(String(ref));
+  if (ref === "latest") {
+    name = names.at(-1) ?? null;
+  } else if (phaseRef) {
+    for (const candidate of [...names].reverse()) {
+      const manifest = JSON.parse(await readFile(join(storeDir, "manifests", candidate), "utf-8").catch(() => "{}"));
+      if (manifest.trigger === "phase_completion" && manifest.phase_number === Number(phaseRef[1])) {
+        return { manifest };
+      }
+    }
+  } else if (typeof ref === "string" && SNAPSHOT_ID.test(ref) && !ref.startsWith(".")) {
+    name = names.includes(`${ref}.json`) ? `${ref}.json` : null;
+  } else {
+    return { manifest: null, error: `Invalid snapshot id: ${ref}` };
+  }
+  if (!name) return { manifest: null, error: `Snapshot not found: ${ref}` };
+  return { manifest: JSON.parse(await readFile(join(storeDir, "manifests", name), "utf-8")) };
+}
+
+// ---------------------------------------------------------------------------
+// Diff / rollback
+// ---------------------------------------------------------------------------
+
+function countLines(text) {
+  const counts = new Map();
+  for (const line of text.split("\n")) counts.set(line, (counts.get(line) || 0) + 1);
+  return counts;
+}
+
+/**
+ * Lines added and removed between two texts, ignoring order (a move counts
+ * as neither).
+ */
+export function lineChangeCounts(before, after) {
+  const a = countLines(before);
+  const b = countLines(after);
+  let added = 0;
+  let removed = 0;
+  for (const [line, n] of b) added += Math.max(0, n - (a.get(line) || 0));
+  for (const [line, n] of a) removed += Math.max(0, n - (b.get(line) || 0));
+  return { lines_added: added, lines_removed: removed };
+}
+
+/**
+ * Compare two file maps ({path: {sha256, size}}).
+ * @returns {{added: string[], removed: string[], modified: string[], unchanged_count: number}}
+ */
+export function diffFileMaps(fromFiles, toFiles) {
+  const added = [];
+  const removed = [];
+  const modified = [];
+  let unchanged = 0;
+  for (const path of Object.keys(toFiles).sort()) {
+    if (!fromFiles[path]) added.push(path);
+    else if (fromFiles[path].sha256 !== toFiles[path].sha256) modified.push(path);
+    else unchanged += 1;
+  }
+  for (const path of Object.keys(fromFiles).sort()) {
+    if (!toFiles[path]) removed.push(path);
+  }
+  return { added, removed, modified, unchanged_count: unchanged };
+}
+
+/**
+ * Diff two snapshots, or a snapshot against the project as it is now when
+ * `to` is null. Modified files carry line counts.
+ * @returns {Promise<{added: string[], removed: string[],
+ *   modified: {path: string, size_before: number, size_after: number, lines_added: number, lines_removed: number}[],
+ *   unchanged_count: number}>}
+ */
+export async function diffSnapshots(root, storeDir, from, to = null) {
+  const toFiles = to ? to.files : (await scanProjectFiles(root)).files;
+  const diff = diffFileMaps(from.files, toFiles);
+  const modified = [];
+  for (const path of diff.modified) {
+    const before = await readSnapshotObject(storeDir, from.files[path].sha256);
+    const after = to
+      ? await readSnapshotObject(storeDir, toFiles[path].sha256)
+      : await readFile(resolve(root, path.slice("res://".length))).catch(() => null);
+    modified.push({
+      path,
+      size_before: from.files[path].size,
+      size_after: toFiles[path].size,
+      ...(before && after ? lineChangeCounts(before.toString("utf-8"), after.toString("utf-8")) : {}),
+    });
+  }
+  return { ...diff, modified };
+}
+
+/**
+ * Restore the project files of a snapshot. Files that differ are rewritten;
+ * snapshot-type files that did not exist in the snapshot are deleted unless
+ * `deleteAdded` is false. Files the project has now that a snapshot would
+ * skip (over the size cap, binary) are never touched — neither overwritten
+ * nor deleted — even when an older version of them is in the snapshot, and
+ * neither are files the snapshot skipped when it was taken.
+ * @param {{paths?: string[], deleteAdded?: boolean, dryRun?: boolean}} [options]
+ *   `paths` limits the rollback to these res:// paths
+ * @returns {Promise<{restored: string[], deleted: string[], unchanged_count: number,
+ *   missing_objects: string[], skipped: string[]}>} `skipped` lists snapshot files left alone
+ */
+export async function rollbackToSnapshot(root, storeDir, manifest, { paths, deleteAdded = true, dryRun = false } = {}) {
+  const { files: current, skipped } = await scanProjectFiles(root);
+  const skippedNow = new Set(skipped.map((entry) => entry.path));
+  const only = Array.isArray(paths) && paths.length > 0 ? new Set(paths) : null;
+  const diff = diffFileMaps(manifest.files, current);
+  const inScope = (path) => !only || only.has(path);
+
+  const restore = [...diff.removed, ...diff.modified].filter((path) => inScope(path) && !skippedNow.has(path)).sort();
+  // Files the snapshot itself skipped have no saved content; they are not "added".
+  const skippedThen = new Set((manifest.skipped || []).map((entry) => entry.path));
+  const leftAlone = [
+    ...diff.removed.filter((path) => inScope(path) && skippedNow.has(path)),
+    ...diff.added.filter((path) => inScope(path) && skippedThen.has(path)),
+  ].sort();
+  const remove = deleteAdded
+    ? diff.added.filter((path) => inScope(path) && !skippedNow.has(path) && !skippedThen.has(path))
+    : [];
+  const missing = [];
+  const restored = [];
+
+  for (const path of restore) {
+    const content = await readSnapshotObject(storeDir, manifest.files[path].sha256);
+    if (!content) {
+      missing.push(path);
+      continue;
+    }
+    if (!dryRun) {
+      const abs = resolve(root, path.slice("res://".length));
+      await mkdir(dirname(abs), { recursive: true });
+      await writeFile(abs, content);
+    }
+    restored.push(path);
+  }
+  if (!dryRun) {
+    for (const path of remove) await rm(resolve(root, path.slice("res://".length)), { force: true });
+  }
+  return { restored, deleted: remove, unchanged_count: diff.unchanged_count, missing_objects: missing, skipped: leftAlone };
+}
@@ -0,0 +1,339 @@
+/**
+ * Single-file offline HTML dashboard of a project's quality history: build
+ * state, gate matrices per phase, PoC rubric scores (radar + weighted bars,
+ * next actions, signature moments) and integration pack runs.
+ *
+ * Rendering is pure; godot_export_quality_dashboard gathers the data. No
+ * scripts, fonts or images are loaded — charts are inline SVG.
+ */
+import { escapeHtml } from "./poc-benchmarks.js";
+
+const MAX_MATRIX_COLUMNS = 12;
+const MAX_EVIDENCE_LINKS = 5;
+const RADAR_SIZE = 220;
+
+/**
+ * @param {object} data
+ * @param {string} data.title
+ * @param {string} data.generatedAt - ISO timestamp
+ * @param {object|null} data.buildState - .claude/build_state.json
+ * @param {object[]} data.phases - `{phase_number, timeline, gates, latest}`
+ *   where timeline/gates come from buildQualityTrend and `latest` is the
+ *   newest full gate report payload of the phase (or null)
+ * @param {object[]} data.rubrics - PoC rubric reports (loadPocReports)
+ * @param {object} data.scoreWeights - category → weight (POC_SCORE_WEIGHTS)
+ * @param {object[]} data.integrationPacks - `{path, generated_at, report}`
+ * @param {object[]} data.invalidReports - `{file|path, errors}`
+ * @param {(resPath: string) => string|null} data.linkFor - href for a res:// file
+ * @returns {string} complete HTML document
+ */
+export function renderQualityDashboard(data) {
+  const sections = [
+    `<header><h1>${escapeHtml(data.title)}</h1><p class="muted">Generated ${escapeHtml(data.generatedAt)}</p></header>`,
+    renderOverview(data),
+    renderBuildState(data.buildState),
+    ...data.phases.map((phase) => renderPhase(phase, data.linkFor)),
+    renderRubrics(data.rubrics, data.scoreWeights, data.linkFor),
+    renderIntegrationPacks(data.integrationPacks),
+    renderInvalid(data.invalidReports),
+  ];
+  return [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(data.title)}</title>`,
+    `<style>${STYLE}</style>`,
+    "</head>",
+    "<body>",
+    sections.filter(Boolean).join("\n"),
+    "</body>",
+    "</html>",
+    "",
+  ].join("\n");
+}
+
+function renderOverview(data) {
+  const latestPhase = data.phases.at(-1);
+  const latestRubric = [...data.rubrics].sort(byTimestamp).at(-1);
+  const cards = [
+    card("Phases evaluated", data.phases.map((phase) => phase.phase_number).join(", ") || "none"),
+    latestPhase
+      ? card(
+          `Phase ${latestPhase.phase_number} gates`,
+          latestPhase.timeline.at(-1)?.gates_passed ? "passing" : `${latestPhase.timeline.at(-1)?.failed_count ?? 0} failing`,
+          latestPhase.timeline.at(-1)?.gates_passed ? "good" : "bad"
+        )
+      : "",
+    latestRubric
+      ? card(
+          "Latest PoC score",
+          `${latestRubric.weighted_total_score} · ${latestRubric.verdict}`,
+          latestRubric.verdict === "go" ? "good" : latestRubric.verdict === "no_go" ? "bad" : "neutral"
+        )
+      : "",
+    card("Integration packs", String(data.integrationPacks.length)),
+  ];
+  return `<section class="cards">${cards.join("")}</section>`;
+}
+
+function card(label, value, tone = "") {
+  return `<div class="card ${tone}"><div class="muted">${escapeHtml(label)}</div><div class="value">${escapeHtml(value)}</div></div>`;
+}
+
+function renderBuildState(state) {
+  if (!state) return `<section><h2>Build state</h2><p class="muted">No .claude/build_state.json.</p></section>`;
+  const rows = [];
+  if (state.game_name) rows.push(["Game", state.game_name]);
+  if (state.current_phase) {
+    rows.push(["Current phase", `${state.current_phase.number ?? "?"} ${state.current_phase.name ?? ""}`.trim()]);
+  }
+  if (Array.isArray(state.completed_phases)) rows.push(["Completed phases", state.completed_phases.join(", ") || "none"]);
+  if (state.session_number !== undefined) rows.push(["Session", `${state.session_number} ${state.session_name ?? ""}`.trim()]);
+  if (Array.isArray(state.files_written)) rows.push(["Files written", String(state.files_written.length)]);
+  return [
+    "<section><h2>Build state</h2>",
+    rows.length > 0
+      ? `<table class="kv">${rows.map(([key, value]) => `<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(value)}</td></tr>`).join("")}</table>`
+      : "",
+    `<details><summary>Raw build_state.json</summary><pre>${escapeHtml(JSON.stringify(state, null, 2))}</pre></details>`,
+    "</section>",
+  ].join("\n");
+}
+
+function renderPhase(phase, linkFor) {
+  const columns = phase.timeline.slice(-MAX_MATRIX_COLUMNS);
+  const offset = phase.timeline.length - columns.length;
+  const details = phase.latest?.report?.gate_details || {};
+  const gateNames = Object.keys(phase.gates).sort();
+
+  const header = columns
+    .map((point) => {
+      const label = point.generated_at.slice(5, 16).replace("T", " ");
+      return `<th title="${escapeHtml(`${point.trigger} · ${point.path}`)}">${escapeHtml(label)}</th>`;
+    })
+    .join("");
+  const rows = gateNames.map((gate) => {
+    const cells = columns
+      .map((_, i) => {
+        const value = phase.gates[gate].history[offset + i];
+        if (value === null) return `<td class="cell none">·</td>`;
+        return value ? `<td class="cell pass">✓</td>` : `<td class="cell fail">✗</td>`;
+      })
+      .join("");
+    const detail = details[gate];
+    const links = evidenceFiles(detail?.actual)
+      .map((entry) => {
+        const href = linkFor(entry.file);
+        const text = escapeHtml(`${entry.file.replace("res://", "")}${entry.line ? `:${entry.line}` : ""}`);
+        return href ? `<a href="${escapeHtml(href)}">${text}</a>` : text;
+      })
+      .join(" ");
+    const hint = detail && !detail.passed && detail.hint ? `<div class="hint">${escapeHtml(detail.hint)}</div>` : "";
+    const source = detail?.rule_source ? `<div class="muted small">${escapeHtml(detail.rule_source)}</div>` : "";
+    return `<tr><th class="gate">${escapeHtml(gate)}</th>${cells}<td class="detail">${hint}${links ? `<div class="links">${links}</div>` : ""}${source}</td></tr>`;
+  });
+
+  const skipped = offset > 0 ? `<p class="muted">Showing the newest ${columns.length} of ${phase.timeline.length} reports.</p>` : "";
+  return [
+    `<section><h2>Phase ${escapeHtml(phase.phase_number)} gates</h2>`,
+    skipped,
+    `<div class="scroll"><table class="matrix"><tr><th>Gate</th>${header}<th>Latest detail</th></tr>`,
+    rows.join("\n"),
+    "</table></div></section>",
+  ].join("\n");
+}
+
+// res:// file/line pairs anywhere in a gate's `actual` (evidence lists,
+// per-marker evidence, pass stubs, plugin output).
+function evidenceFiles(actual) {
+  const found = [];
+  const seen = new Set();
+  const visit = (value, depth) => {
+    if (found.length >= MAX_EVIDENCE_LINKS || depth > 4 || !value || typeof value !== "object") return;
+    if (typeof value.file === "string" && value.file.startsWith("res://")) {
+      const key = `${value.file}:${value.line ?? ""}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        found.push({ file: value.file, line: Number.isFinite(value.line) ? value.line : null });
+      }
+      return;
+    }
+    for (const item of Array.isArray(value) ? value : Object.values(value)) visit(item, depth + 1);
+  };
+  visit(actual, 0);
+  return found;
+}
+
+function renderRubrics(rubrics, weights, linkFor) {
+  if (rubrics.length === 0) return "";
+  // Run ids are only unique within a benchmark
+  const byRun = new Map();
+  for (const report of [...rubrics].sort(byTimestamp)) byRun.set(`${report.benchmark_id}|${report.run_id}`, report);
+  const cards = [...byRun.values()].reverse().map((report) => renderRubricCard(report, weights, linkFor));
+
+  const history = [...rubrics].sort(byTimestamp).map((report) => [
+    reportTime(report),
+    report.benchmark_id,
+    report.run_id,
+    `${report.iteration_count ?? "?"}/${report.max_iterations ?? "?"}`,
+    report.weighted_total_score,
+    report.verdict,
+  ]);
+  return [
+    "<section><h2>PoC rubric</h2>",
+    `<div class="rubrics">${cards.join("\n")}</div>`,
+    "<h3>Score history</h3>",
+    table(["Time", "Benchmark", "Run", "Iteration", "Score", "Verdict"], history),
+    "</section>",
+  ].join("\n");
+}
+
+function renderRubricCard(report, weights, linkFor) {
+  const categories = Object.keys(weights);
+  const scores = report.scores || {};
+  const bars = categories
+    .map((category) => {
+      const score = Number(scores[category]) || 0;
+      const points = Math.round((score / 5) * weights[category] * 10) / 10;
+      return [
+        `<div class="bar-row"><span class="bar-label">${escapeHtml(category)}</span>`,
+        `<span class="bar"><span class="fill ${score >= 4 ? "good" : score >= 3 ? "neutral" : "bad"}" style="width:${(score / 5) * 100}%"></span></span>`,
+        `<span class="bar-value">${score}/5 · ${points}/${weights[category]}</span></div>`,
+      ].join("");
+    })
+    .join("");
+  const list = (items, empty) =>
+    Array.isArray(items) && items.length > 0
+      ? `<ul>${items.map((item) => `<li>${escapeHtml(item)}</li>`).join("")}</ul>`
+      : `<p class="muted">${empty}</p>`;
+  const reportLink = report.quality_report_path ? linkFor(report.quality_report_path) : null;
+  const tone = report.verdict === "go" ? "good" : report.verdict === "no_go" ? "bad" : "neutral";
+
+  return [
+    `<article class="rubric">`,
+    `<h3>${escapeHtml(report.benchmark_id)} <span class="muted small">${escapeHtml(report.run_id)}</span></h3>`,
+    `<p class="verdict ${tone}">${escapeHtml(report.verdict)} · ${escapeHtml(report.weighted_total_score)}/100` +
+      (report.very_good_status ? " · very good" : "") +
+      (reportLink ? ` · <a href="${escapeHtml(reportLink)}">report</a>` : "") +
+      "</p>",
+    `<div class="rubric-charts">${radarSvg(categories, scores)}<div class="bars">${bars}</div></div>`,
+    "<h4>Next actions</h4>",
+    list(report.next_actions, "None."),
+    "<h4>Signature moments</h4>",
+    list(report.signature_moments, "None recorded."),
+    "</article>",
+  ].join("\n");
+}
+
+function radarSvg(categories, scores) {
+  const center = RADAR_SIZE / 2;
+  const radius = center - 40;
+  const point = (i, value) => {
+    const angle = (Math.PI * 2 * i) / categories.length - Math.PI / 2;
+    const r = (radius * value) / 5;
+    return [center + r * Math.cos(angle), center + r * Math.sin(angle)].map((n) => n.toFixed(1)).join(",");
+  };
+  const rings = [1, 2, 3, 4, 5]
+    .map((level) => `<polygon class="ring" points="${categories.map((_, i) => point(i, level)).join(" ")}"/>`)
+    .join("");
+  const axes = categories
+    .map((category, i) => {
+      const [x, y] = point(i, 5.9).split(",");
+      const anchor = Math.abs(Number(x) - center) < 5 ? "middle" : Number(x) < center ? "end" : "start";
+      return `<line class="axis" x1="${center}" y1="${center}" x2="${point(i, 5).split(",")[0]}" y2="${point(i, 5).split(",")[1]}"/>` +
+        `<text x="${x}" y="${y}" text-anchor="${anchor}">${escapeHtml(category.replace(/_/g, " "))}</text>`;
+    })
+    .join("");
+  const shape = categories.map((category, i) => point(i, Number(scores[category]) || 0)).join(" ");
+  return [
+    `<svg class="radar" viewBox="-60 0 ${RADAR_SIZE + 120} ${RADAR_SIZE}" role="img" aria-label="Rubric scores">`,
+    rings,
+    axes,
+    `<polygon class="shape" points="${shape}"/>`,
+    "</svg>",
+  ].join("");
+}
+
+function renderIntegrationPacks(packs) {
+  if (packs.length === 0) return "";
+  const rows = packs.map((entry) => {
+    const results = Array.isArray(entry.report?.results) ? entry.report.results : [];
+    const failed = results.filter((result) => !result.ok).map((result) => result.addon_id);
+    return [
+      entry.generated_at.slice(0, 16).replace("T", " "),
+      entry.report?.pack_id ?? "?",
+      entry.report?.ok ? "ok" : "failed",
+      entry.report?.strict_mode ? "strict" : "lenient",
+      results.map((result) => result.addon_id).join(", "),
+      failed.join(", ") || "—",
+    ];
+  });
+  return [
+    "<section><h2>Integration packs</h2>",
+    table(["Time", "Pack", "Result", "Mode", "Add-ons", "Failed"], rows),
+    "</section>",
+  ].join("\n");
+}
+
+function renderInvalid(invalid) {
+  if (invalid.length === 0) return "";
+  const rows = invalid.map((entry) => {
+    const first = entry.errors?.[0] || entry.schema_errors?.[0];
+    return [entry.file || entry.path, first ? `${first.path || "(root)"} ${first.message}` : entry.error || "invalid"];
+  });
+  return ["<section><h2>Skipped reports</h2>", table(["File", "Problem"], rows), "</section>"].join("\n");
+}
+
+function table(headers, rows) {
+  const cell = (value) => escapeHtml(value === null || value === undefined ? "—" : value);
+  return [
+    '<div class="scroll"><table>',
+    `<tr>${headers.map((header) => `<th>${escapeHtml(header)}</th>`).join("")}</tr>`,
+    ...rows.map((row) => `<tr>${row.map((value) => `<td>${cell(value)}</td>`).join("")}</tr>`),
+    "</table></div>",
+  ].join("\n");
+}
+
+function reportTime(report) {
+  return String(report.timestamp_utc || report.generated_at || "").slice(0, 16).replace("T", " ");
+}
+
+function byTimestamp(a, b) {
+  return String(a.timestamp_utc || a.generated_at || "").localeCompare(String(b.timestamp_utc || b.generated_at || ""));
+}
+
+const STYLE = `
+body { font-family: system-ui, -apple-system, sans-serif; margin: 0 auto; max-width: 1200px; padding: 1.5rem; color: #1f2328; background: #fafbfc; }
+h1 { margin-bottom: 0.2rem; } h2 { margin-top: 2rem; border-bottom: 1px solid #d0d7de; padding-bottom: 0.3rem; }
+section { margin-bottom: 1.5rem; }
+.muted { color: #656d76; } .small { font-size: 0.8rem; font-weight: normal; }
+.cards { display: flex; flex-wrap: wrap; gap: 0.75rem; }
+.card { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 0.6rem 1rem; min-width: 10rem; }
+.card .value { font-size: 1.3rem; font-weight: 600; }
+.good { color: #1a7f37; } .bad { color: #cf222e; } .neutral { color: #9a6700; }
+.scroll { overflow-x: auto; }
+table { border-collapse: collapse; background: #fff; margin: 0.5rem 0; }
+th, td { border: 1px solid #d0d7de; padding: 0.3rem 0.5rem; text-align: left; vertical-align: top; font-size: 0.9rem; }
+th { background: #f6f8fa; }
+table.kv th { width: 10rem; }
+.matrix .cell { text-align: center; font-weight: bold; width: 2.5rem; }
+.cell.pass { background: #dafbe1; color: #1a7f37; } .cell.fail { background: #ffebe9; color: #cf222e; } .cell.none { color: #8c959f; }
+.matrix th.gate { font-family: ui-monospace, monospace; font-weight: normal; white-space: nowrap; }
+.detail { min-width: 18rem; } .hint { margin-bottom: 0.2rem; }
+.links a, .links { font-family: ui-monospace, monospace; font-size: 0.8rem; margin-right: 0.5rem; }
+.rubrics { display: grid; grid-template-columns: repeat(auto-fill, minmax(520px, 1fr)); gap: 1rem; }
+.rubric { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 0.5rem 1rem; }
+.verdict { font-weight: 600; }
+.rubric-charts { display: flex; flex-wrap: wrap; align-items: center; gap: 1rem; }
+.radar { width: 300px; height: 200px; }
+.radar .ring { fill: none; stroke: #d0d7de; } .radar .axis { stroke: #d0d7de; }
+.radar .shape { fill: rgba(9, 105, 218, 0.25); stroke: #0969da; stroke-width: 2; }
+.radar text { font-size: 9px; fill: #656d76; }
+.bars { flex: 1; min-width: 220px; }
+.bar-row { display: grid; grid-template-columns: 10rem 1fr 6rem; gap: 0.4rem; align-items: center; font-size: 0.8rem; margin: 0.2rem 0; }
+.bar { background: #eaeef2; border-radius: 3px; height: 0.7rem; overflow: hidden; }
+.bar .fill { display: block; height: 100%; background: currentColor; }
+pre { background: #f6f8fa; padding: 0.5rem; overflow-x: auto; font-size: 0.8rem; }
+`;
@@ -0,0 +1,271 @@
+/**
+ * History of persisted quality reports (.claude/quality_reports): per-gate
+ * pass/fail over time, the PoC weighted score trajectory, regressions
+ * between consecutive reports, and the retention policy that keeps the
+ * folder bounded.
+ *
+ * Reports form series: gate evaluations of one phase, or rubric scores of
+ * one run. Each series keeps its newest full reports on disk; older ones are
+ * compacted into one summary line each in `history.jsonl` so trends survive
+ * without the full payloads.
+ */
+import { readdir, readFile, writeFile, rm } from "fs/promises";
+import { resolve } from "path";
+import { readQualityReport } from "./quality-reports.js";
+
+export const QUALITY_REPORTS_RES_DIR = "res://.claude/quality_reports";
+export const QUALITY_HISTORY_FILE = "history.jsonl";
+
+export const QUALITY_REPORT_RETENTION = {
+  // Full reports kept per series before older ones are compacted.
+  keep_full_per_series: 20,
+  // Summary lines kept in history.jsonl (oldest dropped first).
+  max_compacted: 1000,
+};
+
+/**
+ * Reduce a persisted report payload to what trends need.
+ * @param {string} path - res:// path of the report
+ * @param {object} payload - current-version payload (see quality-reports.js)
+ * @returns {object} `{path, generated_at, trigger, phase_number, run_id,
+ *   series, gates, gates_passed}` plus `weighted_total_score`, `verdict`
+ *   and `iteration_count` for rubric reports
+ */
+export function summarizeQualityReport(path, payload) {
+  const report = payload?.report || {};
+  const gates = {};
+  if (report.gate_details && typeof report.gate_details === "object") {
+    for (const [name, detail] of Object.entries(report.gate_details)) gates[name] = Boolean(detail?.passed);
+  } else if (report.computed_quality_gates && typeof report.computed_quality_gates === "object") {
+    for (const [name, passed] of Object.entries(report.computed_quality_gates)) gates[name] = Boolean(passed);
+  }
+  for (const [group, checks] of [
+    ["hard_gates", report.hard_gates],
+    ["visual_checks", report.anti_tutorial_visual_checks],
+  ]) {
+    if (!checks || typeof checks !== "object") continue;
+    for (const [name, passed] of Object.entries(checks)) gates[`${group}.${name}`] = Boolean(passed);
+  }
+
+  const trigger = payload?.trigger || "";
+  const phase = Number.isInteger(payload?.phase_number) ? payload.phase_number : null;
+  const runId = report.run_id || payload?.meta?.run_id || null;
+  const summary = {
+    path,
+    generated_at: payload?.generated_at || "",
+    trigger,
+    phase_number: phase,
+    run_id: runId,
+    series: seriesKey(trigger, phase, runId),
+    gates,
+    gates_passed: Boolean(report.gates_passed ?? report.ok),
+  };
+  if (typeof report.weighted_total_score === "number") {
+    summary.weighted_total_score = report.weighted_total_score;
+    summary.verdict = report.verdict || null;
+    summary.iteration_count = report.iteration_count ?? null;
+  }
+  return summary;
+}
+
+/**
+ * Load every report summary, compacted history first, oldest to newest.
+ * Reports that fail schema validation are left out and listed in `errors`.
+ * @param {string} reportsDir - absolute path of .claude/quality_reports
+ * @returns {Promise<{summaries: object[], errors: object[]}>}
+ */
+export async function loadQualityHistory(reportsDir) {
+  const summaries = [];
+  const errors = [];
+
+  try {
+    const lines = (await readFile(resolve(reportsDir, QUALITY_HISTORY_FILE), "utf-8")).split("\n");
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        summaries.push(JSON.parse(line));
+      } catch (err) {
+        errors.push({ path: `${QUALITY_REPORTS_RES_DIR}/${QUALITY_HISTORY_FILE}`, line: i + 1, error: err.message });
+      }
+    });
+  } catch {
+    /* no compacted history yet */
+  }
+
+  for (const name of await listReportFiles(reportsDir)) {
+    const path = `${QUALITY_REPORTS_RES_DIR}/${name}`;
+    const { payload, errors: schemaErrors } = await readQualityReport(resolve(reportsDir, name));
+    if (schemaErrors.length > 0) {
+      errors.push({ path, schema_errors: schemaErrors });
+      continue;
+    }
+    summaries.push(summarizeQualityReport(path, payload));
+  }
+
+  summaries.sort((a, b) => a.generated_at.localeCompare(b.generated_at) || a.path.localeCompare(b.path));
+  return { summaries, errors };
+}
+
+/**
+ * Gates that flipped between two reports of the same series.
+ * @returns {{regressed: string[], fixed: string[], score_delta: number|null}}
+ */
+export function compareQualitySummaries(previous, current) {
+  const regressed = [];
+  const fixed = [];
+  for (const [gate, passed] of Object.entries(current.gates)) {
+    if (!(gate in previous.gates)) continue;
+    if (previous.gates[gate] && !passed) regressed.push(gate);
+    else if (!previous.gates[gate] && passed) fixed.push(gate);
+  }
+  const scoreDelta =
+    typeof current.weighted_total_score === "number" && typeof previous.weighted_total_score === "number"
+      ? Math.round((current.weighted_total_score - previous.weighted_total_score) * 100) / 100
+      : null;
+  return { regressed, fixed, score_delta: scoreDelta };
+}
+
+/**
+ * Per-gate history, score trajectory and regressions for a set of reports.
+ * @param {object[]} summaries - oldest to newest, from loadQualityHistory
+ * @param {{phaseNumber?: number|null, runId?: string|null}} [filter]
+ */
+export function buildQualityTrend(summaries, { phaseNumber = null, runId = null } = {}) {
+  const selected = summaries.filter(
+    (summary) =>
+      (phaseNumber === null || summary.phase_number === phaseNumber) && (!runId || summary.run_id === runId)
+  );
+
+  const lastInSeries = new Map();
+  const timeline = selected.map((summary) => {
+    const previous = lastInSeries.get(summary.series);
+    lastInSeries.set(summary.series, summary);
+    const failed = Object.keys(summary.gates).filter((gate) => !summary.gates[gate]);
+    const point = {
+      path: summary.path,
+      generated_at: summary.generated_at,
+      trigger: summary.trigger,
+      phase_number: summary.phase_number,
+      ...(summary.run_id ? { run_id: summary.run_id } : {}),
+      gates_passed: summary.gates_passed,
+      passed_count: Object.keys(summary.gates).length - failed.length,
+      failed_count: failed.length,
+      ...(summary.compacted ? { compacted: true } : {}),
+    };
+    if (typeof summary.weighted_total_score === "number") {
+      point.weighted_total_score = summary.weighted_total_score;
+      point.verdict = summary.verdict;
+    }
+    if (previous) {
+      const change = compareQualitySummaries(previous, summary);
+      point.previous_path = previous.path;
+      point.regressed = change.regressed;
+      point.fixed = change.fixed;
+      if (change.score_delta !== null) point.score_delta = change.score_delta;
+    }
+    return point;
+  });
+
+  const gates = {};
+  selected.forEach((summary, i) => {
+    for (const [gate, passed] of Object.entries(summary.gates)) {
+      gates[gate] ??= { history: new Array(selected.length).fill(null), pass_count: 0, fail_count: 0 };
+      gates[gate].history[i] = passed;
+      if (passed) gates[gate].pass_count += 1;
+      else gates[gate].fail_count += 1;
+    }
+  });
+  for (const entry of Object.values(gates)) {
+    entry.latest = entry.history.findLast((value) => value !== null);
+  }
+
+  const scoreTrajectory = timeline
+    .filter((point) => typeof point.weighted_total_score === "number")
+    .map((point) => ({
+      generated_at: point.generated_at,
+      path: point.path,
+      run_id: point.run_id ?? null,
+      weighted_total_score: point.weighted_total_score,
+      verdict: point.verdict,
+      ...(point.score_delta !== undefined ? { score_delta: point.score_delta } : {}),
+    }));
+
+  // Regressions of the newest report in each series against its predecessor.
+  const latestBySeries = new Map();
+  timeline.forEach((point, i) => latestBySeries.set(selected[i].series, point));
+  const regressions = [];
+  for (const point of latestBySeries.values()) {
+    if (!point.previous_path) continue;
+    for (const gate of point.regressed) {
+      regressions.push({ gate, report: point.path, previous_report: point.previous_path });
+    }
+    if (point.score_delta < 0) {
+      regressions.push({
+        gate: "weighted_total_score",
+        report: point.path,
+        previous_report: point.previous_path,
+        score_delta: point.score_delta,
+      });
+    }
+  }
+
+  return { timeline, gates, score_trajectory: scoreTrajectory, regressions };
+}
+
+/**
+ * Apply the retention policy: compact all but the newest full reports of
+ * each series into history.jsonl and delete them, then cap history.jsonl.
+ * @param {string} reportsDir - absolute path of .claude/quality_reports
+ * @param {typeof QUALITY_REPORT_RETENTION} [policy]
+ * @returns {Promise<{compacted: number, dropped: number}>}
+ */
+export async function compactQualityReports(reportsDir, policy = QUALITY_REPORT_RETENTION) {
+  const names = await listReportFiles(reportsDir);
+  const bySeries = new Map();
+  for (const name of names) {
+    const { payload, errors } = await readQualityReport(resolve(reportsDir, name));
+    if (errors.length > 0) continue; // invalid reports are left for a human to look at
+    const summary = summarizeQualityReport(`${QUALITY_REPORTS_RES_DIR}/${name}`, payload);
+    if (!bySeries.has(summary.series)) bySeries.set(summary.series, []);
+    bySeries.get(summary.series).push({ name, summary });
+  }
+
+  const expired = [];
+  for (const reports of bySeries.values()) {
+    reports.sort((a, b) => a.summary.generated_at.localeCompare(b.summary.generated_at) || a.name.localeCompare(b.name));
+    expired.push(...reports.slice(0, Math.max(0, reports.length - policy.keep_full_per_series)));
+  }
+  if (expired.length === 0) return { compacted: 0, dropped: 0 };
+
+  const historyPath = resolve(reportsDir, QUALITY_HISTORY_FILE);
+  let lines = [];
+  try {
+    lines = (await readFile(historyPath, "utf-8")).split("\n").filter((line) => line.trim());
+  } catch {
+    /* first compaction */
+  }
+  expired.sort((a, b) => a.summary.generated_at.localeCompare(b.summary.generated_at));
+  lines.push(...expired.map(({ summary }) => JSON.stringify({ ...summary, compacted: true })));
+  const dropped = Math.max(0, lines.length - policy.max_compacted);
+  await writeFile(historyPath, `${lines.slice(dropped).join("\n")}\n`, "utf-8");
+
+  for (const { name } of expired) await rm(resolve(reportsDir, name), { force: true });
+  return { compacted: expired.length, dropped };
+}
+
+async function listReportFiles(reportsDir) {
+  try {
+    const entries = await readdir(reportsDir, { withFileTypes: true });
+    return entries
+      .filter((entry) => entry.isFile() && entry.name.endsWith(".json"))
+      .map((entry) => entry.name)
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+function seriesKey(trigger, phase, runId) {
+  if (trigger === "poc_rubric_score") return `rubric:${runId || "unknown"}`;
+  return `phase:${phase ?? "x"}`;
+}
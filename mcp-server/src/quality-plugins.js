@@ -0,0 +1,130 @@
+/**
+ * JavaScript quality gate plugins loaded from the project's
+ * `.claude/gates/*.mjs`.
+ *
+ * A plugin's default export is a function (optionally async) that receives
+ * the parsed project and returns either one gate entry
+ * `{passed, expected, actual, hint}` (named after the file, or its exported
+ * `name`) or an object of entries keyed by gate name:
+ *
+ *   export const min_phase = 3;
+ *   export default function (project) {
+ *     const enemies = project.scenes.filter((scene) => scene.file.includes("/enemies/"));
+ *     const missing = enemies.filter((scene) => !scene.nodes.some((node) => node.name === "Hitbox" && node.type === "Area2D"));
+ *     return {
+ *       passed: missing.length === 0,
+ *       expected: "every enemy scene has a Hitbox Area2D",
+ *       actual: missing.map((scene) => scene.file),
+ *       hint: "Add an Area2D named Hitbox with a CollisionShape2D.",
+ *     };
+ *   }
+ *
+ * `min_phase`/`max_phase` exports limit the phases a plugin runs in. A
+ * plugin that fails to load, throws, times out or returns a malformed entry
+ * produces a failed gate, so a broken plugin cannot pass silently.
+ */
+import { readdir, stat } from "fs/promises";
+import { basename, resolve } from "path";
+import { pathToFileURL } from "url";
+
+export const GATE_PLUGINS_DIR = ".claude/gates";
+
+const PLUGIN_TIMEOUT_MS = 10000;
+
+/**
+ * Run every gate plugin for a phase.
+ * @param {string} projectPath - project root on disk
+ * @param {object} project - read-only view of the project: `root`, `phase`,
+ *   `settings` (project.godot key → value), `scenes`, `scripts` and
+ *   `resources` (see loadProjectModel), `assets` ({images, audio}) and
+ *   `files` (res:// paths)
+ * @returns {Promise<{gates: object[], plugins: string[]}>} gates are
+ *   `{name, passed, expected, actual, hint, rule_source}`; plugins lists the
+ *   files that ran
+ */
+export async function runGatePlugins(projectPath, project) {
+  const dir = resolve(projectPath, GATE_PLUGINS_DIR);
+  let entries;
+  try {
+    entries = await readdir(dir);
+  } catch {
+    return { gates: [], plugins: [] };
+  }
+
+  const gates = [];
+  const plugins = [];
+  for (const entry of entries.filter((name) => name.endsWith(".mjs")).sort()) {
+    const source = `${GATE_PLUGINS_DIR}/${entry}`;
+    const fallbackName = basename(entry, ".mjs").replace(/\W+/g, "_");
+    const failure = (error) => ({
+      name: fallbackName,
+      passed: false,
+      expected: "gate plugin runs and returns {passed, expected, actual, hint}",
+      actual: { error },
+      hint: `Fix ${source}.`,
+      rule_source: source,
+    });
+
+    let plugin;
+    try {
+      plugin = await importFresh(resolve(dir, entry));
+    } catch (err) {
+      gates.push(failure(`Failed to load: ${err.message}`));
+      continue;
+    }
+    const minPhase = Number.isFinite(plugin.min_phase) ? plugin.min_phase : 0;
+    const maxPhase = Number.isFinite(plugin.max_phase) ? plugin.max_phase : Infinity;
+    if (project.phase < minPhase || project.phase > maxPhase) continue;
+    if (typeof plugin.default !== "function") {
+      gates.push(failure("The module has no default export function."));
+      continue;
+    }
+
+    plugins.push(source);
+    let result;
+    try {
+      result = await withTimeout(Promise.resolve(plugin.default(project)), PLUGIN_TIMEOUT_MS);
+    } catch (err) {
+      gates.push(failure(`Threw: ${err.message}`));
+      continue;
+    }
+
+    const named =
+      typeof result?.passed === "boolean"
+        ? { [typeof plugin.name === "string" && plugin.name ? plugin.name : fallbackName]: result }
+        : result;
+    if (!named || typeof named !== "object" || Array.isArray(named) || Object.keys(named).length === 0) {
+      gates.push(failure("Returned nothing; expected a gate entry or an object of entries."));
+      continue;
+    }
+    for (const [name, entry] of Object.entries(named)) {
+      if (typeof entry?.passed !== "boolean") {
+        gates.push({ ...failure(`Entry "${name}" has no boolean "passed".`), name });
+        continue;
+      }
+      gates.push({
+        name,
+        passed: entry.passed,
+        expected: entry.expected ?? "",
+        actual: entry.actual ?? null,
+        hint: typeof entry.hint === "string" ? entry.hint : "",
+        rule_source: source,
+      });
+    }
+  }
+  return { gates, plugins };
+}
+
+// ESM imports are cached per URL; the mtime query reloads edited plugins.
+async function importFresh(path) {
+  const { mtimeMs } = await stat(path);
+  return import(`${pathToFileURL(path).href}?mtime=${mtimeMs}`);
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${ms / 1000}s`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,131 @@
+/**
+ * Saved quality report files (.claude/quality_reports/*.json): building the
+ * versioned payload, validating it against docs/quality-report-schema.json
+ * (and docs/poc/quality-scoring-schema.json for rubric reports) before it is
+ * written and after it is read, and migrating version "1.0" files on read.
+ */
+import { readFileSync } from "fs";
+import { readFile } from "fs/promises";
+import { validateSchema } from "./json-schema.js";
+
+export const QUALITY_REPORT_VERSION = 2;
+export const QUALITY_REPORT_SCHEMA_FILE = "docs/quality-report-schema.json";
+export const POC_REPORT_SCHEMA_FILE = "docs/poc/quality-scoring-schema.json";
+
+const SCHEMA_ROOT = new URL("../../", import.meta.url);
+let schemas = null;
+
+function loadSchemas() {
+  schemas ??= {
+    report: JSON.parse(readFileSync(new URL(QUALITY_REPORT_SCHEMA_FILE, SCHEMA_ROOT), "utf-8")),
+    poc: JSON.parse(readFileSync(new URL(POC_REPORT_SCHEMA_FILE, SCHEMA_ROOT), "utf-8")),
+  };
+  return schemas;
+}
+
+/**
+ * Wrap a report in the current payload format.
+ * @param {object} report - gate evaluation or PoC rubric report
+ * @param {string} trigger - manual_evaluation, phase_completion_check or
+ *   poc_rubric_score
+ * @param {object} [meta]
+ * @param {string} [generatedAt] - ISO timestamp, defaults to now
+ */
+export function buildQualityReportPayload(report, trigger, meta = {}, generatedAt = new Date().toISOString()) {
+  return {
+    version: QUALITY_REPORT_VERSION,
+    generated_at: generatedAt,
+    trigger,
+    phase_number: Number.isInteger(report?.phase_number) ? report.phase_number : null,
+    meta,
+    report,
+  };
+}
+
+/**
+ * Validate a payload as it will be stored (after a JSON round trip).
+ * @returns {{path: string, message: string}[]}
+ */
+export function validateQualityReportPayload(payload) {
+  const { report, poc } = loadSchemas();
+  return validateSchema(report, JSON.parse(JSON.stringify(payload)), { schemas: [poc] });
+}
+
+/**
+ * Validate a PoC rubric report on its own; paths are relative to the report.
+ * @returns {{path: string, message: string}[]}
+ */
+export function validatePocReport(report) {
+  return validateSchema(loadSchemas().poc, JSON.parse(JSON.stringify(report)));
+}
+
+/**
+ * Bring an older payload up to the current version. Only fields that can be
+ * derived from the old payload are filled in; anything else is left for
+ * validation to report.
+ * @returns {{payload: object, migrated_from: string|null}}
+ */
+export function migrateQualityReportPayload(payload) {
+  if (payload?.version !== "1.0" || !payload.report || typeof payload.report !== "object") {
+    return { payload, migrated_from: null };
+  }
+
+  const report = { ...payload.report };
+  if (payload.trigger === "poc_rubric_score" || report.schema_version === "poc-quality-report-v1") {
+    report.schema_version ??= "poc-quality-report-v1";
+    report.timestamp_utc ??= payload.generated_at;
+    report.signature_moments ??= [];
+    report.next_actions ??= [];
+    report.objective_quality ??= {
+      gates_passed: Array.isArray(report.hard_gate_failures) ? report.hard_gate_failures.length === 0 : Boolean(report.gates_passed),
+      failed_quality_gates: Array.isArray(report.hard_gate_failures) ? report.hard_gate_failures : [],
+      quality_report_paths: [],
+    };
+  } else {
+    if (!report.gate_details && report.computed_quality_gates && typeof report.computed_quality_gates === "object") {
+      report.gate_details = Object.fromEntries(
+        Object.entries(report.computed_quality_gates).map(([name, passed]) => [name, { passed: Boolean(passed) }])
+      );
+    }
+    if (!report.computed_quality_gates && report.gate_details && typeof report.gate_details === "object") {
+      report.computed_quality_gates = Object.fromEntries(
+        Object.entries(report.gate_details).map(([name, detail]) => [name, Boolean(detail?.passed)])
+      );
+    }
+    report.failed_quality_gates ??= Object.entries(report.computed_quality_gates || {})
+      .filter(([, passed]) => !passed)
+      .map(([name]) => name);
+    report.gates_passed ??= typeof report.ok === "boolean" ? report.ok : report.failed_quality_gates.length === 0;
+  }
+
+  return {
+    payload: buildQualityReportPayload(report, payload.trigger, payload.meta || {}, payload.generated_at),
+    migrated_from: "1.0",
+  };
+}
+
+/**
+ * Read, migrate and validate one saved report.
+ * @param {string} absPath
+ * @returns {Promise<{payload: object|null, errors: object[], migrated_from: string|null}>}
+ *   `payload` is null only when the file cannot be read or parsed; otherwise
+ *   `errors` lists schema problems of the (migrated) payload
+ */
+export async function readQualityReport(absPath) {
+  let raw;
+  try {
+    raw = JSON.parse(await readFile(absPath, "utf-8"));
+  } catch (err) {
+    const message = err instanceof SyntaxError ? `Invalid JSON: ${err.message}` : err.message;
+    return { payload: null, errors: [{ path: "", message }], migrated_from: null };
+  }
+  const { payload, migrated_from } = migrateQualityReportPayload(raw);
+  return { payload, errors: validateQualityReportPayload(payload), migrated_from };
+}
+
+/** "path: message" lines for logs and rejection reasons. */
+export function formatSchemaErrors(errors, limit = 5) {
+  const lines = errors.slice(0, limit).map((error) => `${error.path || "(root)"}: ${error.message}`);
+  if (errors.length > limit) lines.push(`… ${errors.length - limit} more`);
+  return lines.join("; ");
+}
@@ -0,0 +1,493 @@
+/**
+ * Quality gate rules: the built-in phase gates plus per-project overrides
+ * and custom gates from `.claude/quality_gates.json` (schema:
+ * docs/quality-gates-schema.json).
+ *
+ * A project can change a gate's threshold, phase range, hint or marker set
+ * globally (`gates`) or for one phase (`phases.<n>.gates`), disable it with
+ * `enabled: false`, and add `custom_gates` built from declarative predicates.
+ * Every resolved gate carries `rule_source` so reports show where its rule
+ * came from.
+ */
+import { readFile } from "fs/promises";
+import { resolve } from "path";
+import {
+  DEPTH_LAYER_MARKERS,
+  FEEDBACK_CATEGORIES,
+  FLOW_CATEGORIES,
+  POLISH_FX_MARKERS,
+  UI_STYLE_MARKERS,
+} from "./quality-signals.js";
+import { SYMBOL_KINDS } from "./gdscript-symbols.js";
+
+export const QUALITY_RULES_FILE = ".claude/quality_gates.json";
+
+/**
+ * Built-in gates. `measure` names the signal a gate reads; `compare` is
+ * "min" (value >= threshold), "max" (value <= threshold) or "flag" (value
+ * must be true). `{threshold}` in `expected` is filled in at evaluation.
+ */
+export const BUILT_IN_GATES = [
+  {
+    name: "auto_visual_assets_coverage",
+    min_phase: 5,
+    measure: "image_assets",
+    compare: "min",
+    threshold: 6,
+    expected: ">= {threshold} image assets used for gameplay/UI",
+    hint: "Generate or import more coherent assets (godot_generate_asset_pack + targeted assets).",
+  },
+  {
+    name: "auto_ui_styling_signals",
+    min_phase: 5,
+    measure: "ui_style",
+    compare: "min",
+    threshold: 2,
+    markers: UI_STYLE_MARKERS,
+    expected: ">= {threshold} UI styling markers",
+    hint: "Style menus/HUD with theme overrides, StyleBoxFlat, or custom theme APIs.",
+  },
+  {
+    name: "auto_polish_fx_signals",
+    min_phase: 5,
+    measure: "polish_fx",
+    compare: "min",
+    threshold: 3,
+    markers: POLISH_FX_MARKERS,
+    expected: ">= {threshold} polish/FX markers",
+    hint: "Add screen shake, particles, shaders, tweens, trails, or hit/death FX.",
+  },
+  {
+    name: "auto_visual_depth_layering",
+    min_phase: 5,
+    measure: "depth_layers",
+    compare: "min",
+    threshold: 2,
+    markers: DEPTH_LAYER_MARKERS,
+    expected: ">= {threshold} depth/layering markers",
+    hint: "Add layered background/foreground composition (e.g. parallax, vignette, gradient layers).",
+  },
+  {
+    name: "auto_feedback_event_coverage",
+    min_phase: 5,
+    measure: "feedback",
+    compare: "min",
+    threshold: 3,
+    markers: FEEDBACK_CATEGORIES,
+    expected: ">= {threshold} feedback event categories",
+    hint: "Ensure hit/damage, death, pickup/score, and ability events have explicit feedback hooks.",
+  },
+  {
+    name: "auto_main_scene_configured",
+    min_phase: 6,
+    measure: "main_scene",
+    compare: "flag",
+    expected: "project.godot has a valid existing main scene",
+    hint: "Set application/run/main_scene to a valid .tscn path.",
+  },
+  {
+    name: "auto_flow_state_signals",
+    min_phase: 6,
+    measure: "flow",
+    compare: "min",
+    threshold: 3,
+    markers: FLOW_CATEGORIES,
+    expected: ">= {threshold} flow state categories (menu, game_over, retry/restart, pause)",
+    hint: "Wire complete menu → play → game over → retry/menu flow with explicit handlers.",
+  },
+  {
+    name: "auto_scene_coverage",
+    min_phase: 6,
+    measure: "scene_count",
+    compare: "min",
+    threshold: 2,
+    expected: ">= {threshold} scenes (gameplay + menu/flow scene)",
+    hint: "Add dedicated flow scenes (menu/gameplay/game-over) instead of a single monolithic scene.",
+  },
+  {
+    name: "auto_no_stub_pass_methods",
+    min_phase: 6,
+    measure: "pass_stubs",
+    compare: "max",
+    threshold: 0,
+    expected: "<= {threshold} functions whose body is only 'pass'",
+    hint: "Replace pass stubs with real implementation or explicit temporary behavior.",
+  },
+];
+
+export const CUSTOM_RULE_TYPES = ["node_type_present", "file_glob_count", "symbol_exists"];
+
+const OVERRIDE_KEYS = new Set(["enabled", "min_phase", "max_phase", "threshold", "hint", "markers"]);
+const MATCHER_KEYS = new Set(["types", "properties", "calls", "names"]);
+
+/**
+ * Read and validate the project's rules file.
+ * @param {string} projectPath - project root on disk
+ * @returns {Promise<{path: string, found: boolean, config: object|null, errors: object[]}>}
+ *   `config` is null when the file is missing or invalid; errors are
+ *   `{path, message}` with a JSON path into the file.
+ */
+export async function loadQualityGateRules(projectPath) {
+  const result = { path: QUALITY_RULES_FILE, found: false, config: null, errors: [] };
+  let text;
+  try {
+    text = await readFile(resolve(projectPath, QUALITY_RULES_FILE), "utf-8");
+  } catch (err) {
+    if (err.code !== "ENOENT") result.errors.push({ path: "", message: err.message });
+    return result;
+  }
+  result.found = true;
+
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (err) {
+    result.errors.push({ path: "", message: `Invalid JSON: ${err.message}` });
+    return result;
+  }
+  result.errors = validateQualityGateConfig(config);
+  if (result.errors.length === 0) result.config = config;
+  return result;
+}
+
+/**
+ * Check a rules object against the schema. Returns `{path, message}` errors.
+ */
+export function validateQualityGateConfig(config) {
+  const errors = [];
+  const fail = (path, message) => errors.push({ path, message });
+
+  if (!isObject(config)) {
+    fail("", "must be an object");
+    return errors;
+  }
+  for (const key of Object.keys(config)) {
+    if (!["$schema", "version", "gates", "phases", "custom_gates"].includes(key)) {
+      fail(key, "unknown property");
+    }
+  }
+  if ("version" in config && config.version !== 1) fail("version", "must be 1");
+
+  const customNames = new Set();
+  if ("custom_gates" in config) {
+    if (!Array.isArray(config.custom_gates)) fail("custom_gates", "must be an array");
+    else {
+      config.custom_gates.forEach((gate, i) => {
+        validateCustomGate(gate, `custom_gates[${i}]`, fail);
+        if (typeof gate?.name !== "string") return;
+        if (customNames.has(gate.name) || BUILT_IN_GATES.some((builtIn) => builtIn.name === gate.name)) {
+          fail(`custom_gates[${i}].name`, `duplicate gate name "${gate.name}"`);
+        }
+        customNames.add(gate.name);
+      });
+    }
+  }
+
+  const knownGates = new Set([...BUILT_IN_GATES.map((gate) => gate.name), ...customNames]);
+  if ("gates" in config) validateOverrides(config.gates, "gates", knownGates, fail);
+  if ("phases" in config) {
+    if (!isObject(config.phases)) fail("phases", "must be an object keyed by phase number");
+    else {
+      for (const [phase, section] of Object.entries(config.phases)) {
+        const path = `phases.${phase}`;
+        if (!/^\d+$/.test(phase)) fail(path, "phase keys must be phase numbers");
+        if (!isObject(section)) {
+          fail(path, "must be an object");
+          continue;
+        }
+        for (const key of Object.keys(section)) {
+          if (key !== "gates") fail(`${path}.${key}`, "unknown property");
+        }
+        if ("gates" in section) validateOverrides(section.gates, `${path}.gates`, knownGates, fail);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * The gates that apply to `phase` after overrides.
+ *
+ * Built-in gates run from their `min_phase`; a `phases.<n>.gates` entry
+ * also switches a gate on for phase n unless it says `enabled: false`.
+ * @param {object|null} config - validated rules, or null for built-ins only
+ * @param {number} phase
+ * @returns {{gates: object[], disabled: object[]}} gates are the built-in
+ *   shape plus `rule_source` ("built_in", or the config paths applied)
+ */
+export function resolvePhaseGates(config, phase) {
+  const rules = config || {};
+  const phaseSection = rules.phases?.[String(phase)]?.gates || {};
+  const candidates = [
+    ...BUILT_IN_GATES.map((gate) => ({ ...gate, kind: "built_in", sources: ["built_in"] })),
+    ...(rules.custom_gates || []).map((gate, i) => ({
+      ...customGateDefaults(gate),
+      kind: "custom",
+      sources: [`${QUALITY_RULES_FILE}#custom_gates[${i}]`],
+    })),
+  ];
+
+  const gates = [];
+  const disabled = [];
+  for (const candidate of candidates) {
+    let gate = candidate;
+    const global = rules.gates?.[gate.name];
+    if (global) gate = applyOverride(gate, global, `${QUALITY_RULES_FILE}#gates.${gate.name}`);
+    const perPhase = phaseSection[gate.name];
+    if (perPhase) gate = applyOverride(gate, perPhase, `${QUALITY_RULES_FILE}#phases.${phase}.gates.${gate.name}`);
+
+    const inRange = phase >= (gate.min_phase ?? 0) && phase <= (gate.max_phase ?? Infinity);
+    if (!inRange && !perPhase) continue;
+    const { sources, ...resolved } = { ...gate, rule_source: gate.sources.join(" + ") };
+    if (gate.enabled === false) disabled.push({ name: gate.name, rule_source: resolved.rule_source });
+    else gates.push(resolved);
+  }
+  return { gates, disabled };
+}
+
+/**
+ * Evaluate one resolved gate against collected signals.
+ * @param {object} gate - from resolvePhaseGates
+ * @param {object} signals - `measures` (`{value, actual}` keyed by measure name)
+ *   plus `model` (loadProjectModel) and `files` (every res:// path) for
+ *   custom predicates
+ * @returns {{passed: boolean, expected: string, actual: any}}
+ */
+export function evaluateGate(gate, signals) {
+  if (gate.kind === "custom") return evaluateCustomGate(gate, signals);
+  const { value, actual } = signals.measures[gate.measure];
+  const expected = gate.expected.replace("{threshold}", gate.threshold);
+  let passed;
+  if (gate.compare === "flag") passed = Boolean(value);
+  else if (gate.compare === "max") passed = value <= gate.threshold;
+  else passed = value >= gate.threshold;
+  return { passed, expected, actual };
+}
+
+/**
+ * Convert a res:// glob ("res://assets/**\/*.png", "scenes/*.tscn") to a
+ * RegExp. `**` crosses folders, `*` and `?` do not, `{a,b}` alternates.
+ */
+export function globToRegExp(glob) {
+  const pattern = glob.startsWith("res://") ? glob.slice(6) : glob.replace(/^\/+/, "");
+  let source = "";
+  let braces = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === "*" && pattern[i + 1] === "*") {
+      source += pattern[i + 2] === "/" ? "(?:.*/)?" : ".*";
+      i += pattern[i + 2] === "/" ? 2 : 1;
+    } else if (ch === "*") source += "[^/]*";
+    else if (ch === "?") source += "[^/]";
+    else if (ch === "{") {
+      braces += 1;
+      source += "(?:";
+    } else if (ch === "}" && braces > 0) {
+      braces -= 1;
+      source += ")";
+    } else if (ch === "," && braces > 0) source += "|";
+    else source += ch.replace(/[.+^$(){}|[\]\\]/g, "\\$&");
+  }
+  return new RegExp(`^res://${source}$`);
+}
+
+// ---------------------------------------------------------------------------
+// Custom gates
+// ---------------------------------------------------------------------------
+
+function customGateDefaults(gate) {
+  return {
+    name: gate.name,
+    min_phase: gate.min_phase ?? 0,
+    max_phase: gate.max_phase,
+    enabled: gate.enabled,
+    threshold: gate.rule.min ?? 1,
+    max: gate.rule.max,
+    rule: gate.rule,
+    description: gate.description || "",
+    hint: gate.hint || describeRule(gate.rule),
+  };
+}
+
+function evaluateCustomGate(gate, { model, files }) {
+  const { rule, threshold } = gate;
+  const inRange = (count) => count >= threshold && (gate.max === undefined || count <= gate.max);
+  const range = gate.max === undefined ? `>= ${threshold}` : `${threshold}..${gate.max}`;
+
+  if (rule.type === "node_type_present") {
+    const scope = rule.scenes ? globToRegExp(rule.scenes) : null;
+    const matches = [];
+    for (const scene of model.scenes) {
+      if (scope && !scope.test(scene.file)) continue;
+      for (const node of scene.nodes) {
+        if (node.type === rule.node_type) matches.push({ file: scene.file, line: node.line, match: node.path });
+      }
+    }
+    return {
+      passed: inRange(matches.length),
+      expected: `${range} ${rule.node_type} node(s)${rule.scenes ? ` in ${rule.scenes}` : ""}`,
+      actual: { count: matches.length, evidence: matches.slice(0, 5) },
+    };
+  }
+
+  if (rule.type === "file_glob_count") {
+    const pattern = globToRegExp(rule.glob);
+    const matches = files.filter((file) => pattern.test(file));
+    return {
+      passed: inRange(matches.length),
+      expected: `${range} files matching ${rule.glob}`,
+      actual: { count: matches.length, files: matches.slice(0, 10) },
+    };
+  }
+
+  // symbol_exists
+  const scope = rule.file ? globToRegExp(rule.file) : null;
+  const matches = model.scripts
+    .filter((script) => !scope || scope.test(script.file))
+    .flatMap((script) => script.symbols)
+    .filter((symbol) => symbol.name === rule.name && (!rule.kind || symbol.kind === rule.kind))
+    .map((symbol) => ({ file: symbol.file, line: symbol.line, match: `${symbol.kind} ${symbol.name}` }));
+  return {
+    passed: inRange(matches.length),
+    expected: `${range} ${rule.kind || "symbol"} named ${rule.name}${rule.file ? ` in ${rule.file}` : ""}`,
+    actual: { count: matches.length, evidence: matches.slice(0, 5) },
+  };
+}
+
+function describeRule(rule) {
+  if (rule.type === "node_type_present") return `Add a ${rule.node_type} node to a scene.`;
+  if (rule.type === "file_glob_count") return `Add files matching ${rule.glob}.`;
+  return `Declare ${rule.kind ? `a ${rule.kind}` : "a symbol"} named ${rule.name} in a script.`;
+}
+
+// ---------------------------------------------------------------------------
+// Overrides and validation
+// ---------------------------------------------------------------------------
+
+function applyOverride(gate, override, source) {
+  const next = { ...gate, sources: [...gate.sources, source] };
+  for (const key of ["enabled", "min_phase", "max_phase", "threshold", "hint"]) {
+    if (key in override) next[key] = override[key];
+  }
+  if (override.markers) {
+    next.markers = { ...gate.markers };
+    for (const [marker, matchers] of Object.entries(override.markers)) {
+      if (matchers === false || matchers === null) delete next.markers[marker];
+      else next.markers[marker] = matchers;
+    }
+  }
+  return next;
+}
+
+function validateOverrides(overrides, path, knownGates, fail) {
+  if (!isObject(overrides)) {
+    fail(path, "must be an object keyed by gate name");
+    return;
+  }
+  for (const [name, override] of Object.entries(overrides)) {
+    const gatePath = `${path}.${name}`;
+    if (!knownGates.has(name)) fail(gatePath, `unknown gate "${name}"`);
+    if (!isObject(override)) {
+      fail(gatePath, "must be an object");
+      continue;
+    }
+    for (const key of Object.keys(override)) {
+      if (!OVERRIDE_KEYS.has(key)) fail(`${gatePath}.${key}`, "unknown property");
+    }
+    if ("enabled" in override && typeof override.enabled !== "boolean") fail(`${gatePath}.enabled`, "must be a boolean");
+    for (const key of ["min_phase", "max_phase", "threshold"]) {
+      if (key in override && !isNonNegativeNumber(override[key])) fail(`${gatePath}.${key}`, "must be a number >= 0");
+    }
+    if ("hint" in override && typeof override.hint !== "string") fail(`${gatePath}.hint`, "must be a string");
+    if ("markers" in override) {
+      const builtIn = BUILT_IN_GATES.find((gate) => gate.name === name);
+      if (builtIn && !builtIn.markers) fail(`${gatePath}.markers`, "this gate does not use markers");
+      validateMarkers(override.markers, `${gatePath}.markers`, fail);
+    }
+  }
+}
+
+function validateMarkers(markers, path, fail) {
+  if (!isObject(markers)) {
+    fail(path, "must be an object keyed by marker name");
+    return;
+  }
+  for (const [marker, matchers] of Object.entries(markers)) {
+    const markerPath = `${path}.${marker}`;
+    if (matchers === false || matchers === null) continue;
+    if (!isObject(matchers)) {
+      fail(markerPath, "must be an object of matchers, or false to remove the marker");
+      continue;
+    }
+    for (const [key, values] of Object.entries(matchers)) {
+      if (!MATCHER_KEYS.has(key)) fail(`${markerPath}.${key}`, "unknown matcher (use types, properties, calls or names)");
+      else if (!Array.isArray(values) || values.some((value) => typeof value !== "string" || !value)) {
+        fail(`${markerPath}.${key}`, "must be an array of non-empty strings");
+      }
+    }
+  }
+}
+
+function validateCustomGate(gate, path, fail) {
+  if (!isObject(gate)) {
+    fail(path, "must be an object");
+    return;
+  }
+  for (const key of Object.keys(gate)) {
+    if (!["name", "description", "hint", "enabled", "min_phase", "max_phase", "rule"].includes(key)) {
+      fail(`${path}.${key}`, "unknown property");
+    }
+  }
+  if (typeof gate.name !== "string" || !/^[a-z][a-z0-9_]*$/.test(gate.name)) {
+    fail(`${path}.name`, "must be a snake_case string");
+  }
+  for (const key of ["description", "hint"]) {
+    if (key in gate && typeof gate[key] !== "string") fail(`${path}.${key}`, "must be a string");
+  }
+  if ("enabled" in gate && typeof gate.enabled !== "boolean") fail(`${path}.enabled`, "must be a boolean");
+  for (const key of ["min_phase", "max_phase"]) {
+    if (key in gate && !isNonNegativeNumber(gate[key])) fail(`${path}.${key}`, "must be a number >= 0");
+  }
+
+  const rule = gate.rule;
+  const rulePath = `${path}.rule`;
+  if (!isObject(rule)) {
+    fail(rulePath, "is required and must be an object");
+    return;
+  }
+  if (!CUSTOM_RULE_TYPES.includes(rule.type)) {
+    fail(`${rulePath}.type`, `must be one of ${CUSTOM_RULE_TYPES.join(", ")}`);
+    return;
+  }
+  const allowed = {
+    node_type_present: { node_type: true, scenes: false },
+    file_glob_count: { glob: true },
+    symbol_exists: { name: true, kind: false, file: false },
+  }[rule.type];
+  for (const key of Object.keys(rule)) {
+    if (key !== "type" && key !== "min" && key !== "max" && !(key in allowed)) {
+      fail(`${rulePath}.${key}`, `unknown property for ${rule.type}`);
+    }
+  }
+  for (const [key, required] of Object.entries(allowed)) {
+    if (!(key in rule)) {
+      if (required) fail(`${rulePath}.${key}`, "is required");
+    } else if (typeof rule[key] !== "string" || !rule[key]) {
+      fail(`${rulePath}.${key}`, "must be a non-empty string");
+    }
+  }
+  if (rule.type === "symbol_exists" && "kind" in rule && !SYMBOL_KINDS.includes(rule.kind)) {
+    fail(`${rulePath}.kind`, `must be one of ${SYMBOL_KINDS.join(", ")}`);
+  }
+  for (const key of ["min", "max"]) {
+    if (key in rule && !(Number.isInteger(rule[key]) && rule[key] >= 0)) fail(`${rulePath}.${key}`, "must be an integer >= 0");
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isNonNegativeNumber(value) {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0;
+}
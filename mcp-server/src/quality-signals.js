@@ -0,0 +1,276 @@
+/**
+ * Structure-aware signals for the automatic phase quality gates.
+ *
+ * Scenes and .tres resources are parsed for node types, node names,
+ * resource types, properties and signal connections; scripts are tokenized
+ * (see gdscript-symbols.js) so only code counts — a comment saying "TODO add
+ * background" or a string mentioning "tween" never does. Every hit carries
+ * file/line evidence for gate_details.
+ */
+import { readFile } from "fs/promises";
+import { parseTres, parseTscn, resToAbsolute, sectionLines } from "./scene-parser.js";
+import { nodePathOf } from "./scene-editor.js";
+import { loadScripts } from "./gdscript-symbols.js";
+import { statementKeyword } from "./gdscript-parser.js";
+
+// Marker definitions. A marker is hit when any of its matchers finds
+// something:
+//   types      - node, resource or sub_resource type, or a class name in code
+//   properties - node property in a scene ("prefix/" matches a group), or
+//                `.name =` assignment in code
+//   calls      - `name(` in code
+//   names      - word-prefix of a node name, declaration or call
+//                ("shake" matches ScreenShake, shake_camera())
+export const UI_STYLE_MARKERS = {
+  StyleBoxFlat: { types: ["StyleBoxFlat"] },
+  theme_override_styles: { properties: ["theme_override_styles/"] },
+  theme_override_colors: { properties: ["theme_override_colors/"] },
+  theme_override_font_sizes: { properties: ["theme_override_font_sizes/"] },
+  add_theme_stylebox_override: { calls: ["add_theme_stylebox_override"] },
+  add_theme_color_override: { calls: ["add_theme_color_override"] },
+  add_theme_font_size_override: { calls: ["add_theme_font_size_override"] },
+  theme: { types: ["Theme"], properties: ["theme"] },
+  theme_type_variation: { properties: ["theme_type_variation"] },
+};
+
+export const POLISH_FX_MARKERS = {
+  GPUParticles2D: { types: ["GPUParticles2D", "GPUParticles3D"] },
+  CPUParticles2D: { types: ["CPUParticles2D", "CPUParticles3D"] },
+  ShaderMaterial: { types: ["ShaderMaterial"] },
+  shader: { types: ["Shader", "VisualShader"], calls: ["set_shader_parameter"] },
+  create_tween: { calls: ["create_tween"] },
+  tween: { types: ["Tween"], calls: ["tween_property", "tween_method", "tween_callback", "tween_interval"] },
+  screen_shake: { names: ["screen_shake", "shake"] },
+  hit_flash: { names: ["hit_flash", "flash"] },
+  dissolve: { names: ["dissolve"] },
+  vignette: { names: ["vignette"] },
+  trail: { names: ["trail"] },
+  AnimationPlayer: { types: ["AnimationPlayer"] },
+};
+
+export const DEPTH_LAYER_MARKERS = {
+  ParallaxBackground: { types: ["ParallaxBackground", "ParallaxLayer"] },
+  Parallax2D: { types: ["Parallax2D"] },
+  CanvasLayer: { types: ["CanvasLayer"] },
+  midground: { names: ["midground"] },
+  foreground: { names: ["foreground"] },
+  vignette: { names: ["vignette"] },
+  gradient: { types: ["Gradient", "GradientTexture1D", "GradientTexture2D"], names: ["gradient"] },
+  background: { names: ["background"] },
+};
+
+export const FEEDBACK_CATEGORIES = {
+  damage: { names: ["take_damage", "damage", "hurt", "hit_flash", "on_hit"] },
+  death: { names: ["die", "death", "explode", "dissolve", "destroyed"] },
+  pickup_score: { names: ["pickup", "collect", "score", "combo", "pop_score"] },
+  ability: { names: ["shoot", "dash", "jump", "ability", "cast", "fire"] },
+};
+
+export const FLOW_CATEGORIES = {
+  menu: { names: ["main_menu", "menu"] },
+  game_over: { names: ["game_over", "gameover", "defeat"] },
+  restart_retry: { names: ["restart", "retry", "new_game"] },
+  pause: { names: ["pause"], properties: ["paused"] },
+};
+
+const MAX_EVIDENCE_PER_MARKER = 5;
+
+/**
+ * Parse the project files the quality gates look at.
+ *
+ * Scripts come from loadScripts; scenes are `{file, nodes, resources,
+ * connections}` and .tres files `{file, resources}`, where nodes are
+ * `{name, type, path, line, instance, script, groups, properties}`
+ * (instance/script as res:// paths, built-in scripts as "<scene>::<id>"),
+ * resources `{type, line}` and connections `{signal, from, to, method, line}`.
+ * @param {{scriptPaths: string[], scenePaths: string[], resourcePaths?: string[]}} files
+ * @returns {Promise<{scripts: object[], scenes: object[], resources: object[], errors: object[]}>}
+ */
+export async function loadProjectModel({ scriptPaths, scenePaths, resourcePaths = [] }) {
+  const { scripts, errors } = await loadScripts(scriptPaths);
+  const scenes = [];
+  const resources = [];
+
+  for (const file of scenePaths) {
+    try {
+      const content = await readFile(resToAbsolute(file), "utf-8");
+      scenes.push(describeScene(file, content));
+    } catch (err) {
+      errors.push({ file, error: err.message });
+    }
+  }
+  for (const file of resourcePaths) {
+    try {
+      const content = await readFile(resToAbsolute(file), "utf-8");
+      const resource = parseTres(content);
+      const lines = sectionLines(content, "sub_resource");
+      resources.push({
+        file,
+        resources: [
+          { type: resource.type, line: 1 },
+          ...resource.sub_resources.map((sub, i) => ({ type: sub.type, line: lines[i] ?? 0 })),
+        ],
+      });
+    } catch (err) {
+      errors.push({ file, error: err.message });
+    }
+  }
+
+  return { scripts, scenes, resources, errors };
+}
+
+/**
+ * Check a set of markers against the project model.
+ * @param {object} model - from loadProjectModel
+ * @param {Record<string, {types?: string[], properties?: string[], calls?: string[], names?: string[]}>} markers
+ * @returns {{hits: string[], evidence: Record<string, object[]>}}
+ *   `hits` lists the markers found (in definition order); evidence entries
+ *   are `{file, line, via, match}` with via one of node_type, node_name,
+ *   resource_type, property, connection, call, identifier or declaration.
+ */
+export function detectMarkers(model, markers) {
+  const hits = [];
+  const evidence = {};
+  for (const [marker, matchers] of Object.entries(markers)) {
+    const found = markerEvidence(model, matchers);
+    if (found.length === 0) continue;
+    hits.push(marker);
+    evidence[marker] = found;
+  }
+  return { hits, evidence };
+}
+
+/**
+ * Functions whose whole body is `pass`, as `{file, line, function}`.
+ */
+export function findPassStubs(model) {
+  const stubs = [];
+  const visit = (script, statements) => {
+    for (const statement of statements) {
+      const { keyword, index } = statementKeyword(statement);
+      if (keyword === "class") visit(script, statement.body);
+      if (keyword !== "func") continue;
+      const { tokens } = statement;
+      const colon = tokens.findLastIndex((token) => token.value === ":");
+      const inline = tokens.slice(colon + 1);
+      const body = inline.length > 0 ? [inline] : statement.body.map((child) => child.tokens);
+      if (body.length === 1 && body[0].length === 1 && body[0][0].value === "pass") {
+        stubs.push({ file: script.file, line: statement.line, function: tokens[index + 1]?.value ?? "" });
+      }
+    }
+  };
+  for (const script of model.scripts) visit(script, script.parsed.statements);
+  return stubs;
+}
+
+// ---------------------------------------------------------------------------
+// Matching
+// ---------------------------------------------------------------------------
+
+function markerEvidence(model, { types = [], properties = [], calls = [], names = [] }) {
+  const evidence = [];
+  const add = (file, line, via, match) => {
+    if (evidence.length < MAX_EVIDENCE_PER_MARKER) evidence.push({ file, line, via, match });
+  };
+  const typeSet = new Set(types);
+  const callSet = new Set(calls);
+  const matchesProperty = (key) =>
+    properties.some((property) => (property.endsWith("/") ? key.startsWith(property) : key === property));
+
+  for (const { file, nodes, resources, connections } of model.scenes) {
+    for (const node of nodes) {
+      if (typeSet.has(node.type)) add(file, node.line, "node_type", `${node.path} (${node.type})`);
+      if (matchesName(node.name, names)) add(file, node.line, "node_name", node.path);
+      for (const key of Object.keys(node.properties)) {
+        if (matchesProperty(key)) add(file, node.line, "property", `${node.path}:${key}`);
+      }
+    }
+    for (const resource of resources) {
+      if (typeSet.has(resource.type)) add(file, resource.line, "resource_type", resource.type);
+    }
+    for (const connection of connections) {
+      const name = [connection.signal, connection.method].find((value) => matchesName(value, names));
+      if (name) add(file, connection.line, "connection", name);
+    }
+  }
+
+  for (const { file, resources } of model.resources) {
+    for (const resource of resources) {
+      if (typeSet.has(resource.type)) add(file, resource.line, "resource_type", resource.type);
+    }
+  }
+
+  for (const { file, symbols, parsed } of model.scripts) {
+    for (const symbol of symbols) {
+      if (matchesName(symbol.name, names)) add(file, symbol.line, "declaration", `${symbol.kind} ${symbol.name}`);
+    }
+    for (const { tokens } of parsed.lines) {
+      tokens.forEach((token, i) => {
+        if (token.type !== "name") return;
+        const declared = tokens[i - 1]?.value === "func" || tokens[i - 1]?.value === "signal";
+        const isCall = tokens[i + 1]?.value === "(" && !declared;
+        if (isCall && (callSet.has(token.value) || matchesName(token.value, names))) {
+          add(file, token.line, "call", `${token.value}()`);
+        } else if (typeSet.has(token.value)) {
+          add(file, token.line, "identifier", token.value);
+        } else if (
+          tokens[i - 1]?.value === "." &&
+          tokens[i + 1]?.value === "=" &&
+          matchesProperty(token.value)
+        ) {
+          add(file, token.line, "property", `.${token.value} =`);
+        }
+      });
+    }
+  }
+  return evidence;
+}
+
+// "ScreenShake" and "screen_shake_strength" both start a word with "shake".
+function matchesName(identifier, fragments) {
+  if (!identifier || fragments.length === 0) return false;
+  const words = `_${identifier.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toLowerCase()}_`;
+  return fragments.some((fragment) => words.includes(`_${fragment.toLowerCase()}`));
+}
+
+// ---------------------------------------------------------------------------
+// Scenes
+// ---------------------------------------------------------------------------
+
+function describeScene(file, content) {
+  const scene = parseTscn(content);
+  const lines = Object.fromEntries(
+    ["node", "ext_resource", "sub_resource", "connection"].map((kind) => [kind, sectionLines(content, kind)])
+  );
+  const extPaths = new Map(scene.ext_resources.map((ext) => [ext.id, ext.path]));
+  const resourcePath = (value) => {
+    if (value?.type === "ExtResource") return extPaths.get(String(value.id)) || null;
+    if (value?.type === "SubResource") return `${file}::${value.id}`;
+    return null;
+  };
+  const nodes = scene.nodes.map((node, i) => ({
+    name: node.name,
+    type: node.type,
+    path: nodePathOf(node),
+    line: lines.node[i] ?? 0,
+    instance: resourcePath(node.instance),
+    script: resourcePath(node.properties.script),
+    groups: Array.isArray(node.groups) ? node.groups : [],
+    properties: node.properties,
+  }));
+  return {
+    file,
+    nodes,
+    resources: [
+      ...scene.ext_resources.map((ext, i) => ({ type: ext.type, line: lines.ext_resource[i] ?? 0 })),
+      ...scene.sub_resources.map((sub, i) => ({ type: sub.type, line: lines.sub_resource[i] ?? 0 })),
+    ],
+    connections: scene.connections.map((connection, i) => ({
+      signal: connection.signal,
+      from: connection.from,
+      to: connection.to,
+      method: connection.method,
+      line: lines.connection[i] ?? 0,
+    })),
+  };
+}
@@ -0,0 +1,595 @@
+/**
+ * Edits parsed .tscn scenes in memory: add, rename, reparent and delete nodes,
+ * set properties, and keep ext_resource/sub_resource ids and node unique_ids
+ * consistent. Parsed .tres resources are edited the same way. Used by the
+ * offline scene and resource tools, which work on files on disk without the
+ * Godot editor.
+ */
+import { readFile, stat } from "fs/promises";
+import { extname } from "path";
+import {
+  parseResource,
+  parseScene,
+  resToAbsolute,
+  writeResource,
+  writeScene,
+} from "./scene-parser.js";
+
+const RESOURCE_TYPES_BY_EXTENSION = {
+  gd: "Script",
+  cs: "Script",
+  tscn: "PackedScene",
+  scn: "PackedScene",
+  png: "Texture2D",
+  svg: "Texture2D",
+  jpg: "Texture2D",
+  jpeg: "Texture2D",
+  webp: "Texture2D",
+  ogg: "AudioStreamOggVorbis",
+  wav: "AudioStreamWAV",
+  mp3: "AudioStreamMP3",
+  gdshader: "Shader",
+  ttf: "FontFile",
+  otf: "FontFile",
+  woff: "FontFile",
+  woff2: "FontFile",
+};
+
+const INVALID_NODE_NAME = /[.:@/"%]/;
+const ID_ALPHABET = "abcdefghijklmnopqrstuvwxyz0123456789";
+
+/**
+ * Load a scene for editing. Returns null when the file does not exist yet.
+ */
+export async function loadSceneForEdit(scenePath) {
+  try {
+    return await parseScene(scenePath);
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+/**
+ * Write an edited scene back to disk. Untouched sections keep their bytes.
+ */
+export async function saveEditedScene(scenePath, scene) {
+  scene.load_steps =
+    (scene.ext_resources?.length || 0) + (scene.sub_resources?.length || 0) + 1;
+  await writeScene(scenePath, scene);
+}
+
+/**
+ * Create an empty in-memory scene.
+ */
+export function createScene() {
+  return {
+    format: 3,
+    load_steps: 1,
+    ext_resources: [],
+    sub_resources: [],
+    nodes: [],
+    connections: [],
+    editable: [],
+  };
+}
+
+/**
+ * Load a .tres resource for editing. Returns null when the file does not
+ * exist yet.
+ */
+export async function loadResourceForEdit(resourcePath) {
+  try {
+    return await parseResource(resourcePath);
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+/**
+ * Write an edited resource back to disk. Untouched sections keep their bytes.
+ */
+export async function saveEditedResource(resourcePath, resource) {
+  resource.load_steps =
+    (resource.ext_resources?.length || 0) + (resource.sub_resources?.length || 0) + 1;
+  await writeResource(resourcePath, resource);
+}
+
+/**
+ * Create an empty in-memory resource of the given class. Custom Resource
+ * scripts use type "Resource" plus the script's class_name as `scriptClass`.
+ */
+export function createResource(type, scriptClass = "") {
+  const resource = {
+    type: type || "Resource",
+    format: 3,
+    load_steps: 1,
+    ext_resources: [],
+    sub_resources: [],
+    properties: {},
+  };
+  if (scriptClass) resource.script_class = scriptClass;
+  return resource;
+}
+
+/**
+ * Set or remove values of a resource's [resource] section. Values accept the
+ * same shorthand as node properties; resources no longer referenced are
+ * dropped.
+ */
+export async function updateResourceProperties(
+  resource,
+  { properties = {}, removeProperties = [] }
+) {
+  const edit = beginEdit(resource);
+  const updated = [];
+  const normalized = await normalizeProperties(resource, edit, properties);
+  for (const [key, value] of Object.entries(normalized)) {
+    resource.properties[key] = value;
+    updated.push(key);
+  }
+  const removed = [];
+  for (const key of removeProperties) {
+    if (key in resource.properties) {
+      delete resource.properties[key];
+      removed.push(key);
+    }
+  }
+  return finishEdit(resource, edit, { type: resource.type, updated, removed });
+}
+
+/**
+ * Scene-relative path of a node: "." for the root, "Child", "Child/Grandchild".
+ */
+export function nodePathOf(node) {
+  if (!node.parent) return ".";
+  if (node.parent === ".") return node.name;
+  return `${node.parent}/${node.name}`;
+}
+
+export function findNode(scene, nodePath) {
+  const target = normalizeNodePath(nodePath);
+  return scene.nodes.find((node) => nodePathOf(node) === target) || null;
+}
+
+/**
+ * Add a node under `parentPath`. When the scene has no nodes yet the new node
+ * becomes the root. Either `type` or `instanceScene` (res:// .tscn) is needed.
+ */
+export async function addSceneNode(
+  scene,
+  { parentPath = ".", name, type = "", instanceScene = "", properties = {} }
+) {
+  const edit = beginEdit(scene);
+  if (!name || INVALID_NODE_NAME.test(name)) {
+    return { error: `Invalid node name: '${name || ""}'` };
+  }
+  if (!type && !instanceScene) {
+    return { error: "node_type or instance_scene is required" };
+  }
+
+  const node = { name, type, parent: "" };
+  if (scene.nodes.length > 0) {
+    const parent = findNode(scene, parentPath);
+    if (!parent) return { error: `Parent not found: ${parentPath}` };
+    node.parent = nodePathOf(parent);
+    if (childrenOf(scene, node.parent).some((child) => child.name === name)) {
+      return { error: `Parent '${node.parent}' already has a child named '${name}'` };
+    }
+  }
+
+  if (instanceScene) {
+    node.instance = await referenceResource(scene, edit, instanceScene, "PackedScene");
+  }
+  if (scene.nodes.some((existing) => "unique_id" in existing)) {
+    node.unique_id = generateUniqueNodeId(scene);
+  }
+  node.properties = await normalizeProperties(scene, edit, properties);
+
+  const insertAt = node.parent ? subtreeEnd(scene, node.parent) : scene.nodes.length;
+  scene.nodes.splice(insertAt, 0, node);
+
+  return finishEdit(scene, edit, { path: nodePathOf(node) });
+}
+
+/**
+ * Set or remove properties on a node, and optionally rename or reparent it.
+ * Descendants follow the node; resources no longer referenced are dropped.
+ */
+export async function updateSceneNode(
+  scene,
+  nodePath,
+  { properties = {}, removeProperties = [], newName = "", newParentPath = "" }
+) {
+  const edit = beginEdit(scene);
+  const node = findNode(scene, nodePath);
+  if (!node) return { error: `Node not found: ${nodePath}` };
+
+  const updated = [];
+  const normalized = await normalizeProperties(scene, edit, properties);
+  node.properties = node.properties || {};
+  for (const [key, value] of Object.entries(normalized)) {
+    node.properties[key] = value;
+    updated.push(key);
+  }
+  const removed = [];
+  for (const key of removeProperties) {
+    if (key in node.properties) {
+      delete node.properties[key];
+      removed.push(key);
+    }
+  }
+
+  const oldPath = nodePathOf(node);
+  if (newParentPath) {
+    const moved = reparentNode(scene, node, newParentPath);
+    if (moved.error) return moved;
+  }
+  if (newName && newName !== node.name) {
+    const renamed = renameNode(scene, node, newName);
+    if (renamed.error) return renamed;
+  }
+
+  return finishEdit(scene, edit, {
+    path: nodePathOf(node),
+    previous_path: oldPath,
+    updated,
+    removed,
+  });
+}
+
+/**
+ * Delete a node and its descendants. The scene root cannot be deleted.
+ */
+export function deleteSceneNode(scene, nodePath) {
+  const edit = beginEdit(scene);
+  const node = findNode(scene, nodePath);
+  if (!node) return { error: `Node not found: ${nodePath}` };
+  if (!node.parent) return { error: "Cannot delete the scene root" };
+
+  const path = nodePathOf(node);
+  const doomed = new Set([node, ...descendantsOf(scene, path)]);
+  scene.nodes = scene.nodes.filter((candidate) => !doomed.has(candidate));
+
+  // Connections and editable markers pointing into the subtree go with it.
+  const inSubtree = (candidate) => candidate === path || candidate.startsWith(`${path}/`);
+  const connectionsRemoved = (scene.connections || []).filter(
+    (connection) => inSubtree(connection.from) || inSubtree(connection.to)
+  );
+  scene.connections = (scene.connections || []).filter(
+    (connection) => !connectionsRemoved.includes(connection)
+  );
+  scene.editable = (scene.editable || []).filter((editable) => !inSubtree(editable.path));
+
+  return finishEdit(scene, edit, {
+    path,
+    deleted_nodes: [...doomed].map(nodePathOf),
+    connections_removed: connectionsRemoved.map(
+      ({ signal, from, to, method }) => ({ signal, from, to, method })
+    ),
+  });
+}
+
+function renameNode(scene, node, newName) {
+  if (INVALID_NODE_NAME.test(newName)) {
+    return { error: `Invalid node name: '${newName}'` };
+  }
+  if (
+    node.parent &&
+    childrenOf(scene, node.parent).some((child) => child !== node && child.name === newName)
+  ) {
+    return { error: `Parent '${node.parent}' already has a child named '${newName}'` };
+  }
+
+  const oldPath = nodePathOf(node);
+  node.name = newName;
+  if (node.parent) {
+    rebaseDescendants(scene, oldPath, nodePathOf(node));
+    rebaseNodeReferences(scene, oldPath, nodePathOf(node));
+  }
+  return {};
+}
+
+function reparentNode(scene, node, newParentPath) {
+  if (!node.parent) return { error: "Cannot reparent the scene root" };
+  const newParent = findNode(scene, newParentPath);
+  if (!newParent) return { error: `Parent not found: ${newParentPath}` };
+
+  const oldPath = nodePathOf(node);
+  const parentPath = nodePathOf(newParent);
+  // Already there: keep the node where it is in the file.
+  if (parentPath === node.parent) return {};
+  if (parentPath === oldPath || parentPath.startsWith(`${oldPath}/`)) {
+    return { error: `Cannot move '${oldPath}' under itself` };
+  }
+  if (childrenOf(scene, parentPath).some((child) => child !== node && child.name === node.name)) {
+    return { error: `Parent '${parentPath}' already has a child named '${node.name}'` };
+  }
+
+  // Godot requires parents to precede children, so the subtree moves as a
+  // block to the end of the new parent's subtree.
+  const block = [node, ...descendantsOf(scene, oldPath)];
+  scene.nodes = scene.nodes.filter((candidate) => !block.includes(candidate));
+  node.parent = parentPath;
+  rebaseDescendants(scene, oldPath, nodePathOf(node), block);
+  rebaseNodeReferences(scene, oldPath, nodePathOf(node));
+  scene.nodes.splice(subtreeEnd(scene, parentPath), 0, ...block);
+  return {};
+}
+
+/**
+ * Point [connection] from/to and [editable] paths at a moved or renamed node.
+ */
+function rebaseNodeReferences(scene, oldPath, newPath) {
+  const rebase = (path) => {
+    if (path === oldPath) return newPath;
+    if (path.startsWith(`${oldPath}/`)) return newPath + path.slice(oldPath.length);
+    return path;
+  };
+  for (const connection of scene.connections || []) {
+    connection.from = rebase(connection.from);
+    connection.to = rebase(connection.to);
+  }
+  for (const editable of scene.editable || []) {
+    editable.path = rebase(editable.path);
+  }
+}
+
+function rebaseDescendants(scene, oldPath, newPath, nodes = scene.nodes) {
+  for (const candidate of nodes) {
+    if (candidate.parent === oldPath) {
+      candidate.parent = newPath;
+    } else if (candidate.parent.startsWith(`${oldPath}/`)) {
+      candidate.parent = newPath + candidate.parent.slice(oldPath.length);
+    }
+  }
+}
+
+function childrenOf(scene, parentPath) {
+  return scene.nodes.filter((node) => node.parent === parentPath);
+}
+
+function descendantsOf(scene, path) {
+  if (path === ".") return scene.nodes.filter((node) => node.parent);
+  return scene.nodes.filter(
+    (node) => node.parent === path || node.parent.startsWith(`${path}/`)
+  );
+}
+
+function subtreeEnd(scene, path) {
+  let end = -1;
+  scene.nodes.forEach((node, i) => {
+    const nodePath = nodePathOf(node);
+    if (
+      nodePath === path ||
+      path === "." ||
+      nodePath.startsWith(`${path}/`)
+    ) {
+      end = i;
+    }
+  });
+  return end + 1;
+}
+
+function normalizeNodePath(nodePath) {
+  const clean = String(nodePath ?? "")
+    .trim()
+    .replace(/^\.\//, "")
+    .replace(/\/+$/, "");
+  return clean === "" ? "." : clean;
+}
+
+// ---------------------------------------------------------------------------
+// Resources
+// ---------------------------------------------------------------------------
+
+function beginEdit(scene) {
+  return {
+    referencedBefore: collectResourceReferences(scene),
+    extAdded: [],
+    subAdded: [],
+    warnings: [],
+  };
+}
+
+function finishEdit(scene, edit, result) {
+  const removed = pruneResources(scene, edit.referencedBefore);
+  return {
+    success: true,
+    ...result,
+    ext_resources_added: edit.extAdded,
+    sub_resources_added: edit.subAdded,
+    resources_removed: removed,
+    load_steps: scene.ext_resources.length + scene.sub_resources.length + 1,
+    warnings: edit.warnings,
+  };
+}
+
+/**
+ * Node properties accept the same shorthand as godot_update_node:
+ * - "res://..." strings become ExtResource references (added if missing)
+ * - {type: "ExtResource", path, resource_type?} references a file by path
+ * - {type: "SubResource", resource_type, properties} creates a sub_resource
+ * Everything else is stored as-is and written by serializeVariant.
+ */
+async function normalizeProperties(scene, edit, properties) {
+  const out = {};
+  for (const [key, value] of Object.entries(properties || {})) {
+    out[key] = await normalizePropertyValue(scene, edit, value);
+  }
+  return out;
+}
+
+async function normalizePropertyValue(scene, edit, value) {
+  if (typeof value === "string" && value.startsWith("res://")) {
+    return referenceResource(scene, edit, value);
+  }
+  if (!value || typeof value !== "object" || Array.isArray(value)) return value;
+
+  if (value.type === "ExtResource" && !value.id && value.path) {
+    return referenceResource(scene, edit, value.path, value.resource_type);
+  }
+  if (value.type === "SubResource" && !value.id && value.resource_type) {
+    const sub = {
+      type: value.resource_type,
+      id: generateSubResourceId(scene, value.resource_type),
+      properties: await normalizeProperties(scene, edit, value.properties),
+    };
+    scene.sub_resources.push(sub);
+    edit.subAdded.push({ id: sub.id, type: sub.type });
+    return { type: "SubResource", id: sub.id };
+  }
+  return value;
+}
+
+async function referenceResource(scene, edit, resPath, resourceType = "") {
+  const existing = scene.ext_resources.find((ext) => ext.path === resPath);
+  if (existing) return { type: "ExtResource", id: existing.id };
+
+  const absPath = resToAbsolute(resPath);
+  if (!(await fileExists(absPath))) {
+    edit.warnings.push(`Referenced file does not exist yet: ${resPath}`);
+  }
+
+  const ext = {
+    type: resourceType || (await resourceTypeForPath(resPath)),
+  };
+  const uid = await lookupResourceUid(resPath);
+  if (uid) ext.uid = uid;
+  ext.path = resPath;
+  ext.id = generateExtResourceId(scene);
+
+  scene.ext_resources.push(ext);
+  edit.extAdded.push({ id: ext.id, type: ext.type, path: resPath });
+  return { type: "ExtResource", id: ext.id };
+}
+
+async function resourceTypeForPath(resPath) {
+  const ext = extname(resPath).slice(1).toLowerCase();
+  if (ext === "tres") {
+    try {
+      const content = await readFile(resToAbsolute(resPath), "utf-8");
+      const match = content.match(/^\[gd_resource[^\]]*\btype="([^"]+)"/m);
+      if (match) return match[1];
+    } catch {
+      // Fall through to the generic Resource type.
+    }
+    return "Resource";
+  }
+  return RESOURCE_TYPES_BY_EXTENSION[ext] || "Resource";
+}
+
+/**
+ * Find the uid:// of a resource from its own header (.tscn/.tres), a sidecar
+ * .uid file (Godot 4.4+ scripts) or its .import file.
+ */
+async function lookupResourceUid(resPath) {
+  const absPath = resToAbsolute(resPath);
+  const ext = extname(resPath).slice(1).toLowerCase();
+  const candidates =
+    ext === "tscn" || ext === "tres"
+      ? [[absPath, /^\[gd_(?:scene|resource)[^\]]*\buid="(uid:\/\/[^"]+)"/m]]
+      : [
+          [`${absPath}.uid`, /^(uid:\/\/\S+)/m],
+          [`${absPath}.import`, /^uid="(uid:\/\/[^"]+)"/m],
+        ];
+
+  for (const [path, pattern] of candidates) {
+    try {
+      const match = (await readFile(path, "utf-8")).match(pattern);
+      if (match) return match[1];
+    } catch {
+      // Missing sidecar files are normal.
+    }
+  }
+  return "";
+}
+
+function collectResourceReferences(scene) {
+  const refs = { ext: new Set(), sub: new Set() };
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === "object") {
+      if (value.type === "ExtResource") refs.ext.add(String(value.id));
+      if (value.type === "SubResource") refs.sub.add(String(value.id));
+      Object.values(value).forEach(visit);
+    }
+  };
+  (scene.nodes || []).forEach(visit);
+  scene.sub_resources.forEach((sub) => visit(sub.properties));
+  if (scene.properties) visit(scene.properties);
+  return refs;
+}
+
+/**
+ * Drop resources that an edit left unreferenced. Resources that were already
+ * unreferenced before the edit are left alone.
+ */
+function pruneResources(scene, referencedBefore) {
+  const removed = [];
+  for (;;) {
+    const now = collectResourceReferences(scene);
+    const staleSubs = scene.sub_resources.filter(
+      (sub) => referencedBefore.sub.has(sub.id) && !now.sub.has(sub.id)
+    );
+    const staleExts = scene.ext_resources.filter(
+      (ext) => referencedBefore.ext.has(ext.id) && !now.ext.has(ext.id)
+    );
+    if (staleSubs.length === 0 && staleExts.length === 0) return removed;
+
+    scene.sub_resources = scene.sub_resources.filter((sub) => !staleSubs.includes(sub));
+    scene.ext_resources = scene.ext_resources.filter((ext) => !staleExts.includes(ext));
+    removed.push(
+      ...staleExts.map((ext) => ({ kind: "ext_resource", id: ext.id, path: ext.path })),
+      ...staleSubs.map((sub) => ({ kind: "sub_resource", id: sub.id, type: sub.type }))
+    );
+  }
+}
+
+// Godot 4 ids: "<n>_<5 chars>" for ext_resources, "<Type>_<5 chars>" for
+// sub_resources.
+function generateExtResourceId(scene) {
+  const taken = new Set(scene.ext_resources.map((ext) => ext.id));
+  let id;
+  do {
+    id = `${scene.ext_resources.length + 1}_${randomSuffix()}`;
+  } while (taken.has(id));
+  return id;
+}
+
+function generateSubResourceId(scene, type) {
+  const taken = new Set(scene.sub_resources.map((sub) => sub.id));
+  let id;
+  do {
+    id = `${type}_${randomSuffix()}`;
+  } while (taken.has(id));
+  return id;
+}
+
+function generateUniqueNodeId(scene) {
+  const taken = new Set(scene.nodes.map((node) => node.unique_id));
+  let id;
+  do {
+    id = 1 + Math.floor(Math.random() * 0x7ffffffe);
+  } while (taken.has(id));
+  return id;
+}
+
+function randomSuffix() {
+  let out = "";
+  for (let i = 0; i < 5; i += 1) {
+    out += ID_ALPHABET[Math.floor(Math.random() * ID_ALPHABET.length)];
+  }
+  return out;
+}
+
+async function fileExists(path) {
+  try {
+    await stat(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
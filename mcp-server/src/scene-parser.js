@@ -1,8 +1,10 @@
 /**
- * Parses Godot 4 .tscn text scene files into a structured tree.
+ * Parses Godot 4 .tscn text scenes and .tres text resources into structured
+ * data, and writes that structure back to text.
  */
-import { readFile } from "fs/promises";
+import { readFile, writeFile } from "fs/promises";
 import { resolve } from "path";
+import { keepFloat, parseVariant, readVariant, serializeVariant } from "./variant.js";
 
 const PROJECT_PATH = process.env.GODOT_PROJECT_PATH || ".";
 
@@ -23,97 +25,503 @@ export async function parseScene(scenePath) {
   return parseTscn(content);
 }
 
+/**
+ * Serialize a scene (as returned by parseScene) and write it to disk.
+ */
+export async function writeScene(scenePath, scene, options = {}) {
+  const absPath = resToAbsolute(scenePath);
+  await writeFile(absPath, serializeTscn(scene, options), "utf-8");
+}
+
+/**
+ * Parse a .tres (or text-format .res) resource file.
+ */
+export async function parseResource(resourcePath) {
+  const absPath = resToAbsolute(resourcePath);
+  const content = await readFile(absPath, "utf-8");
+  return parseTres(content);
+}
+
+/**
+ * Serialize a resource (as returned by parseResource) and write it to disk.
+ */
+export async function writeResource(resourcePath, resource, options = {}) {
+  const absPath = resToAbsolute(resourcePath);
+  await writeFile(absPath, serializeTres(resource, options), "utf-8");
+}
+
+// Source text captured by parseTscn/parseTres, keyed by the returned object.
+// serializeTscn uses it to copy untouched sections and properties verbatim.
+const _sourceInfo = new WeakMap();
+
 /**
  * Parse raw .tscn text content.
+ *
+ * Header attributes and properties are decoded with the Variant parser, so
+ * values come back typed (see variant.js) and may span several lines.
  */
 export function parseTscn(content) {
-  const result = {
+  return _parseText(content, "gd_scene", {
     format: null,
     load_steps: 0,
     ext_resources: [],
     sub_resources: [],
     nodes: [],
+    connections: [],
+    editable: [],
+  });
+}
+
+/**
+ * Parse raw .tres text content.
+ *
+ * Returns the resource `type` (and `script_class` for custom Resource
+ * scripts), its ext_resources and sub_resources, and the `[resource]`
+ * section's values under `properties`, typed like parseTscn.
+ */
+export function parseTres(content) {
+  return _parseText(content, "gd_resource", {
+    type: "",
+    format: null,
+    load_steps: 0,
+    ext_resources: [],
+    sub_resources: [],
+    properties: {},
+  });
+}
+
+/**
+ * 1-based line numbers of each `[<kind> ...]` section header, in file order,
+ * matching the order of the parsed `nodes`, `connections`, etc.
+ * @param {string} content - .tscn or .tres text
+ * @param {string} kind - section kind such as "node" or "sub_resource"
+ * @returns {number[]}
+ */
+export function sectionLines(content, kind) {
+  const lines = [];
+  content.split("\n").forEach((line, i) => {
+    if (line.startsWith(`[${kind} `) || line.startsWith(`[${kind}]`)) lines.push(i + 1);
+  });
+  return lines;
+}
+
+function _parseText(content, headerKind, result) {
+  if (content.startsWith("RSRC") || content.startsWith("RSCC")) {
+    throw new Error("Binary resource files are not supported; save it as .tres instead");
+  }
+  const source = {
+    eol: content.includes("\r\n") ? "\r\n" : "\n",
+    preamble: "",
+    header: null,
+    entries: new Map(),
+    extras: [],
   };
 
-  const lines = content.split("\n");
-  let currentSection = null;
-  let currentData = {};
+  let current = null;
+  let pos = 0;
 
-  for (const line of lines) {
+  const finishSection = (end) => {
+    if (!current) return;
+    const raw = content.slice(current.start, end);
+    const body = raw.replace(/\s+$/, "");
+    const entry = {
+      kind: current.section,
+      body,
+      gap: raw.slice(body.length),
+      attributes: current.data,
+      props: current.rawProps,
+      next: null,
+    };
+    const target = _flushSection(result, current.section, current.data, current.props);
+    if (current.section === headerKind) {
+      entry.snapshot = JSON.stringify(current.data);
+      source.header = entry;
+    } else if (target) {
+      entry.snapshot = JSON.stringify(target);
+      source.entries.set(target, entry);
+    } else {
+      source.extras.push(entry);
+    }
+    if (source.last) source.last.next = entry;
+    source.last = entry;
+  };
+
+  while (pos < content.length) {
+    const lineEnd = _lineEnd(content, pos);
+    const line = content.slice(pos, lineEnd);
     const trimmed = line.trim();
-    if (!trimmed || trimmed.startsWith(";")) continue;
+    if (!trimmed || trimmed.startsWith(";")) {
+      pos = lineEnd + 1;
+      continue;
+    }
 
     // Section headers: [gd_scene ...], [ext_resource ...], [node ...], etc.
-    const sectionMatch = trimmed.match(/^\[(\w+)(.*?)\]$/);
-    if (sectionMatch) {
+    if (trimmed.startsWith("[")) {
       // Flush previous section
-      if (currentSection) {
-        _flushSection(result, currentSection, currentData);
+      if (current) {
+        finishSection(pos);
+      } else {
+        source.preamble = content.slice(0, pos);
       }
 
-      currentSection = sectionMatch[1];
-      currentData = _parseInlineProps(sectionMatch[2]);
+      const header = _readSectionHeader(content, pos + line.indexOf("["));
+      if (!current && header.section !== headerKind) {
+        throw new Error(`Expected a [${headerKind}] header, found [${header.section}]`);
+      }
+      current = {
+        section: header.section,
+        data: header.attributes,
+        props: {},
+        rawProps: {},
+        start: pos,
+      };
+      pos = _lineEnd(content, header.end) + 1;
       continue;
     }
 
-    // Key = value lines within a section
-    const kvMatch = trimmed.match(/^(\w+)\s*=\s*(.+)$/);
-    if (kvMatch) {
-      currentData[kvMatch[1]] = kvMatch[2];
+    // Key = value lines within a section; the value may continue on later lines
+    const kvMatch = line.match(_KEY_RE);
+    if (kvMatch && current) {
+      const { value, end } = readVariant(content, pos + kvMatch[0].length);
+      const key = _unquoteKey(kvMatch[1]);
+      current.props[key] = value;
+      current.rawProps[key] = {
+        raw: content.slice(pos + line.search(/\S/), end),
+        literal: content.slice(pos + kvMatch[0].length, end),
+        snapshot: JSON.stringify(value),
+      };
+      pos = _lineEnd(content, end) + 1;
+      continue;
     }
+
+    pos = lineEnd + 1;
   }
 
   // Flush last section
-  if (currentSection) {
-    _flushSection(result, currentSection, currentData);
+  if (current) {
+    finishSection(content.length);
+  } else {
+    source.preamble = content;
   }
 
+  delete source.last;
+  _sourceInfo.set(result, source);
   return result;
 }
 
-function _flushSection(result, section, data) {
+/**
+ * Serialize a parsed scene back to Godot 4 .tscn text.
+ *
+ * In the default "lossless" mode, sections and properties that were not
+ * modified since parseTscn are copied byte-for-byte from the source text, so
+ * parse → serialize round-trips exactly. Modified or added sections are
+ * written the way the Godot editor formats them. "canonical" mode rewrites
+ * every section. Objects that did not come from parseTscn (or were cloned)
+ * are always written canonically. `load_steps` is recomputed from the
+ * resource counts.
+ * @param {object} scene
+ * @param {{mode?: "lossless"|"canonical"}} [options]
+ * @returns {string}
+ */
+export function serializeTscn(scene, { mode = "lossless" } = {}) {
+  return _serializeText(scene, "gd_scene", mode, [
+    ["ext_resource", scene.ext_resources],
+    ["sub_resource", scene.sub_resources],
+    ["node", scene.nodes],
+    ["connection", scene.connections],
+    ["editable", scene.editable],
+  ]);
+}
+
+/**
+ * Serialize a parsed resource back to Godot 4 .tres text, with the same
+ * lossless/canonical modes as serializeTscn.
+ * @param {object} resource
+ * @param {{mode?: "lossless"|"canonical"}} [options]
+ * @returns {string}
+ */
+export function serializeTres(resource, { mode = "lossless" } = {}) {
+  return _serializeText(resource, "gd_resource", mode, [
+    ["ext_resource", resource.ext_resources],
+    ["sub_resource", resource.sub_resources],
+  ]);
+}
+
+function _serializeText(doc, headerKind, mode, sections) {
+  const source = _sourceInfo.get(doc) || null;
+  const reuse = mode === "lossless" && source !== null;
+  const blocks = [];
+
+  const header = _headerAttributes(doc, source, headerKind);
+  blocks.push(
+    _buildBlock(headerKind, header, {}, source?.header, reuse, () =>
+      JSON.stringify(header) === source?.header?.snapshot
+    )
+  );
+
+  for (const [kind, items] of sections) {
+    for (const item of items || []) {
+      const entry = source?.entries.get(item);
+      blocks.push(
+        _buildBlock(kind, _sectionAttributes(kind, item), item.properties || {}, entry, reuse, () =>
+          JSON.stringify(item) === entry?.snapshot
+        )
+      );
+    }
+  }
+
+  // A resource's own values always come last, in a [resource] section.
+  if (headerKind === "gd_resource") {
+    const properties = doc.properties || {};
+    const entry = source?.entries.get(doc.properties);
+    blocks.push(
+      _buildBlock("resource", {}, properties, entry, reuse, () =>
+        JSON.stringify(properties) === entry?.snapshot
+      )
+    );
+  }
+
+  // Sections the parser does not model are carried over unchanged.
+  for (const entry of source?.extras || []) {
+    blocks.push({ kind: entry.kind, text: entry.body, entry });
+  }
+
+  let out = reuse ? source.preamble : "";
+  blocks.forEach((block, i) => {
+    const next = blocks[i + 1];
+    out += block.text;
+    // The original gap is only valid while the original successor follows.
+    const sameSuccessor = next
+      ? Boolean(next.entry) && block.entry?.next === next.entry
+      : block.entry?.next === null;
+    if (reuse && block.entry && sameSuccessor) {
+      out += block.entry.gap;
+    } else if (!next) {
+      out += "\n";
+    } else if (next.kind === block.kind && _GROUPED_SECTIONS.has(block.kind)) {
+      out += "\n";
+    } else {
+      out += "\n\n";
+    }
+  });
+
+  const eol = source?.eol ?? "\n";
+  return eol === "\n" ? out : out.replace(/\r?\n/g, eol);
+}
+
+// Property keys may contain slashes (script/source, theme_override_colors/x),
+// colons, dots and dashes, or be quoted when they hold anything else.
+const _KEY_RE = /^\s*([\w/:.\-]+|"(?:[^"\\]|\\.)*")\s*=\s*/;
+
+// Object.CONNECT_PERSIST: the flags of every connection saved in a scene
+// include it, and the editor omits `flags=` when nothing else is set.
+const CONNECT_PERSIST = 2;
+
+// Sections Godot writes on consecutive lines without a blank line between.
+const _GROUPED_SECTIONS = new Set(["ext_resource", "connection", "editable"]);
+
+// Header attribute order used by the Godot editor when writing each section.
+const _ATTRIBUTE_ORDER = {
+  gd_scene: ["load_steps", "format", "uid"],
+  gd_resource: ["type", "script_class", "load_steps", "format", "uid"],
+  ext_resource: ["type", "uid", "path", "id"],
+  sub_resource: ["type", "id"],
+  connection: ["signal", "from", "to", "method", "flags", "unbinds", "binds"],
+  editable: ["path"],
+  node: [
+    "name",
+    "type",
+    "parent",
+    "owner",
+    "index",
+    "unique_id",
+    "node_paths",
+    "groups",
+    "instance_placeholder",
+    "instance",
+  ],
+};
+
+function _flushSection(result, section, data, props) {
   switch (section) {
     case "gd_scene":
-      result.format = parseInt(data.format || "3", 10);
-      result.load_steps = parseInt(data.load_steps || "0", 10);
-      break;
-    case "ext_resource":
-      result.ext_resources.push({
-        type: _unquote(data.type),
-        path: _unquote(data.path),
-        id: _unquote(data.id),
-      });
-      break;
-    case "sub_resource":
-      result.sub_resources.push({
-        type: _unquote(data.type),
-        id: _unquote(data.id),
+      result.format = data.format ?? 3;
+      result.load_steps = data.load_steps ?? 0;
+      if (data.uid) result.uid = data.uid;
+      return result;
+    case "gd_resource":
+      result.type = data.type ?? "";
+      if (data.script_class) result.script_class = data.script_class;
+      result.format = data.format ?? 3;
+      result.load_steps = data.load_steps ?? 0;
+      if (data.uid) result.uid = data.uid;
+      return result;
+    case "resource":
+      // Only .tres files have one; its values are the resource's own.
+      if (!("properties" in result)) return null;
+      result.properties = props;
+      return props;
+    case "ext_resource": {
+      const ext = {
         ...data,
-      });
-      break;
-    case "node":
-      result.nodes.push({
-        name: _unquote(data.name),
-        type: _unquote(data.type || ""),
-        parent: _unquote(data.parent || ""),
+        type: data.type ?? "",
+        path: data.path ?? "",
+        id: String(data.id ?? ""),
+      };
+      result.ext_resources.push(ext);
+      return ext;
+    }
+    case "sub_resource": {
+      const sub = {
+        ...data,
+        type: data.type ?? "",
+        id: String(data.id ?? ""),
+        properties: props,
+      };
+      result.sub_resources.push(sub);
+      return sub;
+    }
+    case "node": {
+      const node = {
         ...data,
-      });
-      break;
+        name: data.name ?? "",
+        type: data.type ?? "",
+        parent: data.parent ?? "",
+        properties: props,
+      };
+      result.nodes.push(node);
+      return node;
+    }
+    case "connection": {
+      const connection = {
+        ...data,
+        signal: data.signal ?? "",
+        from: data.from ?? "",
+        to: data.to ?? "",
+        method: data.method ?? "",
+        flags: data.flags ?? CONNECT_PERSIST,
+        binds: data.binds ?? [],
+      };
+      result.connections.push(connection);
+      return connection;
+    }
+    case "editable": {
+      const editable = { ...data, path: data.path ?? "" };
+      result.editable.push(editable);
+      return editable;
+    }
   }
+  return null;
 }
 
-function _parseInlineProps(str) {
-  const props = {};
-  const re = /(\w+)\s*=\s*("(?:[^"\\]|\\.)*"|\S+)/g;
-  let m;
-  while ((m = re.exec(str)) !== null) {
-    props[m[1]] = m[2];
+function _buildBlock(kind, attributes, properties, entry, reuse, isUnchanged) {
+  if (reuse && entry && isUnchanged()) {
+    return { kind, text: entry.body, entry };
+  }
+
+  const lines = [_formatHeader(kind, attributes)];
+  for (const [key, value] of Object.entries(properties)) {
+    const rawProp = reuse ? entry?.props[key] : null;
+    if (rawProp && rawProp.snapshot === JSON.stringify(value)) {
+      lines.push(rawProp.raw);
+    } else {
+      // Canonical mode rewrites every value, but floats read as 90.0 stay floats
+      const literal = entry?.props[key]?.literal;
+      lines.push(`${_formatKey(key)} = ${serializeVariant(keepFloat(value, literal))}`);
+    }
   }
-  return props;
+  return { kind, text: lines.join("\n"), entry };
+}
+
+function _headerAttributes(doc, source, kind) {
+  const original = source?.header?.attributes;
+  const loadSteps =
+    (doc.ext_resources?.length || 0) + (doc.sub_resources?.length || 0) + 1;
+  const attributes = { ...(original || {}) };
+
+  if (kind === "gd_resource") {
+    attributes.type = doc.type || "Resource";
+    if (doc.script_class) {
+      attributes.script_class = doc.script_class;
+    } else {
+      delete attributes.script_class;
+    }
+  }
+
+  // Newer Godot versions stop writing load_steps; follow the source file.
+  if (original ? "load_steps" in original : loadSteps > 1) {
+    attributes.load_steps = loadSteps;
+  }
+  attributes.format = doc.format ?? 3;
+  if (doc.uid) {
+    attributes.uid = doc.uid;
+  } else {
+    delete attributes.uid;
+  }
+  return attributes;
+}
+
+function _sectionAttributes(kind, item) {
+  const attributes = {};
+  for (const [key, value] of Object.entries(item)) {
+    if (key === "properties") continue;
+    // Root nodes have no parent and instanced nodes no type.
+    if (kind === "node" && (key === "type" || key === "parent") && value === "") continue;
+    // Godot only writes connection flags and binds that differ from the default.
+    if (kind === "connection" && key === "flags" && value === CONNECT_PERSIST) continue;
+    if (kind === "connection" && key === "binds" && Array.isArray(value) && value.length === 0) continue;
+    attributes[key] = value;
+  }
+  return attributes;
+}
+
+function _formatHeader(kind, attributes) {
+  const order = _ATTRIBUTE_ORDER[kind] || [];
+  const keys = [
+    ...order.filter((key) => key in attributes),
+    ...Object.keys(attributes).filter((key) => !order.includes(key)),
+  ];
+  const parts = keys
+    .filter((key) => attributes[key] !== undefined)
+    .map((key) => `${key}=${serializeVariant(attributes[key])}`);
+  return `[${[kind, ...parts].join(" ")}]`;
+}
+
+function _formatKey(key) {
+  return /^[\w/:.\-]+$/.test(key) ? key : serializeVariant(key);
+}
+
+/**
+ * Read a `[section key=value ...]` header starting at the opening bracket.
+ */
+function _readSectionHeader(content, start) {
+  const nameMatch = /^\[(\w+)/.exec(content.slice(start, start + 64));
+  if (!nameMatch) {
+    throw new Error(`Malformed section header at offset ${start}`);
+  }
+
+  const attributes = {};
+  let pos = start + nameMatch[0].length;
+  for (;;) {
+    while (content[pos] === " " || content[pos] === "\t") pos += 1;
+    if (content[pos] === "]") {
+      return { section: nameMatch[1], attributes, end: pos + 1 };
+    }
+    const attrMatch = /^(\w+)\s*=\s*/.exec(content.slice(pos, pos + 256));
+    if (!attrMatch) {
+      throw new Error(`Malformed [${nameMatch[1]}] header at offset ${pos}`);
+    }
+    const { value, end } = readVariant(content, pos + attrMatch[0].length);
+    attributes[attrMatch[1]] = value;
+    pos = end;
+  }
+}
+
+function _lineEnd(content, pos) {
+  const idx = content.indexOf("\n", pos);
+  return idx === -1 ? content.length : idx;
 }
 
-function _unquote(s) {
-  if (!s) return "";
-  if (s.startsWith('"') && s.endsWith('"')) return s.slice(1, -1);
-  return s;
+function _unquoteKey(key) {
+  return key.startsWith('"') ? parseVariant(key) : key;
 }
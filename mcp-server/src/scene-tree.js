@@ -0,0 +1,216 @@
+/**
+ * Builds a nested node tree from a parsed .tscn scene, in the same shape the
+ * editor bridge returns for godot_get_scene_tree, so offline and live views
+ * can be compared directly.
+ */
+import { parseScene } from "./scene-parser.js";
+import { nodePathOf } from "./scene-editor.js";
+import { CANVAS_ITEM_CLASSES, NODE_3D_CLASSES } from "./godot-classes.js";
+
+const MAX_INSTANCE_DEPTH = 8;
+
+/**
+ * Build the node hierarchy of a parsed scene.
+ *
+ * Each node has `name`, `type`, `path` (relative to the scene root, "." for
+ * the root itself), `script` (res:// path when attached), `visible` (on
+ * CanvasItem and Node3D nodes, true unless the scene or the scene it
+ * instances says otherwise) and `process_mode`, like the live tree, plus
+ * offline extras: `absolute_path` (path at runtime
+ * when the scene is the current scene), `instance` for instanced scenes,
+ * `inherits` on the root of inherited scenes, `groups`, and `resources`
+ * mapping properties to the res:// paths of their ext_resources. Nodes whose
+ * parent lives inside an instanced scene hang off placeholder nodes marked
+ * `from_instance: true`.
+ * @param {object} scene - result of parseTscn/parseScene
+ * @param {string} scenePath - res:// path of the scene (for built-in scripts)
+ * @param {{maxDepth?: number}} [options]
+ * @returns {Promise<object|null>} root node, or null for a scene without nodes
+ */
+export async function buildSceneTree(scene, scenePath, { maxDepth = 10 } = {}) {
+  const rootNode = scene.nodes.find((node) => !node.parent);
+  if (!rootNode) return null;
+
+  const context = { scene, scenePath, instanceCache: new Map() };
+  const byPath = new Map();
+  const root = await describeNode(context, rootNode, ".", `/root/${rootNode.name}`);
+  byPath.set(".", root);
+
+  for (const node of scene.nodes) {
+    if (node === rootNode || !node.parent) continue;
+    const parent = await ensureParent(context, byPath, node.parent);
+    const path = node.parent === "." ? node.name : `${node.parent}/${node.name}`;
+    const entry = await describeNode(context, node, path, `${parent.absolute_path}/${node.name}`);
+    parent.children.push(entry);
+    byPath.set(path, entry);
+  }
+
+  return pruneDepth(root, maxDepth, 0);
+}
+
+async function describeNode(context, node, path, absolutePath) {
+  const props = node.properties || {};
+  const entry = {
+    name: node.name,
+    type: node.type,
+    path,
+    absolute_path: absolutePath,
+  };
+
+  let instanced = null;
+  const instancePath = extResourcePath(context.scene, node.instance);
+  if (instancePath) {
+    instanced = await resolveInstancedRoot(context, instancePath, 0);
+    if (!entry.type) entry.type = instanced.type;
+    entry[node.parent ? "instance" : "inherits"] = instancePath;
+    if (instanced.script && !("script" in props)) entry.script = instanced.script;
+  }
+  if (node.instance_placeholder) entry.instance_placeholder = node.instance_placeholder;
+
+  const script = resourcePath(context.scene, context.scenePath, props.script);
+  if (script) entry.script = script;
+
+  if ("visible" in props) entry.visible = props.visible;
+  else if (hasVisibility(entry.type)) entry.visible = instanced?.visible ?? true;
+  entry.process_mode = typeof props.process_mode === "number" ? props.process_mode : 0;
+  if (Array.isArray(node.groups) && node.groups.length > 0) entry.groups = node.groups;
+
+  const resources = {};
+  for (const [key, value] of Object.entries(props)) {
+    if (key === "script") continue;
+    const resolved = resourcePath(context.scene, context.scenePath, value);
+    if (resolved) resources[key] = resolved;
+  }
+  if (Object.keys(resources).length > 0) entry.resources = resources;
+
+  entry.children = [];
+  return entry;
+}
+
+/**
+ * Parent paths can point into an instanced scene's own children (editable
+ * children); those intermediate nodes are not in this file, so they are
+ * looked up in the instanced scene instead.
+ */
+async function ensureParent(context, byPath, parentPath) {
+  if (byPath.has(parentPath)) return byPath.get(parentPath);
+
+  const slash = parentPath.lastIndexOf("/");
+  const grandParentPath = slash === -1 ? "." : parentPath.slice(0, slash);
+  const grandParent = await ensureParent(context, byPath, grandParentPath);
+  const name = parentPath.slice(slash + 1);
+  const placeholder = {
+    name,
+    type: "",
+    path: parentPath,
+    absolute_path: `${grandParent.absolute_path}/${name}`,
+    from_instance: true,
+  };
+
+  const source = await resolveInstancedChild(byPath, parentPath);
+  if (source.type) placeholder.type = source.type;
+  if (source.script) placeholder.script = source.script;
+  if (hasVisibility(placeholder.type)) placeholder.visible = source.visible ?? true;
+  placeholder.process_mode = 0;
+  placeholder.children = [];
+
+  grandParent.children.push(placeholder);
+  byPath.set(parentPath, placeholder);
+  return placeholder;
+}
+
+/**
+ * Find the node at `path` inside the scene instanced by its nearest
+ * instanced (or inherited) ancestor.
+ */
+async function resolveInstancedChild(byPath, path) {
+  let ancestorPath = path;
+  while (ancestorPath.includes("/")) {
+    ancestorPath = ancestorPath.slice(0, ancestorPath.lastIndexOf("/"));
+    const ancestor = byPath.get(ancestorPath);
+    const instancePath = ancestor?.instance || ancestor?.inherits;
+    if (!ancestor || !instancePath) continue;
+
+    try {
+      const scene = await parseScene(instancePath);
+      const relativePath = path.slice(ancestorPath.length + 1);
+      const node = scene.nodes.find((candidate) => nodePathOf(candidate) === relativePath);
+      if (node) {
+        return {
+          type: node.type,
+          script: resourcePath(scene, instancePath, node.properties?.script),
+          visible: node.properties?.visible,
+        };
+      }
+    } catch {
+      // Unreadable instanced scenes leave the placeholder untyped.
+    }
+    break;
+  }
+  return { type: "", script: "" };
+}
+
+/**
+ * Type, script and visibility of the root of an instanced (or inherited) scene, following
+ * chains of inherited scenes.
+ */
+async function resolveInstancedRoot(context, scenePath, depth) {
+  if (context.instanceCache.has(scenePath)) return context.instanceCache.get(scenePath);
+
+  let resolved = { type: "", script: "" };
+  context.instanceCache.set(scenePath, resolved);
+  try {
+    const scene = await parseScene(scenePath);
+    const root = scene.nodes.find((node) => !node.parent);
+    if (root) {
+      resolved = {
+        type: root.type,
+        script: resourcePath(scene, scenePath, root.properties?.script),
+        visible: root.properties?.visible,
+      };
+      const basePath = extResourcePath(scene, root.instance);
+      if (basePath && depth < MAX_INSTANCE_DEPTH) {
+        const base = await resolveInstancedRoot(context, basePath, depth + 1);
+        if (!resolved.type) resolved.type = base.type;
+        if (!resolved.script && !("script" in (root.properties || {}))) {
+          resolved.script = base.script;
+        }
+        if (resolved.visible === undefined) resolved.visible = base.visible;
+      }
+    }
+  } catch {
+    // Missing or unreadable instanced scenes leave the type unresolved.
+  }
+  context.instanceCache.set(scenePath, resolved);
+  return resolved;
+}
+
+function hasVisibility(type) {
+  return CANVAS_ITEM_CLASSES.has(type) || NODE_3D_CLASSES.has(type);
+}
+
+function extResourcePath(scene, value) {
+  if (value?.type !== "ExtResource") return "";
+  const ext = scene.ext_resources.find((item) => item.id === value.id);
+  return ext?.path || "";
+}
+
+/**
+ * res:// path of an ExtResource, or `<scene>::<id>` for a SubResource, the
+ * way Godot reports resource_path for built-in resources.
+ */
+function resourcePath(scene, scenePath, value) {
+  if (value?.type === "ExtResource") return extResourcePath(scene, value);
+  if (value?.type === "SubResource") return `${scenePath}::${value.id}`;
+  return "";
+}
+
+function pruneDepth(node, maxDepth, depth) {
+  return {
+    ...node,
+    children:
+      depth < maxDepth
+        ? node.children.map((child) => pruneDepth(child, maxDepth, depth + 1))
+        : [],
+  };
+}
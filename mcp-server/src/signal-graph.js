@@ -0,0 +1,352 @@
+/**
+ * Builds the project's signal wiring graph from files on disk: [connection]
+ * sections in .tscn scenes plus connect() calls in .gd scripts, with each
+ * connection checked against the methods its target script defines.
+ */
+import { readFile } from "fs/promises";
+import { parseTscn, resToAbsolute, sectionLines } from "./scene-parser.js";
+import { buildSceneTree } from "./scene-tree.js";
+import { findEngineMethod } from "./godot-classes.js";
+import { lineNumberAt, skipString, stripComments } from "./gdscript-text.js";
+
+const MAX_EXTENDS_DEPTH = 16;
+
+/**
+ * Collect every signal connection in the project.
+ *
+ * Each connection has `source` ("scene" or "script"), `file`, `line`,
+ * `signal`, `from` and `to` (node paths for scenes, expressions for scripts),
+ * `method`, `target_script` and a `status`:
+ *   - "ok": the target script (or one of its base scripts) defines the method
+ *   - "builtin": an engine class of the target defines it (`engine_class`)
+ *   - "missing_method": neither the target's scripts nor its engine classes
+ *     define the method
+ *   - "lambda": the callable is an inline lambda
+ *   - "unresolved": the target object, or an engine class it derives from,
+ *     cannot be determined statically
+ * Broken connections ("missing_method") also carry an `issue` message.
+ * @param {{scenePaths: string[], scriptPaths: string[]}} files - res:// paths
+ * @returns {Promise<{connections: object[], errors: object[]}>}
+ */
+export async function buildSignalGraph({ scenePaths, scriptPaths }) {
+  const context = {
+    scripts: new Map(),
+    classNames: new Map(),
+    errors: [],
+  };
+
+  for (const scriptPath of scriptPaths) {
+    const info = await loadScript(context, scriptPath);
+    if (info?.className) context.classNames.set(info.className, scriptPath);
+  }
+
+  const connections = [];
+  for (const scenePath of scenePaths) {
+    connections.push(...(await collectSceneConnections(context, scenePath)));
+  }
+  for (const scriptPath of scriptPaths) {
+    connections.push(...collectScriptConnections(context, scriptPath));
+  }
+
+  return { connections, errors: context.errors };
+}
+
+// ---------------------------------------------------------------------------
+// Scene connections
+// ---------------------------------------------------------------------------
+
+async function collectSceneConnections(context, scenePath) {
+  let content;
+  let scene;
+  try {
+    content = await readFile(resToAbsolute(scenePath), "utf-8");
+    scene = parseTscn(content);
+  } catch (err) {
+    context.errors.push({ file: scenePath, error: err.message });
+    return [];
+  }
+  if (scene.connections.length === 0) return [];
+
+  const nodesByPath = new Map();
+  const tree = await buildSceneTree(scene, scenePath, { maxDepth: Infinity });
+  const visit = (node) => {
+    nodesByPath.set(node.path, node);
+    node.children.forEach(visit);
+  };
+  if (tree) visit(tree);
+
+  const lines = sectionLines(content, "connection");
+  return scene.connections.map((connection, i) => {
+    const target = nodesByPath.get(normalizePath(connection.to));
+    const scriptRef = target?.script || "";
+    const entry = {
+      source: "scene",
+      file: scenePath,
+      line: lines[i] ?? 0,
+      signal: connection.signal,
+      from: connection.from,
+      from_type: nodesByPath.get(normalizePath(connection.from))?.type || "",
+      to: connection.to,
+      to_type: target?.type || "",
+      method: connection.method,
+      target_script: scriptRef || null,
+      flags: connection.flags,
+    };
+    if (connection.binds.length > 0) entry.binds = connection.binds;
+    if (connection.unbinds) entry.unbinds = connection.unbinds;
+
+    if (!target) {
+      return {
+        ...entry,
+        status: "missing_method",
+        issue: `Target node '${connection.to}' does not exist in ${scenePath}`,
+      };
+    }
+    if (scriptRef.includes("::") && !scriptRef.startsWith(`${scenePath}::`)) {
+      // Built-in script of an instanced scene.
+      return { ...entry, status: "unresolved" };
+    }
+    const script = scriptRef ? scriptForReference(context, scene, scriptRef) : null;
+    return { ...entry, ...checkMethod(context, script, connection.method, target.type) };
+  });
+}
+
+/**
+ * Scripts are either res:// files or built-in `<scene>::<id>` sub_resources
+ * whose source lives in the scene itself.
+ */
+function scriptForReference(context, scene, scriptRef) {
+  const builtIn = scriptRef.split("::");
+  if (builtIn.length !== 2) return context.scripts.get(scriptRef) || null;
+
+  const sub = scene.sub_resources.find((resource) => resource.id === builtIn[1]);
+  const source = sub?.properties?.["script/source"];
+  if (typeof source !== "string") return null;
+  return { path: scriptRef, ...summarizeScript(source) };
+}
+
+function normalizePath(path) {
+  const clean = String(path ?? "").replace(/^\.\//, "").replace(/\/+$/, "");
+  return clean === "" ? "." : clean;
+}
+
+// ---------------------------------------------------------------------------
+// Script connections
+// ---------------------------------------------------------------------------
+
+function collectScriptConnections(context, scriptPath) {
+  const script = context.scripts.get(scriptPath);
+  if (!script) return [];
+
+  const { code } = script;
+  const connections = [];
+  const callRe = /\bconnect\s*\(/g;
+  let match;
+  while ((match = callRe.exec(code)) !== null) {
+    const lineStart = code.lastIndexOf("\n", match.index) + 1;
+    const before = code.slice(lineStart, match.index);
+    if (/\bfunc\s+$/.test(before)) continue;
+
+    const args = readCallArguments(code, match.index + match[0].length);
+    if (!args) continue;
+    const call = describeConnectCall(before, args);
+    if (!call) continue;
+
+    const entry = {
+      source: "script",
+      file: scriptPath,
+      line: lineNumberAt(code, match.index),
+      signal: call.signal,
+      from: call.emitter,
+      to: call.target,
+      method: call.method,
+      target_script: call.target === "self" ? scriptPath : null,
+    };
+    if (call.lambda) {
+      connections.push({ ...entry, status: "lambda" });
+    } else if (call.target !== "self" || !call.method) {
+      connections.push({ ...entry, status: "unresolved" });
+    } else {
+      connections.push({ ...entry, ...checkMethod(context, script, call.method, "") });
+    }
+  }
+  return connections;
+}
+
+/**
+ * Work out signal, emitter and callable from a connect() call. Handles the
+ * Godot 4 forms `sig.connect(callable)`, `obj.sig.connect(callable)` and
+ * `connect("sig", callable)`, plus Godot 3's `connect("sig", target, "method")`.
+ */
+function describeConnectCall(before, args) {
+  const receiverMatch = /((?:[$%](?:"[^"\n]*"|[\w/]+)|\w+)(?:\.\w+|\([^()\n]*\)|\[[^\]\n]*\])*)\.$/.exec(
+    before.trimEnd()
+  );
+  const receiver = receiverMatch ? receiverMatch[1] : "";
+  if (!receiver && /\.\s*$/.test(before)) return null;
+
+  const signalLiteral = stringLiteral(args[0]);
+  if (signalLiteral !== null) {
+    const emitter = receiver || "self";
+    if (args.length >= 3 && stringLiteral(args[2]) !== null) {
+      return {
+        signal: signalLiteral,
+        emitter,
+        target: args[1].trim(),
+        method: stringLiteral(args[2]),
+      };
+    }
+    return { signal: signalLiteral, emitter, ...describeCallable(args[1] || "") };
+  }
+
+  // sig.connect(callable): the last segment of the receiver is the signal.
+  if (!receiver) return null;
+  const dot = receiver.lastIndexOf(".");
+  const signal = receiver.slice(dot + 1);
+  if (!/^\w+$/.test(signal)) return null;
+  return {
+    signal,
+    emitter: dot === -1 ? "self" : receiver.slice(0, dot),
+    ...describeCallable(args[0]),
+  };
+}
+
+function describeCallable(text) {
+  let callable = text.trim();
+  if (/^func\b/.test(callable)) return { target: "self", method: "", lambda: true };
+
+  // _on_hit.bind(1), _on_hit.unbind(1).bind(2)
+  const bound = /^(.*?)(?:\.(?:bind|unbind)\([\s\S]*\))+$/.exec(callable);
+  if (bound) callable = bound[1].trim();
+
+  const explicit = /^Callable\(\s*([\s\S]+?)\s*,\s*(&?"[^"]*"|&?'[^']*')\s*\)$/.exec(callable);
+  if (explicit) {
+    return { target: explicit[1], method: stringLiteral(explicit[2].replace(/^&/, "")) };
+  }
+
+  const member = /^(?:(.+)\.)?(\w+)$/.exec(callable);
+  if (!member) return { target: callable, method: "" };
+  return { target: member[1] && member[1] !== "self" ? member[1] : "self", method: member[2] };
+}
+
+/**
+ * Split the arguments of a call whose opening parenthesis ends at `start`.
+ * Returns null when the parentheses never balance.
+ */
+function readCallArguments(code, start) {
+  const args = [];
+  let depth = 0;
+  let current = "";
+  for (let i = start; i < code.length; i++) {
+    const ch = code[i];
+    if (ch === '"' || ch === "'") {
+      const end = skipString(code, i);
+      current += code.slice(i, end);
+      i = end - 1;
+      continue;
+    }
+    if (ch === "(" || ch === "[" || ch === "{") depth += 1;
+    if (ch === ")" || ch === "]" || ch === "}") {
+      if (depth === 0) {
+        if (current.trim() || args.length > 0) args.push(current.trim());
+        return args;
+      }
+      depth -= 1;
+    }
+    if (ch === "," && depth === 0) {
+      args.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += ch;
+  }
+  return null;
+}
+
+function stringLiteral(text) {
+  const match = /^&?(?:"([^"]*)"|'([^']*)')$/.exec(String(text ?? "").trim());
+  if (!match) return null;
+  return match[1] ?? match[2];
+}
+
+// ---------------------------------------------------------------------------
+// Target method checks
+// ---------------------------------------------------------------------------
+
+/**
+ * Look a method up in a script and the scripts it extends, then in the engine
+ * class the script chain (or, without a script, the node) is built on.
+ */
+function checkMethod(context, script, method, nodeType) {
+  let engineClass = nodeType;
+  let current = script;
+  const visited = new Set();
+  for (let depth = 0; current && depth < MAX_EXTENDS_DEPTH; depth++) {
+    if (current.methods.has(method)) {
+      return current === script ? { status: "ok" } : { status: "ok", defined_in: current.path };
+    }
+    visited.add(current.path);
+    const base = resolveBaseScript(context, current.extends);
+    if (!base) engineClass = current.extends || nodeType;
+    current = base && !visited.has(base.path) ? base : null;
+  }
+
+  const definedIn = engineClass ? findEngineMethod(engineClass, method) : null;
+  if (definedIn) return { status: "builtin", engine_class: definedIn };
+  if (definedIn === null) return { status: "unresolved" };
+  if (!script) {
+    return {
+      status: "missing_method",
+      issue: `Target ${nodeType} node has no script, and ${nodeType} has no method '${method}'`,
+    };
+  }
+  return {
+    status: "missing_method",
+    issue: `Method '${method}' is not defined in ${script.path} or its base class ${engineClass}`,
+  };
+}
+
+function resolveBaseScript(context, extendsName) {
+  if (!extendsName) return null;
+  const quoted = stringLiteral(extendsName);
+  if (quoted !== null) return context.scripts.get(quoted) || null;
+  const classPath = context.classNames.get(extendsName);
+  return classPath ? context.scripts.get(classPath) || null : null;
+}
+
+async function loadScript(context, scriptPath) {
+  if (context.scripts.has(scriptPath)) return context.scripts.get(scriptPath);
+  let source;
+  try {
+    source = await readFile(resToAbsolute(scriptPath), "utf-8");
+  } catch (err) {
+    context.errors.push({ file: scriptPath, error: err.message });
+    return null;
+  }
+  const info = { path: scriptPath, ...summarizeScript(source) };
+  context.scripts.set(scriptPath, info);
+  return info;
+}
+
+/**
+ * Top-level functions, class_name and extends of a GDScript source, plus the
+ * source with comments blanked out (line numbers are preserved).
+ */
+function summarizeScript(source) {
+  const code = stripComments(source.replace(/\r\n/g, "\n"));
+  const methods = new Set();
+  let className = "";
+  let extendsName = "";
+  for (const line of code.split("\n")) {
+    const func = /^(?:static\s+)?func\s+(\w+)/.exec(line);
+    if (func) methods.add(func[1]);
+    const named = /^(?:@\w+(?:\([^)]*\))?\s+)*class_name\s+(\w+)/.exec(line);
+    if (named) className = named[1];
+    const base = /^extends\s+("[^"]*"|'[^']*'|[\w.]+)/.exec(line);
+    if (base && !extendsName) extendsName = base[1];
+    // `class_name Foo extends Bar` on a single line
+    const inline = /\bclass_name\s+\w+\s+extends\s+("[^"]*"|'[^']*'|[\w.]+)/.exec(line);
+    if (inline && !extendsName) extendsName = inline[1];
+  }
+  return { code, methods, className, extends: extendsName };
+}
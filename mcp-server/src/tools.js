@@ -1,12 +1,111 @@
 /**
  * MCP Tool definitions and handlers for Godot AI Game Builder.
  */
+import { existsSync } from "fs";
 import { readdir, readFile, writeFile, mkdir, stat, cp, rm } from "fs/promises";
 import { resolve, extname, relative, dirname } from "path";
 import { execFile } from "child_process";
 import { promisify } from "util";
 import * as bridge from "./godot-bridge.js";
-import { parseScene, resToAbsolute } from "./scene-parser.js";
+import { cachedErrorCount, EVENT_TYPES, getBridgeEventState, readBridgeEvents } from "./bridge-events.js";
+import { parseResource, parseScene, resToAbsolute } from "./scene-parser.js";
+import { buildSceneTree } from "./scene-tree.js";
+import { buildSignalGraph } from "./signal-graph.js";
+import { buildDependencyGraph, DEPENDENCY_FILE_EXTENSIONS } from "./dependency-graph.js";
+import { parseProjectGodotLines, readProjectSettings, writeProjectSettings } from "./project-settings.js";
+import { stripComments } from "./gdscript-text.js";
+import { lintGDScript, scriptClassName } from "./gdscript-lint.js";
+import { findReferences, loadScripts, SYMBOL_KINDS } from "./gdscript-symbols.js";
+import {
+  detectMarkers,
+  findPassStubs,
+  loadProjectModel,
+  DEPTH_LAYER_MARKERS,
+  FEEDBACK_CATEGORIES,
+  FLOW_CATEGORIES,
+  POLISH_FX_MARKERS,
+  UI_STYLE_MARKERS,
+} from "./quality-signals.js";
+import {
+  evaluateGate,
+  loadQualityGateRules,
+  resolvePhaseGates,
+} from "./quality-rules.js";
+import { runGatePlugins } from "./quality-plugins.js";
+import {
+  buildQualityTrend,
+  compactQualityReports,
+  loadQualityHistory,
+  QUALITY_REPORTS_RES_DIR,
+} from "./quality-history.js";
+import {
+  benchmarkComparisonHtml,
+  benchmarkComparisonMarkdown,
+  compareBenchmarks,
+  loadPocReports,
+  qualitySummaryHtml,
+  qualitySummaryMarkdown,
+  summarizePocQuality,
+  DEFAULT_BENCHMARKS,
+  DEFAULT_MIN_SCORE_DELTA,
+  REPORT_FORMATS,
+} from "./poc-benchmarks.js";
+import {
+  buildQualityReportPayload,
+  formatSchemaErrors,
+  readQualityReport,
+  validatePocReport,
+  validateQualityReportPayload,
+  POC_REPORT_SCHEMA_FILE,
+} from "./quality-reports.js";
+import { renderQualityDashboard } from "./quality-dashboard.js";
+import {
+  BUILD_STATE_SCHEMA_FILE,
+  listBuildStates,
+  loadBuildStateCheckpoint,
+  readBuildState,
+  saveBuildState,
+} from "./build-state.js";
+import {
+  createSnapshot,
+  diffSnapshots,
+  listSnapshots,
+  loadSnapshot,
+  rollbackToSnapshot,
+} from "./project-snapshots.js";
+import {
+  commitCheckpoint,
+  diffSinceCommit,
+  disableGitCheckpoints,
+  enableGitCheckpoints,
+  findPhaseCommit,
+  phaseCommitMessage,
+  pocCommitMessage,
+  pocTagName,
+  readGitCheckpointConfig,
+  readGitState,
+  recordCheckpointFiles,
+  tagCheckpoint,
+} from "./git-checkpoints.js";
+import {
+  buildInputEvent,
+  describeInputEvent,
+  findActionReferences,
+  isBuiltinAction,
+  sameInputEvent,
+} from "./input-map.js";
+import {
+  loadSceneForEdit,
+  saveEditedScene,
+  createScene,
+  addSceneNode,
+  updateSceneNode,
+  deleteSceneNode,
+  loadResourceForEdit,
+  saveEditedResource,
+  createResource,
+  updateResourceProperties,
+} from "./scene-editor.js";
 import {
   generatePlaceholder,
   generatePng,
@@ -14,9 +113,13 @@ import {
 } from "./asset-generator.js";
 
 const PROJECT_PATH = process.env.GODOT_PROJECT_PATH || ".";
+const CLAUDE_DIR = resolve(PROJECT_PATH, ".claude");
+const SNAPSHOTS_DIR = resolve(PROJECT_PATH, ".claude", "snapshots");
 const QUALITY_REPORTS_DIR = resolve(PROJECT_PATH, ".claude", "quality_reports");
 const INTEGRATION_PACK_REPORTS_DIR = resolve(PROJECT_PATH, ".claude", "integration_packs");
 const ADDON_CATALOG_PATH = new URL("../addons/catalog.json", import.meta.url);
+const PROJECT_SETTINGS_RELOAD_NOTE =
+  "The open editor keeps its own copy of the project settings; reload the project (Project > Reload Current Project) before changing settings in the editor, or it may overwrite this change.";
 const execFileAsync = promisify(execFile);
 let addonCatalogCache = null;
 
@@ -99,6 +202,44 @@ export const TOOL_DEFINITIONS = [
       },
     },
   },
+  {
+    name: "godot_get_events",
+    description:
+      "Get editor events received since your last call: runtime output and runtime errors while a scene runs (output, runtime_error), play start/stop (play_state), scene and resource saves (scene_saved, resource_saved), error-state changes (errors) and phase updates (phase). Also returns the live error/warning state and whether the event stream is connected. Call it after godot_run_scene to see what the game printed and whether it crashed.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        types: {
+          type: "array",
+          items: { type: "string", enum: EVENT_TYPES.filter((type) => type !== "hello") },
+          description: "Only return these event types (default: all)",
+        },
+        since: {
+          type: "number",
+          description: "Return events after this cursor instead of after the previous call",
+        },
+        limit: {
+          type: "number",
+          description: "Maximum number of events to return (default 100)",
+        },
+      },
+    },
+  },
+  {
+    name: "godot_lint_scripts",
+    description:
+      "Check GDScript files for errors WITHOUT the Godot editor: indentation and mixed tabs/spaces, unbalanced brackets, locals used outside their scope, extends of unknown classes, duplicate functions, await outside functions, and Godot 3 syntax (yield, onready var, export var, KinematicBody2D, ...). Returns errors/warnings in the same shape as godot_get_errors, with a column and rule id. Use it when the editor is closed or unresponsive, or right after writing scripts.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        paths: {
+          type: "array",
+          items: { type: "string" },
+          description: "res:// .gd files or folders to check (default: every script in the project)",
+        },
+      },
+    },
+  },
   {
     name: "godot_reload_filesystem",
     description:
@@ -111,7 +252,7 @@ export const TOOL_DEFINITIONS = [
   {
     name: "godot_parse_scene",
     description:
-      "Parse a .tscn scene file and return its node tree, scripts, and resources. Useful for understanding existing scene structure before modifying it.",
+      "Parse a .tscn scene file and return its node tree, scripts, resources, and signal connections ([connection] entries with signal, from, to, method, flags, binds). Useful for understanding existing scene structure before modifying it. Node and sub_resource values are returned as typed JSON under `properties` (e.g. Vector2(10, 20) → {\"type\":\"Vector2\",\"x\":10,\"y\":20}; ExtResource(\"1_abc\") → {\"type\":\"ExtResource\",\"id\":\"1_abc\"}).",
     inputSchema: {
       type: "object",
       properties: {
@@ -119,6 +260,16 @@ export const TOOL_DEFINITIONS = [
           type: "string",
           description: "Path to the .tscn file (res:// or absolute)",
         },
+        format: {
+          type: "string",
+          enum: ["flat", "tree"],
+          description:
+            'Output shape (default: "flat"). "tree" returns the nested node hierarchy in the same shape as godot_get_scene_tree (name, type, path, script, visible, process_mode, children) plus absolute_path, resolved resource paths, and instance/inherits markers.',
+        },
+        max_depth: {
+          type: "number",
+          description: 'Maximum tree depth for format "tree" (default: 10)',
+        },
       },
       required: ["scene_path"],
     },
@@ -273,7 +424,7 @@ export const TOOL_DEFINITIONS = [
   {
     name: "godot_read_project_setting",
     description:
-      "Read a value from the Godot project.godot file. Common keys: application/config/name, application/run/main_scene, display/window/size/viewport_width",
+      "Read a value from the Godot project.godot file. Common keys: application/config/name, application/run/main_scene, display/window/size/viewport_width. Values are typed like godot_parse_scene (numbers, booleans, PackedStringArray, input action dictionaries...).",
     inputSchema: {
       type: "object",
       properties: {
@@ -285,6 +436,150 @@ export const TOOL_DEFINITIONS = [
       required: ["key"],
     },
   },
+  {
+    name: "godot_write_project_setting",
+    description:
+      "Set or remove a value in project.godot. Only that setting's line changes — comments, ordering and other values stay exactly as they are, and missing sections are created. Use this instead of editing project.godot by hand. Values use the same typed JSON godot_read_project_setting returns, e.g. {\"type\": \"PackedStringArray\", \"values\": [\"res://addons/x/plugin.cfg\"]}.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        key: {
+          type: "string",
+          description: "Setting key path, e.g. display/window/size/viewport_width",
+        },
+        value: {
+          description:
+            "New value: string, number, boolean, or a typed value object (required unless remove is true)",
+        },
+        remove: {
+          type: "boolean",
+          description: "Remove the setting instead, reverting it to Godot's default (default: false)",
+        },
+      },
+      required: ["key"],
+    },
+  },
+  {
+    name: "godot_list_input_actions",
+    description:
+      "List the input actions defined in project.godot with their deadzone and events (keys, mouse buttons, joypad buttons/axes). Also scans scripts for Input.is_action_pressed(\"x\"), get_axis, get_vector and similar calls and reports actions they use that are not defined (undefined_actions) — a common cause of 'the player does not move'.",
+    inputSchema: {
+      type: "object",
+      properties: {},
+    },
+  },
+  {
+    name: "godot_add_input_action",
+    description:
+      "Add an input action to project.godot, or add events to an existing one. Writes valid InputEventKey / InputEventMouseButton / InputEventJoypadButton / InputEventJoypadMotion objects. Events: key names as strings (\"W\", \"Space\", \"Escape\", \"Left\") or objects like {\"type\": \"key\", \"key\": \"S\", \"ctrl\": true}, {\"type\": \"mouse_button\", \"button\": \"left\"}, {\"type\": \"joypad_button\", \"button\": \"a\"}, {\"type\": \"joypad_motion\", \"axis\": \"left_x\", \"direction\": -1}.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        action: {
+          type: "string",
+          description: "Action name, e.g. 'jump' or 'move_left'",
+        },
+        events: {
+          type: "array",
+          description: "Events that trigger the action (see description for formats)",
+        },
+        deadzone: {
+          type: "number",
+          description: "Action deadzone 0-1 (default: 0.5, or the existing value)",
+        },
+        replace: {
+          type: "boolean",
+          description: "Replace the action's existing events instead of adding to them (default: false)",
+        },
+      },
+      required: ["action"],
+    },
+  },
+  {
+    name: "godot_remove_input_action",
+    description:
+      "Remove an input action from project.godot, or only some of its events when events are given (same formats as godot_add_input_action).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        action: {
+          type: "string",
+          description: "Action name to remove",
+        },
+        events: {
+          type: "array",
+          description: "Optional events to remove; the action itself is kept",
+        },
+      },
+      required: ["action"],
+    },
+  },
+  {
+    name: "godot_list_autoloads",
+    description:
+      "List the project's autoloads (singletons) in load order, with their target file, whether it exists, and warnings for missing targets or scripts whose class_name collides with an autoload name (Godot fails with 'Class X hides an autoload singleton').",
+    inputSchema: {
+      type: "object",
+      properties: {},
+    },
+  },
+  {
+    name: "godot_add_autoload",
+    description:
+      "Register an autoload (e.g. GameManager, AudioBus) in project.godot, or change the path/position of an existing one. The target .gd or .tscn must exist. Returns warnings for class_name collisions.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: {
+          type: "string",
+          description: "Autoload name, e.g. 'GameManager' (a valid identifier)",
+        },
+        path: {
+          type: "string",
+          description: "res:// path of the .gd script or .tscn scene to load",
+        },
+        singleton: {
+          type: "boolean",
+          description: "Expose the autoload as a global variable (the editor's 'Global Variable' checkbox; default: true)",
+        },
+        position: {
+          type: "integer",
+          description: "Load-order index to place the autoload at, clamped to the list (default: last, or unchanged for existing autoloads)",
+        },
+      },
+      required: ["name", "path"],
+    },
+  },
+  {
+    name: "godot_reorder_autoloads",
+    description:
+      "Change the autoload load order. Autoloads listed in 'order' come first, in that order; the rest keep their relative order after them.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        order: {
+          type: "array",
+          items: { type: "string" },
+          description: "Autoload names in the desired load order",
+        },
+      },
+      required: ["order"],
+    },
+  },
+  {
+    name: "godot_remove_autoload",
+    description: "Remove an autoload from project.godot. The target file is left untouched.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: {
+          type: "string",
+          description: "Autoload name to remove",
+        },
+      },
+      required: ["name"],
+    },
+  },
   {
     name: "godot_list_addons",
     description:
@@ -427,7 +722,7 @@ export const TOOL_DEFINITIONS = [
   {
     name: "godot_save_build_state",
     description:
-      "Save the current build state to a checkpoint file (.claude/build_state.json). MANDATORY: Call this after each phase completes to enable session resumption if Claude is interrupted. Also call godot_log() to confirm the checkpoint was saved. The state object should include: version, build_id, timestamp, game_name, genre, visual_tier, current_phase, completed_phases, files_written, error_history, test_runs, prd_path, next_steps.",
+      "Save the current build state to a checkpoint file (.claude/build_state.json). MANDATORY: Call this after each phase completes to enable session resumption if Claude is interrupted. Also call godot_log() to confirm the checkpoint was saved. The state is validated against docs/build-state-schema.json (game_name is required; unknown fields are kept) and rejected with schema_errors if it does not match. Fields: game_name, genre, visual_tier, prd_path or prd, current_phase {number, name, status}, completed_phases, phases, files_written (paths or {path, phase}), open_tasks (strings or {task, status}), error_history, test_runs, next_steps, session fields. The write is atomic and every save is kept as a checkpoint in .claude/build_states (see godot_list_build_states).",
     inputSchema: {
       type: "object",
       properties: {
@@ -442,207 +737,694 @@ export const TOOL_DEFINITIONS = [
   {
     name: "godot_get_build_state",
     description:
-      "Read the build checkpoint file (.claude/build_state.json) to check for interrupted builds. Call this at the start of every build session. Returns {found: true, state: {...}} if a checkpoint exists, or {found: false, state: null} if no checkpoint exists.",
+      "Read the build checkpoint file (.claude/build_state.json) to check for interrupted builds. Call this at the start of every build session. Returns {found: true, state: {...}} if a checkpoint exists, or {found: false, state: null} if no checkpoint exists. If build_state.json is damaged, the newest readable checkpoint from the history is returned with recovered_from set.",
     inputSchema: {
       type: "object",
       properties: {},
     },
   },
   {
-    name: "godot_get_latest_quality_report",
+    name: "godot_list_build_states",
     description:
-      "Read the most recent saved quality report(s) from .claude/quality_reports. Useful for comparing repeated gate failures across attempts and planning targeted fixes.",
+      "List saved build checkpoints from .claude/build_states, newest first: id, saved_at, game_name, current_phase, completed phase/file/open task counts, whether it is the current checkpoint, and schema errors if any. Use it to pick a checkpoint for godot_restore_build_state.",
     inputSchema: {
       type: "object",
       properties: {
-        phase_number: {
-          type: "number",
-          description:
-            "Optional phase filter (e.g. 5 or 6). When omitted, returns latest reports across all phases.",
-        },
         limit: {
           type: "number",
-          description:
-            "Maximum reports to return (default: 1, max: 10).",
+          description: "Maximum number of checkpoints to return (default 20)",
         },
       },
     },
   },
   {
-    name: "godot_evaluate_quality_gates",
+    name: "godot_restore_build_state",
     description:
-      "Evaluate objective quality gates for a phase using project files and scene/config signals. For Phase 5+ this checks visual polish proxies (assets, FX, UI styling, layering, feedback cues). For Phase 6 it also checks flow/readiness proxies (main scene, menu/restart/pause flow markers, no pass stubs). Use this before godot_update_phase(..., 'completed') to see what is still missing. Saves a structured report to .claude/quality_reports.",
+      "Make an earlier checkpoint the current build state. The checkpoint is copied to .claude/build_state.json and recorded as a new history entry, so the state it replaces stays in the history and can be restored again. Only restores the checkpoint file — project files are not touched.",
     inputSchema: {
       type: "object",
       properties: {
-        phase_number: {
-          type: "number",
-          description: "Phase number to evaluate (0-6)",
-        },
-        phase_name: {
+        checkpoint_id: {
           type: "string",
-          description: "Optional phase name for logs/reporting",
-        },
-        quality_gates: {
-          type: "object",
-          description:
-            "Optional gate map already reported by the agent; merged with computed auto gates in output",
+          description: "Checkpoint id from godot_list_build_states",
         },
       },
-      required: ["phase_number"],
+      required: ["checkpoint_id"],
     },
   },
   {
-    name: "godot_update_phase",
+    name: "godot_snapshot_project",
     description:
-      "⚠️ MANDATORY — Update the phase progress bar in the Godot dock panel. You MUST call this at the START of every build phase (status='in_progress') and at the END of every build phase (status='completed').\n\n⛔ HARD GATE #1: When status='completed', this tool AUTOMATICALLY checks for compilation errors. If ANY errors exist, completion is REJECTED.\n⛔ HARD GATE #2 (Phase 5/6): This tool also runs objective quality-gate evaluation. If required quality gates fail, completion is REJECTED with failed gate details.\n\nCall pattern:\n1. Phase starts: godot_update_phase(N, 'Phase Name', 'in_progress')\n2. Fix errors first: godot_get_errors() → fix → godot_reload_filesystem() → repeat until 0\n3. Evaluate quality (especially Phase 5/6): godot_evaluate_quality_gates(N)\n4. Phase ends: godot_update_phase(N, 'Phase Name', 'completed', {gate1: true, ...})\n\nPhase numbers: 0=Discovery/PRD, 1=Foundation, 2=Player Abilities, 3=Enemies, 4=UI & Game Flow, 5=Polish, 6=Final QA",
+      "Snapshot the project's .gd, .tscn, .tres files and project.godot into .claude/snapshots (content-addressed, so unchanged files cost nothing). Skips .godot/, other hidden dirs, addons/, files over 1 MB and binary files. godot_update_phase takes one automatically on every successful phase completion; call this before risky changes. Returns the snapshot id.",
     inputSchema: {
       type: "object",
       properties: {
-        phase_number: {
-          type: "number",
-          description: "Phase number (0-6)",
-        },
-        phase_name: {
-          type: "string",
-          description: "Phase name (e.g. 'Foundation', 'Enemies & Challenges')",
-        },
-        status: {
+        label: {
           type: "string",
-          enum: ["pending", "in_progress", "completed"],
-          description: "Phase status",
-        },
-        quality_gates: {
-          type: "object",
-          description: "Quality gate results — keys are gate names, values are booleans",
+          description: "Short note for the snapshot, e.g. 'before enemy AI rewrite'",
         },
       },
-      required: ["phase_number", "phase_name", "status"],
     },
   },
-  // --- Editor Integration Tools ---
   {
-    name: "godot_get_scene_tree",
+    name: "godot_list_snapshots",
     description:
-      "Get the full node hierarchy of the currently edited scene in the Godot editor. Returns node names, types, paths, attached scripts, and visibility. Use this to verify scene structure after creating nodes or writing .tscn files.",
+      "List project snapshots from .claude/snapshots, newest first: id, created_at, trigger (manual, phase_completion, pre_rollback), phase and file counts.",
     inputSchema: {
       type: "object",
       properties: {
-        max_depth: {
+        limit: {
           type: "number",
-          description: "Maximum tree depth to return (default: 10)",
+          description: "Maximum number of snapshots to return (default 20)",
         },
       },
     },
   },
   {
-    name: "godot_get_class_info",
+    name: "godot_diff_snapshots",
     description:
-      "Get properties, methods, and signals for any Godot built-in class via ClassDB. Use this before writing scripts to verify correct property names, method signatures, and available signals. Prevents wrong API usage.",
+      "Show which files changed between two snapshots, or between a snapshot and the current project: added, removed and modified res:// paths with line counts. Snapshot refs are ids, 'latest', or 'phase:N' (the snapshot taken when phase N completed). Example: godot_diff_snapshots('phase:2', 'phase:3') lists exactly what Phase 3 touched.",
     inputSchema: {
       type: "object",
       properties: {
-        class_name: {
+        from: {
           type: "string",
-          description:
-            'Godot class name (e.g. "CharacterBody2D", "Sprite2D", "Control")',
+          description: "Snapshot ref to diff from",
         },
-        include_inherited: {
-          type: "boolean",
-          description:
-            "Include inherited properties/methods/signals from parent classes (default: false)",
+        to: {
+          type: "string",
+          description: "Snapshot ref to diff to (default 'current' = project files as they are now)",
         },
       },
-      required: ["class_name"],
+      required: ["from"],
     },
   },
   {
-    name: "godot_add_node",
+    name: "godot_rollback_project",
     description:
-      "Add a new node to the currently edited scene in the Godot editor. The node is added as a child of parent_path and persisted in the scene. Use this instead of writing .tscn files for simple scene modifications.",
+      "Restore project files from a snapshot: changed and deleted files are rewritten, and .gd/.tscn/.tres files created after the snapshot are deleted (set delete_added=false to keep them). The current state is snapshotted first (trigger 'pre_rollback'), so a rollback can itself be rolled back. Files that are now over 1 MB or binary are never overwritten or deleted; they are listed in `skipped`. Use dry_run to see the plan. Call godot_reload_filesystem() afterwards.",
     inputSchema: {
       type: "object",
       properties: {
-        parent_path: {
+        snapshot_id: {
           type: "string",
-          description:
-            'NodePath to the parent node (default: "." for scene root)',
+          description: "Snapshot ref: id, 'latest' or 'phase:N'",
         },
-        node_name: {
-          type: "string",
-          description: "Name for the new node",
+        paths: {
+          type: "array",
+          items: { type: "string" },
+          description: "Only roll back these files (res:// paths)",
         },
-        node_type: {
-          type: "string",
-          description:
-            'Godot node class (e.g. "Sprite2D", "CharacterBody2D", "Label")',
+        delete_added: {
+          type: "boolean",
+          description: "Delete files that did not exist in the snapshot (default true)",
         },
-        properties: {
-          type: "object",
-          description:
-            'Optional properties to set. Supports Vector2 ({"x":0,"y":0}), Color ({"r":1,"g":0,"b":0}), and resource paths ("res://...")',
+        dry_run: {
+          type: "boolean",
+          description: "Report what would change without touching files",
         },
       },
-      required: ["node_name", "node_type"],
+      required: ["snapshot_id"],
     },
   },
   {
-    name: "godot_update_node",
+    name: "godot_git_checkpoints",
     description:
-      "Update properties on an existing node in the currently edited scene. Use this to modify position, scale, visibility, or any other property without rewriting scene files.",
+      "Turn git checkpoint mode on or off for this project, or show its status (omit enable). When on, every successful godot_update_phase(N, ..., 'completed') commits the files this session wrote (the build state's files_written plus files written by these tools; .claude/ and .godot/ excluded) with a structured message (phase, gates passed, error count); other changes are left uncommitted, and godot_score_poc_quality tags 'go' verdicts as poc/<benchmark>/<run>-go. Turning it on is refused if the project is not in a git repository or has uncommitted changes, so user work never ends up in an agent commit; commits pause if HEAD moves outside the session.",
     inputSchema: {
       type: "object",
       properties: {
-        node_path: {
-          type: "string",
-          description: "NodePath to the node to update",
-        },
-        properties: {
-          type: "object",
-          description:
-            'Properties to set. Supports Vector2 ({"x":0,"y":0}), Color ({"r":1,"g":0,"b":0}), and resource paths ("res://...")',
+        enable: {
+          type: "boolean",
+          description: "true to start a checkpoint session, false to stop; omit for status",
         },
       },
-      required: ["node_path", "properties"],
     },
   },
   {
-    name: "godot_delete_node",
+    name: "godot_git_diff_since_phase",
     description:
-      "Remove a node from the currently edited scene in the Godot editor.",
+      "Show what changed in the project since the git checkpoint commit of a phase (uncommitted and new files included): res:// paths with status and line counts, plus the patch when requested. Requires git checkpoint mode to have committed that phase.",
     inputSchema: {
       type: "object",
       properties: {
-        node_path: {
-          type: "string",
-          description: "NodePath to the node to delete",
+        phase_number: {
+          type: "number",
+          description: "Phase whose checkpoint commit to diff from",
+        },
+        patch: {
+          type: "boolean",
+          description: "Include the unified diff (truncated to 20000 characters)",
         },
       },
-      required: ["node_path"],
+      required: ["phase_number"],
     },
   },
   {
-    name: "godot_get_editor_screenshot",
+    name: "godot_get_latest_quality_report",
     description:
-      'Capture the Godot editor 2D or 3D viewport as a base64-encoded PNG image. Use this to visually verify the game looks correct after creating scenes or modifying nodes. Claude can "see" the result.',
+      "Read the most recent saved quality report(s) from .claude/quality_reports. Useful for comparing repeated gate failures across attempts and planning targeted fixes.",
     inputSchema: {
       type: "object",
       properties: {
-        viewport: {
-          type: "string",
-          enum: ["2d", "3d"],
-          description: 'Which viewport to capture (default: "2d")',
+        phase_number: {
+          type: "number",
+          description:
+            "Optional phase filter (e.g. 5 or 6). When omitted, returns latest reports across all phases.",
+        },
+        limit: {
+          type: "number",
+          description:
+            "Maximum reports to return (default: 1, max: 10).",
         },
       },
     },
   },
   {
-    name: "godot_get_open_scripts",
+    name: "godot_export_quality_dashboard",
     description:
-      "Get the list of scripts currently open in the Godot script editor. Provides context about what the developer is working on.",
+      "Write a single self-contained HTML dashboard (no network, inline SVG charts) of the project's quality: build state, pass/fail gate matrices per phase with hints and links to the files named in gate evidence, PoC rubric scores as radar + weighted bars (POC_SCORE_WEIGHTS) with next_actions and signature moments, score history, integration pack runs and any reports skipped as invalid. Share it with people who should not have to read JSON.",
     inputSchema: {
       type: "object",
-      properties: {},
+      properties: {
+        output_path: {
+          type: "string",
+          description: "res:// path of the HTML file (default: res://.claude/reports/quality-dashboard.html).",
+        },
+      },
+    },
+  },
+  {
+    name: "godot_quality_trend",
+    description:
+      "Quality history for a phase or PoC run across every saved report in .claude/quality_reports (including compacted history.jsonl entries). Returns a timeline of reports with passed/failed counts, per-gate pass/fail history, the weighted score trajectory of godot_score_poc_quality runs, and the gates that regressed in the newest report compared with the previous one. Use it to spot gates that keep flipping and fixes that broke something else.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        phase_number: {
+          type: "number",
+          description: "Optional phase filter (e.g. 5 or 6).",
+        },
+        run_id: {
+          type: "string",
+          description: "Optional PoC run_id filter (rubric reports only).",
+        },
+        gate: {
+          type: "string",
+          description: "Optional gate name; limits the per-gate history to that gate.",
+        },
+      },
+    },
+  },
+  {
+    name: "godot_quality_summary",
+    description:
+      "PoC GO/NO-GO decision from the saved godot_score_poc_quality reports: the latest report per benchmark, GO when at least min_go of them are 'go', INSUFFICIENT_DATA when a benchmark has no report. Same logic as scripts/poc-quality-summary.mjs. Can render a Markdown or standalone HTML report and write it into the project.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        format: {
+          type: "string",
+          enum: ["json", "markdown", "html"],
+          description:
+            "json (default) returns the structured result only; markdown/html also return a rendered `report` string.",
+        },
+        output_path: {
+          type: "string",
+          description:
+            "Optional res:// path to write the markdown/html report to (e.g. res://.claude/reports/poc.md).",
+        },
+        benchmarks: {
+          type: "array",
+          items: { type: "string" },
+          description: "Benchmark IDs to require (default: poc_prompt_01..03).",
+        },
+        min_go: {
+          type: "number",
+          description: "Benchmarks that must reach verdict 'go' for GO (default: 2).",
+        },
+      },
+    },
+  },
+  {
+    name: "godot_compare_benchmarks",
+    description:
+      "Compare a candidate PoC cohort against the baseline using saved godot_score_poc_quality reports. Cohorts are run_id prefixes; each uses its latest report per benchmark. Returns per-cohort averages and verdict counts, per-benchmark score deltas, benchmarks that regressed from 'go', and a verdict: BETTER (more 'go' or average up by min_score_delta), WORSE, SAME or INSUFFICIENT_DATA (a cohort is incomplete). Same logic as scripts/poc-benchmark-compare.mjs. Can render a Markdown or standalone HTML report and write it into the project.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        baseline_prefix: {
+          type: "string",
+          description: "run_id prefix of the baseline cohort (default: 'baseline').",
+        },
+        candidate_prefix: {
+          type: "string",
+          description: "run_id prefix of the candidate cohort (default: 'candidate').",
+        },
+        min_score_delta: {
+          type: "number",
+          description: "Average score change that counts as BETTER/WORSE (default: 3).",
+        },
+        format: {
+          type: "string",
+          enum: ["json", "markdown", "html"],
+          description:
+            "json (default) returns the structured result only; markdown/html also return a rendered `report` string.",
+        },
+        output_path: {
+          type: "string",
+          description:
+            "Optional res:// path to write the markdown/html report to (e.g. res://.claude/reports/poc.md).",
+        },
+        benchmarks: {
+          type: "array",
+          items: { type: "string" },
+          description: "Benchmark IDs to require (default: poc_prompt_01..03).",
+        },
+      },
+    },
+  },
+  {
+    name: "godot_evaluate_quality_gates",
+    description:
+      "Evaluate objective quality gates for a phase using project files and scene/config signals. For Phase 5+ this checks visual polish proxies (assets, FX, UI styling, layering, feedback cues). For Phase 6 it also checks flow/readiness proxies (main scene, menu/restart/pause flow markers, no pass stubs). Signals come from parsed scenes (node types/names, resources, properties, connections) and script code — comments and strings don't count — and each gate's `actual.evidence` lists the file/line where it was met. Thresholds, marker sets and extra custom gates can come from the project's .claude/quality_gates.json, and JS gate plugins in .claude/gates/*.mjs add their own gates; each gate reports its rule_source. Use this before godot_update_phase(..., 'completed') to see what is still missing. Saves a structured report to .claude/quality_reports.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        phase_number: {
+          type: "number",
+          description: "Phase number to evaluate (0-6)",
+        },
+        phase_name: {
+          type: "string",
+          description: "Optional phase name for logs/reporting",
+        },
+        quality_gates: {
+          type: "object",
+          description:
+            "Optional gate map already reported by the agent; merged with computed auto gates in output",
+        },
+      },
+      required: ["phase_number"],
+    },
+  },
+  {
+    name: "godot_update_phase",
+    description:
+      "⚠️ MANDATORY — Update the phase progress bar in the Godot dock panel. You MUST call this at the START of every build phase (status='in_progress') and at the END of every build phase (status='completed').\n\n⛔ HARD GATE #1: When status='completed', this tool AUTOMATICALLY checks for compilation errors. If ANY errors exist, completion is REJECTED.\n⛔ HARD GATE #2 (Phase 5/6): This tool also runs objective quality-gate evaluation. If required quality gates fail, completion is REJECTED with failed gate details.\n\nCall pattern:\n1. Phase starts: godot_update_phase(N, 'Phase Name', 'in_progress')\n2. Fix errors first: godot_get_errors() → fix → godot_reload_filesystem() → repeat until 0\n3. Evaluate quality (especially Phase 5/6): godot_evaluate_quality_gates(N)\n4. Phase ends: godot_update_phase(N, 'Phase Name', 'completed', {gate1: true, ...})\n\nPhase numbers: 0=Discovery/PRD, 1=Foundation, 2=Player Abilities, 3=Enemies, 4=UI & Game Flow, 5=Polish, 6=Final QA",
+    inputSchema: {
+      type: "object",
+      properties: {
+        phase_number: {
+          type: "number",
+          description: "Phase number (0-6)",
+        },
+        phase_name: {
+          type: "string",
+          description: "Phase name (e.g. 'Foundation', 'Enemies & Challenges')",
+        },
+        status: {
+          type: "string",
+          enum: ["pending", "in_progress", "completed"],
+          description: "Phase status",
+        },
+        quality_gates: {
+          type: "object",
+          description: "Quality gate results — keys are gate names, values are booleans",
+        },
+      },
+      required: ["phase_number", "phase_name", "status"],
+    },
+  },
+  // --- Editor Integration Tools ---
+  {
+    name: "godot_get_scene_tree",
+    description:
+      "Get the full node hierarchy of the currently edited scene in the Godot editor. Returns node names, types, paths (relative to the scene root, \".\" for the root), attached scripts, visibility (CanvasItem and Node3D nodes) and process_mode. Use this to verify scene structure after creating nodes or writing .tscn files.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        max_depth: {
+          type: "number",
+          description: "Maximum tree depth to return (default: 10)",
+        },
+      },
+    },
+  },
+  {
+    name: "godot_get_class_info",
+    description:
+      "Get properties, methods, and signals for any Godot built-in class via ClassDB. Use this before writing scripts to verify correct property names, method signatures, and available signals. Prevents wrong API usage.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        class_name: {
+          type: "string",
+          description:
+            'Godot class name (e.g. "CharacterBody2D", "Sprite2D", "Control")',
+        },
+        include_inherited: {
+          type: "boolean",
+          description:
+            "Include inherited properties/methods/signals from parent classes (default: false)",
+        },
+      },
+      required: ["class_name"],
+    },
+  },
+  {
+    name: "godot_add_node",
+    description:
+      "Add a new node to the currently edited scene in the Godot editor. The node is added as a child of parent_path and persisted in the scene. Use this instead of writing .tscn files for simple scene modifications.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        parent_path: {
+          type: "string",
+          description:
+            'NodePath to the parent node (default: "." for scene root)',
+        },
+        node_name: {
+          type: "string",
+          description: "Name for the new node",
+        },
+        node_type: {
+          type: "string",
+          description:
+            'Godot node class (e.g. "Sprite2D", "CharacterBody2D", "Label")',
+        },
+        properties: {
+          type: "object",
+          description:
+            'Optional properties to set. Supports Vector2 ({"x":0,"y":0}), Color ({"r":1,"g":0,"b":0}), and resource paths ("res://...")',
+        },
+      },
+      required: ["node_name", "node_type"],
+    },
+  },
+  {
+    name: "godot_update_node",
+    description:
+      "Update properties on an existing node in the currently edited scene. Use this to modify position, scale, visibility, or any other property without rewriting scene files.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        node_path: {
+          type: "string",
+          description: "NodePath to the node to update",
+        },
+        properties: {
+          type: "object",
+          description:
+            'Properties to set. Supports Vector2 ({"x":0,"y":0}), Color ({"r":1,"g":0,"b":0}), and resource paths ("res://...")',
+        },
+      },
+      required: ["node_path", "properties"],
+    },
+  },
+  {
+    name: "godot_delete_node",
+    description:
+      "Remove a node from the currently edited scene in the Godot editor.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        node_path: {
+          type: "string",
+          description: "NodePath to the node to delete",
+        },
+      },
+      required: ["node_path"],
+    },
+  },
+  {
+    name: "godot_get_editor_screenshot",
+    description:
+      'Capture the Godot editor 2D or 3D viewport as a base64-encoded PNG image. Use this to visually verify the game looks correct after creating scenes or modifying nodes. Claude can "see" the result.',
+    inputSchema: {
+      type: "object",
+      properties: {
+        viewport: {
+          type: "string",
+          enum: ["2d", "3d"],
+          description: 'Which viewport to capture (default: "2d")',
+        },
+      },
+    },
+  },
+  {
+    name: "godot_get_open_scripts",
+    description:
+      "Get the list of scripts currently open in the Godot script editor. Provides context about what the developer is working on.",
+    inputSchema: {
+      type: "object",
+      properties: {},
+    },
+  },
+  // --- Offline Scene Editing (works on .tscn files, no editor needed) ---
+  {
+    name: "godot_scene_add_node",
+    description:
+      "Add a node to a .tscn file on disk — the offline counterpart of godot_add_node. Works when the editor is closed or has a different scene open. ext_resource/sub_resource ids, load_steps and node unique_ids are managed automatically. If the scene file does not exist yet, it is created with this node as the root.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        scene_path: {
+          type: "string",
+          description: "Path to the .tscn file (res:// or absolute)",
+        },
+        parent_path: {
+          type: "string",
+          description:
+            'Scene-relative path of the parent node (default: "." for scene root, e.g. "Player/Sprite")',
+        },
+        node_name: {
+          type: "string",
+          description: "Name for the new node",
+        },
+        node_type: {
+          type: "string",
+          description:
+            'Godot node class (e.g. "Sprite2D"). Optional when instance_scene is given.',
+        },
+        instance_scene: {
+          type: "string",
+          description:
+            "Optional res:// path of a .tscn to instance as this node",
+        },
+        properties: {
+          type: "object",
+          description:
+            'Optional properties. Supports Vector2 ({"x":0,"y":0}), Color ({"r":1,"g":0,"b":0}), resource paths ("res://..." → ext_resource), typed values as returned by godot_parse_scene, and inline resources ({"type":"SubResource","resource_type":"CircleShape2D","properties":{"radius":16}})',
+        },
+      },
+      required: ["scene_path", "node_name"],
+    },
+  },
+  {
+    name: "godot_scene_update_node",
+    description:
+      "Update a node in a .tscn file on disk — the offline counterpart of godot_update_node. Sets or removes properties, renames the node, or moves it under a new parent (descendants follow). Resources left unreferenced are removed and load_steps is kept correct.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        scene_path: {
+          type: "string",
+          description: "Path to the .tscn file (res:// or absolute)",
+        },
+        node_path: {
+          type: "string",
+          description: 'Scene-relative path of the node ("." for the root)',
+        },
+        properties: {
+          type: "object",
+          description:
+            "Properties to set (same value formats as godot_scene_add_node)",
+        },
+        remove_properties: {
+          type: "array",
+          items: { type: "string" },
+          description: "Property names to remove (reverting them to defaults)",
+        },
+        new_name: {
+          type: "string",
+          description: "Optional new node name",
+        },
+        new_parent_path: {
+          type: "string",
+          description: "Optional scene-relative path of the new parent",
+        },
+      },
+      required: ["scene_path", "node_path"],
+    },
+  },
+  {
+    name: "godot_scene_delete_node",
+    description:
+      "Delete a node and its children from a .tscn file on disk — the offline counterpart of godot_delete_node. Resources only used by the deleted nodes are removed.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        scene_path: {
+          type: "string",
+          description: "Path to the .tscn file (res:// or absolute)",
+        },
+        node_path: {
+          type: "string",
+          description: "Scene-relative path of the node to delete",
+        },
+      },
+      required: ["scene_path", "node_path"],
+    },
+  },
+
+  // --- Signal Wiring (works on files on disk, no editor needed) ---
+  {
+    name: "godot_get_signal_graph",
+    description:
+      "Report every signal connection in the project: [connection] entries in .tscn scenes plus connect() calls in .gd scripts. Each connection is checked against its target script (including base scripts it extends) and the engine class the target is built on; connections whose target method doesn't exist are flagged as missing_method, and ones whose engine class isn't known offline as unresolved. Use this when the game runs but a button, timer or collision does nothing.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        scene_path: {
+          type: "string",
+          description:
+            "Optional .tscn file or res:// folder to limit the report to (scripts are always scanned for method lookups)",
+        },
+        broken_only: {
+          type: "boolean",
+          description: "Only return connections flagged as missing_method (default: false)",
+        },
+      },
+    },
+  },
+
+  // --- Dependencies (works on files on disk, no editor needed) ---
+  {
+    name: "godot_get_dependency_graph",
+    description:
+      "Build the project's file dependency graph from disk: ext_resources and res:// values in .tscn/.tres files, preload()/load()/extends paths in .gd scripts, and resource paths in project.godot, with uid:// references resolved. Reports dangling references (missing files or unknown uids), stale uids, orphaned assets nothing references, and cycles of load-time dependencies. Works with the editor closed — run it before godot_run_scene to catch missing textures and scripts.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        path: {
+          type: "string",
+          description:
+            "Optional file (res:// or relative) to report the direct dependencies and dependents of",
+        },
+        include_edges: {
+          type: "boolean",
+          description: "Include every edge of the graph in the result (default: false)",
+        },
+      },
+    },
+  },
+
+  // --- Symbols (GDScript declarations on disk, no editor needed) ---
+  {
+    name: "godot_get_symbols",
+    description:
+      "Index the declarations of the project's .gd scripts: class_name and extends, functions (parameters with types and defaults, return type, signature), signals, @export and plain variables, constants, enums and inner classes, each with file/line. Use it before calling methods, connecting signals or setting exports on another script, instead of guessing names. Results are cached per file and refreshed when a script changes.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        file: {
+          type: "string",
+          description: "Optional .gd file or res:// folder to limit the index to",
+        },
+        kind: {
+          oneOf: [
+            { type: "string", enum: SYMBOL_KINDS },
+            { type: "array", items: { type: "string", enum: SYMBOL_KINDS } },
+          ],
+          description: "Only return symbols of this kind (or kinds)",
+        },
+        name: {
+          type: "string",
+          description: "Only return symbols whose name contains this text (case-insensitive)",
+        },
+      },
+    },
+  },
+  {
+    name: "godot_find_references",
+    description:
+      "Find every use of a function, signal, variable, constant, enum or class name across .gd scripts and .tscn [connection] entries: calls, member/identifier accesses, string arguments to connect()/call()/has_method()/emit_signal(), and scene signal connections. Comments and ordinary strings never match. Returns the declarations too, so you can check call sites before renaming or changing a signature.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        symbol: {
+          type: "string",
+          description: "Exact symbol name (e.g. take_damage, health_changed, Player)",
+        },
+        kind: {
+          type: "string",
+          enum: SYMBOL_KINDS,
+          description: "Optional kind, to only report declarations of that kind",
+        },
+        file: {
+          type: "string",
+          description: "Optional .gd file or res:// folder to limit the searched scripts to",
+        },
+      },
+      required: ["symbol"],
+    },
+  },
+
+  // --- Resources (.tres files on disk, no editor needed) ---
+  {
+    name: "godot_parse_resource",
+    description:
+      "Parse a .tres text resource (Theme, SpriteFrames, TileSet, StyleBoxFlat, Curve, Gradient, custom Resource scripts...) and return its type, script_class, ext_resources, sub_resources and the [resource] values under `properties`, typed like godot_parse_scene.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        resource_path: {
+          type: "string",
+          description: "Path to the .tres file (res:// or absolute)",
+        },
+      },
+      required: ["resource_path"],
+    },
+  },
+  {
+    name: "godot_write_resource",
+    description:
+      "Create or update a .tres text resource on disk. Existing files are edited in place: only the values you pass change, everything else keeps its exact text. Values use the same formats as godot_scene_add_node properties (\"res://...\" strings become ext_resources, {\"type\": \"SubResource\", \"resource_type\": ..., \"properties\": {...}} creates sub_resources). ext_resource ids and load_steps are managed for you.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        resource_path: {
+          type: "string",
+          description: "Path to the .tres file (res:// or absolute)",
+        },
+        type: {
+          type: "string",
+          description:
+            "Resource class, e.g. 'Theme', 'StyleBoxFlat', 'Gradient' (required when creating; default 'Resource' when a script is given)",
+        },
+        script: {
+          type: "string",
+          description:
+            "Optional res:// path of a custom Resource script; its class_name is written as script_class",
+        },
+        properties: {
+          type: "object",
+          description:
+            "Values to set in the [resource] section, e.g. {\"bg_color\": {\"type\": \"Color\", \"r\": 0.1, \"g\": 0.1, \"b\": 0.2, \"a\": 1}}",
+        },
+        remove_properties: {
+          type: "array",
+          items: { type: "string" },
+          description: "Value names to remove (reverting them to defaults)",
+        },
+        overwrite: {
+          type: "boolean",
+          description:
+            "Start from an empty resource even if the file exists (default: false)",
+        },
+      },
+      required: ["resource_path"],
     },
   },
 ];
@@ -660,16 +1442,36 @@ export async function handleToolCall(name, args) {
       return await toolStopScene();
     case "godot_get_errors":
       return await toolGetErrors(args.detailed !== false);
+    case "godot_get_events":
+      return toolGetEvents(args);
+    case "godot_lint_scripts":
+      return await toolLintScripts(args.paths);
     case "godot_reload_filesystem":
       return await toolReloadFilesystem();
     case "godot_parse_scene":
-      return await toolParseScene(args.scene_path);
+      return await toolParseScene(args.scene_path, args.format || "flat", args.max_depth ?? 10);
     case "godot_generate_asset":
       return await toolGenerateAsset(args);
     case "godot_generate_asset_pack":
       return await toolGenerateAssetPack(args);
     case "godot_scan_project_files":
       return await toolScanProjectFiles(args.extensions);
+    case "godot_write_project_setting":
+      return await toolWriteProjectSetting(args.key, args.value, args.remove || false);
+    case "godot_list_input_actions":
+      return await toolListInputActions();
+    case "godot_add_input_action":
+      return await toolAddInputAction(args);
+    case "godot_remove_input_action":
+      return await toolRemoveInputAction(args.action, args.events);
+    case "godot_list_autoloads":
+      return await toolListAutoloads();
+    case "godot_add_autoload":
+      return await toolAddAutoload(args);
+    case "godot_reorder_autoloads":
+      return await toolReorderAutoloads(args.order);
+    case "godot_remove_autoload":
+      return await toolRemoveAutoload(args.name);
     case "godot_read_project_setting":
       return await toolReadProjectSetting(args.key);
     case "godot_list_addons":
@@ -688,11 +1490,35 @@ export async function handleToolCall(name, args) {
       return await toolSaveBuildState(args.state);
     case "godot_get_build_state":
       return await toolGetBuildState();
+    case "godot_list_build_states":
+      return await toolListBuildStates(args.limit);
+    case "godot_restore_build_state":
+      return await toolRestoreBuildState(args.checkpoint_id);
+    case "godot_snapshot_project":
+      return await toolSnapshotProject(args.label);
+    case "godot_list_snapshots":
+      return await toolListSnapshots(args.limit);
+    case "godot_diff_snapshots":
+      return await toolDiffSnapshots(args.from, args.to);
+    case "godot_rollback_project":
+      return await toolRollbackProject(args);
+    case "godot_git_checkpoints":
+      return await toolGitCheckpoints(args.enable);
+    case "godot_git_diff_since_phase":
+      return await toolGitDiffSincePhase(args.phase_number, args.patch === true);
     case "godot_get_latest_quality_report":
       return await toolGetLatestQualityReport(
         args.phase_number,
         args.limit
       );
+    case "godot_quality_summary":
+      return await toolQualitySummary(args);
+    case "godot_compare_benchmarks":
+      return await toolCompareBenchmarks(args);
+    case "godot_export_quality_dashboard":
+      return await toolExportQualityDashboard(args.output_path);
+    case "godot_quality_trend":
+      return await toolQualityTrend(args.phase_number, args.run_id, args.gate);
     case "godot_evaluate_quality_gates":
       return await toolEvaluateQualityGates(
         args.phase_number,
@@ -715,6 +1541,24 @@ export async function handleToolCall(name, args) {
       return await toolGetEditorScreenshot(args.viewport || "2d");
     case "godot_get_open_scripts":
       return await toolGetOpenScripts();
+    case "godot_scene_add_node":
+      return await toolSceneAddNode(args);
+    case "godot_scene_update_node":
+      return await toolSceneUpdateNode(args);
+    case "godot_scene_delete_node":
+      return await toolSceneDeleteNode(args.scene_path, args.node_path);
+    case "godot_get_signal_graph":
+      return await toolGetSignalGraph(args.scene_path || "", args.broken_only || false);
+    case "godot_get_dependency_graph":
+      return await toolGetDependencyGraph(args.path || "", args.include_edges || false);
+    case "godot_get_symbols":
+      return await toolGetSymbols(args.file || "", args.kind, args.name || "");
+    case "godot_find_references":
+      return await toolFindReferences(args.symbol, args.kind || "", args.file || "");
+    case "godot_parse_resource":
+      return await toolParseResource(args.resource_path);
+    case "godot_write_resource":
+      return await toolWriteResource(args);
     default:
       throw new Error(`Unknown tool: ${name}`);
   }
@@ -741,6 +1585,7 @@ async function toolGetProjectState() {
     project_path: resolve(PROJECT_PATH),
     project_name: projectSettings["application/config/name"] || "Unknown",
     main_scene: projectSettings["application/run/main_scene"] || "",
+    autoloads: listAutoloads(projectSettings),
     files: {
       scripts: files.filter((f) => f.endsWith(".gd")),
       scenes: files.filter((f) => f.endsWith(".tscn")),
@@ -775,6 +1620,24 @@ async function toolStopScene() {
   return await bridge.stopScene();
 }
 
+function toolGetEvents({ types, since, limit } = {}) {
+  const { events, cursor, missed } = readBridgeEvents({
+    types,
+    since: Number.isInteger(since) ? since : undefined,
+    limit: Number.isFinite(Number(limit)) ? Math.max(1, Math.floor(Number(limit))) : 100,
+  });
+  const { errors, warnings, ...stream } = getBridgeEventState();
+  return {
+    events,
+    cursor,
+    ...(missed > 0 ? { missed } : {}),
+    stream,
+    ...(stream.connected
+      ? {}
+      : { note: "Event stream is not connected (editor closed, or a plugin version without /events). Use godot_get_errors for the current error state." }),
+  };
+}
+
 async function toolGetErrors(detailed = true) {
   if (detailed) {
     // Defensive preflight: when there are many compile errors, detailed probing can
@@ -835,6 +1698,61 @@ async function toolGetErrors(detailed = true) {
   }
 }
 
+async function toolLintScripts(paths) {
+  await bridge.sendLog("[MCP] Linting scripts (static analysis, no editor needed)...");
+  const allScripts = await scanDir(PROJECT_PATH, ["gd"]);
+  let targets = allScripts;
+  if (Array.isArray(paths) && paths.length > 0) {
+    const folders = paths.filter((path) => !path.endsWith(".gd")).map((path) => path.replace(/\/?$/, "/"));
+    targets = [
+      ...new Set([
+        ...paths.filter((path) => path.endsWith(".gd")),
+        ...allScripts.filter((script) => folders.some((folder) => script.startsWith(folder))),
+      ]),
+    ];
+  }
+
+  // Project class_names and autoloads are global identifiers.
+  const sources = new Map();
+  const globals = new Set(listAutoloads(await readProjectGodot()).map((autoload) => autoload.name));
+  for (const scriptPath of new Set([...allScripts, ...targets])) {
+    try {
+      const source = await readFile(resToAbsolute(scriptPath), "utf-8");
+      sources.set(scriptPath, source);
+      const className = scriptClassName(source);
+      if (className) globals.add(className);
+    } catch {
+      /* reported below for targets */
+    }
+  }
+
+  const errors = [];
+  const warnings = [];
+  for (const file of targets) {
+    if (!sources.has(file)) {
+      errors.push({ message: "Script not found or unreadable", file, line: -1, column: 0, rule: "io" });
+      continue;
+    }
+    const result = lintGDScript(sources.get(file), {
+      file,
+      globals,
+      pathExists: (resPath) => existsSync(resToAbsolute(resPath)),
+    });
+    errors.push(...result.errors);
+    warnings.push(...result.warnings);
+  }
+
+  await bridge.sendLog(
+    `[MCP] Lint: ${targets.length} scripts, ${errors.length} errors, ${warnings.length} warnings`
+  );
+  return {
+    source: "static_analysis",
+    files_checked: targets.length,
+    errors,
+    warnings,
+  };
+}
+
 async function toolReloadFilesystem() {
   await bridge.sendLog("[MCP] Reloading filesystem...");
   const result = await bridge.reloadFilesystem();
@@ -868,9 +1786,14 @@ async function toolReloadFilesystem() {
   };
 }
 
-async function toolParseScene(scenePath) {
+async function toolParseScene(scenePath, format = "flat", maxDepth = 10) {
   await bridge.sendLog(`[MCP] Parsing scene: ${scenePath}`);
   const result = await parseScene(scenePath);
+  if (format === "tree") {
+    const tree = await buildSceneTree(result, toResPath(scenePath), { maxDepth });
+    await bridge.sendLog(`[MCP] Scene parsed: ${scenePath} (${countNodes(tree)} nodes)`);
+    return tree ?? { error: `Scene has no nodes: ${scenePath}` };
+  }
   await bridge.sendLog(`[MCP] Scene parsed: ${scenePath}`);
   return result;
 }
@@ -886,6 +1809,7 @@ async function toolGenerateAsset(args) {
   } else {
     result = await generatePlaceholder(args);
   }
+  await noteSessionWrites([result?.path]);
   await bridge.sendLog(`[MCP] Asset created: ${args.name}.${fmt}`);
   return result;
 }
@@ -899,6 +1823,7 @@ async function toolGenerateAssetPack(args) {
     `[MCP] Generating asset pack: ${preset} (${style}, ${fmt})...`
   );
   const result = await generateAssetPack(args || {});
+  await noteSessionWrites((result.generated || []).map((asset) => asset.path));
   const generatedNames = (result.generated || [])
     .slice(0, 6)
     .map((a) => a.name)
@@ -911,34 +1836,395 @@ async function toolGenerateAssetPack(args) {
   return result;
 }
 
-async function toolScanProjectFiles(extensions) {
-  await bridge.sendLog("[MCP] Scanning project files...");
-  const exts = extensions || [
-    "gd",
-    "tscn",
-    "tres",
-    "svg",
-    "png",
-    "ogg",
-    "wav",
-  ];
-  const files = await scanDir(PROJECT_PATH, exts);
-  await bridge.sendLog(`[MCP] Found ${files.length} project files`);
-  return {
-    project_path: resolve(PROJECT_PATH),
-    total: files.length,
-    files,
+async function toolScanProjectFiles(extensions) {
+  await bridge.sendLog("[MCP] Scanning project files...");
+  const exts = extensions || [
+    "gd",
+    "tscn",
+    "tres",
+    "svg",
+    "png",
+    "ogg",
+    "wav",
+  ];
+  const files = await scanDir(PROJECT_PATH, exts);
+  await bridge.sendLog(`[MCP] Found ${files.length} project files`);
+  return {
+    project_path: resolve(PROJECT_PATH),
+    total: files.length,
+    files,
+  };
+}
+
+async function toolReadProjectSetting(key) {
+  await bridge.sendLog(`[MCP] Reading setting: ${key}`);
+  const settings = await readProjectGodot();
+  const value = settings[key];
+  if (value === undefined) {
+    return { key, found: false, value: null };
+  }
+  return { key, found: true, value };
+}
+
+async function toolWriteProjectSetting(key, value, remove) {
+  await bridge.sendLog(`[MCP] ${remove ? "Removing" : "Writing"} setting: ${key}`);
+  if (typeof key !== "string" || !/^[^\s=\[\]]+$/.test(key) || key.startsWith("/")) {
+    return { success: false, error: `Invalid setting key: ${key}` };
+  }
+  if (!remove && value === undefined) {
+    return { success: false, key, error: "value is required unless remove is true" };
+  }
+
+  const project = await readProjectSettings();
+  if (!project) {
+    return { success: false, key, error: "project.godot not found in the project root" };
+  }
+
+  const found = key in project.settings;
+  const previousValue = found ? project.settings[key] : null;
+  if (remove) {
+    if (!found) return { success: true, key, found: false, removed: false };
+    delete project.settings[key];
+  } else {
+    project.settings[key] = value;
+  }
+  await saveProjectSettings(project);
+
+  const result = {
+    success: true,
+    key,
+    previous_value: previousValue,
+    ...(remove ? { removed: true } : { value, created: !found }),
+  };
+  if (await bridge.isConnected()) {
+    result.note = PROJECT_SETTINGS_RELOAD_NOTE;
+  }
+  await bridge.sendLog(`[MCP] Setting ${remove ? "removed" : "written"}: ${key}`);
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// Input Map
+// ---------------------------------------------------------------------------
+
+async function toolListInputActions() {
+  await bridge.sendLog("[MCP] Listing input actions...");
+  const settings = await readProjectGodot();
+  const actions = [];
+  for (const [key, value] of Object.entries(settings)) {
+    if (!key.startsWith("input/")) continue;
+    const events = value?.value?.events ?? [];
+    actions.push({
+      name: key.slice("input/".length),
+      deadzone: value?.value?.deadzone ?? 0.5,
+      events: (Array.isArray(events) ? events : events.values || []).map(describeInputEvent),
+    });
+  }
+
+  const defined = new Set(actions.map((action) => action.name));
+  const used = new Set();
+  const undefinedActions = [];
+  const references = [];
+  for (const scriptPath of await scanDir(PROJECT_PATH, ["gd"])) {
+    let source;
+    try {
+      source = await readFile(resToAbsolute(scriptPath), "utf-8");
+    } catch {
+      continue;
+    }
+    const found = findActionReferences(source);
+    found.added.forEach((name) => defined.add(name));
+    references.push(...found.references.map((ref) => ({ ...ref, file: scriptPath })));
+  }
+  for (const ref of references) {
+    used.add(ref.action);
+    if (!defined.has(ref.action) && !isBuiltinAction(ref.action)) {
+      undefinedActions.push(ref);
+    }
+  }
+
+  await bridge.sendLog(
+    `[MCP] Input actions: ${actions.length} defined, ${undefinedActions.length} undefined references`
+  );
+  return {
+    total: actions.length,
+    actions,
+    undefined_actions: undefinedActions,
+    unused_actions: actions.map((action) => action.name).filter((name) => !used.has(name)),
+  };
+}
+
+async function toolAddInputAction(args) {
+  const action = args.action;
+  await bridge.sendLog(`[MCP] Adding input action: ${action}`);
+  if (typeof action !== "string" || !/^[\w.\-]+$/.test(action)) {
+    return { success: false, error: `Invalid action name: ${action}` };
+  }
+
+  let newEvents;
+  try {
+    newEvents = (args.events || []).map(buildInputEvent);
+  } catch (err) {
+    return { success: false, action, error: err.message };
+  }
+
+  const project = await readProjectSettings();
+  if (!project) return { success: false, action, error: "project.godot not found in the project root" };
+
+  const key = `input/${action}`;
+  const existing = project.settings[key]?.value;
+  const existingEvents = args.replace ? [] : existing?.events ?? [];
+  const events = [...existingEvents];
+  const added = [];
+  for (const event of newEvents) {
+    if (events.some((current) => sameInputEvent(current, event))) continue;
+    events.push(event);
+    added.push(describeInputEvent(event));
+  }
+
+  project.settings[key] = {
+    type: "Dictionary",
+    value: {
+      deadzone: args.deadzone ?? existing?.deadzone ?? 0.5,
+      events,
+    },
+  };
+  await saveProjectSettings(project);
+  await bridge.sendLog(`[MCP] Input action ${existing ? "updated" : "added"}: ${action} (${events.length} events)`);
+  return {
+    success: true,
+    action,
+    created: !existing,
+    events_added: added,
+    events: events.map(describeInputEvent),
+    deadzone: project.settings[key].value.deadzone,
+  };
+}
+
+async function toolRemoveInputAction(action, eventSpecs) {
+  await bridge.sendLog(`[MCP] Removing input action: ${action}`);
+  const project = await readProjectSettings();
+  if (!project) return { success: false, action, error: "project.godot not found in the project root" };
+
+  const key = `input/${action}`;
+  const existing = project.settings[key];
+  if (!existing) return { success: false, action, error: `Input action not found: ${action}` };
+
+  if (!eventSpecs || eventSpecs.length === 0) {
+    delete project.settings[key];
+    await saveProjectSettings(project);
+    await bridge.sendLog(`[MCP] Input action removed: ${action}`);
+    return { success: true, action, removed: true };
+  }
+
+  let targets;
+  try {
+    targets = eventSpecs.map(buildInputEvent);
+  } catch (err) {
+    return { success: false, action, error: err.message };
+  }
+  const events = existing.value?.events ?? [];
+  const kept = events.filter((event) => !targets.some((target) => sameInputEvent(event, target)));
+  project.settings[key] = {
+    ...existing,
+    value: { ...existing.value, events: kept },
+  };
+  await saveProjectSettings(project);
+  await bridge.sendLog(`[MCP] Input action ${action}: removed ${events.length - kept.length} events`);
+  return {
+    success: true,
+    action,
+    removed: false,
+    events_removed: events.length - kept.length,
+    events: kept.map(describeInputEvent),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Autoloads
+// ---------------------------------------------------------------------------
+
+async function toolListAutoloads() {
+  await bridge.sendLog("[MCP] Listing autoloads...");
+  const autoloads = listAutoloads(await readProjectGodot());
+  const warnings = await autoloadWarnings(autoloads);
+  for (const autoload of autoloads) {
+    autoload.exists = !warnings.some(
+      (warning) => warning.name === autoload.name && warning.type === "missing_target"
+    );
+  }
+  await bridge.sendLog(`[MCP] Autoloads: ${autoloads.length} registered, ${warnings.length} warnings`);
+  return { total: autoloads.length, autoloads, warnings };
+}
+
+async function toolAddAutoload(args) {
+  const { name, path } = args;
+  await bridge.sendLog(`[MCP] Adding autoload: ${name} -> ${path}`);
+  if (typeof name !== "string" || !/^[A-Za-z_]\w*$/.test(name)) {
+    return { success: false, error: `Invalid autoload name (must be an identifier): ${name}` };
+  }
+  if (typeof path !== "string" || !/^res:\/\/.+\.(?:gd|tscn)$/.test(path)) {
+    return { success: false, name, error: `path must be a res:// .gd or .tscn file, got: ${path}` };
+  }
+  if (args.position !== undefined && !Number.isInteger(args.position)) {
+    return { success: false, name, error: `Invalid position (must be an integer): ${args.position}` };
+  }
+  if (!(await fileExists(resToAbsolute(path)))) {
+    return { success: false, name, error: `Autoload target not found: ${path}` };
+  }
+
+  const project = await readProjectSettings();
+  if (!project) return { success: false, name, error: "project.godot not found in the project root" };
+
+  const key = `autoload/${name}`;
+  const autoloads = listAutoloads(project.settings);
+  const previous = autoloads.find((autoload) => autoload.name === name);
+  const singleton = args.singleton ?? previous?.singleton ?? true;
+  project.settings[key] = `${singleton ? "*" : ""}${path}`;
+
+  const order = autoloads.map((autoload) => autoload.name).filter((other) => other !== name);
+  const index = args.position ?? (previous ? autoloads.indexOf(previous) : order.length);
+  order.splice(Math.max(0, Math.min(index, order.length)), 0, name);
+  setAutoloadOrder(project.settings, order);
+  await saveProjectSettings(project);
+
+  const updated = listAutoloads(project.settings);
+  const warnings = await autoloadWarnings(updated.filter((autoload) => autoload.name === name));
+  if (path.endsWith(".gd") && !(await extendsNode(path))) {
+    warnings.push({
+      name,
+      type: "not_a_node",
+      message: `${path} does not extend a Node type; Godot can only autoload Node scripts.`,
+    });
+  }
+
+  const result = {
+    success: true,
+    name,
+    path,
+    singleton,
+    created: !previous,
+    position: updated.findIndex((autoload) => autoload.name === name),
+    autoloads: updated.map((autoload) => autoload.name),
+    warnings,
+  };
+  if (await bridge.isConnected()) result.note = PROJECT_SETTINGS_RELOAD_NOTE;
+  await bridge.sendLog(`[MCP] Autoload ${previous ? "updated" : "added"}: ${name} (${warnings.length} warnings)`);
+  return result;
+}
+
+async function toolReorderAutoloads(order) {
+  await bridge.sendLog("[MCP] Reordering autoloads...");
+  if (!Array.isArray(order) || order.length === 0) {
+    return { success: false, error: "order must be a non-empty array of autoload names" };
+  }
+  const project = await readProjectSettings();
+  if (!project) return { success: false, error: "project.godot not found in the project root" };
+
+  const names = listAutoloads(project.settings).map((autoload) => autoload.name);
+  const unknown = order.filter((name) => !names.includes(name));
+  if (unknown.length > 0) {
+    return { success: false, error: `Unknown autoloads: ${unknown.join(", ")}`, autoloads: names };
+  }
+  const newOrder = [...new Set(order), ...names.filter((name) => !order.includes(name))];
+  setAutoloadOrder(project.settings, newOrder);
+  await saveProjectSettings(project);
+
+  const result = { success: true, previous_order: names, autoloads: newOrder };
+  if (await bridge.isConnected()) result.note = PROJECT_SETTINGS_RELOAD_NOTE;
+  await bridge.sendLog(`[MCP] Autoload order: ${newOrder.join(", ")}`);
+  return result;
+}
+
+async function toolRemoveAutoload(name) {
+  await bridge.sendLog(`[MCP] Removing autoload: ${name}`);
+  const project = await readProjectSettings();
+  if (!project) return { success: false, name, error: "project.godot not found in the project root" };
+
+  const key = `autoload/${name}`;
+  if (!(key in project.settings)) {
+    return { success: false, name, error: `Autoload not found: ${name}` };
+  }
+  delete project.settings[key];
+  await saveProjectSettings(project);
+
+  const result = {
+    success: true,
+    name,
+    removed: true,
+    autoloads: listAutoloads(project.settings).map((autoload) => autoload.name),
   };
+  if (await bridge.isConnected()) result.note = PROJECT_SETTINGS_RELOAD_NOTE;
+  await bridge.sendLog(`[MCP] Autoload removed: ${name}`);
+  return result;
 }
 
-async function toolReadProjectSetting(key) {
-  await bridge.sendLog(`[MCP] Reading setting: ${key}`);
-  const settings = await readProjectGodot();
-  const value = settings[key];
-  if (value === undefined) {
-    return { key, found: false, value: null };
+/**
+ * Autoloads in load order. Values are "*res://path" when the autoload is
+ * also a global variable (singleton), plain "res://path" otherwise.
+ */
+function listAutoloads(settings) {
+  return Object.entries(settings)
+    .filter(([key]) => key.startsWith("autoload/"))
+    .map(([key, value]) => {
+      const raw = String(value ?? "");
+      return {
+        name: key.slice("autoload/".length),
+        path: raw.replace(/^\*/, ""),
+        singleton: raw.startsWith("*"),
+      };
+    });
+}
+
+// The project.godot writer keeps each section in key order, so re-inserting
+// the autoload keys reorders them.
+function setAutoloadOrder(settings, names) {
+  const values = names.map((name) => settings[`autoload/${name}`]);
+  names.forEach((name) => delete settings[`autoload/${name}`]);
+  names.forEach((name, index) => (settings[`autoload/${name}`] = values[index]));
+}
+
+/**
+ * Missing autoload targets, and scripts whose class_name matches an autoload
+ * name (Godot refuses to load them: "Class X hides an autoload singleton").
+ */
+async function autoloadWarnings(autoloads) {
+  const warnings = [];
+  for (const autoload of autoloads) {
+    if (autoload.path.startsWith("res://") && !(await fileExists(resToAbsolute(autoload.path)))) {
+      warnings.push({
+        name: autoload.name,
+        type: "missing_target",
+        path: autoload.path,
+        message: `Autoload ${autoload.name} points to ${autoload.path}, which does not exist.`,
+      });
+    }
+  }
+
+  const names = new Set(autoloads.map((autoload) => autoload.name));
+  for (const scriptPath of await scanDir(PROJECT_PATH, ["gd"])) {
+    const className = await readScriptClassName(scriptPath);
+    if (!names.has(className)) continue;
+    warnings.push({
+      name: className,
+      type: "class_name_collision",
+      script: scriptPath,
+      message: `${scriptPath} declares class_name ${className}, which hides the autoload of the same name. Remove the class_name line or rename the autoload.`,
+    });
+  }
+  return warnings;
+}
+
+// Scripts without extends are RefCounted; anything else is assumed to reach
+// Node through a class_name or script chain we do not follow.
+async function extendsNode(scriptPath) {
+  try {
+    const content = await readFile(resToAbsolute(scriptPath), "utf-8");
+    const base = stripComments(content).match(/^extends\s+("[^"]*"|\S+)/m)?.[1];
+    return Boolean(base) && !/^(?:RefCounted|Resource|Object|Reference)$/.test(base);
+  } catch {
+    return true;
   }
-  return { key, found: true, value };
 }
 
 async function toolListAddons(category) {
@@ -1050,6 +2336,7 @@ async function toolInstallAddon(addonId, force = false) {
   } finally {
     await rm(tmpRoot, { recursive: true, force: true });
   }
+  await noteSessionWrites([addon.target_dir]);
 
   const verification = await verifyCatalogAddon(addon);
   if (!verification.passed) {
@@ -1275,6 +2562,17 @@ async function toolScorePocQuality(args = {}) {
     notes: typeof args.notes === "string" ? args.notes : "",
   };
 
+  const schemaErrors = validatePocReport(report);
+  if (schemaErrors.length > 0) {
+    await bridge.sendLog(`[MCP] PoC scoring rejected: ${formatSchemaErrors(schemaErrors)}`);
+    return {
+      ok: false,
+      rejected: true,
+      reason: `Report does not match ${POC_REPORT_SCHEMA_FILE}: ${formatSchemaErrors(schemaErrors)}`,
+      schema_errors: schemaErrors,
+    };
+  }
+
   const qualityReportPath = await persistQualityReport(report, "poc_rubric_score", {
     benchmark_id: benchmarkId,
     run_id: runId,
@@ -1290,6 +2588,10 @@ async function toolScorePocQuality(args = {}) {
   await bridge.sendLog(
     `[MCP] PoC quality verdict=${verdict} score=${weightedTotal} iteration=${iterationCount}/${maxIterations}`
   );
+  if (verdict === "go") {
+    const gitCheckpoint = await tagPocCheckpoint(report);
+    if (gitCheckpoint) report.git_checkpoint = gitCheckpoint;
+  }
   return report;
 }
 
@@ -1299,36 +2601,296 @@ async function toolLog(message) {
 }
 
 async function toolSaveBuildState(state) {
-  const dir = resolve(PROJECT_PATH, ".claude");
-  const filePath = resolve(dir, "build_state.json");
   await bridge.sendLog("[MCP] Saving build checkpoint...");
+  let result;
   try {
-    await mkdir(dir, { recursive: true });
-    await writeFile(filePath, JSON.stringify(state, null, 2), "utf-8");
-    await bridge.sendLog("[MCP] Build checkpoint saved");
-    return { ok: true, path: filePath };
+    result = await saveBuildState(CLAUDE_DIR, state);
   } catch (err) {
     await bridge.sendLog(`[MCP] Failed to save checkpoint: ${err.message}`);
     throw new Error(`Failed to save build state: ${err.message}`);
   }
+  if (result.errors.length > 0) {
+    await bridge.sendLog(`[MCP] Build checkpoint rejected: ${formatSchemaErrors(result.errors)}`);
+    return {
+      ok: false,
+      rejected: true,
+      reason: `Build state does not match ${BUILD_STATE_SCHEMA_FILE}: ${formatSchemaErrors(result.errors)}`,
+      schema_errors: result.errors,
+    };
+  }
+  await bridge.sendLog(`[MCP] Build checkpoint saved (${result.checkpoint})`);
+  return {
+    ok: true,
+    path: resolve(CLAUDE_DIR, "build_state.json"),
+    checkpoint: result.checkpoint,
+    ...(result.migrated_from ? { migrated_from: result.migrated_from } : {}),
+  };
 }
 
 async function toolGetBuildState() {
-  const filePath = resolve(PROJECT_PATH, ".claude", "build_state.json");
   await bridge.sendLog("[MCP] Checking for build checkpoint...");
+  const { state, errors, migrated_from, error, recovered_from } = await readBuildState(CLAUDE_DIR);
+  if (!state) {
+    if (error) {
+      await bridge.sendLog(`[MCP] Checkpoint file corrupted: ${error}`);
+      return { found: false, state: null, error };
+    }
+    await bridge.sendLog("[MCP] No build checkpoint found");
+    return { found: false, state: null };
+  }
+  if (recovered_from) {
+    await bridge.sendLog(`[MCP] ⚠️ Checkpoint file corrupted (${error}) — recovered ${recovered_from} from history`);
+  }
+  await bridge.sendLog(`[MCP] Found checkpoint: ${state.game_name || "unknown"} — Phase ${state.current_phase?.number ?? "?"}`);
+  return {
+    found: true,
+    state,
+    ...(recovered_from ? { recovered_from, error } : {}),
+    ...(migrated_from ? { migrated_from } : {}),
+    ...(errors.length > 0 ? { schema_errors: errors } : {}),
+  };
+}
+
+async function toolListBuildStates(limit) {
+  const maxEntries = Number.isFinite(Number(limit)) ? Math.max(1, Math.floor(Number(limit))) : 20;
+  const checkpoints = await listBuildStates(CLAUDE_DIR);
+  await bridge.sendLog(`[MCP] ${checkpoints.length} build checkpoint(s) in history`);
+  return {
+    total: checkpoints.length,
+    checkpoints: checkpoints.slice(0, maxEntries),
+  };
+}
+
+async function toolRestoreBuildState(checkpointId) {
+  const { state, errors, error } = await loadBuildStateCheckpoint(CLAUDE_DIR, checkpointId);
+  if (!state) return { success: false, error };
+  if (errors.length > 0) {
+    return {
+      success: false,
+      error: `Checkpoint ${checkpointId} does not match ${BUILD_STATE_SCHEMA_FILE}: ${formatSchemaErrors(errors)}`,
+      schema_errors: errors,
+    };
+  }
+  const result = await saveBuildState(CLAUDE_DIR, state, { trigger: "restore" });
+  await bridge.sendLog(
+    `[MCP] Restored build checkpoint ${checkpointId}: ${state.game_name} — Phase ${state.current_phase?.number ?? "?"}`
+  );
+  return {
+    ok: true,
+    restored_from: checkpointId,
+    checkpoint: result.checkpoint,
+    state: result.state,
+  };
+}
+
+async function toolSnapshotProject(label) {
+  const { manifest, stored_objects } = await createSnapshot(PROJECT_PATH, SNAPSHOTS_DIR, {
+    label: typeof label === "string" ? label : "",
+  });
+  await bridge.sendLog(
+    `[MCP] Snapshot ${manifest.id}: ${Object.keys(manifest.files).length} files (${stored_objects} new)`
+  );
+  return {
+    ok: true,
+    snapshot_id: manifest.id,
+    file_count: Object.keys(manifest.files).length,
+    stored_objects,
+    skipped: manifest.skipped,
+  };
+}
+
+async function toolListSnapshots(limit) {
+  const maxEntries = Number.isFinite(Number(limit)) ? Math.max(1, Math.floor(Number(limit))) : 20;
+  const snapshots = await listSnapshots(SNAPSHOTS_DIR);
+  return { total: snapshots.length, snapshots: snapshots.slice(0, maxEntries) };
+}
+
+async function toolDiffSnapshots(fromRef, toRef) {
+  const from = await loadSnapshot(SNAPSHOTS_DIR, fromRef);
+  if (!from.manifest) return { success: false, error: from.error };
+  let to = { manifest: null };
+  if (toRef && toRef !== "current") {
+    to = await loadSnapshot(SNAPSHOTS_DIR, toRef);
+    if (!to.manifest) return { success: false, error: to.error };
+  }
+  const diff = await diffSnapshots(PROJECT_PATH, SNAPSHOTS_DIR, from.manifest, to.manifest);
+  await bridge.sendLog(
+    `[MCP] Diff ${from.manifest.id} → ${to.manifest?.id || "current"}: ` +
+      `+${diff.added.length} -${diff.removed.length} ~${diff.modified.length}`
+  );
+  return {
+    from: from.manifest.id,
+    to: to.manifest?.id || "current",
+    ...diff,
+  };
+}
+
+async function toolRollbackProject(args) {
+  const { manifest, error } = await loadSnapshot(SNAPSHOTS_DIR, args.snapshot_id);
+  if (!manifest) return { success: false, error };
+
+  let paths;
+  try {
+    paths = Array.isArray(args.paths) ? args.paths.map((p) => toResPath(relative(PROJECT_PATH, resolveProjectPath(p)))) : undefined;
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+  const options = { paths, deleteAdded: args.delete_added !== false };
+
+  if (args.dry_run) {
+    const plan = await rollbackToSnapshot(PROJECT_PATH, SNAPSHOTS_DIR, manifest, { ...options, dryRun: true });
+    return { ok: true, dry_run: true, snapshot_id: manifest.id, ...plan };
+  }
+
+  const backup = await createSnapshot(PROJECT_PATH, SNAPSHOTS_DIR, {
+    trigger: "pre_rollback",
+    label: `before ${manifest.id}`,
+    // Pruning must not take the target with it before it is restored
+    protect: [manifest.id],
+  });
+  const result = await rollbackToSnapshot(PROJECT_PATH, SNAPSHOTS_DIR, manifest, options);
+  await noteSessionWrites([...result.restored, ...result.deleted]);
+  await bridge.sendLog(
+    `[MCP] Rolled back to ${manifest.id}: ${result.restored.length} restored, ${result.deleted.length} deleted ` +
+      `(previous state saved as ${backup.manifest.id})`
+  );
+  try {
+    await bridge.reloadFilesystem();
+  } catch {
+    // Best-effort — the editor may not be running
+  }
+  return {
+    ok: true,
+    snapshot_id: manifest.id,
+    pre_rollback_snapshot_id: backup.manifest.id,
+    ...result,
+  };
+}
+
+async function toolGitCheckpoints(enable) {
+  if (enable === true) {
+    const result = await enableGitCheckpoints(PROJECT_PATH, CLAUDE_DIR);
+    await bridge.sendLog(
+      result.ok
+        ? `[MCP] Git checkpoints on (${result.branch || "detached HEAD"} @ ${result.base_commit?.slice(0, 12) ?? "no commits"})`
+        : `[MCP] Git checkpoints refused: ${result.reason}`
+    );
+    return result;
+  }
+  if (enable === false) {
+    await bridge.sendLog("[MCP] Git checkpoints off");
+    return await disableGitCheckpoints(CLAUDE_DIR);
+  }
+  const config = await readGitCheckpointConfig(CLAUDE_DIR);
+  const state = await readGitState(PROJECT_PATH);
+  return {
+    enabled: Boolean(config),
+    ...(config || {}),
+    repo: state.repo,
+    head: state.head ?? null,
+    uncommitted_changes: state.changes?.length ?? 0,
+  };
+}
+
+/**
+ * Record files a tool wrote for the next git checkpoint commit, which takes
+ * only these and the build state's files_written.
+ */
+async function noteSessionWrites(paths) {
+  try {
+    await recordCheckpointFiles(CLAUDE_DIR, paths.filter(Boolean));
+  } catch {
+    // Best-effort — the commit still takes files_written
+  }
+}
+
+async function saveProjectSettings(project) {
+  await writeProjectSettings(project);
+  await noteSessionWrites(["project.godot"]);
+}
+
+async function buildStateFiles() {
+  const { state } = await readBuildState(CLAUDE_DIR);
+  const files = Array.isArray(state?.files_written) ? state.files_written : [];
+  return files.map((entry) => (typeof entry === "string" ? entry : entry?.path)).filter(Boolean);
+}
+
+async function commitPhaseCheckpoint(info) {
+  const config = await readGitCheckpointConfig(CLAUDE_DIR);
+  if (!config) return null;
   try {
-    const content = await readFile(filePath, "utf-8");
-    const state = JSON.parse(content);
-    await bridge.sendLog(`[MCP] Found checkpoint: ${state.game_name || "unknown"} — Phase ${state.current_phase?.number ?? "?"}`);
-    return { found: true, state };
+    const result = await commitCheckpoint(
+      PROJECT_PATH,
+      CLAUDE_DIR,
+      config,
+      phaseCommitMessage(info),
+      await buildStateFiles()
+    );
+    const leftOut = result.left_uncommitted?.length
+      ? ` (${result.left_uncommitted.length} change(s) not made in this session left uncommitted)`
+      : "";
+    await bridge.sendLog(
+      result.ok
+        ? `[MCP] Git checkpoint ${result.commit.slice(0, 12)} — Phase ${info.phaseNumber}${leftOut}`
+        : `[MCP] ⚠️ Git checkpoint skipped: ${result.reason}`
+    );
+    return result;
   } catch (err) {
-    if (err.code === "ENOENT") {
-      await bridge.sendLog("[MCP] No build checkpoint found");
-      return { found: false, state: null };
+    await bridge.sendLog(`[MCP] ⚠️ Git checkpoint failed: ${err.message}`);
+    return { ok: false, error: err.message };
+  }
+}
+
+async function tagPocCheckpoint(report) {
+  const config = await readGitCheckpointConfig(CLAUDE_DIR);
+  if (!config) return null;
+  try {
+    const message = pocCommitMessage({
+      benchmarkId: report.benchmark_id,
+      runId: report.run_id,
+      verdict: report.verdict,
+      score: report.weighted_total_score,
+      iteration: report.iteration_count,
+      qualityReportPath: report.quality_report_path,
+    });
+    const result = await commitCheckpoint(PROJECT_PATH, CLAUDE_DIR, config, message, await buildStateFiles());
+    if (!result.ok) {
+      await bridge.sendLog(`[MCP] ⚠️ PoC tag skipped: ${result.reason}`);
+      return result;
     }
-    await bridge.sendLog(`[MCP] Checkpoint file corrupted: ${err.message}`);
-    return { found: false, state: null, error: err.message };
+    const tag = await tagCheckpoint(PROJECT_PATH, pocTagName(report.benchmark_id, report.run_id, report.verdict), message);
+    await bridge.sendLog(`[MCP] Tagged ${tag} (${result.commit.slice(0, 12)})`);
+    return { ...result, tag };
+  } catch (err) {
+    await bridge.sendLog(`[MCP] ⚠️ PoC tag failed: ${err.message}`);
+    return { ok: false, error: err.message };
+  }
+}
+
+async function toolGitDiffSincePhase(phaseNumber, patch) {
+  const phase = Number(phaseNumber);
+  if (!Number.isInteger(phase) || phase < 0) {
+    return { success: false, error: `Invalid phase_number: ${phaseNumber}` };
+  }
+  const state = await readGitState(PROJECT_PATH);
+  if (!state.repo) return { success: false, error: `Project is not in a git repository: ${state.error}` };
+  const found = await findPhaseCommit(PROJECT_PATH, phase);
+  if (!found) {
+    return {
+      success: false,
+      error: `No git checkpoint commit for Phase ${phase}. Turn on godot_git_checkpoints(true) before completing phases.`,
+    };
   }
+  const diff = await diffSinceCommit(PROJECT_PATH, found.commit, { patch });
+  const files = diff.files.map((file) => ({ ...file, path: toResPath(relative(PROJECT_PATH, resolve(state.root, file.path))) }));
+  await bridge.sendLog(`[MCP] ${files.length} file(s) changed since Phase ${phase} (${found.commit.slice(0, 12)})`);
+  return {
+    ok: true,
+    phase_number: phase,
+    ...found,
+    files,
+    ...(patch ? { patch: diff.patch, patch_truncated: diff.patch_truncated } : {}),
+  };
 }
 
 async function toolGetLatestQualityReport(phaseNumber, limit) {
@@ -1362,31 +2924,257 @@ async function toolGetLatestQualityReport(phaseNumber, limit) {
   const selected = filtered.slice(0, maxReports);
   const reports = [];
   for (const reportPath of selected) {
-    try {
-      const absPath = reportPathToAbsolute(reportPath);
-      const content = await readFile(absPath, "utf-8");
+    const { payload, errors, migrated_from } = await readQualityReport(reportPathToAbsolute(reportPath));
+    if (!payload) {
       reports.push({
         path: reportPath,
-        data: JSON.parse(content),
+        error: `Failed to read report: ${errors[0].message}`,
       });
-    } catch (err) {
+      continue;
+    }
+    reports.push({
+      path: reportPath,
+      data: payload,
+      ...(migrated_from ? { migrated_from } : {}),
+      ...(errors.length > 0 ? { schema_errors: errors } : {}),
+    });
+  }
+
+  await bridge.sendLog(
+    `[MCP] Loaded ${reports.length} quality report${reports.length === 1 ? "" : "s"}`
+  );
+
+  return {
+    found: true,
+    total: filtered.length,
+    returned: reports.length,
+    phase_number: phaseFilter,
+    reports,
+  };
+}
+
+async function toolQualitySummary(args = {}) {
+  const benchmarks = benchmarkList(args.benchmarks);
+  const minGo = args.min_go !== undefined && Number.isFinite(Number(args.min_go))
+    ? Math.max(1, Number(args.min_go))
+    : undefined;
+  await bridge.sendLog("[MCP] Summarizing PoC quality reports...");
+
+  const { reports, invalid } = await loadPocReports(QUALITY_REPORTS_DIR, { resDir: QUALITY_REPORTS_RES_DIR });
+  const summary = { ...summarizePocQuality(reports, { benchmarks, minGo }), invalid_reports: invalid };
+  if (invalid.length > 0) {
+    await bridge.sendLog(`[MCP] ⚠️ Skipped ${invalid.length} invalid PoC report(s) — see invalid_reports`);
+  }
+  await bridge.sendLog(
+    `[MCP] PoC decision: ${summary.decision} (go ${summary.go_count}/${summary.required_total})`
+  );
+  return await withReportExport(summary, args, qualitySummaryMarkdown, qualitySummaryHtml);
+}
+
+async function toolCompareBenchmarks(args = {}) {
+  const minScoreDelta = Number(args.min_score_delta);
+  const options = {
+    baselinePrefix: args.baseline_prefix || "baseline",
+    candidatePrefix: args.candidate_prefix || "candidate",
+    benchmarks: benchmarkList(args.benchmarks),
+    minScoreDelta: args.min_score_delta !== undefined && Number.isFinite(minScoreDelta) && minScoreDelta >= 0
+      ? minScoreDelta
+      : DEFAULT_MIN_SCORE_DELTA,
+  };
+  await bridge.sendLog(
+    `[MCP] Comparing PoC cohorts: ${options.baselinePrefix}* vs ${options.candidatePrefix}*...`
+  );
+
+  const { reports, invalid } = await loadPocReports(QUALITY_REPORTS_DIR, { resDir: QUALITY_REPORTS_RES_DIR });
+  const result = { ...compareBenchmarks(reports, options), invalid_reports: invalid };
+  if (invalid.length > 0) {
+    await bridge.sendLog(`[MCP] ⚠️ Skipped ${invalid.length} invalid PoC report(s) — see invalid_reports`);
+  }
+  const { comparison } = result;
+  await bridge.sendLog(
+    `[MCP] Benchmark comparison: ${comparison.verdict} (go delta ${comparison.go_delta}, ` +
+    `avg score delta ${comparison.average_score_delta ?? "n/a"})`
+  );
+  return await withReportExport(result, args, benchmarkComparisonMarkdown, benchmarkComparisonHtml);
+}
+
+function benchmarkList(value) {
+  const list = Array.isArray(value)
+    ? value.filter((item) => typeof item === "string" && item.trim()).map((item) => item.trim())
+    : [];
+  return list.length > 0 ? list : [...DEFAULT_BENCHMARKS];
+}
+
+// Adds the rendered markdown/html `report` and writes it to output_path when asked.
+async function withReportExport(result, args, toMarkdown, toHtml) {
+  const format = REPORT_FORMATS.includes(args.format) ? args.format : "json";
+  if (args.format && args.format !== format) {
+    return { success: false, error: `Unknown format "${args.format}". Use one of: ${REPORT_FORMATS.join(", ")}` };
+  }
+  if (format === "json") {
+    if (args.output_path) {
+      return { success: false, error: "output_path needs format \"markdown\" or \"html\"" };
+    }
+    return result;
+  }
+
+  const report = format === "markdown" ? toMarkdown(result) : toHtml(result);
+  if (!args.output_path) return { ...result, format, report };
+
+  let absPath;
+  try {
+    absPath = resolveProjectPath(args.output_path);
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+  await mkdir(dirname(absPath), { recursive: true });
+  await writeFile(absPath, report, "utf-8");
+  const exportPath = toResPath(relative(resolve(PROJECT_PATH), absPath));
+  await noteSessionWrites([exportPath]);
+  await bridge.sendLog(`[MCP] Report written: ${exportPath}`);
+  return { ...result, format, report, export_path: exportPath };
+}
+
+async function toolExportQualityDashboard(outputPath) {
+  const target = outputPath || "res://.claude/reports/quality-dashboard.html";
+  let absPath;
+  try {
+    absPath = resolveProjectPath(target);
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+  await bridge.sendLog("[MCP] Building quality dashboard...");
+
+  const { summaries, errors } = await loadQualityHistory(QUALITY_REPORTS_DIR);
+  const gateSummaries = summaries.filter((summary) => summary.trigger !== "poc_rubric_score");
+  const phaseNumbers = [...new Set(gateSummaries.map((summary) => summary.phase_number))]
+    .filter((phase) => phase !== null)
+    .sort((a, b) => a - b);
+  const phases = [];
+  for (const phaseNumber of phaseNumbers) {
+    const trend = buildQualityTrend(gateSummaries, { phaseNumber });
+    const newestFull = trend.timeline.findLast((point) => !point.compacted);
+    const latest = newestFull ? await readQualityReport(reportPathToAbsolute(newestFull.path)) : null;
+    phases.push({
+      phase_number: phaseNumber,
+      timeline: trend.timeline,
+      gates: trend.gates,
+      latest: latest?.payload ?? null,
+    });
+  }
+
+  const { reports: rubrics, invalid } = await loadPocReports(QUALITY_REPORTS_DIR, { resDir: QUALITY_REPORTS_RES_DIR });
+  const invalidReports = [
+    ...errors.filter((entry) => entry.schema_errors).map((entry) => ({ file: entry.path, errors: entry.schema_errors })),
+    ...invalid.filter((entry) => !errors.some((error) => error.path === entry.file)),
+  ];
+  const integrationPacks = await loadIntegrationPackReports();
+
+  const { state: buildState } = await readBuildState(CLAUDE_DIR);
+
+  const settings = await readProjectGodot();
+  const outputDir = dirname(absPath);
+  const html = renderQualityDashboard({
+    title: `${settings["application/config/name"] || "Godot project"} — quality dashboard`,
+    generatedAt: new Date().toISOString(),
+    buildState,
+    phases,
+    rubrics,
+    scoreWeights: POC_SCORE_WEIGHTS,
+    integrationPacks,
+    invalidReports,
+    linkFor: (resPath) => {
+      if (!resPath.startsWith("res://")) return null;
+      return encodeURI(relative(outputDir, resToAbsolute(resPath)).split("\\").join("/"));
+    },
+  });
+
+  await mkdir(outputDir, { recursive: true });
+  await writeFile(absPath, html, "utf-8");
+  const dashboardPath = toResPath(relative(resolve(PROJECT_PATH), absPath));
+  await noteSessionWrites([dashboardPath]);
+  await bridge.sendLog(
+    `[MCP] Quality dashboard written: ${dashboardPath} (${phases.length} phase(s), ${rubrics.length} rubric report(s))`
+  );
+  return {
+    ok: true,
+    path: dashboardPath,
+    phases: phaseNumbers,
+    gate_reports: gateSummaries.length,
+    rubric_reports: rubrics.length,
+    integration_pack_reports: integrationPacks.length,
+    skipped_reports: invalidReports.length,
+    build_state_found: buildState !== null,
+    bytes: Buffer.byteLength(html),
+  };
+}
+
+async function loadIntegrationPackReports() {
+  let entries;
+  try {
+    entries = await readdir(INTEGRATION_PACK_REPORTS_DIR, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const reports = [];
+  for (const entry of entries.filter((item) => item.isFile() && item.name.endsWith(".json"))) {
+    try {
+      const payload = JSON.parse(await readFile(resolve(INTEGRATION_PACK_REPORTS_DIR, entry.name), "utf-8"));
       reports.push({
-        path: reportPath,
-        error: `Failed to read report: ${err.message}`,
+        path: `res://.claude/integration_packs/${entry.name}`,
+        generated_at: payload.generated_at || "",
+        report: payload.report || {},
       });
+    } catch {
+      /* unreadable pack reports are left out */
     }
   }
+  return reports.sort((a, b) => a.generated_at.localeCompare(b.generated_at));
+}
+
+async function toolQualityTrend(phaseNumber, runId, gate) {
+  const phaseFilter = Number.isFinite(Number(phaseNumber)) && phaseNumber !== null
+    ? Number(phaseNumber)
+    : null;
+  const runFilter = typeof runId === "string" && runId.trim() ? runId.trim() : null;
+  const scope = [
+    phaseFilter === null ? "" : `Phase ${phaseFilter}`,
+    runFilter ? `run ${runFilter}` : "",
+  ].filter(Boolean).join(", ");
+  await bridge.sendLog(`[MCP] Building quality trend${scope ? ` for ${scope}` : ""}...`);
+
+  const { summaries, errors } = await loadQualityHistory(QUALITY_REPORTS_DIR);
+  const trend = buildQualityTrend(summaries, { phaseNumber: phaseFilter, runId: runFilter });
+  if (trend.timeline.length === 0) {
+    await bridge.sendLog("[MCP] No matching quality reports found");
+    return {
+      found: false,
+      phase_number: phaseFilter,
+      run_id: runFilter,
+      total_reports: 0,
+      ...(errors.length > 0 ? { errors } : {}),
+    };
+  }
+
+  let gates = trend.gates;
+  if (gate) {
+    gates = gate in trend.gates ? { [gate]: trend.gates[gate] } : {};
+  }
 
   await bridge.sendLog(
-    `[MCP] Loaded ${reports.length} quality report${reports.length === 1 ? "" : "s"}`
+    `[MCP] Quality trend: ${trend.timeline.length} report(s), ${Object.keys(trend.gates).length} gate(s), ` +
+    `${trend.regressions.length} regression(s)`
   );
-
   return {
     found: true,
-    total: filtered.length,
-    returned: reports.length,
     phase_number: phaseFilter,
-    reports,
+    run_id: runFilter,
+    total_reports: trend.timeline.length,
+    timeline: trend.timeline,
+    gates,
+    score_trajectory: trend.score_trajectory,
+    regressions: trend.regressions,
+    ...(errors.length > 0 ? { errors } : {}),
   };
 }
 
@@ -1428,6 +3216,10 @@ async function toolEvaluateQualityGates(phaseNumber, phaseName = "", qualityGate
 async function toolUpdatePhase(phaseNumber, phaseName, status, qualityGates) {
   let mergedQualityGates = qualityGates || {};
   let qualityReportPath = "";
+  let qualityRegressions = [];
+  let snapshotId = null;
+  let gitCheckpoint = null;
+  let completionErrorCount = null;
 
   // ── HARD GATE: reject phase completion if errors exist ──
   if (status === "completed") {
@@ -1438,6 +3230,7 @@ async function toolUpdatePhase(phaseNumber, phaseName, status, qualityGates) {
       const errorResult = await bridge.getErrors();
       const errors = errorResult.errors || [];
       errorCount = errors.length;
+      completionErrorCount = errorCount;
       errorFiles = errors.slice(0, 10).map((e) => e.file || e.message || "unknown");
     } catch {
       // If we can't check errors (bridge down), allow completion
@@ -1468,13 +3261,14 @@ async function toolUpdatePhase(phaseNumber, phaseName, status, qualityGates) {
       };
     }
 
-    // ── HARD GATE: objective quality gate evaluation for late phases ──
-    if (phaseNumber >= 5) {
-      const qualityEval = await evaluatePhaseQualityGates(
-        phaseNumber,
-        phaseName,
-        mergedQualityGates
-      );
+    // ── HARD GATE: objective quality gate evaluation ──
+    // Built-in gates start at Phase 5; .claude/quality_gates.json can add earlier ones.
+    const qualityEval = await evaluatePhaseQualityGates(
+      phaseNumber,
+      phaseName,
+      mergedQualityGates
+    );
+    if (Object.keys(qualityEval.gate_details).length > 0) {
       qualityReportPath = await persistQualityReport(
         qualityEval,
         "phase_completion_check",
@@ -1485,6 +3279,13 @@ async function toolUpdatePhase(phaseNumber, phaseName, status, qualityGates) {
       );
       if (qualityReportPath) {
         await bridge.sendLog(`[MCP] Quality report saved: ${qualityReportPath}`);
+        qualityRegressions = await findPhaseQualityRegressions(phaseNumber);
+        if (qualityRegressions.length > 0) {
+          await bridge.sendLog(
+            `[MCP] ⚠️ Quality regressions since the previous Phase ${phaseNumber} report: ` +
+            qualityRegressions.map((entry) => entry.gate).join(", ")
+          );
+        }
       }
       mergedQualityGates = qualityEval.merged_quality_gates;
 
@@ -1516,11 +3317,31 @@ async function toolUpdatePhase(phaseNumber, phaseName, status, qualityGates) {
           gate_details: qualityEval.gate_details,
           quality_metrics: qualityEval.quality_metrics,
           quality_report_path: qualityReportPath,
+          quality_regressions: qualityRegressions,
         };
       }
     }
 
     await bridge.sendLog(`[MCP] ✓ Phase ${phaseNumber} validation passed — 0 errors. Marking completed.`);
+    try {
+      const { manifest } = await createSnapshot(PROJECT_PATH, SNAPSHOTS_DIR, {
+        trigger: "phase_completion",
+        phaseNumber,
+        phaseName,
+      });
+      snapshotId = manifest.id;
+      await bridge.sendLog(`[MCP] Phase ${phaseNumber} snapshot: ${snapshotId}`);
+    } catch (err) {
+      await bridge.sendLog(`[MCP] ⚠️ Phase snapshot failed: ${err.message}`);
+    }
+    gitCheckpoint = await commitPhaseCheckpoint({
+      phaseNumber,
+      phaseName,
+      gates: mergedQualityGates,
+      errorCount: completionErrorCount,
+      qualityReportPath,
+      snapshotId,
+    });
   }
 
   await bridge.sendLog(`[MCP] Phase ${phaseNumber}: ${phaseName} — ${status}`);
@@ -1536,6 +3357,9 @@ async function toolUpdatePhase(phaseNumber, phaseName, status, qualityGates) {
     status,
     quality_gates: mergedQualityGates,
     quality_report_path: qualityReportPath,
+    quality_regressions: qualityRegressions,
+    snapshot_id: snapshotId,
+    ...(gitCheckpoint ? { git_checkpoint: gitCheckpoint } : {}),
   };
 }
 
@@ -1629,6 +3453,322 @@ async function toolGetOpenScripts() {
   return result;
 }
 
+// ---------------------------------------------------------------------------
+// Offline Scene Editing
+// ---------------------------------------------------------------------------
+
+async function toolSceneAddNode(args) {
+  const scenePath = args.scene_path;
+  const parentPath = args.parent_path || ".";
+  await bridge.sendLog(
+    `[MCP] Adding node to ${scenePath}: ${args.node_name} (${args.node_type || args.instance_scene}) under ${parentPath}`
+  );
+  requireScenePath(scenePath);
+
+  let scene = await loadSceneForEdit(scenePath);
+  const createdScene = scene === null;
+  if (createdScene) {
+    if (parentPath !== "." && parentPath !== "") {
+      return {
+        success: false,
+        error: `Scene does not exist: ${scenePath}. Add the root node first (parent_path ".").`,
+      };
+    }
+    scene = createScene();
+  }
+
+  const result = await addSceneNode(scene, {
+    parentPath,
+    name: args.node_name,
+    type: args.node_type || "",
+    instanceScene: args.instance_scene || "",
+    properties: args.properties || {},
+  });
+  return await finishSceneEdit(scenePath, scene, result, "Node added", {
+    created_scene: createdScene,
+  });
+}
+
+async function toolSceneUpdateNode(args) {
+  const scenePath = args.scene_path;
+  const changes = [
+    ...Object.keys(args.properties || {}),
+    ...(args.remove_properties || []).map((key) => `-${key}`),
+    args.new_name ? `name→${args.new_name}` : "",
+    args.new_parent_path ? `parent→${args.new_parent_path}` : "",
+  ].filter(Boolean);
+  await bridge.sendLog(
+    `[MCP] Updating node ${args.node_path} in ${scenePath}: ${changes.join(", ")}`
+  );
+  requireScenePath(scenePath);
+
+  const scene = await loadSceneForEdit(scenePath);
+  if (!scene) return { success: false, error: `Scene not found: ${scenePath}` };
+
+  const result = await updateSceneNode(scene, args.node_path, {
+    properties: args.properties || {},
+    removeProperties: args.remove_properties || [],
+    newName: args.new_name || "",
+    newParentPath: args.new_parent_path || "",
+  });
+  return await finishSceneEdit(scenePath, scene, result, "Node updated");
+}
+
+async function toolSceneDeleteNode(scenePath, nodePath) {
+  await bridge.sendLog(`[MCP] Deleting node ${nodePath} from ${scenePath}`);
+  requireScenePath(scenePath);
+
+  const scene = await loadSceneForEdit(scenePath);
+  if (!scene) return { success: false, error: `Scene not found: ${scenePath}` };
+
+  const result = deleteSceneNode(scene, nodePath);
+  return await finishSceneEdit(scenePath, scene, result, "Node deleted");
+}
+
+function requireScenePath(scenePath) {
+  if (typeof scenePath !== "string" || !scenePath.endsWith(".tscn")) {
+    throw new Error(`scene_path must point to a .tscn file, got: ${scenePath}`);
+  }
+}
+
+async function finishSceneEdit(scenePath, scene, result, label, extra = {}) {
+  if (result.error) {
+    await bridge.sendLog(`[MCP] Scene edit failed: ${result.error}`);
+    return { success: false, scene_path: scenePath, error: result.error };
+  }
+  // New scenes may go in a new folder; it is only created once the edit worked
+  await mkdir(dirname(resToAbsolute(scenePath)), { recursive: true });
+  await saveEditedScene(scenePath, scene);
+  await noteSessionWrites([scenePath]);
+  await bridge.sendLog(`[MCP] ${label}: ${scenePath} → ${result.path}`);
+  return { ...result, scene_path: scenePath, ...extra };
+}
+
+// ---------------------------------------------------------------------------
+// Signal Wiring
+// ---------------------------------------------------------------------------
+
+async function toolGetSignalGraph(scopePath, brokenOnly) {
+  await bridge.sendLog("[MCP] Building signal graph...");
+  const [allScenes, scriptPaths] = await Promise.all([
+    scanDir(PROJECT_PATH, ["tscn"]),
+    scanDir(PROJECT_PATH, ["gd"]),
+  ]);
+
+  const scope = scopePath ? toResPath(scopePath).replace(/\/+$/, "") : "";
+  const inScope = (path) => !scope || path === scope || path.startsWith(`${scope}/`);
+  const scenePaths = allScenes.filter(inScope);
+  const graph = await buildSignalGraph({ scenePaths, scriptPaths });
+  const connections = graph.connections.filter(
+    (connection) => connection.source === "scene" || inScope(connection.file)
+  );
+
+  const byStatus = {};
+  for (const connection of connections) {
+    byStatus[connection.status] = (byStatus[connection.status] || 0) + 1;
+  }
+  const broken = connections.filter((connection) => connection.status === "missing_method");
+
+  await bridge.sendLog(
+    `[MCP] Signal graph: ${connections.length} connections, ${broken.length} broken`
+  );
+  return {
+    scenes_scanned: scenePaths.length,
+    scripts_scanned: scriptPaths.length,
+    total: connections.length,
+    broken_count: broken.length,
+    by_status: byStatus,
+    connections: brokenOnly ? broken : connections,
+    ...(graph.errors.length > 0 ? { read_errors: graph.errors } : {}),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Dependencies
+// ---------------------------------------------------------------------------
+
+async function toolGetDependencyGraph(pathLike, includeEdges) {
+  await bridge.sendLog("[MCP] Building dependency graph...");
+  const [files, uidFiles] = await Promise.all([
+    scanDir(PROJECT_PATH, [...DEPENDENCY_FILE_EXTENSIONS, "godot"]),
+    scanDir(PROJECT_PATH, ["uid", "import"]),
+  ]);
+  const graph = await buildDependencyGraph({ files, uidFiles });
+
+  const result = {
+    files_scanned: files.length,
+    edge_count: graph.edges.length,
+    dangling_count: graph.dangling.length,
+    orphaned_count: graph.orphaned.length,
+    cycle_count: graph.cycles.length,
+    dangling: graph.dangling,
+    stale_uids: graph.stale_uids,
+    orphaned: graph.orphaned,
+    cycles: graph.cycles,
+  };
+  if (pathLike) {
+    const target = toResPath(pathLike);
+    result.file = target;
+    result.dependencies = graph.edges.filter((edge) => edge.from === target);
+    result.dependents = graph.edges.filter((edge) => edge.to === target && edge.from !== target);
+  }
+  if (includeEdges) result.edges = graph.edges;
+  if (graph.errors.length > 0) result.read_errors = graph.errors;
+
+  await bridge.sendLog(
+    `[MCP] Dependency graph: ${graph.edges.length} references, ${graph.dangling.length} dangling, ${graph.orphaned.length} orphaned, ${graph.cycles.length} cycles`
+  );
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// Symbols
+// ---------------------------------------------------------------------------
+
+async function toolGetSymbols(pathLike, kind, name) {
+  await bridge.sendLog("[MCP] Indexing script symbols...");
+  const scriptPaths = filterByScope(await scanDir(PROJECT_PATH, ["gd"]), pathLike);
+  const { scripts, errors } = await loadScripts(scriptPaths);
+
+  const kinds = new Set([kind || []].flat());
+  const needle = name.toLowerCase();
+  const symbols = scripts
+    .flatMap((script) => script.symbols)
+    .filter((symbol) => kinds.size === 0 || kinds.has(symbol.kind))
+    .filter((symbol) => !needle || symbol.name.toLowerCase().includes(needle));
+
+  await bridge.sendLog(`[MCP] Symbols: ${symbols.length} in ${scripts.length} scripts`);
+  return {
+    scripts_scanned: scripts.length,
+    total: symbols.length,
+    scripts: scripts.map((script) => ({
+      file: script.file,
+      class_name: script.class_name,
+      extends: script.extends,
+    })),
+    symbols,
+    ...(errors.length > 0 ? { read_errors: errors } : {}),
+  };
+}
+
+async function toolFindReferences(symbol, kind, pathLike) {
+  if (!symbol) return { success: false, error: "symbol is required" };
+  await bridge.sendLog(`[MCP] Finding references to ${symbol}...`);
+  const [allScripts, scenePaths] = await Promise.all([
+    scanDir(PROJECT_PATH, ["gd"]),
+    scanDir(PROJECT_PATH, ["tscn"]),
+  ]);
+  const loaded = await loadScripts(allScripts);
+  const inScope = filterByScope(allScripts, pathLike);
+  const scripts = loaded.scripts.filter((script) => inScope.includes(script.file));
+
+  const declarations = loaded.scripts
+    .flatMap((script) => script.symbols)
+    .filter((declaration) => declaration.name === symbol && (!kind || declaration.kind === kind));
+  const found = await findReferences(symbol, { scripts, scenePaths: pathLike ? [] : scenePaths });
+  const errors = [...loaded.errors, ...found.errors];
+
+  await bridge.sendLog(
+    `[MCP] References to ${symbol}: ${declarations.length} declarations, ${found.references.length} uses`
+  );
+  return {
+    symbol,
+    declarations,
+    reference_count: found.references.length,
+    references: found.references,
+    ...(declarations.length === 0
+      ? {
+          note: `No ${kind || "symbol"} named "${symbol}" is declared in the project's scripts (it may be an engine member).`,
+        }
+      : {}),
+    ...(errors.length > 0 ? { read_errors: errors } : {}),
+  };
+}
+
+// A .gd file or a res:// folder; empty means every path.
+function filterByScope(paths, pathLike) {
+  if (!pathLike) return paths;
+  const scope = toResPath(pathLike).replace(/\/+$/, "");
+  return paths.filter((path) => path === scope || path.startsWith(`${scope}/`));
+}
+
+// ---------------------------------------------------------------------------
+// Resources
+// ---------------------------------------------------------------------------
+
+async function toolParseResource(resourcePath) {
+  await bridge.sendLog(`[MCP] Parsing resource: ${resourcePath}`);
+  requireResourcePath(resourcePath);
+  const result = await parseResource(resourcePath);
+  await bridge.sendLog(
+    `[MCP] Resource parsed: ${resourcePath} (${result.type}, ${Object.keys(result.properties).length} values)`
+  );
+  return result;
+}
+
+async function toolWriteResource(args) {
+  const resourcePath = args.resource_path;
+  await bridge.sendLog(`[MCP] Writing resource: ${resourcePath}`);
+  requireResourcePath(resourcePath);
+
+  let resource = args.overwrite ? null : await loadResourceForEdit(resourcePath);
+  const created = resource === null;
+  if (created) {
+    if (!args.type && !args.script) {
+      return {
+        success: false,
+        error: `Resource does not exist: ${resourcePath}. Pass type (or script) to create it.`,
+      };
+    }
+    resource = createResource(args.type || "Resource");
+    await mkdir(dirname(resToAbsolute(resourcePath)), { recursive: true });
+  } else if (args.type && args.type !== resource.type) {
+    return {
+      success: false,
+      resource_path: resourcePath,
+      error: `${resourcePath} is a ${resource.type}, not a ${args.type}. Pass overwrite: true to replace it.`,
+    };
+  }
+
+  // Godot writes `script` first in the [resource] section.
+  const properties = args.script
+    ? { script: args.script, ...(args.properties || {}) }
+    : { ...(args.properties || {}) };
+  if (args.script) {
+    const className = await readScriptClassName(args.script);
+    if (className) {
+      resource.script_class = className;
+    } else {
+      delete resource.script_class;
+    }
+  }
+
+  const result = await updateResourceProperties(resource, {
+    properties,
+    removeProperties: args.remove_properties || [],
+  });
+  await saveEditedResource(resourcePath, resource);
+  await noteSessionWrites([resourcePath]);
+  await bridge.sendLog(
+    `[MCP] Resource ${created ? "created" : "updated"}: ${resourcePath} (${resource.type})`
+  );
+  return { ...result, resource_path: resourcePath, created };
+}
+
+function requireResourcePath(resourcePath) {
+  if (typeof resourcePath !== "string" || !/\.tres$/.test(resourcePath)) {
+    throw new Error(`resource_path must point to a .tres file, got: ${resourcePath}`);
+  }
+}
+
+async function readScriptClassName(scriptPath) {
+  try {
+    return scriptClassName(await readFile(resToAbsolute(scriptPath), "utf-8"));
+  } catch {
+    return "";
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Exported helpers (used by index.js)
 // ---------------------------------------------------------------------------
@@ -1638,6 +3778,8 @@ async function toolGetOpenScripts() {
  * Returns 0 if bridge is unavailable.
  */
 export async function getErrorCount() {
+  const cached = cachedErrorCount();
+  if (cached !== null) return cached;
   const result = await bridge.getErrors();
   return result.errors?.length || 0;
 }
@@ -1668,7 +3810,7 @@ async function scanDir(dir, extensions, results = []) {
       await scanDir(full, extensions, results);
     } else {
       const ext = extname(entry.name).slice(1);
-      if (extensions.includes(ext)) {
+      if (!extensions || extensions.includes(ext)) {
         results.push("res://" + relative(PROJECT_PATH, full));
       }
     }
@@ -1678,41 +3820,14 @@ async function scanDir(dir, extensions, results = []) {
 }
 
 async function readProjectGodot() {
-  const path = resolve(PROJECT_PATH, "project.godot");
-  let content;
   try {
-    content = await readFile(path, "utf-8");
-  } catch {
-    return {};
-  }
-
-  const settings = {};
-  let currentSection = "";
-
-  for (const line of content.split("\n")) {
-    const trimmed = line.trim();
-    if (!trimmed || trimmed.startsWith(";")) continue;
-
-    const sectionMatch = trimmed.match(/^\[(.+?)\]$/);
-    if (sectionMatch) {
-      currentSection = sectionMatch[1];
-      continue;
-    }
-
-    const kvMatch = trimmed.match(/^(\w[\w/]*)=(.+)$/);
-    if (kvMatch) {
-      const fullKey = currentSection
-        ? `${currentSection}/${kvMatch[1]}`
-        : kvMatch[1];
-      let value = kvMatch[2].trim();
-      // Strip quotes
-      if (value.startsWith('"') && value.endsWith('"'))
-        value = value.slice(1, -1);
-      settings[fullKey] = value;
-    }
+    const project = await readProjectSettings();
+    return project ? project.settings : {};
+  } catch (err) {
+    // One malformed value must not hide the project name, autoloads or main scene
+    await bridge.sendLog(`[MCP] project.godot could not be fully parsed (${err.message}); reading it line by line`);
+    return parseProjectGodotLines(await readFile(resolve(PROJECT_PATH, "project.godot"), "utf-8"));
   }
-
-  return settings;
 }
 
 async function loadAddonCatalog() {
@@ -1754,10 +3869,10 @@ async function verifyCatalogAddon(addon) {
   }
 
   const settings = await readProjectGodot();
-  const enabledRaw = settings["editor_plugins/enabled"] || "";
+  const enabled = settings["editor_plugins/enabled"];
   const pluginCfgResPath = `res://${addon.target_dir}/plugin.cfg`;
   const plugin_listed_in_project_settings =
-    typeof enabledRaw === "string" && enabledRaw.includes(pluginCfgResPath);
+    Array.isArray(enabled?.values) && enabled.values.includes(pluginCfgResPath);
   const passed = missingFiles.length === 0;
 
   return {
@@ -1788,6 +3903,14 @@ function resolveProjectPath(pathLike) {
   return abs;
 }
 
+function toResPath(pathLike) {
+  const value = String(pathLike || "");
+  if (value.startsWith("res://")) return value;
+  const relToRoot = relative(resolve(PROJECT_PATH), resolve(PROJECT_PATH, value));
+  if (relToRoot.startsWith("..")) return value;
+  return `res://${relToRoot.split("\\").join("/")}`;
+}
+
 function normalizeChecklistBooleans(source, requiredKeys) {
   const normalized = {};
   for (const key of requiredKeys) {
@@ -1887,113 +4010,45 @@ async function evaluatePhaseQualityGates(
       ? reportedQualityGates
       : {};
 
-  const signals = await collectQualitySignals();
+  const rules = await loadQualityGateRules(PROJECT_PATH);
+  if (rules.errors.length > 0) {
+    await bridge.sendLog(
+      `[MCP] ⚠️ ${rules.path} ignored (${rules.errors.length} problem(s)): ` +
+      rules.errors.map((error) => `${error.path || "(root)"} ${error.message}`).join("; ")
+    );
+  }
+  const { gates, disabled } = resolvePhaseGates(rules.config, phase);
+  const signals = await collectQualitySignals(gates);
   const gateDetails = {};
   const computedQualityGates = {};
 
-  const addGate = (name, passed, expected, actual, hint) => {
-    gateDetails[name] = {
-      passed: Boolean(passed),
+  for (const gate of gates) {
+    const { passed, expected, actual } = evaluateGate(gate, signals);
+    gateDetails[gate.name] = {
+      passed,
       expected,
       actual,
-      hint,
+      hint: gate.hint,
+      rule_source: gate.rule_source,
     };
-    computedQualityGates[name] = Boolean(passed);
-  };
-
-  if (phase >= 5) {
-    addGate(
-      "auto_visual_assets_coverage",
-      signals.image_asset_count >= 6,
-      ">= 6 image assets used for gameplay/UI",
-      signals.image_asset_count,
-      "Generate or import more coherent assets (godot_generate_asset_pack + targeted assets)."
-    );
-
-    addGate(
-      "auto_ui_styling_signals",
-      signals.ui_style_hits.length >= 2,
-      ">= 2 UI styling markers",
-      {
-        count: signals.ui_style_hits.length,
-        hits: signals.ui_style_hits,
-      },
-      "Style menus/HUD with theme overrides, StyleBoxFlat, or custom theme APIs."
-    );
-
-    addGate(
-      "auto_polish_fx_signals",
-      signals.polish_fx_hits.length >= 3,
-      ">= 3 polish/FX markers",
-      {
-        count: signals.polish_fx_hits.length,
-        hits: signals.polish_fx_hits,
-      },
-      "Add screen shake, particles, shaders, tweens, trails, or hit/death FX."
-    );
-
-    addGate(
-      "auto_visual_depth_layering",
-      signals.depth_layer_hits.length >= 2,
-      ">= 2 depth/layering markers",
-      {
-        count: signals.depth_layer_hits.length,
-        hits: signals.depth_layer_hits,
-      },
-      "Add layered background/foreground composition (e.g. parallax, vignette, gradient layers)."
-    );
-
-    addGate(
-      "auto_feedback_event_coverage",
-      signals.feedback_category_count >= 3,
-      ">= 3 feedback event categories",
-      {
-        count: signals.feedback_category_count,
-        categories: signals.feedback_categories,
-      },
-      "Ensure hit/damage, death, pickup/score, and ability events have explicit feedback hooks."
-    );
+    computedQualityGates[gate.name] = passed;
   }
 
-  if (phase >= 6) {
-    addGate(
-      "auto_main_scene_configured",
-      signals.main_scene_exists,
-      "project.godot has a valid existing main scene",
-      {
-        main_scene: signals.main_scene,
-        resolved_main_scene_path: signals.resolved_main_scene_path,
-        exists: signals.main_scene_exists,
-      },
-      "Set application/run/main_scene to a valid .tscn path."
-    );
-
-    addGate(
-      "auto_flow_state_signals",
-      signals.flow_category_count >= 3,
-      ">= 3 flow state categories (menu, game_over, retry/restart, pause)",
-      {
-        count: signals.flow_category_count,
-        categories: signals.flow_categories,
-      },
-      "Wire complete menu → play → game over → retry/menu flow with explicit handlers."
-    );
-
-    addGate(
-      "auto_scene_coverage",
-      signals.scene_count >= 2,
-      ">= 2 scenes (gameplay + menu/flow scene)",
-      signals.scene_count,
-      "Add dedicated flow scenes (menu/gameplay/game-over) instead of a single monolithic scene."
-    );
-
-    addGate(
-      "auto_no_stub_pass_methods",
-      signals.pass_stub_count === 0,
-      "0 function stubs that immediately use 'pass'",
-      signals.pass_stub_count,
-      "Replace pass stubs with real implementation or explicit temporary behavior."
-    );
+  // JS gate plugins from .claude/gates/*.mjs count exactly like built-in gates.
+  const gatePlugins = await runGatePlugins(PROJECT_PATH, {
+    root: resolve(PROJECT_PATH),
+    phase,
+    settings: signals.settings,
+    scenes: signals.model.scenes,
+    scripts: signals.model.scripts,
+    resources: signals.model.resources,
+    assets: { images: signals.image_assets, audio: signals.audio_assets },
+    files: signals.files,
+  });
+  for (const { name, ...detail } of gatePlugins.gates) {
+    const key = name in gateDetails ? `plugin_${name}` : name;
+    gateDetails[key] = detail;
+    computedQualityGates[key] = detail.passed;
   }
 
   const mergedQualityGates = {
@@ -2014,6 +4069,14 @@ async function evaluatePhaseQualityGates(
     computed_quality_gates: computedQualityGates,
     merged_quality_gates: mergedQualityGates,
     gate_details: gateDetails,
+    disabled_gates: disabled,
+    gate_plugins: gatePlugins.plugins,
+    quality_rules: {
+      path: rules.path,
+      found: rules.found,
+      applied: Boolean(rules.config),
+      ...(rules.errors.length > 0 ? { errors: rules.errors } : {}),
+    },
     quality_metrics: {
       script_count: signals.script_count,
       scene_count: signals.scene_count,
@@ -2032,19 +4095,10 @@ async function evaluatePhaseQualityGates(
   };
 }
 
-async function collectQualitySignals() {
-  const files = await scanDir(PROJECT_PATH, [
-    "gd",
-    "tscn",
-    "tres",
-    "svg",
-    "png",
-    "jpg",
-    "jpeg",
-    "webp",
-    "ogg",
-    "wav",
-  ]);
+// Marker sets and custom predicates come from the resolved gates, so
+// project overrides in .claude/quality_gates.json change what is detected.
+async function collectQualitySignals(gates = []) {
+  const files = await scanDir(PROJECT_PATH, null);
   const settings = await readProjectGodot();
 
   const scripts = files.filter((f) => f.endsWith(".gd"));
@@ -2061,72 +4115,60 @@ async function collectQualitySignals() {
     (f) => f.endsWith(".ogg") || f.endsWith(".wav")
   );
 
-  const [scriptContents, sceneContents] = await Promise.all([
-    readResTextFiles(scripts),
-    readResTextFiles(scenes),
-  ]);
-
-  const scriptText = scriptContents.join("\n").toLowerCase();
-  const sceneText = sceneContents.join("\n").toLowerCase();
-  const combinedText = `${scriptText}\n${sceneText}`;
-
-  const uiStyleHits = findKeywordHits(combinedText, [
-    "styleboxflat",
-    "theme_override_styles",
-    "theme_override_colors",
-    "theme_override_font_sizes",
-    "add_theme_stylebox_override",
-    "add_theme_color_override",
-    "add_theme_font_size_override",
-    "theme =",
-    "theme_type_variation",
-  ]);
-
-  const polishFxHits = findKeywordHits(combinedText, [
-    "gpuparticles2d",
-    "cpuparticles2d",
-    "shadermaterial",
-    "shader",
-    "create_tween",
-    "tween",
-    "screen_shake",
-    "hit_flash",
-    "dissolve",
-    "vignette",
-    "trail",
-    "animationplayer",
-  ]);
-
-  const depthLayerHits = findKeywordHits(combinedText, [
-    "parallaxbackground",
-    "parallax2d",
-    "canvaslayer",
-    "midground",
-    "foreground",
-    "vignette",
-    "gradient",
-    "background",
-  ]);
-
-  const feedbackCategories = findCategoryHits(combinedText, {
-    damage: ["take_damage", "damage", "hurt", "hit_flash", "on_hit"],
-    death: ["die", "death", "explode", "dissolve", "destroyed"],
-    pickup_score: ["pickup", "collect", "score", "combo", "pop_score"],
-    ability: ["shoot", "dash", "jump", "ability", "cast", "fire"],
-  });
-
-  const flowCategories = findCategoryHits(combinedText, {
-    menu: ["main_menu", "mainmenu", "menu"],
-    game_over: ["game_over", "gameover", "defeat", "you lose"],
-    restart_retry: ["restart", "retry", "new_game"],
-    pause: ["pause", "paused", "get_tree().paused", "esc"],
+  const model = await loadProjectModel({
+    scriptPaths: scripts,
+    scenePaths: scenes,
+    resourcePaths: files.filter((f) => f.endsWith(".tres")),
   });
+  const markersFor = (measure, defaults) =>
+    gates.find((gate) => gate.measure === measure)?.markers || defaults;
+  const uiStyle = detectMarkers(model, markersFor("ui_style", UI_STYLE_MARKERS));
+  const polishFx = detectMarkers(model, markersFor("polish_fx", POLISH_FX_MARKERS));
+  const depthLayers = detectMarkers(model, markersFor("depth_layers", DEPTH_LAYER_MARKERS));
+  const feedback = detectMarkers(model, markersFor("feedback", FEEDBACK_CATEGORIES));
+  const flow = detectMarkers(model, markersFor("flow", FLOW_CATEGORIES));
+  const passStubs = findPassStubs(model);
 
   const mainScene = settings["application/run/main_scene"] || "";
   const resolvedMainScenePath = await resolveMainScenePath(mainScene, scenes);
   const mainSceneExists = !!resolvedMainScenePath;
 
+  const hitsMeasure = (result) => ({
+    value: result.hits.length,
+    actual: { count: result.hits.length, hits: result.hits, evidence: result.evidence },
+  });
+  const categoryMeasure = (result) => ({
+    value: result.hits.length,
+    actual: { count: result.hits.length, categories: result.hits, evidence: result.evidence },
+  });
+
   return {
+    model,
+    settings,
+    files,
+    image_assets: imageAssets,
+    audio_assets: audioAssets,
+    measures: {
+      image_assets: { value: imageAssets.length, actual: imageAssets.length },
+      ui_style: hitsMeasure(uiStyle),
+      polish_fx: hitsMeasure(polishFx),
+      depth_layers: hitsMeasure(depthLayers),
+      feedback: categoryMeasure(feedback),
+      main_scene: {
+        value: mainSceneExists,
+        actual: {
+          main_scene: mainScene,
+          resolved_main_scene_path: resolvedMainScenePath,
+          exists: mainSceneExists,
+        },
+      },
+      flow: categoryMeasure(flow),
+      scene_count: { value: scenes.length, actual: scenes.length },
+      pass_stubs: {
+        value: passStubs.length,
+        actual: { count: passStubs.length, stubs: passStubs },
+      },
+    },
     script_count: scripts.length,
     scene_count: scenes.length,
     image_asset_count: imageAssets.length,
@@ -2134,73 +4176,15 @@ async function collectQualitySignals() {
     main_scene: mainScene,
     resolved_main_scene_path: resolvedMainScenePath,
     main_scene_exists: mainSceneExists,
-    ui_style_hits: uiStyleHits,
-    polish_fx_hits: polishFxHits,
-    depth_layer_hits: depthLayerHits,
-    feedback_categories: Object.keys(feedbackCategories),
-    feedback_category_count: Object.keys(feedbackCategories).length,
-    flow_categories: Object.keys(flowCategories),
-    flow_category_count: Object.keys(flowCategories).length,
-    pass_stub_count: scriptContents.reduce(
-      (sum, content) => sum + countPassStubs(content),
-      0
-    ),
+    ui_style_hits: uiStyle.hits,
+    polish_fx_hits: polishFx.hits,
+    depth_layer_hits: depthLayers.hits,
+    feedback_category_count: feedback.hits.length,
+    flow_category_count: flow.hits.length,
+    pass_stub_count: passStubs.length,
   };
 }
 
-async function readResTextFiles(resPaths) {
-  const contents = [];
-  for (const resPath of resPaths) {
-    try {
-      const absPath = resToAbsolute(resPath);
-      const text = await readFile(absPath, "utf-8");
-      contents.push(text);
-    } catch {
-      // Ignore unreadable files; quality checks are best-effort.
-    }
-  }
-  return contents;
-}
-
-function findKeywordHits(text, keywords) {
-  const hits = [];
-  for (const keyword of keywords) {
-    if (text.includes(keyword.toLowerCase())) {
-      hits.push(keyword);
-    }
-  }
-  return hits;
-}
-
-function findCategoryHits(text, categories) {
-  const hitCategories = {};
-  for (const [category, patterns] of Object.entries(categories)) {
-    if (patterns.some((pattern) => text.includes(pattern.toLowerCase()))) {
-      hitCategories[category] = true;
-    }
-  }
-  return hitCategories;
-}
-
-function countPassStubs(content) {
-  const lines = content.split("\n");
-  let count = 0;
-
-  for (let i = 0; i < lines.length; i += 1) {
-    if (!/^\s*func\s+/.test(lines[i])) continue;
-
-    for (let j = i + 1; j < lines.length; j += 1) {
-      const next = lines[j].trim();
-      if (!next || next.startsWith("#")) continue;
-      if (/^func\s+/.test(next)) break;
-      if (/^pass(\s+#.*)?$/.test(next)) count += 1;
-      break;
-    }
-  }
-
-  return count;
-}
-
 async function fileExists(path) {
   try {
     await stat(path);
@@ -2264,21 +4248,46 @@ async function persistQualityReport(report, trigger, meta = {}) {
     : "x";
   const fileName = `${timestampSlug}-phase${phaseNumber}-${trigger}.json`;
   const filePath = resolve(QUALITY_REPORTS_DIR, fileName);
-  const payload = {
-    version: "1.0",
-    generated_at: timestampIso,
-    trigger,
-    meta,
-    report,
-  };
+  const payload = buildQualityReportPayload(report, trigger, meta, timestampIso);
+  const schemaErrors = validateQualityReportPayload(payload);
+  if (schemaErrors.length > 0) {
+    await bridge.sendLog(
+      `[MCP] ⚠️ Quality report not saved — schema errors: ${formatSchemaErrors(schemaErrors)}`
+    );
+    return "";
+  }
 
   try {
     await mkdir(QUALITY_REPORTS_DIR, { recursive: true });
     await writeFile(filePath, JSON.stringify(payload, null, 2), "utf-8");
-    return `res://.claude/quality_reports/${fileName}`;
   } catch {
     return "";
   }
+
+  // Retention: older reports of the same phase/run collapse into history.jsonl.
+  try {
+    const { compacted, dropped } = await compactQualityReports(QUALITY_REPORTS_DIR);
+    if (compacted > 0) {
+      await bridge.sendLog(
+        `[MCP] Compacted ${compacted} old quality report(s) into history.jsonl` +
+        (dropped > 0 ? ` (dropped ${dropped} oldest summaries)` : "")
+      );
+    }
+  } catch {
+    /* best-effort */
+  }
+  return `res://.claude/quality_reports/${fileName}`;
+}
+
+// Gates that passed in the previous gate evaluation of this phase and fail now.
+async function findPhaseQualityRegressions(phaseNumber) {
+  try {
+    const { summaries } = await loadQualityHistory(QUALITY_REPORTS_DIR);
+    const gateReports = summaries.filter((summary) => summary.trigger !== "poc_rubric_score");
+    return buildQualityTrend(gateReports, { phaseNumber }).regressions;
+  } catch {
+    return [];
+  }
 }
 
 async function persistIntegrationPackReport(report) {
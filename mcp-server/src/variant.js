@@ -0,0 +1,679 @@
+/**
+ * Parses Godot 4 Variant literals (the values written in .tscn, .tres and
+ * project.godot files) into typed JSON.
+ *
+ * Primitives map to JSON primitives and untyped arrays to JSON arrays. Every
+ * other value becomes an object with a `type` field naming the Godot type,
+ * e.g. `Vector2(10, 20)` → `{ type: "Vector2", x: 10, y: 20 }`. Numbers JSON
+ * cannot hold exactly are tagged: inf/nan as `{ type: "float", value: "inf" }`
+ * and integers beyond 2^53 as `{ type: "int", value: "9223372036854775807" }`.
+ */
+
+const vec = (keys, defaults = {}) => ({
+  size: keys.length,
+  fromArgs: (args) => Object.fromEntries(keys.map((key, i) => [key, args[i]])),
+  toArgs: (value) => keys.map((key) => value?.[key] ?? defaults[key] ?? 0),
+});
+
+const scalar = {
+  size: 1,
+  fromArgs: (args) => args[0],
+  toArgs: (value) => [value ?? 0],
+};
+
+const group = (...fields) => ({
+  size: fields.reduce((sum, [, layout]) => sum + layout.size, 0),
+  fromArgs: (args) => {
+    const out = {};
+    let offset = 0;
+    for (const [key, layout] of fields) {
+      out[key] = layout.fromArgs(args.slice(offset, offset + layout.size));
+      offset += layout.size;
+    }
+    return out;
+  },
+  toArgs: (value) => fields.flatMap(([key, layout]) => layout.toArgs(value?.[key])),
+});
+
+const matrix = (rows, cols) => ({
+  size: rows * cols,
+  fromArgs: (args) =>
+    Array.from({ length: rows }, (_, r) => args.slice(r * cols, r * cols + cols)),
+  toArgs: (value) =>
+    Array.from({ length: rows * cols }, (_, i) => value?.[Math.floor(i / cols)]?.[i % cols] ?? 0),
+});
+
+const VEC2 = vec(["x", "y"]);
+const VEC3 = vec(["x", "y", "z"]);
+const VEC4 = vec(["x", "y", "z", "w"]);
+const COLOR = vec(["r", "g", "b", "a"], { a: 1 });
+
+/**
+ * Math types written as `Name(n0, n1, ...)`. Transform2D and Projection are
+ * column-major in text form, Basis (and the basis of Transform3D) row-major.
+ */
+export const STRUCT_LAYOUTS = {
+  Vector2: VEC2,
+  Vector2i: VEC2,
+  Vector3: VEC3,
+  Vector3i: VEC3,
+  Vector4: VEC4,
+  Vector4i: VEC4,
+  Quaternion: VEC4,
+  Color: COLOR,
+  Rect2: group(["position", VEC2], ["size", VEC2]),
+  Rect2i: group(["position", VEC2], ["size", VEC2]),
+  Plane: group(["normal", VEC3], ["d", scalar]),
+  AABB: group(["position", VEC3], ["size", VEC3]),
+  Transform2D: group(["x", VEC2], ["y", VEC2], ["origin", VEC2]),
+  Basis: group(["rows", matrix(3, 3)]),
+  Transform3D: group(["basis", matrix(3, 3)], ["origin", VEC3]),
+  Projection: group(["columns", matrix(4, 4)]),
+};
+
+/**
+ * Packed arrays and the element layout of their flattened components.
+ * `null` means the elements are scalars (numbers or strings).
+ */
+export const PACKED_ARRAY_LAYOUTS = {
+  PackedByteArray: null,
+  PackedInt32Array: null,
+  PackedInt64Array: null,
+  PackedFloat32Array: null,
+  PackedFloat64Array: null,
+  PackedStringArray: null,
+  PackedVector2Array: VEC2,
+  PackedVector3Array: VEC3,
+  PackedVector4Array: VEC4,
+  PackedColorArray: COLOR,
+};
+
+const FLOAT_KEYWORDS = {
+  inf: Infinity,
+  inf_neg: -Infinity,
+  nan: NaN,
+};
+
+/**
+ * Parse a single Variant literal. Throws if anything but whitespace follows it.
+ * @param {string} text
+ * @param {{tagFloats?: boolean}} [options] - see readVariant
+ * @returns {*} typed JSON value
+ */
+export function parseVariant(text, options = {}) {
+  const { value, end } = readVariant(text, 0, options);
+  const state = { text, pos: end };
+  skipWhitespace(state);
+  if (state.pos < text.length) {
+    throw variantError(state, "Unexpected trailing characters");
+  }
+  return value;
+}
+
+/**
+ * Read one Variant literal starting at `offset`. Values may span several
+ * lines (arrays, dictionaries, multi-line strings).
+ * @param {string} text
+ * @param {number} [offset]
+ * @param {{tagFloats?: boolean}} [options] - `tagFloats` returns float
+ *   literals outside math types and packed arrays (`90.0`, `1e20`) as
+ *   `{ type: "float", value: 90 }` instead of plain numbers
+ * @returns {{value: *, end: number}} parsed value and the index just past it
+ */
+export function readVariant(text, offset = 0, { tagFloats = false } = {}) {
+  const state = { text, pos: offset, tagFloats };
+  skipWhitespace(state);
+  const value = readValue(state);
+  return { value, end: state.pos };
+}
+
+/**
+ * Serialize a typed JSON value back to a Godot 4 Variant literal, using the
+ * same formatting the editor writes. Plain objects without a `type` field are
+ * accepted as shorthand: {x, y} → Vector2, {x, y, z} → Vector3,
+ * {x, y, z, w} → Vector4, {r, g, b[, a]} → Color; anything else becomes a
+ * Dictionary. `{ type: "float", value: 3 }` is written as `3.0`.
+ * @param {*} value
+ * @returns {string}
+ */
+export function serializeVariant(value) {
+  if (value === null || value === undefined) return "null";
+  if (typeof value === "boolean") return value ? "true" : "false";
+  if (typeof value === "number") return formatNumber(value);
+  if (typeof value === "string") return quoteString(value);
+  if (Array.isArray(value)) return `[${value.map(serializeVariant).join(", ")}]`;
+  if (typeof value !== "object") {
+    throw new Error(`Cannot serialize ${typeof value} as a Godot Variant`);
+  }
+
+  if (value.type === undefined) {
+    const shorthand = inferShorthandType(value);
+    return shorthand === "Dictionary"
+      ? serializeDictionary({ value })
+      : serializeVariant({ type: shorthand, ...value });
+  }
+
+  const { type } = value;
+
+  if (type in STRUCT_LAYOUTS) {
+    const args = STRUCT_LAYOUTS[type].toArgs(value);
+    return `${type}(${args.map(serializeVariant).join(", ")})`;
+  }
+
+  if (type in PACKED_ARRAY_LAYOUTS) {
+    if (typeof value.base64 === "string") return `${type}(${quoteString(value.base64)})`;
+    const layout = PACKED_ARRAY_LAYOUTS[type];
+    const items = value.values || [];
+    const args = layout ? items.flatMap((item) => layout.toArgs(item)) : items;
+    return `${type}(${args.map(serializeVariant).join(", ")})`;
+  }
+
+  switch (type) {
+    case "float":
+      if (typeof value.value === "number") return formatFloat(value.value);
+      return value.value === "nan" ? "nan" : value.value === "-inf" ? "inf_neg" : "inf";
+    case "int":
+      if (!/^[-+]?\d+$/.test(String(value.value))) {
+        throw new Error(`Invalid int value: ${value.value}`);
+      }
+      return String(value.value).replace(/^\+/, "");
+    case "Dictionary":
+      return serializeDictionary(value);
+    case "Array": {
+      const body = `[${(value.values || []).map(serializeVariant).join(", ")}]`;
+      if (value.element_type === undefined) return body;
+      return `Array[${serializeTypeName(value.element_type)}](${body})`;
+    }
+    case "Object": {
+      const props = Object.entries(value.properties || {}).map(
+        ([key, prop]) => `${quoteString(key)}:${serializeVariant(prop)}`
+      );
+      return `Object(${[value.class, ...props].join(",")})`;
+    }
+    case "NodePath":
+      return `NodePath(${quoteString(value.path ?? "")})`;
+    case "StringName":
+      return `&${quoteString(value.value ?? "")}`;
+    case "ExtResource":
+    case "SubResource":
+      return `${type}(${quoteString(String(value.id ?? ""))})`;
+    case "Resource":
+      return value.subpath !== undefined
+        ? `Resource(${quoteString(value.path)}, ${quoteString(value.subpath)})`
+        : `Resource(${quoteString(value.path ?? "")})`;
+  }
+
+  return `${type}(${(value.args || []).map(serializeVariant).join(", ")})`;
+}
+
+function serializeDictionary(dict) {
+  const entries = dict.entries
+    ? dict.entries
+    : Object.entries(dict.value || {}).map(([key, value]) => ({ key, value }));
+  const body = entries.length === 0
+    ? "{}"
+    : `{\n${entries
+        .map((entry) => `${serializeVariant(entry.key)}: ${serializeVariant(entry.value)}`)
+        .join(",\n")}\n}`;
+  if (dict.key_type === undefined) return body;
+  return `Dictionary[${serializeTypeName(dict.key_type)}, ${serializeTypeName(
+    dict.value_type
+  )}](${body})`;
+}
+
+function serializeTypeName(typeName) {
+  return typeof typeName === "string" ? typeName : serializeVariant(typeName);
+}
+
+function inferShorthandType(value) {
+  const keys = Object.keys(value);
+  const numeric = (key) => typeof value[key] === "number";
+  if (["r", "g", "b"].every(numeric) && keys.every((k) => ["r", "g", "b", "a"].includes(k))) {
+    return "Color";
+  }
+  if (["x", "y"].every(numeric) && keys.every((k) => ["x", "y", "z", "w"].includes(k))) {
+    if (numeric("w")) return "Vector4";
+    return numeric("z") ? "Vector3" : "Vector2";
+  }
+  return "Dictionary";
+}
+
+// Numbers that cannot be ints (ints beyond 2^53 are tagged) use exponent form
+// from 1e15 on, so Godot never reads a float as an overflowing int64.
+function formatNumber(number) {
+  if (Number.isNaN(number)) return "nan";
+  if (number === Infinity) return "inf";
+  if (number === -Infinity) return "inf_neg";
+  if (Math.abs(number) >= 1e15 && !Number.isSafeInteger(number)) return number.toExponential();
+  return String(number);
+}
+
+function formatFloat(number) {
+  if (Math.abs(number) >= 1e15 && Number.isFinite(number)) return number.toExponential();
+  const text = formatNumber(number);
+  return /^-?\d+$/.test(text) ? `${text}.0` : text;
+}
+
+/**
+ * Type `value` for writing in place of the literal `previous`: whole numbers
+ * where `previous` had float literals such as `2.0` (at the top level or at
+ * the same place in an array, dictionary or object) stay floats, so they are
+ * written as `3.0` rather than `3`. Everything else is returned unchanged.
+ * @param {*} value
+ * @param {string} [previous] - Variant literal text being replaced
+ * @returns {*}
+ */
+export function keepFloat(value, previous) {
+  if (typeof previous !== "string") return value;
+  let before;
+  try {
+    before = parseVariant(previous, { tagFloats: true });
+  } catch {
+    return value;
+  }
+  return withFloatTags(value, before);
+}
+
+function withFloatTags(value, before) {
+  if (typeof value === "number") {
+    const float = before?.type === "float" && typeof before.value === "number";
+    return float && Number.isInteger(value) ? { type: "float", value } : value;
+  }
+  if (Array.isArray(value)) {
+    return Array.isArray(before) ? value.map((item, i) => withFloatTags(item, before[i])) : value;
+  }
+  if (value && typeof value === "object" && before && typeof before === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, withFloatTags(item, before[key])])
+    );
+  }
+  return value;
+}
+
+/**
+ * Godot writes strings with only backslashes and quotes escaped, so
+ * multi-line values such as script/source stay readable.
+ */
+function quoteString(text) {
+  return `"${String(text).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+function readValue(state) {
+  skipWhitespace(state);
+  const ch = state.text[state.pos];
+
+  if (ch === undefined) throw variantError(state, "Unexpected end of input");
+  if (ch === '"') return readString(state);
+  if (ch === "&" && state.text[state.pos + 1] === '"') {
+    state.pos += 1;
+    return { type: "StringName", value: readString(state) };
+  }
+  if (ch === "^" && state.text[state.pos + 1] === '"') {
+    state.pos += 1;
+    return { type: "NodePath", path: readString(state) };
+  }
+  if (ch === "[") return readArray(state);
+  if (ch === "{") return readDictionaryBody(state);
+  if (ch === "-" || ch === "+" || ch === "." || isDigit(ch)) {
+    return readNumber(state);
+  }
+  if (isIdentifierStart(ch)) return readIdentifierValue(state);
+
+  throw variantError(state, `Unexpected character '${ch}'`);
+}
+
+function readIdentifierValue(state) {
+  const name = readIdentifier(state);
+
+  switch (name) {
+    case "true":
+      return true;
+    case "false":
+      return false;
+    case "null":
+    case "nil":
+      return null;
+  }
+  if (name in FLOAT_KEYWORDS) return floatValue(FLOAT_KEYWORDS[name]);
+
+  skipWhitespace(state);
+  let typeArgs = null;
+  if (state.text[state.pos] === "[" && (name === "Array" || name === "Dictionary")) {
+    typeArgs = readTypeArguments(state);
+    skipWhitespace(state);
+  }
+
+  if (state.text[state.pos] !== "(") {
+    throw variantError(state, `Unknown identifier '${name}'`);
+  }
+  return readConstructor(state, name, typeArgs);
+}
+
+function readConstructor(state, name, typeArgs) {
+  if (name === "Object") return readObject(state);
+
+  const args = readArguments(state);
+
+  if (name === "Array") {
+    const values = args.length === 0 ? [] : args[0];
+    if (!typeArgs) return values;
+    return { type: "Array", element_type: typeArgs[0], values };
+  }
+
+  if (name === "Dictionary") {
+    const dict = args.length === 0 ? dictionaryFromEntries([]) : args[0];
+    if (!typeArgs) return dict;
+    return { ...dict, key_type: typeArgs[0], value_type: typeArgs[1] };
+  }
+
+  // The type of math and packed array components is fixed, so Godot writes
+  // them without a decimal point and they need no float tag.
+  if (name in STRUCT_LAYOUTS) {
+    const layout = STRUCT_LAYOUTS[name];
+    const numbers = args.map(untagFloat);
+    requireNumbers(state, name, numbers, layout.size);
+    return { type: name, ...layout.fromArgs(numbers) };
+  }
+
+  if (name in PACKED_ARRAY_LAYOUTS) {
+    return readPackedArray(state, name, args.map(untagFloat));
+  }
+
+  switch (name) {
+    case "NodePath":
+      return { type: "NodePath", path: args[0] ?? "" };
+    case "StringName":
+      return { type: "StringName", value: args[0] ?? "" };
+    case "ExtResource":
+    case "SubResource":
+      return { type: name, id: String(args[0] ?? "") };
+    case "Resource":
+      return args.length > 1
+        ? { type: "Resource", path: args[0], subpath: args[1] }
+        : { type: "Resource", path: args[0] ?? "" };
+    case "RID":
+    case "Callable":
+    case "Signal":
+      return { type: name };
+  }
+
+  return { type: name, args };
+}
+
+function readPackedArray(state, name, args) {
+  const layout = PACKED_ARRAY_LAYOUTS[name];
+
+  // Godot 4.3+ may store byte arrays as a single base64 string.
+  if (name === "PackedByteArray" && args.length === 1 && typeof args[0] === "string") {
+    return { type: name, base64: args[0] };
+  }
+
+  if (!layout) return { type: name, values: args };
+
+  requireNumbers(state, name, args, null);
+  if (args.length % layout.size !== 0) {
+    throw variantError(
+      state,
+      `${name} expects a multiple of ${layout.size} components, got ${args.length}`
+    );
+  }
+  const values = [];
+  for (let i = 0; i < args.length; i += layout.size) {
+    values.push(layout.fromArgs(args.slice(i, i + layout.size)));
+  }
+  return { type: name, values };
+}
+
+function readObject(state) {
+  expect(state, "(");
+  skipWhitespace(state);
+  const className = readIdentifier(state);
+  const properties = {};
+
+  for (;;) {
+    skipWhitespace(state);
+    const ch = state.text[state.pos];
+    if (ch === ")") {
+      state.pos += 1;
+      break;
+    }
+    expect(state, ",");
+    skipWhitespace(state);
+    if (state.text[state.pos] === ")") continue;
+    const key = readString(state);
+    skipWhitespace(state);
+    expect(state, ":");
+    properties[key] = readValue(state);
+  }
+
+  return { type: "Object", class: className, properties };
+}
+
+function readArguments(state) {
+  expect(state, "(");
+  const args = [];
+  for (;;) {
+    skipWhitespace(state);
+    if (state.text[state.pos] === ")") {
+      state.pos += 1;
+      return args;
+    }
+    args.push(readValue(state));
+    skipWhitespace(state);
+    if (state.text[state.pos] === ",") {
+      state.pos += 1;
+    } else if (state.text[state.pos] !== ")") {
+      throw variantError(state, "Expected ',' or ')' in argument list");
+    }
+  }
+}
+
+function readTypeArguments(state) {
+  expect(state, "[");
+  const types = [];
+  for (;;) {
+    skipWhitespace(state);
+    if (state.text[state.pos] === "]") {
+      state.pos += 1;
+      return types;
+    }
+    // Element types are bare class names or a script reference such as
+    // ExtResource("1_abc").
+    const name = readIdentifier(state);
+    skipWhitespace(state);
+    types.push(
+      state.text[state.pos] === "(" ? readConstructor(state, name, null) : name
+    );
+    skipWhitespace(state);
+    if (state.text[state.pos] === ",") state.pos += 1;
+  }
+}
+
+function readArray(state) {
+  expect(state, "[");
+  const values = [];
+  for (;;) {
+    skipWhitespace(state);
+    if (state.text[state.pos] === "]") {
+      state.pos += 1;
+      return values;
+    }
+    values.push(readValue(state));
+    skipWhitespace(state);
+    if (state.text[state.pos] === ",") {
+      state.pos += 1;
+    } else if (state.text[state.pos] !== "]") {
+      throw variantError(state, "Expected ',' or ']' in array");
+    }
+  }
+}
+
+function readDictionaryBody(state) {
+  expect(state, "{");
+  const entries = [];
+  for (;;) {
+    skipWhitespace(state);
+    if (state.text[state.pos] === "}") {
+      state.pos += 1;
+      return dictionaryFromEntries(entries);
+    }
+    const key = readValue(state);
+    skipWhitespace(state);
+    expect(state, ":");
+    const value = readValue(state);
+    entries.push({ key, value });
+    skipWhitespace(state);
+    if (state.text[state.pos] === ",") {
+      state.pos += 1;
+    } else if (state.text[state.pos] !== "}") {
+      throw variantError(state, "Expected ',' or '}' in dictionary");
+    }
+  }
+}
+
+/**
+ * Dictionaries with only string keys are returned as `value: {...}`; any other
+ * key type keeps the ordered `entries: [{key, value}]` form.
+ */
+function dictionaryFromEntries(entries) {
+  if (entries.every((entry) => typeof entry.key === "string")) {
+    const value = {};
+    for (const entry of entries) value[entry.key] = entry.value;
+    return { type: "Dictionary", value };
+  }
+  return { type: "Dictionary", entries };
+}
+
+function readString(state) {
+  expect(state, '"');
+  const { text } = state;
+  let out = "";
+  for (;;) {
+    if (state.pos >= text.length) {
+      throw variantError(state, "Unterminated string");
+    }
+    const ch = text[state.pos];
+    state.pos += 1;
+    if (ch === '"') return out;
+    if (ch !== "\\") {
+      out += ch;
+      continue;
+    }
+
+    const esc = text[state.pos];
+    state.pos += 1;
+    switch (esc) {
+      case "n":
+        out += "\n";
+        break;
+      case "t":
+        out += "\t";
+        break;
+      case "r":
+        out += "\r";
+        break;
+      case "b":
+        out += "\b";
+        break;
+      case "f":
+        out += "\f";
+        break;
+      case "u":
+      case "U": {
+        const len = esc === "u" ? 4 : 6;
+        const hex = text.slice(state.pos, state.pos + len);
+        if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== len) {
+          throw variantError(state, "Invalid unicode escape");
+        }
+        out += String.fromCodePoint(parseInt(hex, 16));
+        state.pos += len;
+        break;
+      }
+      default:
+        // \" \\ \' and unknown escapes keep the escaped character.
+        out += esc ?? "";
+    }
+  }
+}
+
+function readNumber(state) {
+  const { text } = state;
+  const match = /^[-+]?(?:inf\b|nan\b|(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)/.exec(
+    text.slice(state.pos, state.pos + 64)
+  );
+  if (!match) throw variantError(state, "Invalid number");
+  state.pos += match[0].length;
+
+  const raw = match[0];
+  if (/inf$/.test(raw)) return floatValue(raw.startsWith("-") ? -Infinity : Infinity);
+  if (/nan$/.test(raw)) return floatValue(NaN);
+  const number = Number(raw);
+  if (/^[-+]?\d+$/.test(raw)) {
+    return Number.isSafeInteger(number) ? number : { type: "int", value: raw.replace(/^\+/, "") };
+  }
+  return state.tagFloats ? { type: "float", value: number } : number;
+}
+
+function untagFloat(value) {
+  return value?.type === "float" && typeof value.value === "number" ? value.value : value;
+}
+
+/**
+ * JSON cannot hold inf/nan, so non-finite floats are kept as tagged strings.
+ */
+function floatValue(number) {
+  if (Number.isFinite(number)) return number;
+  if (Number.isNaN(number)) return { type: "float", value: "nan" };
+  return { type: "float", value: number > 0 ? "inf" : "-inf" };
+}
+
+function readIdentifier(state) {
+  const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(
+    state.text.slice(state.pos, state.pos + 256)
+  );
+  if (!match) throw variantError(state, "Expected identifier");
+  state.pos += match[0].length;
+  return match[0];
+}
+
+function requireNumbers(state, name, args, count) {
+  if (count !== null && args.length !== count) {
+    throw variantError(state, `${name} expects ${count} components, got ${args.length}`);
+  }
+  if (!args.every((arg) => typeof arg === "number" || arg?.type === "float" || arg?.type === "int")) {
+    throw variantError(state, `${name} expects numeric components`);
+  }
+}
+
+function skipWhitespace(state) {
+  const { text } = state;
+  while (state.pos < text.length && /\s/.test(text[state.pos])) {
+    state.pos += 1;
+  }
+}
+
+function expect(state, ch) {
+  if (state.text[state.pos] !== ch) {
+    throw variantError(state, `Expected '${ch}'`);
+  }
+  state.pos += 1;
+}
+
+function isDigit(ch) {
+  return ch >= "0" && ch <= "9";
+}
+
+function isIdentifierStart(ch) {
+  return /[A-Za-z_]/.test(ch);
+}
+
+function variantError(state, message) {
+  const before = state.text.slice(0, state.pos);
+  const line = before.split("\n").length;
+  const column = state.pos - before.lastIndexOf("\n");
+  const err = new Error(`${message} at line ${line}, column ${column}`);
+  err.name = "VariantParseError";
+  err.line = line;
+  err.column = column;
+  return err;
+}
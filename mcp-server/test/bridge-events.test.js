@@ -0,0 +1,112 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  cachedErrorCount,
+  createSseParser,
+  getBridgeEventState,
+  readBridgeEvents,
+  startBridgeEvents,
+  stopBridgeEvents,
+} from "../src/bridge-events.js";
+import { startMockBridge } from "./support/mock-bridge.js";
+
+const bridge = await startMockBridge();
+after(async () => {
+  stopBridgeEvents();
+  await bridge.close();
+});
+
+async function waitFor(check, timeoutMs = 5000) {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeoutMs) throw new Error("timed out");
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+test("parses SSE messages split across chunks", () => {
+  const events = [];
+  const parser = createSseParser((event) => events.push(event));
+  parser.push(": keepalive\n\nid: 4\r\nevent: out");
+  parser.push("put\r\ndata: {\"lines\":\r");
+  parser.push("\ndata: [\"hi\"]}\n\nretry: 10\n\ndata: plain\n\n");
+  assert.deepEqual(events, [
+    { id: "4", type: "output", data: '{"lines":\n["hi"]}' },
+    { id: "4", type: "message", data: "plain" },
+  ]);
+});
+
+test("keeps live error state and returns events since the last read", async () => {
+  startBridgeEvents({ url: `${bridge.url}/events` });
+  await waitFor(() => cachedErrorCount() === 0);
+
+  bridge.setErrors([{ message: "Parse error", file: "res://scripts/player.gd", line: 3 }]);
+  await waitFor(() => cachedErrorCount() === 1);
+  assert.equal(getBridgeEventState().errors[0].file, "res://scripts/player.gd");
+
+  bridge.emit("play_state", { is_playing: true });
+  bridge.emit("output", { lines: ["Player ready"] });
+  bridge.emit("runtime_error", { message: "SCRIPT ERROR: Invalid call" });
+  await waitFor(() => getBridgeEventState().is_playing === true && readBridgeEvents({ peek: true }).events.length === 5);
+
+  const first = readBridgeEvents({ types: ["output", "runtime_error"] });
+  assert.deepEqual(first.events.map((event) => event.type), ["output", "runtime_error"]);
+  assert.deepEqual(readBridgeEvents().events, []);
+  assert.equal(bridge.requests.filter((request) => request.path === "/errors").length, 0);
+});
+
+test("a runtime error invalidates the cached count until the editor rechecks", async () => {
+  bridge.setErrors([{ message: "Parse error", file: "res://scripts/player.gd", line: 3 }]);
+  await waitFor(() => cachedErrorCount() === 1);
+  bridge.emit("output", { lines: ["ERROR: Invalid get index 'hp' (on base: 'Nil')."] });
+  bridge.emit("runtime_error", { message: "ERROR: Invalid get index 'hp' (on base: 'Nil')." });
+  await waitFor(() => getBridgeEventState().errors_stale === true);
+  assert.equal(cachedErrorCount(), null);
+
+  // The plugin's follow-up snapshot, with the log-scanned error counted
+  bridge.setErrors([
+    { message: "Parse error", file: "res://scripts/player.gd", line: 3 },
+    { message: "Invalid get index 'hp' (on base: 'Nil').", file: "res://scripts/enemy.gd", line: 12 },
+  ]);
+  await waitFor(() => cachedErrorCount() === 2);
+  readBridgeEvents();
+});
+
+test("replays missed events after a reconnect", async () => {
+  bridge.dropStreams();
+  await waitFor(() => cachedErrorCount() === null);
+  bridge.emit("scene_saved", { path: "res://scenes/main.tscn" });
+
+  await waitFor(() => cachedErrorCount() === 2, 8000);
+  const { events } = readBridgeEvents({ types: ["scene_saved"] });
+  assert.deepEqual(events.map((event) => event.data.path), ["res://scenes/main.tscn"]);
+});
+
+test("a restart while the old stream closes leaves a single stream", async () => {
+  stopBridgeEvents();
+  const streams = [];
+  const fetchImpl = async (url, { signal }) => {
+    const stream = { closed: false };
+    streams.push(stream);
+    const body = (async function* () {
+      yield new TextEncoder().encode('event: errors\ndata: {"errors": [], "warnings": []}\n\n');
+      await new Promise((resolve) => signal.addEventListener("abort", resolve));
+      stream.closed = true;
+    })();
+    return { ok: true, status: 200, body };
+  };
+  try {
+    startBridgeEvents({ url: "http://bridge.test/events", fetch: fetchImpl });
+    await waitFor(() => cachedErrorCount() === 0);
+    stopBridgeEvents();
+    startBridgeEvents({ url: "http://bridge.test/events", fetch: fetchImpl });
+    await waitFor(() => streams[0].closed && cachedErrorCount() === 0);
+
+    // Past the first reconnect delay, the closed stream has not come back
+    await new Promise((resolve) => setTimeout(resolve, 1200));
+    assert.equal(streams.length, 2);
+    assert.equal(getBridgeEventState().connected, true);
+  } finally {
+    stopBridgeEvents();
+  }
+});
@@ -0,0 +1,79 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, readFile, writeFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  listBuildStates,
+  loadBuildStateCheckpoint,
+  readBuildState,
+  saveBuildState,
+  validateBuildState,
+} from "../src/build-state.js";
+
+const dir = await mkdtemp(join(tmpdir(), "build-state-"));
+after(() => rm(dir, { recursive: true, force: true }));
+
+const state = (phase, extra = {}) => ({
+  version: "1.0",
+  game_name: "Neon Drift",
+  prd_path: "docs/PRD.md",
+  current_phase: { number: phase, name: `Phase ${phase}`, status: "in_progress" },
+  completed_phases: [...Array(phase).keys()],
+  files_written: ["scripts/player.gd", { path: "scenes/main.tscn", phase: 0 }],
+  open_tasks: [{ task: "Tune dash cooldown", status: "open" }],
+  ...extra,
+});
+
+test("rejects states that do not match the schema without writing", async () => {
+  const errors = validateBuildState({ version: 2, current_phase: { name: "x" }, open_tasks: [{ status: "open" }] });
+  assert.deepEqual(
+    errors.map((error) => error.path),
+    ["game_name", "current_phase.number", "open_tasks[0]"]
+  );
+
+  const result = await saveBuildState(dir, { game_name: "" });
+  assert.equal(result.errors[0].path, "game_name");
+  assert.deepEqual(await readdir(dir), []);
+});
+
+test("keeps every save as a checkpoint and prunes beyond the limit", async () => {
+  const first = await saveBuildState(dir, state(1), { now: "2026-03-01T10:00:00.000Z", limit: 2 });
+  assert.equal(first.checkpoint, "2026-03-01T10-00-00-000Z-phase1");
+  assert.equal(first.migrated_from, "1.0");
+  await saveBuildState(dir, state(2), { now: "2026-03-01T11:00:00.000Z", limit: 2 });
+  const third = await saveBuildState(dir, state(3), { now: "2026-03-01T12:00:00.000Z", limit: 2 });
+  assert.equal(third.pruned, 1);
+
+  const saved = JSON.parse(await readFile(join(dir, "build_state.json"), "utf-8"));
+  assert.equal(saved.version, 2);
+  assert.equal(saved.saved_at, "2026-03-01T12:00:00.000Z");
+  assert.ok((await readdir(dir)).every((name) => !name.endsWith(".tmp")));
+
+  const list = await listBuildStates(dir);
+  assert.deepEqual(
+    list.map((entry) => [entry.id, entry.current, entry.completed_phase_count, entry.file_count]),
+    [
+      ["2026-03-01T12-00-00-000Z-phase3", true, 3, 2],
+      ["2026-03-01T11-00-00-000Z-phase2", false, 2, 2],
+    ]
+  );
+});
+
+test("recovers from a damaged build_state.json and restores checkpoints", async () => {
+  await writeFile(join(dir, "build_state.json"), '{"game_name": "Neon', "utf-8");
+  const recovered = await readBuildState(dir);
+  assert.equal(recovered.recovered_from, "2026-03-01T12-00-00-000Z-phase3");
+  assert.equal(recovered.state.current_phase.number, 3);
+  assert.match(recovered.error, /Invalid JSON/);
+
+  const { state: checkpoint, errors } = await loadBuildStateCheckpoint(dir, "2026-03-01T11-00-00-000Z-phase2");
+  assert.deepEqual(errors, []);
+  const restored = await saveBuildState(dir, checkpoint, { trigger: "restore", now: "2026-03-01T13:00:00.000Z", limit: 2 });
+  assert.equal(restored.checkpoint, "2026-03-01T13-00-00-000Z-phase2-restore");
+  assert.equal((await readBuildState(dir)).state.current_phase.number, 2);
+  assert.equal((await listBuildStates(dir))[0].trigger, "restore");
+
+  assert.match((await loadBuildStateCheckpoint(dir, "../build_state")).error, /Invalid checkpoint id/);
+  assert.match((await loadBuildStateCheckpoint(dir, "nope")).error, /not found/);
+});
@@ -0,0 +1,128 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { dirname, join } from "path";
+
+// scene-parser.js reads GODOT_PROJECT_PATH at import time
+const project = await mkdtemp(join(tmpdir(), "dependency-graph-"));
+process.env.GODOT_PROJECT_PATH = project;
+const { buildDependencyGraph } = await import("../src/dependency-graph.js");
+
+after(() => rm(project, { recursive: true, force: true }));
+
+const FILES = {
+  "project.godot": `config_version=5
+
+[application]
+
+run/main_scene="uid://main01"
+config/icon="res://icon.svg"
+
+[autoload]
+
+Game="*res://autoload/game.gd"
+`,
+  "icon.svg": "<svg/>",
+  "autoload/game.gd": "extends Node\n",
+  "scenes/main.tscn": `[gd_scene load_steps=5 format=3 uid="uid://main01"]
+
+[ext_resource type="Script" uid="uid://scr_player" path="res://old/player.gd" id="1_player"]
+[ext_resource type="Texture2D" uid="uid://tex_hero" path="res://old/hero.png" id="2_hero"]
+[ext_resource type="PackedScene" path="res://scenes/missing.tscn" id="3_missing"]
+[ext_resource type="PackedScene" uid="uid://renamed" path="res://scenes/bullet.tscn" id="4_bullet"]
+
+[node name="Main" type="Node2D"]
+script = ExtResource("1_player")
+
+[node name="Hero" type="Sprite2D" parent="."]
+texture = ExtResource("2_hero")
+`,
+  "scenes/bullet.tscn": `[gd_scene load_steps=2 format=3 uid="uid://bullet01"]
+
+[ext_resource type="Script" path="res://scripts/bullet.gd" id="1_bullet"]
+
+[node name="Bullet" type="Area2D"]
+script = ExtResource("1_bullet")
+`,
+  "scripts/player.gd": `extends CharacterBody2D
+
+const Bullet = preload("res://scenes/bullet.tscn")
+var effect = load("res://fx/gone.tscn")
+var restart = load("res://scenes/main.tscn")
+`,
+  "scripts/player.gd.uid": "uid://scr_player\n",
+  "scripts/bullet.gd": `extends Area2D
+
+const Self = preload("res://scenes/bullet.tscn")
+`,
+  "scripts/global.gd": "class_name Globals\nextends RefCounted\n",
+  "art/hero.png": "",
+  "art/hero.png.import": `[remap]
+
+importer="texture"
+type="CompressedTexture2D"
+uid="uid://tex_hero"
+path="res://.godot/imported/hero.png-1234.ctex"
+`,
+  "art/unused.png": "",
+};
+
+for (const [path, content] of Object.entries(FILES)) {
+  await mkdir(dirname(join(project, path)), { recursive: true });
+  await writeFile(join(project, path), content);
+}
+
+const isSidecar = (path) => path.endsWith(".uid") || path.endsWith(".import");
+const graph = await buildDependencyGraph({
+  files: Object.keys(FILES)
+    .filter((path) => !isSidecar(path))
+    .map((path) => `res://${path}`),
+  uidFiles: Object.keys(FILES)
+    .filter(isSidecar)
+    .map((path) => `res://${path}`),
+});
+
+const edgeFrom = (from, predicate) => graph.edges.find((edge) => edge.from === from && predicate(edge));
+
+test("reports dangling references from scenes and scripts", () => {
+  assert.deepEqual(graph.errors, []);
+  assert.deepEqual(graph.dangling, [
+    {
+      from: "res://scenes/main.tscn",
+      reference: "res://scenes/missing.tscn",
+      kind: "ext_resource",
+      id: "3_missing",
+    },
+    {
+      from: "res://scripts/player.gd",
+      reference: "res://fx/gone.tscn",
+      kind: "load",
+      line: 4,
+    },
+  ]);
+});
+
+test("resolves uid:// values through scene headers and .uid/.import sidecars", () => {
+  // The uids win over the stale paths the scene still carries
+  assert.equal(edgeFrom("res://scenes/main.tscn", (edge) => edge.id === "1_player").to, "res://scripts/player.gd");
+  assert.equal(edgeFrom("res://scenes/main.tscn", (edge) => edge.id === "2_hero").to, "res://art/hero.png");
+
+  const mainScene = edgeFrom("res://project.godot", (edge) => edge.reference === "uid://main01");
+  assert.deepEqual([mainScene.kind, mainScene.to, mainScene.line], ["project_setting", "res://scenes/main.tscn", 5]);
+  assert.equal(edgeFrom("res://project.godot", (edge) => edge.reference === "res://autoload/game.gd").to, "res://autoload/game.gd");
+
+  // An unknown uid falls back to the path, and is reported as stale
+  assert.deepEqual(graph.stale_uids, [
+    { from: "res://scenes/main.tscn", id: "4_bullet", uid: "uid://renamed", path: "res://scenes/bullet.tscn" },
+  ]);
+});
+
+test("lists unreferenced assets as orphaned, but not global scripts or the project file", () => {
+  assert.deepEqual(graph.orphaned, ["res://art/unused.png"]);
+});
+
+test("reports cycles of hard dependencies only", () => {
+  // main.tscn -> player.gd -> load(main.tscn) is resolved at runtime and is no cycle
+  assert.deepEqual(graph.cycles, [["res://scenes/bullet.tscn", "res://scripts/bullet.gd", "res://scenes/bullet.tscn"]]);
+});
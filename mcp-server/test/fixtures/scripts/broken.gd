@@ -0,0 +1,28 @@
+extends KinematicBody2D
+
+onready var sprite = $Sprite
+export var speed = 100
+export(int) var lives = 3
+var ready_value = await get_tree().process_frame
+
+func _ready():
+	if true:
+		var inside = 1
+	print(inside)
+	print(later)
+	var later = 2
+	yield(get_tree().create_timer(1.0), "timeout")
+	var x = rand_range(0, 1)
+	connect("body_entered", self, "_on_body")
+	var scene = load("res://a.tscn").instance()
+	move_and_slide(velocity, Vector2.UP)
+
+func _ready():
+	pass
+
+func indent():
+	var b = 1
+		var c = 2
+	if b:
+	print(c)
+  	print(")
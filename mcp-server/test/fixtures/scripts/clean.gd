@@ -0,0 +1,114 @@
+@tool
+class_name Player
+extends CharacterBody2D
+## A documented player.
+
+signal died(reason: String)
+signal health_changed(old_value, new_value)
+
+enum State { IDLE, RUN, JUMP = 5 }
+enum { FLAG_A, FLAG_B }
+
+const SPEED := 300.0
+const Bullet = preload("res://scripts/bullet.gd")
+
+@export var max_health: int = 100
+@export_range(0, 10, 0.5) var jump_height := 2.0
+@export_group("Stats")
+@onready var sprite: Sprite2D = $Sprite2D
+@onready var anim := %AnimationPlayer as AnimationPlayer
+@onready var label = $"UI/Score Label"
+
+var state: State = State.IDLE
+var inventory: Array[String] = []
+var lookup: Dictionary = {"a": 1, b = 2}
+var health: int = 100:
+	set(value):
+		var old := health
+		health = clampi(value, 0, max_health)
+		health_changed.emit(old, health)
+	get:
+		return health
+var on_hit := func(amount: int) -> void:
+	health -= amount
+
+static var instances := 0
+
+func _ready() -> void:
+	var tween := create_tween()
+	tween.tween_property(self, "modulate:a", 1.0, 0.5)
+	died.connect(_on_died)
+	$Hitbox.body_entered.connect(func(body: Node2D):
+		var dmg = 10
+		if body.is_in_group("enemy"):
+			take_damage(dmg)
+	)
+	for i in range(3):
+		print(i)
+	for child: Node in get_children():
+		print(child.name)
+	var total := 0
+	for item in inventory:
+		total += item.length()
+	print(total)
+	await get_tree().create_timer(1.0).timeout
+	var s = "%s and %d" % ["x", 2]
+	var n = 10 % 3
+	var arr := [1, 2, 3].map(func(x): return x * 2)
+	print(s, n, arr)
+
+func _physics_process(delta: float) -> void:
+	var direction := Input.get_axis("move_left", "move_right")
+	if direction:
+		velocity.x = direction * SPEED
+	else:
+		velocity.x = move_toward(velocity.x, 0, SPEED)
+	if not is_on_floor():
+		velocity.y += 980.0 * delta
+	move_and_slide()
+	match state:
+		State.IDLE:
+			pass
+		State.RUN, State.JUMP:
+			var speed_now = velocity.length()
+			print(speed_now)
+		var other when other > 3:
+			print(other)
+		_:
+			pass
+	var result = 1 if direction > 0 else 2
+	print(result)
+
+func take_damage(amount: int) -> void:
+	if amount <= 0: return
+	health -= amount
+	if health == 0:
+		died.emit("killed")
+
+func _on_died(reason: String) -> void:
+	print("died: ", reason)
+	var dict = {
+		"key": reason,
+		"nested": [1, 2,
+			3],
+	}
+	print(dict, FLAG_A, Bullet, instances)
+
+static func make() -> Player:
+	return Player.new()
+
+class Inner extends RefCounted:
+	var value := 0
+	func get_value() -> int:
+		return value
+
+class Child extends Inner:
+	func get_value() -> int:
+		return super.get_value() + 1
+
+func multi_line_string() -> String:
+	var text = """line one
+	line two # not a comment
+line three"""
+	return text \
+		+ "!"
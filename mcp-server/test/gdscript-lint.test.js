@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "fs/promises";
+import { lintGDScript } from "../src/gdscript-lint.js";
+import { parseGDScript } from "../src/gdscript-parser.js";
+
+const fixture = (name) => readFile(new URL(`./fixtures/scripts/${name}`, import.meta.url), "utf-8");
+
+test("accepts idiomatic Godot 4 scripts", async () => {
+  const result = lintGDScript(await fixture("clean.gd"), {
+    file: "res://scripts/clean.gd",
+    globals: new Set(["Player"]),
+  });
+  assert.deepEqual(result, { errors: [], warnings: [] });
+});
+
+test("reports syntax, scope and Godot 3 problems with file/line/column", async () => {
+  const { errors } = lintGDScript(await fixture("broken.gd"), { file: "res://scripts/broken.gd" });
+  const found = errors.map((error) => `${error.line}:${error.column} ${error.rule}`);
+
+  assert.deepEqual(found, [
+    "1:9 godot3_syntax",
+    "3:1 godot3_syntax",
+    "4:1 godot3_syntax",
+    "5:1 godot3_syntax",
+    "6:19 await_outside_function",
+    "11:8 undefined_identifier",
+    "12:8 undefined_identifier",
+    "14:2 godot3_syntax",
+    "15:10 godot3_syntax",
+    "16:2 godot3_syntax",
+    "17:35 godot3_syntax",
+    "18:2 godot3_syntax",
+    "20:6 duplicate_function",
+    "25:1 indentation",
+    "26:6 indentation",
+    "28:1 mixed_indentation",
+    "28:1 indentation",
+    "28:9 unbalanced_brackets",
+    "28:10 unterminated_string",
+  ]);
+  assert.equal(errors[0].file, "res://scripts/broken.gd");
+  assert.match(errors[0].message, /Use CharacterBody2D/);
+  assert.match(errors[5].message, /Identifier "inside" not declared/);
+});
+
+test("checks base classes against the engine, project classes and scripts", () => {
+  const options = {
+    file: "res://scripts/enemy.gd",
+    globals: new Set(["Actor"]),
+    pathExists: (path) => path === "res://scripts/base.gd",
+  };
+  const lint = (source) => lintGDScript(source, options).errors.map((error) => error.message);
+
+  assert.deepEqual(lint("extends Node2D\n"), []);
+  assert.deepEqual(lint("extends Actor\n"), []);
+  assert.deepEqual(lint('extends "base.gd"\n'), []);
+  assert.deepEqual(lint("extends Node\nclass Inner extends Helper:\n\tpass\nclass Helper:\n\tpass\n"), []);
+  assert.deepEqual(lint("extends Enemy\n"), [
+    'Could not find base class "Enemy". It is not an engine class, a class_name in the project, or an inner class.',
+  ]);
+  assert.deepEqual(lint('extends "res://scripts/missing.gd"\n'), [
+    'Could not find base script "res://scripts/missing.gd".',
+  ]);
+});
+
+test("joins bracketed and continued lines into one logical line", () => {
+  const { statements, issues } = parseGDScript(
+    'func f():\n\tvar d = {\n\t\t"a": [1,\n2],\n\t}\n\treturn d \\\n\t\t.size()\n'
+  );
+  assert.deepEqual(issues, []);
+  assert.equal(statements.length, 1);
+  assert.deepEqual(
+    statements[0].body.map((statement) => statement.tokens[0].value),
+    ["var", "return"]
+  );
+});
+
+test("a variable holding a multi-line lambda is declared after its body", () => {
+  const source =
+    'extends Node\n\nfunc _ready():\n\tvar lambda_two = func(greeting):\n\t\tprint(greeting)\n\tlambda_two.call("hi")\n\tprint(greeting)\n';
+  const { errors } = lintGDScript(source, { file: "res://scripts/lambdas.gd" });
+  assert.deepEqual(
+    errors.map((error) => `${error.line} ${error.message}`),
+    ['7 Identifier "greeting" not declared in the current scope.']
+  );
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "fs/promises";
+import { extractSymbols, findReferences } from "../src/gdscript-symbols.js";
+import { parseGDScript } from "../src/gdscript-parser.js";
+
+const fixture = (name) => readFile(new URL(`./fixtures/scripts/${name}`, import.meta.url), "utf-8");
+
+test("indexes declarations with types, defaults and owning class", async () => {
+  const { class_name, extends: base, symbols } = extractSymbols(parseGDScript(await fixture("clean.gd")));
+  const byName = (name, owner = null) => symbols.find((symbol) => symbol.name === name && symbol.class === owner);
+
+  assert.equal(class_name, "Player");
+  assert.equal(base, "CharacterBody2D");
+  assert.deepEqual(byName("take_damage"), {
+    kind: "function",
+    name: "take_damage",
+    line: 82,
+    column: 6,
+    class: null,
+    params: [{ name: "amount", type: "int" }],
+    return_type: "void",
+    static: false,
+    signature: "func take_damage(amount: int) -> void",
+  });
+  assert.equal(byName("make").static, true);
+  assert.deepEqual(byName("died").params, [{ name: "reason", type: "String" }]);
+  assert.deepEqual(byName("State").values, [{ name: "IDLE" }, { name: "RUN" }, { name: "JUMP", value: "5" }]);
+  assert.equal(byName("jump_height").kind, "export");
+  assert.deepEqual(byName("jump_height").annotations, ["@export_range(0, 10, 0.5)"]);
+  assert.equal(byName("SPEED").kind, "constant");
+  assert.equal(byName("sprite").onready, true);
+  assert.equal(byName("inventory").type, "Array[String]");
+  assert.equal(byName("health").default, "100");
+  assert.equal(byName("Child").extends, "Inner");
+  assert.equal(byName("get_value", "Child").kind, "function");
+  // Locals and lambda parameters are not class members.
+  assert.equal(byName("direction"), undefined);
+});
+
+test("finds calls, member accesses and string references but not comments", async () => {
+  const player = await fixture("clean.gd");
+  const enemy = [
+    "extends Node",
+    "func _ready():",
+    "\t# take_damage(1)",
+    "\t$Player.take_damage(1)",
+    '\tprint("take_damage")',
+    '\tif $Player.has_method("take_damage"): pass',
+    "",
+  ].join("\n");
+  const scripts = [
+    { file: "res://player.gd", source: player },
+    { file: "res://enemy.gd", source: enemy },
+  ].map(({ file, source }) => {
+    const parsed = parseGDScript(source);
+    return { file, parsed, symbols: extractSymbols(parsed).symbols.map((symbol) => ({ file, ...symbol })) };
+  });
+
+  const { references } = await findReferences("take_damage", { scripts });
+  assert.deepEqual(
+    references.map((reference) => [reference.file, reference.line, reference.kind, reference.receiver]),
+    [
+      ["res://player.gd", 44, "call", undefined],
+      ["res://enemy.gd", 4, "call", "$Player"],
+      ["res://enemy.gd", 6, "string", undefined],
+    ]
+  );
+});
@@ -0,0 +1,106 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import { mkdtemp, mkdir, readFile, writeFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  commitCheckpoint,
+  diffSinceCommit,
+  enableGitCheckpoints,
+  findPhaseCommit,
+  phaseCommitMessage,
+  pocTagName,
+  readGitCheckpointConfig,
+  recordCheckpointFiles,
+  tagCheckpoint,
+} from "../src/git-checkpoints.js";
+
+Object.assign(process.env, {
+  GIT_CONFIG_GLOBAL: "/dev/null",
+  GIT_CONFIG_NOSYSTEM: "1",
+  GIT_AUTHOR_NAME: "Test",
+  GIT_AUTHOR_EMAIL: "test@example.com",
+  GIT_COMMITTER_NAME: "Test",
+  GIT_COMMITTER_EMAIL: "test@example.com",
+});
+
+const repo = await mkdtemp(join(tmpdir(), "git-checkpoints-"));
+const project = join(repo, "game");
+const claudeDir = join(project, ".claude");
+after(() => rm(repo, { recursive: true, force: true }));
+
+const git = (...args) => execFileSync("git", args, { cwd: repo, encoding: "utf-8" }).trim();
+await mkdir(join(project, "scripts"), { recursive: true });
+await writeFile(join(project, "project.godot"), "config_version=5\n");
+git("init", "-q");
+git("add", "-A");
+git("commit", "-q", "-m", "init");
+
+test("refuses to start with user changes and never commits them", async () => {
+  await writeFile(join(project, "scripts", "mine.gd"), "extends Node\n");
+  const refused = await enableGitCheckpoints(project, claudeDir);
+  assert.equal(refused.rejected, true);
+  assert.deepEqual(refused.changes, [{ status: "??", path: "game/scripts/mine.gd" }]);
+  git("add", "-A");
+  git("commit", "-q", "-m", "user work");
+
+  const started = await enableGitCheckpoints(project, claudeDir);
+  assert.equal(started.ok, true);
+  await writeFile(join(repo, "notes.txt"), "outside the project\n");
+  git("add", "notes.txt");
+
+  await writeFile(join(project, "scripts", "player.gd"), "extends CharacterBody2D\n");
+  await recordCheckpointFiles(claudeDir, ["res://scripts/player.gd"]);
+  const message = phaseCommitMessage({ phaseNumber: 1, phaseName: "Foundation", gates: { main_scene: true, input: false }, errorCount: 0 });
+  const result = await commitCheckpoint(project, claudeDir, await readGitCheckpointConfig(claudeDir), message);
+  assert.equal(result.ok, true);
+  assert.equal(git("show", "--name-only", "--format=", "HEAD"), "game/scripts/player.gd");
+  assert.match(git("log", "-1", "--format=%B"), /Gates passed: 1\/2 \(failed: input\)\n[\s\S]*Godot-Phase: 1\n/);
+  assert.equal(git("diff", "--cached", "--name-only"), "notes.txt");
+});
+
+test("leaves files the user changed after enabling uncommitted", async () => {
+  const config = await readGitCheckpointConfig(claudeDir);
+  const userFile = join(project, "project.godot");
+  const original = await readFile(userFile, "utf-8");
+  await writeFile(userFile, `${original}\n[display]\n`);
+  await writeFile(join(project, "scripts", "hud.gd"), "extends CanvasLayer\n");
+
+  const result = await commitCheckpoint(project, claudeDir, config, "Phase 2: HUD completed", ["scripts/hud.gd"]);
+  assert.equal(result.ok, true);
+  assert.equal(result.files_changed, 1);
+  assert.deepEqual(result.left_uncommitted, [{ status: "M", path: "game/project.godot" }]);
+  assert.equal(git("show", "--name-only", "--format=", "HEAD"), "game/scripts/hud.gd");
+  assert.equal(git("diff", "--name-only"), "game/project.godot");
+  assert.equal(git("diff", "--cached", "--name-only"), "notes.txt");
+  await writeFile(userFile, original);
+});
+
+test("pauses when HEAD moves outside the session", async () => {
+  git("commit", "-q", "-m", "user commit");
+  const result = await commitCheckpoint(project, claudeDir, await readGitCheckpointConfig(claudeDir), "x");
+  assert.equal(result.rejected, true);
+  assert.match(result.reason, /HEAD moved/);
+});
+
+test("diffs since a phase commit and tags PoC runs", async () => {
+  const phase = await findPhaseCommit(project, 1);
+  assert.equal(phase.subject, "Phase 1: Foundation completed");
+  await writeFile(join(project, "scripts", "player.gd"), "extends CharacterBody2D\nvar speed = 200\n");
+  await writeFile(join(project, "scripts", "enemy.gd"), "extends Node2D\n");
+  const { files } = await diffSinceCommit(project, phase.commit);
+  assert.deepEqual(
+    files.map((file) => [file.path, file.status, file.lines_added]),
+    [
+      ["game/scripts/enemy.gd", "A", 1],
+      ["game/scripts/hud.gd", "A", 1],
+      ["game/scripts/player.gd", "M", 1],
+    ]
+  );
+  assert.equal(git("status", "--porcelain", "--", "game/scripts/enemy.gd"), "?? game/scripts/enemy.gd");
+
+  assert.equal(pocTagName("poc_prompt_01", "run 3/../x"), "poc/poc_prompt_01/run-3-.-x-go");
+  assert.equal(await tagCheckpoint(project, "poc/b/r-go", "go"), "poc/b/r-go");
+  assert.equal(await tagCheckpoint(project, "poc/b/r-go", "go"), "poc/b/r-go-2");
+});
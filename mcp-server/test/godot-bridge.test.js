@@ -0,0 +1,87 @@
+import { test, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startMockBridge } from "./support/mock-bridge.js";
+
+// godot-bridge.js reads its configuration at import time
+const mock = await startMockBridge();
+Object.assign(process.env, {
+  GODOT_BRIDGE_PORT: String(mock.port),
+  GODOT_BRIDGE_TIMEOUT_MS: "200",
+  GODOT_BRIDGE_RETRY_BASE_MS: "5",
+  GODOT_BRIDGE_BREAKER_THRESHOLD: "2",
+  GODOT_BRIDGE_BREAKER_COOLDOWN_MS: "150",
+  GODOT_BRIDGE_ROUTE_POLICIES: JSON.stringify({ "GET /scene_tree": { retries: 0, timeout_ms: 100 } }),
+});
+const bridge = await import("../src/godot-bridge.js");
+
+after(() => mock.close());
+beforeEach(() => {
+  mock.reset();
+  bridge.resetBridgeState();
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("retries idempotent GETs and reports the recovery as degraded", async () => {
+  mock.respond("GET /errors", { reset: true }, { times: 1 });
+  mock.respond("GET /errors", { status: 503, json: { error: "importing assets" } }, { times: 1 });
+  const result = await bridge.getErrors();
+  assert.deepEqual(result.errors, []);
+  assert.equal(mock.calls("GET /errors").length, 3);
+  assert.equal(bridge.getBridgeState().status, "degraded");
+
+  await bridge.getErrors();
+  const state = bridge.getBridgeState();
+  assert.equal(state.status, "healthy");
+  assert.ok(state.last_success_at);
+});
+
+test("sends POSTs once and does not retry client errors", async () => {
+  mock.respond("POST /run", { status: 503, json: { error: "busy" } }, { times: 1 });
+  await assert.rejects(bridge.runScene(), /POST \/run failed: busy/);
+  assert.equal(mock.calls("POST /run").length, 1);
+
+  mock.respond("GET /open_scripts", { status: 404, json: { error: "not found" } }, { times: 1 });
+  await assert.rejects(bridge.getOpenScripts(), /GET \/open_scripts failed: not found/);
+  assert.equal(mock.calls("GET /open_scripts").length, 1);
+  assert.equal(bridge.getBridgeState().status, "healthy");
+});
+
+test("applies per-route policies from the environment", async () => {
+  const policy = bridge.routePolicy("GET", "/scene_tree?max_depth=3");
+  assert.equal(policy.retries, 0);
+  assert.equal(policy.timeoutMs, 100);
+  assert.equal(bridge.routePolicy("POST", "/add_node").retries, 0);
+
+  mock.respond("GET /scene_tree", { hang: true }, { times: 1 });
+  const err = await bridge.getSceneTree(3).catch((error) => error);
+  assert.match(err.message, /not responding/);
+  assert.deepEqual(err.bridge, { kind: "timeout", timeout_ms: 100, route: "GET /scene_tree", attempts: 1 });
+});
+
+test("opens the circuit on a hung editor, fails fast, then recovers through a probe", async () => {
+  mock.respond("*", { reset: true });
+  await assert.rejects(bridge.getErrors(), /Cannot connect/);
+  await assert.rejects(bridge.getOpenScripts(), /Cannot connect/);
+  assert.equal(bridge.getBridgeState().status, "down");
+
+  const before = mock.requests.length;
+  const err = await bridge.getErrors().catch((error) => error);
+  assert.equal(err.name, "BridgeUnavailableError");
+  assert.match(err.message, /bridge is down after 2 failed requests/);
+  assert.equal(mock.requests.length, before);
+
+  // After the cooldown one request goes out; its failure doubles the wait
+  await sleep(160);
+  await assert.rejects(bridge.getErrors(), /Cannot connect/);
+  assert.equal(mock.requests.length, before + 1);
+  assert.ok(bridge.getBridgeState().retry_in_ms > 150);
+
+  // GET /status still reaches the editor, and closes the circuit once it answers
+  mock.clear("*");
+  assert.equal(await bridge.isConnected(), true);
+  const state = bridge.getBridgeState();
+  assert.equal(state.status, "healthy");
+  assert.equal(state.circuit, "closed");
+  assert.equal(state.consecutive_failures, 0);
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "fs/promises";
+import { parseProjectGodot } from "../src/project-settings.js";
+import {
+  buildInputEvent,
+  describeInputEvent,
+  findActionReferences,
+  sameInputEvent,
+} from "../src/input-map.js";
+import { serializeVariant } from "../src/variant.js";
+
+const FIXTURE = new URL("./fixtures/project/project.godot", import.meta.url);
+
+test("builds events in the editor's project.godot form", async () => {
+  const text = await readFile(FIXTURE, "utf-8");
+  const project = parseProjectGodot(text);
+  const existing = project.settings["input/move_left"].value.events[0];
+
+  const built = buildInputEvent("A");
+  assert.equal(serializeVariant(built), serializeVariant(existing));
+  assert.ok(sameInputEvent(built, existing));
+  assert.deepEqual(describeInputEvent(existing), { type: "key", key: "A", physical: true });
+
+  const motion = buildInputEvent({ type: "joypad_motion", axis: "left_y", direction: -1 });
+  assert.deepEqual(describeInputEvent(motion), {
+    type: "joypad_motion",
+    axis: "left_y",
+    direction: -1,
+  });
+  assert.throws(() => buildInputEvent("NotAKey"), /Unknown key/);
+});
+
+test("finds action names in code, skipping comments and runtime actions", () => {
+  const source = [
+    "func _process(_delta):",
+    '\tvar dir = Input.get_vector("left", "right", "up", "down")',
+    '\tif Input.is_action_pressed(&"dash"): # is_action_pressed("ignored")',
+    "\t\tpass",
+    '\tInputMap.add_action("debug")',
+  ].join("\n");
+  const { references, added } = findActionReferences(source);
+  assert.deepEqual(
+    references.map((ref) => `${ref.action}:${ref.line}`),
+    ["left:2", "right:2", "up:2", "down:2", "dash:3"]
+  );
+  assert.deepEqual(added, ["debug"]);
+});
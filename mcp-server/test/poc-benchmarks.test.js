@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  benchmarkComparisonHtml,
+  benchmarkComparisonMarkdown,
+  compareBenchmarks,
+  summarizePocQuality,
+} from "../src/poc-benchmarks.js";
+
+const rubric = (runId, benchmarkId, verdict, score, minute) => ({
+  schema_version: "poc-quality-report-v1",
+  run_id: runId,
+  benchmark_id: benchmarkId,
+  verdict,
+  weighted_total_score: score,
+  timestamp_utc: `2026-02-18T10:0${minute}:00.000Z`,
+  quality_report_path: `res://.claude/quality_reports/${runId}-${benchmarkId}.json`,
+});
+
+const reports = [
+  rubric("baseline-a", "poc_prompt_01", "go", 82, 1),
+  rubric("baseline-a", "poc_prompt_02", "needs_iteration", 74, 1),
+  rubric("baseline-a", "poc_prompt_03", "go", 84, 1),
+  rubric("candidate-a", "poc_prompt_01", "go", 88, 2),
+  rubric("candidate-a", "poc_prompt_02", "go", 81, 2),
+  rubric("candidate-a", "poc_prompt_03", "needs_iteration", 78, 2),
+  // Older candidate run for prompt 01 is ignored in favour of the latest one.
+  rubric("candidate-old", "poc_prompt_01", "no_go", 50, 0),
+];
+
+test("summarizes the latest report per benchmark into a decision", () => {
+  const summary = summarizePocQuality(reports);
+  assert.equal(summary.decision, "GO");
+  assert.equal(summary.go_count, 2);
+  assert.deepEqual(
+    summary.required_results.map((row) => [row.benchmark_id, row.run_id, row.verdict]),
+    [
+      ["poc_prompt_01", "candidate-a", "go"],
+      ["poc_prompt_02", "candidate-a", "go"],
+      ["poc_prompt_03", "candidate-a", "needs_iteration"],
+    ]
+  );
+  assert.equal(summarizePocQuality(reports, { benchmarks: ["poc_prompt_04"] }).decision, "INSUFFICIENT_DATA");
+});
+
+test("compares cohorts with per-benchmark deltas and renders exports", () => {
+  const result = compareBenchmarks(reports);
+  assert.equal(result.baseline.average_weighted_score, 80);
+  assert.equal(result.candidate.report_files_matched, 4);
+  assert.deepEqual(result.comparison, {
+    verdict: "SAME",
+    min_score_delta: 3,
+    go_delta: 0,
+    average_score_delta: 2.33,
+    regressed_benchmarks: ["poc_prompt_03"],
+    per_benchmark: [
+      {
+        benchmark_id: "poc_prompt_01",
+        baseline_verdict: "go",
+        candidate_verdict: "go",
+        baseline_score: 82,
+        candidate_score: 88,
+        score_delta: 6,
+        regressed: false,
+      },
+      {
+        benchmark_id: "poc_prompt_02",
+        baseline_verdict: "needs_iteration",
+        candidate_verdict: "go",
+        baseline_score: 74,
+        candidate_score: 81,
+        score_delta: 7,
+        regressed: false,
+      },
+      {
+        benchmark_id: "poc_prompt_03",
+        baseline_verdict: "go",
+        candidate_verdict: "needs_iteration",
+        baseline_score: 84,
+        candidate_score: 78,
+        score_delta: -6,
+        regressed: true,
+      },
+    ],
+  });
+
+  const markdown = benchmarkComparisonMarkdown(result);
+  assert.match(markdown, /\*\*Verdict:\*\* SAME/);
+  assert.match(markdown, /\| poc_prompt_03 \| go \(84\) \| needs_iteration \(78\) \| -6 ⚠ regressed \|/);
+
+  const html = benchmarkComparisonHtml(compareBenchmarks(reports, { candidatePrefix: "<script>" }));
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /&lt;script&gt;/);
+  assert.doesNotMatch(html, /<td><script>/);
+});
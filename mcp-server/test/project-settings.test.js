@@ -0,0 +1,124 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "fs/promises";
+import { parseProjectGodot, parseProjectGodotLines, serializeProjectGodot } from "../src/project-settings.js";
+
+const FIXTURE = new URL("./fixtures/project/project.godot", import.meta.url);
+
+test("parses typed settings and round-trips project.godot exactly", async () => {
+  const text = await readFile(FIXTURE, "utf-8");
+  const project = parseProjectGodot(text);
+
+  assert.equal(project.settings.config_version, 5);
+  assert.equal(project.settings["application/config/name"], "Space Blaster");
+  assert.deepEqual(project.settings["application/config/features"], {
+    type: "PackedStringArray",
+    values: ["4.3", "Forward Plus"],
+  });
+  assert.equal(project.settings["display/window/size/viewport_width"], 1280);
+  assert.equal(
+    project.settings["input/move_left"].value.events[0].properties.physical_keycode,
+    65
+  );
+  assert.equal(project.settings["rendering/renderer/rendering_method.mobile"], "gl_compatibility");
+  assert.equal(serializeProjectGodot(project), text);
+});
+
+test("writes only changed settings and keeps comments and order", async () => {
+  const text = await readFile(FIXTURE, "utf-8");
+  const project = parseProjectGodot(text);
+  project.settings["display/window/size/viewport_width"] = 1920;
+  project.settings["display/window/stretch/mode"] = "canvas_items";
+  project.settings["editor_plugins/enabled"] = {
+    type: "PackedStringArray",
+    values: ["res://addons/juice/plugin.cfg"],
+  };
+  delete project.settings["autoload/GameState"];
+
+  const out = serializeProjectGodot(project);
+  assert.ok(out.startsWith("; Engine configuration file.\n"));
+  assert.match(
+    out,
+    /window\/size\/viewport_width=1920\nwindow\/size\/viewport_height=720\nwindow\/stretch\/mode="canvas_items"\n/
+  );
+  assert.match(
+    out,
+    /\n\[editor_plugins\]\n\nenabled=PackedStringArray\("res:\/\/addons\/juice\/plugin\.cfg"\)\n\n\[input\]\n/
+  );
+  assert.doesNotMatch(out, /GameState/);
+
+  const reparsed = parseProjectGodot(out);
+  assert.deepEqual(Object.keys(reparsed.settings).length, Object.keys(project.settings).length);
+  assert.deepEqual(reparsed.settings["input/move_left"], project.settings["input/move_left"]);
+});
+
+test("writes kept settings in their new order when keys are re-inserted", async () => {
+  const text = await readFile(FIXTURE, "utf-8");
+  const first = parseProjectGodot(text);
+  first.settings["autoload/AudioBus"] = "*res://scripts/audio_bus.gd";
+  first.settings["autoload/Events"] = "*res://scripts/events.gd";
+  const project = parseProjectGodot(serializeProjectGodot(first));
+
+  const gameState = project.settings["autoload/GameState"];
+  delete project.settings["autoload/GameState"];
+  project.settings["autoload/GameState"] = gameState;
+  project.settings["autoload/Events"] = "res://scripts/events.gd";
+
+  const out = serializeProjectGodot(project);
+  assert.match(
+    out,
+    /\[autoload\]\n\nAudioBus="\*res:\/\/scripts\/audio_bus\.gd"\nEvents="res:\/\/scripts\/events\.gd"\nGameState="\*res:\/\/scripts\/game_state\.gd"\n\n\[display\]/
+  );
+  assert.deepEqual(
+    Object.keys(parseProjectGodot(out).settings).filter((key) => key.startsWith("autoload/")),
+    ["autoload/AudioBus", "autoload/Events", "autoload/GameState"]
+  );
+
+  // New keys can be placed ahead of existing ones the same way.
+  const inserted = parseProjectGodot(text);
+  delete inserted.settings["autoload/GameState"];
+  inserted.settings["autoload/Boot"] = "*res://scripts/boot.gd";
+  inserted.settings["autoload/GameState"] = gameState;
+  assert.match(
+    serializeProjectGodot(inserted),
+    /\[autoload\]\n\nBoot="\*res:\/\/scripts\/boot\.gd"\nGameState="\*res:\/\/scripts\/game_state\.gd"\n\n\[display\]/
+  );
+});
+
+test("new sections at the same place are written in name order", () => {
+  const project = parseProjectGodot("config_version=5\n\n[rendering]\n\nrenderer/rendering_method=\"mobile\"\n");
+  project.settings["display/window/size/viewport_width"] = 1920;
+  project.settings["autoload/Events"] = "*res://scripts/events.gd";
+  assert.equal(
+    serializeProjectGodot(project),
+    'config_version=5\n\n[autoload]\n\nEvents="*res://scripts/events.gd"\n\n' +
+      "[display]\n\nwindow/size/viewport_width=1920\n\n" +
+      '[rendering]\n\nrenderer/rendering_method="mobile"\n'
+  );
+});
+
+test("edited settings keep float literals as floats", () => {
+  const project = parseProjectGodot("[physics]\n\n2d/default_gravity=980.0\ncommon/max_physics_steps_per_frame=8\n");
+  project.settings["physics/2d/default_gravity"] = 1200;
+  project.settings["physics/common/max_physics_steps_per_frame"] = 4;
+  assert.equal(
+    serializeProjectGodot(project),
+    "[physics]\n\n2d/default_gravity=1200.0\ncommon/max_physics_steps_per_frame=4\n"
+  );
+});
+
+test("the line-by-line reader keeps every setting around a malformed value", async () => {
+  const text = (await readFile(FIXTURE, "utf-8")).replace(
+    "window/size/viewport_width=1280",
+    "window/size/viewport_width=Vector2(1280"
+  );
+  assert.throws(() => parseProjectGodot(text), /Expected ',' or '\)'/);
+
+  const settings = parseProjectGodotLines(text);
+  assert.equal(settings["application/config/name"], "Space Blaster");
+  assert.equal(settings["application/run/main_scene"], "uid://cq1m2x");
+  assert.equal(settings["autoload/GameState"], "*res://scripts/game_state.gd");
+  assert.equal(settings["display/window/size/viewport_width"], "Vector2(1280");
+  assert.equal(settings["display/window/size/viewport_height"], 720);
+  assert.deepEqual(settings["application/config/features"].values, ["4.3", "Forward Plus"]);
+});
@@ -0,0 +1,131 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync } from "fs";
+import { mkdtemp, mkdir, readdir, readFile, writeFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  createSnapshot,
+  diffSnapshots,
+  listSnapshots,
+  loadSnapshot,
+  rollbackToSnapshot,
+} from "../src/project-snapshots.js";
+
+const root = await mkdtemp(join(tmpdir(), "project-snapshots-"));
+const store = join(root, ".claude", "snapshots");
+after(() => rm(root, { recursive: true, force: true }));
+
+async function write(path, content) {
+  await mkdir(join(root, path, ".."), { recursive: true });
+  await writeFile(join(root, path), content);
+}
+
+await write("project.godot", "config_version=5\n");
+await write("scripts/player.gd", "extends CharacterBody2D\nvar speed = 200\n");
+await write("scenes/main.tscn", '[gd_scene format=3]\n[node name="Main" type="Node2D"]\n');
+await write(".godot/imported/cache.tscn", "cache");
+await write("addons/tool/plugin.gd", "extends EditorPlugin\n");
+await write("assets/sprite.png", "png");
+await write("resources/baked.tres", Buffer.from([82, 83, 67, 0, 1]));
+
+test("snapshots only project text files and deduplicates contents", async () => {
+  const first = await createSnapshot(root, store, { trigger: "phase_completion", phaseNumber: 1, now: "2026-03-01T10:00:00.000Z" });
+  assert.equal(first.manifest.id, "2026-03-01T10-00-00-000Z-phase1-phase-completion");
+  assert.deepEqual(Object.keys(first.manifest.files), ["res://project.godot", "res://scenes/main.tscn", "res://scripts/player.gd"]);
+  assert.deepEqual(first.manifest.skipped, [{ path: "res://resources/baked.tres", reason: "binary", size: 5 }]);
+  assert.equal(first.stored_objects, 3);
+
+  await write("scripts/player.gd", "extends CharacterBody2D\nvar speed = 320\nvar dash = true\n");
+  await write("scripts/enemy.gd", "extends Node2D\n");
+  await rm(join(root, "scenes/main.tscn"));
+  const second = await createSnapshot(root, store, { trigger: "phase_completion", phaseNumber: 2, now: "2026-03-01T11:00:00.000Z" });
+  assert.equal(second.stored_objects, 2);
+  assert.deepEqual((await listSnapshots(store)).map((entry) => entry.phase_number), [2, 1]);
+});
+
+test("diffs snapshots by phase and against the working tree", async () => {
+  const { manifest: from } = await loadSnapshot(store, "phase:1");
+  const { manifest: to } = await loadSnapshot(store, "phase:2");
+  assert.deepEqual(await diffSnapshots(root, store, from, to), {
+    added: ["res://scripts/enemy.gd"],
+    removed: ["res://scenes/main.tscn"],
+    modified: [{ path: "res://scripts/player.gd", size_before: 40, size_after: 56, lines_added: 2, lines_removed: 1 }],
+    unchanged_count: 1,
+  });
+  assert.equal((await diffSnapshots(root, store, to)).unchanged_count, 3);
+  assert.match((await loadSnapshot(store, "../manifests")).error, /Invalid snapshot id/);
+});
+
+test("rolls back changed, deleted and added files", async () => {
+  const { manifest } = await loadSnapshot(store, "phase:1");
+  const partial = await rollbackToSnapshot(root, store, manifest, { paths: ["res://scenes/main.tscn"] });
+  assert.deepEqual(partial.restored, ["res://scenes/main.tscn"]);
+  assert.deepEqual(partial.deleted, []);
+
+  const full = await rollbackToSnapshot(root, store, manifest);
+  assert.deepEqual(full.restored, ["res://scripts/player.gd"]);
+  assert.deepEqual(full.deleted, ["res://scripts/enemy.gd"]);
+  assert.equal(await readFile(join(root, "scripts/player.gd"), "utf-8"), "extends CharacterBody2D\nvar speed = 200\n");
+  assert.ok(!existsSync(join(root, "scripts/enemy.gd")));
+  assert.ok(existsSync(join(root, "resources/baked.tres")));
+});
+
+test("pruning drops old manifests and unreferenced objects", async () => {
+  await createSnapshot(root, store, { now: "2026-03-01T12:00:00.000Z", limit: 1 });
+  assert.deepEqual(await readdir(join(store, "manifests")), ["2026-03-01T12-00-00-000Z.json"]);
+  const objects = [];
+  for (const prefix of await readdir(join(store, "objects"))) objects.push(...(await readdir(join(store, "objects", prefix))));
+  assert.equal(objects.length, 3);
+});
+
+test("rollback never overwrites a file that is now over the size cap", async () => {
+  await write("scripts/huge.gd", "extends Node\n");
+  const { manifest } = await createSnapshot(root, store, { now: "2026-03-01T13:00:00.000Z" });
+  await write("scripts/huge.gd", `extends Node\n${"#".repeat(1024 * 1024)}\n`);
+
+  const result = await rollbackToSnapshot(root, store, manifest);
+  assert.deepEqual(result.skipped, ["res://scripts/huge.gd"]);
+  assert.deepEqual(result.restored, []);
+  assert.ok((await readFile(join(root, "scripts/huge.gd"), "utf-8")).length > 1024 * 1024);
+  await rm(join(root, "scripts/huge.gd"));
+});
+
+test("rollback never deletes a file the snapshot skipped", async () => {
+  await write("scenes/big.tscn", `[gd_scene format=3]\n; ${"#".repeat(2 * 1024 * 1024)}\n`);
+  const { manifest } = await createSnapshot(root, store, { now: "2026-03-01T14:00:00.000Z" });
+  assert.ok(manifest.skipped.some((entry) => entry.path === "res://scenes/big.tscn"));
+  const small = '[gd_scene format=3]\n[node name="Big" type="Node2D"]\n';
+  await write("scenes/big.tscn", small);
+
+  const result = await rollbackToSnapshot(root, store, manifest);
+  assert.deepEqual(result.deleted, []);
+  assert.deepEqual(result.skipped, ["res://scenes/big.tscn"]);
+  assert.equal(await readFile(join(root, "scenes/big.tscn"), "utf-8"), small);
+  await rm(join(root, "scenes/big.tscn"));
+});
+
+test("a snapshot taken at the limit keeps the protected rollback target", async () => {
+  const limited = join(root, ".claude", "limited");
+  const oldest = await createSnapshot(root, limited, { now: "2026-03-02T10:00:00.000Z", limit: 3 });
+  await write("scripts/player.gd", "extends CharacterBody2D\nvar speed = 999\n");
+  await createSnapshot(root, limited, { now: "2026-03-02T11:00:00.000Z", limit: 3 });
+  await createSnapshot(root, limited, { now: "2026-03-02T12:00:00.000Z", limit: 3 });
+
+  const backup = await createSnapshot(root, limited, {
+    trigger: "pre_rollback",
+    now: "2026-03-02T13:00:00.000Z",
+    limit: 3,
+    protect: [oldest.manifest.id],
+  });
+  assert.equal(backup.pruned, 1);
+  assert.deepEqual(
+    (await listSnapshots(limited)).map((entry) => entry.id),
+    ["2026-03-02T13-00-00-000Z-pre-rollback", "2026-03-02T12-00-00-000Z", oldest.manifest.id]
+  );
+
+  const result = await rollbackToSnapshot(root, limited, oldest.manifest);
+  assert.deepEqual(result.missing_objects, []);
+  assert.deepEqual(result.restored, ["res://scripts/player.gd"]);
+  assert.equal(await readFile(join(root, "scripts/player.gd"), "utf-8"), "extends CharacterBody2D\nvar speed = 200\n");
+});
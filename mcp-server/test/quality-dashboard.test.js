@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { renderQualityDashboard } from "../src/quality-dashboard.js";
+
+test("renders gate matrices, evidence links and rubric charts offline", () => {
+  const html = renderQualityDashboard({
+    title: "Neon <Drift>",
+    generatedAt: "2026-03-01T12:00:00.000Z",
+    buildState: { game_name: "Neon Drift", current_phase: { number: 5, name: "Polish" }, completed_phases: [0, 1, 2, 3, 4] },
+    phases: [
+      {
+        phase_number: 5,
+        timeline: [
+          { path: "res://.claude/quality_reports/a.json", generated_at: "2026-03-01T10:00:00.000Z", trigger: "manual_evaluation", gates_passed: false, failed_count: 1 },
+          { path: "res://.claude/quality_reports/b.json", generated_at: "2026-03-01T11:00:00.000Z", trigger: "phase_completion_check", gates_passed: false, failed_count: 1 },
+        ],
+        gates: {
+          auto_polish_fx_signals: { history: [true, false], pass_count: 1, fail_count: 1, latest: false },
+        },
+        latest: {
+          report: {
+            gate_details: {
+              auto_polish_fx_signals: {
+                passed: false,
+                hint: "Add hit particles.",
+                actual: { count: 1, evidence: { GPUParticles2D: [{ file: "res://scenes/player.tscn", line: 12 }] } },
+                rule_source: "built_in",
+              },
+            },
+          },
+        },
+      },
+    ],
+    rubrics: [
+      {
+        benchmark_id: "poc_prompt_01",
+        run_id: "candidate-1",
+        timestamp_utc: "2026-03-01T11:30:00.000Z",
+        weighted_total_score: 72,
+        verdict: "needs_iteration",
+        scores: { core_loop_fun: 4, controls_game_feel: 3 },
+        next_actions: ["Improve rubric category: controls_game_feel"],
+        signature_moments: ["boss intro slow-mo"],
+      },
+    ],
+    scoreWeights: { core_loop_fun: 20, controls_game_feel: 20 },
+    integrationPacks: [],
+    invalidReports: [],
+    linkFor: (resPath) => `../../${resPath.slice("res://".length)}`,
+  });
+
+  assert.match(html, /<title>Neon &lt;Drift&gt;<\/title>/);
+  assert.match(html, /<td class="cell pass">✓<\/td><td class="cell fail">✗<\/td>/);
+  assert.match(html, /<a href="\.\.\/\.\.\/scenes\/player\.tscn">scenes\/player\.tscn:12<\/a>/);
+  assert.match(html, /Add hit particles\./);
+  assert.match(html, /<svg class="radar"/);
+  assert.match(html, /3\/5 · 12\/20/);
+  assert.match(html, /<li>boss intro slow-mo<\/li>/);
+  assert.doesNotMatch(html, /<script|<link|https?:\/\//);
+});
+
+test("keeps one rubric card per benchmark run", () => {
+  const rubric = (benchmark_id, run_id, timestamp_utc, weighted_total_score) => ({
+    benchmark_id,
+    run_id,
+    timestamp_utc,
+    weighted_total_score,
+    verdict: "needs_iteration",
+    scores: {},
+  });
+  const html = renderQualityDashboard({
+    title: "Runs",
+    generatedAt: "2026-03-01T12:00:00.000Z",
+    buildState: null,
+    phases: [],
+    rubrics: [
+      rubric("poc_prompt_01", "run-1", "2026-03-01T09:00:00.000Z", 61),
+      rubric("poc_prompt_02", "run-1", "2026-03-01T10:00:00.000Z", 74),
+      rubric("poc_prompt_01", "run-1", "2026-03-01T11:00:00.000Z", 68),
+    ],
+    scoreWeights: { core_loop_fun: 20 },
+    integrationPacks: [],
+    invalidReports: [],
+    linkFor: () => null,
+  });
+  const cards = [...html.matchAll(/<h3>(\w+) <span[^>]*>([\w-]+)<\/span><\/h3>\s*<p class="verdict \w+">\w+ · (\d+)\/100/g)];
+  assert.deepEqual(
+    cards.map((card) => card.slice(1)),
+    [
+      ["poc_prompt_02", "run-1", "74"],
+      ["poc_prompt_01", "run-1", "68"],
+    ]
+  );
+});
@@ -0,0 +1,101 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, readFile, writeFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  buildQualityTrend,
+  compactQualityReports,
+  loadQualityHistory,
+} from "../src/quality-history.js";
+
+const dir = await mkdtemp(join(tmpdir(), "quality-history-"));
+const example = JSON.parse(await readFile(new URL("../../docs/poc/quality-report-example.json", import.meta.url), "utf-8"));
+after(() => rm(dir, { recursive: true, force: true }));
+
+const gateReport = (minute, gates) => ({
+  name: `2026-01-01T10-0${minute}-00-000Z-phase5-manual_evaluation.json`,
+  payload: {
+    version: "1.0",
+    generated_at: `2026-01-01T10:0${minute}:00.000Z`,
+    trigger: "manual_evaluation",
+    meta: {},
+    report: {
+      phase_number: 5,
+      gates_passed: Object.values(gates).every(Boolean),
+      gate_details: Object.fromEntries(Object.entries(gates).map(([name, passed]) => [name, { passed }])),
+    },
+  },
+});
+
+const rubricReport = (minute, score) => ({
+  name: `2026-01-01T10-0${minute}-30-000Z-phase6-poc_rubric_score.json`,
+  payload: {
+    version: "1.0",
+    generated_at: `2026-01-01T10:0${minute}:30.000Z`,
+    trigger: "poc_rubric_score",
+    meta: { run_id: "run-a" },
+    report: {
+      ...example,
+      phase_number: 6,
+      run_id: "run-a",
+      weighted_total_score: score,
+      verdict: score >= 4 ? "go" : "no_go",
+    },
+  },
+});
+
+for (const { name, payload } of [
+  gateReport(1, { auto_ui_style: false, auto_polish_fx_signals: true }),
+  gateReport(2, { auto_ui_style: true, auto_polish_fx_signals: true }),
+  gateReport(3, { auto_ui_style: true, auto_polish_fx_signals: false }),
+  rubricReport(1, 3.5),
+  rubricReport(2, 3.1),
+]) {
+  await writeFile(join(dir, name), JSON.stringify(payload));
+}
+
+test("builds per-gate history, score trajectory and latest regressions", async () => {
+  const { summaries, errors } = await loadQualityHistory(dir);
+  assert.deepEqual(errors, []);
+
+  const phase5 = buildQualityTrend(summaries, { phaseNumber: 5 });
+  assert.deepEqual(phase5.gates.auto_ui_style, {
+    history: [false, true, true],
+    pass_count: 2,
+    fail_count: 1,
+    latest: true,
+  });
+  assert.deepEqual(phase5.timeline[1].fixed, ["auto_ui_style"]);
+  assert.deepEqual(phase5.regressions, [
+    {
+      gate: "auto_polish_fx_signals",
+      report: "res://.claude/quality_reports/2026-01-01T10-03-00-000Z-phase5-manual_evaluation.json",
+      previous_report: "res://.claude/quality_reports/2026-01-01T10-02-00-000Z-phase5-manual_evaluation.json",
+    },
+  ]);
+
+  const run = buildQualityTrend(summaries, { runId: "run-a" });
+  assert.deepEqual(
+    run.score_trajectory.map((point) => [point.weighted_total_score, point.score_delta]),
+    [[3.5, undefined], [3.1, -0.4]]
+  );
+  assert.equal(run.regressions.at(-1).gate, "weighted_total_score");
+});
+
+test("compacts old reports per series without losing their trend", async () => {
+  const before = buildQualityTrend((await loadQualityHistory(dir)).summaries, { phaseNumber: 5 });
+  const result = await compactQualityReports(dir, { keep_full_per_series: 1, max_compacted: 10 });
+  assert.deepEqual(result, { compacted: 3, dropped: 0 });
+
+  const files = (await readdir(dir)).sort();
+  assert.deepEqual(files, [
+    "2026-01-01T10-02-30-000Z-phase6-poc_rubric_score.json",
+    "2026-01-01T10-03-00-000Z-phase5-manual_evaluation.json",
+    "history.jsonl",
+  ]);
+  const after = buildQualityTrend((await loadQualityHistory(dir)).summaries, { phaseNumber: 5 });
+  assert.deepEqual(after.gates, before.gates);
+  assert.deepEqual(after.regressions, before.regressions);
+  assert.equal(after.timeline[0].compacted, true);
+});
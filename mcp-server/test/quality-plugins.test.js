@@ -0,0 +1,57 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, mkdir, writeFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { runGatePlugins } from "../src/quality-plugins.js";
+
+const root = await mkdtemp(join(tmpdir(), "gate-plugins-"));
+after(() => rm(root, { recursive: true, force: true }));
+
+const project = {
+  phase: 5,
+  scenes: [
+    {
+      file: "res://enemies/slime.tscn",
+      nodes: [{ name: "Slime", type: "CharacterBody2D", path: "." }],
+      connections: [],
+    },
+  ],
+};
+
+test("runs plugins from .claude/gates and turns broken ones into failed gates", async () => {
+  const dir = join(root, ".claude", "gates");
+  await mkdir(dir, { recursive: true });
+  await writeFile(
+    join(dir, "enemy_hitbox.mjs"),
+    [
+      "export default function (project) {",
+      "  const missing = project.scenes.filter((scene) => !scene.nodes.some((node) => node.name === 'Hitbox'));",
+      "  return { passed: missing.length === 0, expected: 'Hitbox in every enemy', actual: missing.map((s) => s.file), hint: 'Add a Hitbox Area2D.' };",
+      "}",
+    ].join("\n")
+  );
+  await writeFile(join(dir, "late.mjs"), "export const min_phase = 6;\nexport default () => ({ passed: false });\n");
+  await writeFile(join(dir, "throws.mjs"), "export default () => { throw new Error('boom'); };\n");
+
+  const { gates, plugins } = await runGatePlugins(root, project);
+  assert.deepEqual(plugins, [".claude/gates/enemy_hitbox.mjs", ".claude/gates/throws.mjs"]);
+  assert.deepEqual(gates, [
+    {
+      name: "enemy_hitbox",
+      passed: false,
+      expected: "Hitbox in every enemy",
+      actual: ["res://enemies/slime.tscn"],
+      hint: "Add a Hitbox Area2D.",
+      rule_source: ".claude/gates/enemy_hitbox.mjs",
+    },
+    {
+      name: "throws",
+      passed: false,
+      expected: "gate plugin runs and returns {passed, expected, actual, hint}",
+      actual: { error: "Threw: boom" },
+      hint: "Fix .claude/gates/throws.mjs.",
+      rule_source: ".claude/gates/throws.mjs",
+    },
+  ]);
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "fs/promises";
+import { validateSchema } from "../src/json-schema.js";
+import {
+  buildQualityReportPayload,
+  migrateQualityReportPayload,
+  validatePocReport,
+  validateQualityReportPayload,
+} from "../src/quality-reports.js";
+
+const example = JSON.parse(await readFile(new URL("../../docs/poc/quality-report-example.json", import.meta.url), "utf-8"));
+
+test("validates rubric reports with path-level errors", () => {
+  assert.deepEqual(validatePocReport(example), []);
+
+  const broken = { ...example, scores: { ...example.scores, core_loop_fun: 4.5 }, verdict: "maybe", extra: true };
+  delete broken.run_id;
+  assert.deepEqual(validatePocReport(broken), [
+    { path: "run_id", message: "is required" },
+    { path: "scores.core_loop_fun", message: "must be an integer" },
+    { path: "verdict", message: 'must be one of: "go", "needs_iteration", "no_go"' },
+    { path: "extra", message: "is not an allowed property" },
+  ]);
+
+  const payload = buildQualityReportPayload({ ...example, phase_number: 6 }, "poc_rubric_score");
+  payload.report.signature_moments = ["ok"];
+  assert.deepEqual(validateQualityReportPayload(payload), [
+    { path: "report.signature_moments[0]", message: "must have at least 3 character(s)" },
+  ]);
+});
+
+test("migrates version 1.0 gate evaluation payloads", () => {
+  const legacy = {
+    version: "1.0",
+    generated_at: "2026-02-17T22:34:10.000Z",
+    trigger: "phase_completion_check",
+    meta: { phase_name: "Polish" },
+    report: { ok: false, phase_number: 5, computed_quality_gates: { auto_ui_styling_signals: false, auto_main_scene: true } },
+  };
+  const { payload, migrated_from } = migrateQualityReportPayload(legacy);
+  assert.equal(migrated_from, "1.0");
+  assert.equal(payload.version, 2);
+  assert.equal(payload.phase_number, 5);
+  assert.deepEqual(payload.report.failed_quality_gates, ["auto_ui_styling_signals"]);
+  assert.deepEqual(payload.report.gate_details.auto_main_scene, { passed: true });
+  assert.equal(payload.report.gates_passed, false);
+  assert.deepEqual(validateQualityReportPayload(payload), []);
+});
+
+test("resolves $ref, oneOf discriminators and if/then/else", () => {
+  const schema = {
+    $defs: { count: { type: "integer", minimum: 0 } },
+    type: "object",
+    properties: {
+      rule: {
+        oneOf: [
+          { type: "object", properties: { type: { const: "a" }, min: { $ref: "#/$defs/count" } }, required: ["type"] },
+          { type: "object", properties: { type: { const: "b" }, glob: { type: "string" } }, required: ["type", "glob"] },
+        ],
+      },
+    },
+    if: { properties: { kind: { const: "strict" } } },
+    then: { required: ["rule"] },
+  };
+  assert.deepEqual(validateSchema(schema, { rule: { type: "a", min: -1 } }), [{ path: "rule.min", message: "must be >= 0" }]);
+  assert.deepEqual(validateSchema(schema, { rule: { type: "b" } }), [{ path: "rule.glob", message: "is required" }]);
+  assert.deepEqual(validateSchema(schema, { kind: "strict" }), [{ path: "rule", message: "is required" }]);
+});
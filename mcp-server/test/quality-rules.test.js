@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  evaluateGate,
+  globToRegExp,
+  resolvePhaseGates,
+  validateQualityGateConfig,
+} from "../src/quality-rules.js";
+
+const config = {
+  version: 1,
+  gates: {
+    auto_polish_fx_signals: { threshold: 1, markers: { AnimationPlayer: false } },
+    auto_no_stub_pass_methods: { enabled: false },
+  },
+  phases: {
+    3: { gates: { auto_scene_coverage: { threshold: 1 } } },
+  },
+  custom_gates: [
+    { name: "has_tilemap", min_phase: 2, rule: { type: "node_type_present", node_type: "TileMapLayer" } },
+  ],
+};
+
+test("resolves overrides, per-phase gates and custom gates with their rule source", () => {
+  const phase3 = resolvePhaseGates(config, 3);
+  assert.deepEqual(
+    phase3.gates.map((gate) => [gate.name, gate.threshold, gate.rule_source]),
+    [
+      ["auto_scene_coverage", 1, "built_in + .claude/quality_gates.json#phases.3.gates.auto_scene_coverage"],
+      ["has_tilemap", 1, ".claude/quality_gates.json#custom_gates[0]"],
+    ]
+  );
+
+  const phase6 = resolvePhaseGates(config, 6);
+  const polish = phase6.gates.find((gate) => gate.name === "auto_polish_fx_signals");
+  assert.equal(polish.threshold, 1);
+  assert.equal("AnimationPlayer" in polish.markers, false);
+  assert.equal("create_tween" in polish.markers, true);
+  assert.deepEqual(phase6.disabled.map((gate) => gate.name), ["auto_no_stub_pass_methods"]);
+  assert.equal(resolvePhaseGates(null, 6).gates.length, 9);
+});
+
+test("evaluates declarative custom gates against the project model", () => {
+  const model = {
+    scenes: [
+      {
+        file: "res://levels/one.tscn",
+        nodes: [{ name: "Ground", type: "TileMapLayer", path: "Ground", line: 7, properties: {} }],
+      },
+    ],
+    scripts: [],
+  };
+  const [gate] = resolvePhaseGates(config, 2).gates;
+  assert.deepEqual(evaluateGate(gate, { model, files: [] }), {
+    passed: true,
+    expected: ">= 1 TileMapLayer node(s)",
+    actual: { count: 1, evidence: [{ file: "res://levels/one.tscn", line: 7, match: "Ground" }] },
+  });
+
+  const pattern = globToRegExp("res://assets/**/*.{png,svg}");
+  assert.ok(pattern.test("res://assets/player.png"));
+  assert.ok(pattern.test("res://assets/ui/icons/heart.svg"));
+  assert.ok(!pattern.test("res://assets/readme.md"));
+});
+
+test("reports schema problems with JSON paths", () => {
+  assert.deepEqual(validateQualityGateConfig(config), []);
+  assert.deepEqual(
+    validateQualityGateConfig({
+      gates: { auto_scene_coverage: { threshold: "2" }, missing_gate: {} },
+      custom_gates: [{ name: "count_pngs", rule: { type: "file_glob_count" } }],
+    }),
+    [
+      { path: "custom_gates[0].rule.glob", message: "is required" },
+      { path: "gates.auto_scene_coverage.threshold", message: "must be a number >= 0" },
+      { path: "gates.missing_gate", message: 'unknown gate "missing_gate"' },
+    ]
+  );
+});
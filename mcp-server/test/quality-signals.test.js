@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectMarkers, findPassStubs, DEPTH_LAYER_MARKERS, POLISH_FX_MARKERS } from "../src/quality-signals.js";
+import { extractSymbols } from "../src/gdscript-symbols.js";
+import { parseGDScript } from "../src/gdscript-parser.js";
+
+function modelWithScript(source, scenes = []) {
+  const file = "res://scripts/game.gd";
+  const parsed = parseGDScript(source);
+  const symbols = extractSymbols(parsed).symbols.map((symbol) => ({ file, ...symbol }));
+  return { scripts: [{ file, parsed, symbols }], scenes, resources: [] };
+}
+
+test("ignores markers that only appear in comments and strings", () => {
+  const model = modelWithScript(
+    [
+      "extends Node",
+      "# TODO add background, tween and vignette",
+      "func _ready():",
+      '\tprint("tween the background")',
+      "",
+    ].join("\n")
+  );
+  assert.deepEqual(detectMarkers(model, POLISH_FX_MARKERS), { hits: [], evidence: {} });
+  assert.deepEqual(detectMarkers(model, DEPTH_LAYER_MARKERS), { hits: [], evidence: {} });
+});
+
+test("reports where calls, node types and node names meet a marker", () => {
+  const scene = {
+    file: "res://scenes/main.tscn",
+    nodes: [
+      { name: "Main", type: "Node2D", path: ".", line: 3, properties: {} },
+      { name: "FarBackground", type: "Sprite2D", path: "FarBackground", line: 5, properties: {} },
+      { name: "HUD", type: "CanvasLayer", path: "HUD", line: 8, properties: {} },
+    ],
+    resources: [],
+    connections: [],
+  };
+  const model = modelWithScript(
+    [
+      "extends Node",
+      "func _ready():",
+      "\tvar tween := create_tween()",
+      '\ttween.tween_property(self, "modulate:a", 1.0, 0.3)',
+      "",
+    ].join("\n"),
+    [scene]
+  );
+
+  assert.deepEqual(detectMarkers(model, POLISH_FX_MARKERS), {
+    hits: ["create_tween", "tween"],
+    evidence: {
+      create_tween: [{ file: "res://scripts/game.gd", line: 3, via: "call", match: "create_tween()" }],
+      tween: [{ file: "res://scripts/game.gd", line: 4, via: "call", match: "tween_property()" }],
+    },
+  });
+  assert.deepEqual(detectMarkers(model, DEPTH_LAYER_MARKERS).evidence, {
+    CanvasLayer: [{ file: "res://scenes/main.tscn", line: 8, via: "node_type", match: "HUD (CanvasLayer)" }],
+    background: [{ file: "res://scenes/main.tscn", line: 5, via: "node_name", match: "FarBackground" }],
+  });
+});
+
+test("counts only functions whose whole body is pass", () => {
+  const model = modelWithScript(
+    ["func stub():", "\t# later", "\tpass", "func inline(): pass", "func real():", "\tpass", "\tprint(1)", ""].join("\n")
+  );
+  assert.deepEqual(findPassStubs(model), [
+    { file: "res://scripts/game.gd", line: 1, function: "stub" },
+    { file: "res://scripts/game.gd", line: 4, function: "inline" },
+  ]);
+});
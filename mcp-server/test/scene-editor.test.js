@@ -0,0 +1,120 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "fs/promises";
+import { parseTscn, serializeTscn } from "../src/scene-parser.js";
+import {
+  addSceneNode,
+  createScene,
+  deleteSceneNode,
+  nodePathOf,
+  updateSceneNode,
+} from "../src/scene-editor.js";
+
+const FIXTURES_DIR = new URL("./fixtures/scenes/", import.meta.url);
+
+async function loadFixture(name) {
+  return parseTscn(await readFile(new URL(name, FIXTURES_DIR), "utf-8"));
+}
+
+test("builds a scene from scratch with managed resource ids", async () => {
+  const scene = createScene();
+  assert.equal((await addSceneNode(scene, { name: "Main", type: "Node2D" })).path, ".");
+  await addSceneNode(scene, { name: "Walls", type: "StaticBody2D" });
+  const shape = await addSceneNode(scene, {
+    parentPath: "Walls",
+    name: "Shape",
+    type: "CollisionShape2D",
+    properties: {
+      shape: {
+        type: "SubResource",
+        resource_type: "RectangleShape2D",
+        properties: { size: { x: 32, y: 32 } },
+      },
+    },
+  });
+  await addSceneNode(scene, {
+    name: "Player",
+    instanceScene: "res://scenes/player.tscn",
+    properties: { position: { x: 10, y: 20 } },
+  });
+
+  assert.equal(shape.path, "Walls/Shape");
+  assert.equal(shape.sub_resources_added.length, 1);
+  const text = serializeTscn(scene);
+  assert.match(text, /^\[gd_scene load_steps=3 format=3\]/);
+  assert.match(text, /\[node name="Player" parent="\." instance=ExtResource\("1_[a-z0-9]{5}"\)\]/);
+  assert.deepEqual(
+    parseTscn(text).nodes.map(nodePathOf),
+    [".", "Walls", "Walls/Shape", "Player"]
+  );
+});
+
+test("rename and reparent keep descendants and file order consistent", async () => {
+  const scene = await loadFixture("player.tscn");
+  const renamed = await updateSceneNode(scene, "Sprite", { newName: "Body" });
+  assert.equal(renamed.path, "Body");
+  assert.equal(scene.nodes.find((node) => node.name === "Trail").parent, "Body");
+
+  const moved = await updateSceneNode(scene, "Hitbox", { newParentPath: "Body/Trail" });
+  assert.equal(moved.path, "Body/Trail/Hitbox");
+  const order = scene.nodes.map(nodePathOf);
+  assert.ok(order.indexOf("Body/Trail") < order.indexOf("Body/Trail/Hitbox"));
+
+  const cycle = await updateSceneNode(scene, "Body", { newParentPath: "Body/Trail" });
+  assert.match(cycle.error, /under itself/);
+});
+
+test("reparenting a node under its current parent leaves it in place", async () => {
+  const scene = await loadFixture("player.tscn");
+  const order = scene.nodes.map(nodePathOf);
+
+  const stay = await updateSceneNode(scene, "Hitbox", { newParentPath: "." });
+  assert.equal(stay.error, undefined);
+  assert.equal(stay.path, "Hitbox");
+  assert.deepEqual(scene.nodes.map(nodePathOf), order);
+
+  const renamed = await updateSceneNode(scene, "Sprite/Trail", { newParentPath: "Sprite", newName: "Glow" });
+  assert.equal(renamed.path, "Sprite/Glow");
+
+  const taken = await updateSceneNode(scene, "Sprite/Glow", { newParentPath: ".", newName: "Sprite" });
+  assert.match(taken.error, /Parent '\.' already has a child named 'Sprite'/);
+});
+
+test("deleting nodes prunes resources that are no longer used", async () => {
+  const scene = await loadFixture("player.tscn");
+  const result = deleteSceneNode(scene, "Sprite");
+  assert.deepEqual(result.deleted_nodes, ["Sprite", "Sprite/Trail"]);
+  assert.deepEqual(
+    result.resources_removed.map((item) => item.id).sort(),
+    ["2_s8fj1", "Gradient_trail"]
+  );
+  assert.match(serializeTscn(scene), /^\[gd_scene load_steps=3 format=3/);
+  assert.match(deleteSceneNode(scene, ".").error, /scene root/);
+});
+
+test("new nodes get unique_id when the scene already uses them", async () => {
+  const scene = parseTscn(
+    '[gd_scene format=3]\n\n[node name="Root" type="Node" unique_id=1183]\n'
+  );
+  await addSceneNode(scene, { name: "Child", type: "Node" });
+  const child = scene.nodes[1];
+  assert.equal(typeof child.unique_id, "number");
+  assert.notEqual(child.unique_id, 1183);
+});
+
+test("connections follow renamed nodes and go away with deleted ones", async () => {
+  const scene = await loadFixture("hud.tscn");
+  await updateSceneNode(scene, "Pause", { newName: "PauseButton", newParentPath: "Panel" });
+  assert.equal(scene.connections[0].from, "Panel/PauseButton");
+  assert.match(
+    serializeTscn(scene),
+    /\[connection signal="pressed" from="Panel\/PauseButton" to="\." method="_on_pause_pressed" flags=3 binds=\[true\]\]\n$/
+  );
+
+  const deleted = deleteSceneNode(scene, "Panel");
+  assert.deepEqual(deleted.connections_removed, [
+    { signal: "pressed", from: "Panel/PauseButton", to: ".", method: "_on_pause_pressed" },
+  ]);
+  assert.equal(scene.connections.length, 0);
+  assert.doesNotMatch(serializeTscn(scene), /\[connection/);
+});
@@ -0,0 +1,239 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile, readdir } from "fs/promises";
+import { parseTres, parseTscn, serializeTres, serializeTscn } from "../src/scene-parser.js";
+import { parseVariant, serializeVariant } from "../src/variant.js";
+
+const FIXTURES_DIR = new URL("./fixtures/scenes/", import.meta.url);
+const RESOURCE_FIXTURES_DIR = new URL("./fixtures/resources/", import.meta.url);
+
+async function loadFixtures() {
+  const names = (await readdir(FIXTURES_DIR)).filter((name) => name.endsWith(".tscn"));
+  return Promise.all(
+    names.sort().map(async (name) => ({
+      name,
+      content: await readFile(new URL(name, FIXTURES_DIR), "utf-8"),
+    }))
+  );
+}
+
+function structure(scene) {
+  return JSON.parse(JSON.stringify(scene));
+}
+
+test("lossless mode round-trips every fixture byte-for-byte", async () => {
+  for (const { name, content } of await loadFixtures()) {
+    assert.equal(serializeTscn(parseTscn(content)), content, name);
+  }
+});
+
+test("lossless mode keeps CRLF line endings", async () => {
+  for (const { name, content } of await loadFixtures()) {
+    const crlf = content.replace(/\n/g, "\r\n");
+    assert.equal(serializeTscn(parseTscn(crlf)), crlf, name);
+  }
+});
+
+test("canonical mode re-parses to the same structure", async () => {
+  for (const { name, content } of await loadFixtures()) {
+    const scene = parseTscn(content);
+    const rewritten = serializeTscn(scene, { mode: "canonical" });
+    assert.deepEqual(structure(parseTscn(rewritten)), structure(scene), name);
+  }
+});
+
+test("canonical mode keeps floats as floats", () => {
+  // Re-parsing cannot tell 90 from 90.0, so compare the text itself
+  const content =
+    '[gd_scene format=3 uid="uid://flt01"]\n' +
+    '\n' +
+    '[node name="Turret" type="Node2D"]\n' +
+    'position = Vector2(90, 0)\n' +
+    'rotation = 90.0\n' +
+    'scale = Vector2(2, 2)\n' +
+    'metadata/range = 1e+20\n' +
+    'metadata/steps = [0.5, 1.0, 2]\n' +
+    'metadata/limits = {\n' +
+    '"max": 10.0,\n' +
+    '"min": 0\n' +
+    '}\n' +
+    '\n' +
+    '[node name="Barrel" type="Sprite2D" parent="."]\n' +
+    'rotation = -45.0\n' +
+    'z_index = 3\n';
+  const scene = parseTscn(content);
+  assert.equal(serializeTscn(scene, { mode: "canonical" }), content);
+
+  const barrel = scene.nodes.find((node) => node.name === "Barrel");
+  barrel.properties.rotation = 30;
+  barrel.properties.z_index = 4;
+  assert.match(serializeTscn(scene, { mode: "canonical" }), /\nrotation = 30\.0\nz_index = 4\n$/);
+});
+
+test("editing one property rewrites only that line", async () => {
+  const content = await readFile(new URL("player.tscn", FIXTURES_DIR), "utf-8");
+  const scene = parseTscn(content);
+  const hitbox = scene.nodes.find((node) => node.name === "Hitbox");
+  hitbox.properties.position = { type: "Vector2", x: 4, y: -8 };
+
+  const before = content.split("\n");
+  const after = serializeTscn(scene).split("\n");
+  assert.equal(after.length, before.length);
+  const changed = after.filter((line, i) => line !== before[i]);
+  assert.deepEqual(changed, ["position = Vector2(4, -8)"]);
+});
+
+test("adding resources and nodes updates load_steps and keeps grouping", async () => {
+  const content = await readFile(new URL("player.tscn", FIXTURES_DIR), "utf-8");
+  const scene = parseTscn(content);
+  scene.ext_resources.push({
+    type: "AudioStream",
+    path: "res://assets/audio/shoot.wav",
+    id: "3_snd",
+  });
+  scene.nodes.push({
+    name: "ShootSound",
+    type: "AudioStreamPlayer2D",
+    parent: ".",
+    properties: { stream: { type: "ExtResource", id: "3_snd" }, volume_db: -6 },
+  });
+
+  const text = serializeTscn(scene);
+  assert.match(text, /^\[gd_scene load_steps=6 format=3 uid="uid:\/\/b8x2k4player"\]\n/);
+  assert.ok(
+    text.includes(
+      'id="2_s8fj1"]\n[ext_resource type="AudioStream" path="res://assets/audio/shoot.wav" id="3_snd"]\n\n[sub_resource'
+    )
+  );
+  assert.ok(
+    text.includes(
+      'one_shot = true\n\n[node name="ShootSound" type="AudioStreamPlayer2D" parent="."]\n' +
+        'stream = ExtResource("3_snd")\nvolume_db = -6\n\n[connection'
+    )
+  );
+  assert.deepEqual(
+    structure(parseTscn(text).nodes.at(-1)),
+    structure(scene.nodes.at(-1))
+  );
+});
+
+test("headers without load_steps stay without it", async () => {
+  const content = await readFile(new URL("level.tscn", FIXTURES_DIR), "utf-8");
+  const scene = parseTscn(content);
+  scene.ext_resources.pop();
+  scene.nodes = scene.nodes.filter((node) => node.name !== "HUD");
+  const text = serializeTscn(scene);
+  assert.ok(text.startsWith('; Level scene written by Godot 4.4 (no load_steps in header)\n[gd_scene format=3 uid="uid://lvl44"]\n'));
+  assert.ok(!text.includes("2_hud"));
+});
+
+test("scenes built from scratch use the editor's layout", () => {
+  const text = serializeTscn({
+    format: 3,
+    ext_resources: [{ type: "Script", path: "res://scripts/main.gd", id: "1_main" }],
+    sub_resources: [],
+    nodes: [
+      {
+        name: "Main",
+        type: "Node2D",
+        parent: "",
+        properties: { script: { type: "ExtResource", id: "1_main" } },
+      },
+      { name: "Label", type: "Label", parent: ".", properties: { text: "Hi" } },
+    ],
+  });
+  assert.equal(
+    text,
+    '[gd_scene load_steps=2 format=3]\n\n' +
+      '[ext_resource type="Script" path="res://scripts/main.gd" id="1_main"]\n\n' +
+      '[node name="Main" type="Node2D"]\nscript = ExtResource("1_main")\n\n' +
+      '[node name="Label" type="Label" parent="."]\ntext = "Hi"\n'
+  );
+});
+
+test("Variant values survive serialize → parse", () => {
+  const values = [
+    'Vector2(10, -20.5)',
+    'Vector3i(1, 2, 3)',
+    'Color(1, 0, 0, 0.5)',
+    'Rect2(0, 0, 64, 32)',
+    'Transform2D(1, 0, 0, 1, 12, 24)',
+    'Transform3D(1, 0, 0, 0, 1, 0, 0, 0, 1, 3, 2, 1)',
+    'NodePath("Player/Sprite:modulate")',
+    '&"attack"',
+    'ExtResource("1_abc")',
+    'PackedStringArray("res://a.gd", "res://b.gd")',
+    'PackedVector2Array(0, 0, 5, 5)',
+    'Array[int]([1, 2, 3])',
+    '[1, "two", null, true]',
+    '{\n"a": 1,\n"b": [2, 3]\n}',
+    'Object(InputEventKey,"resource_local_to_scene":false,"keycode":65,"script":null)',
+    '"multi\nline \\"quoted\\" \\\\ text"',
+    'inf_neg',
+  ];
+  for (const text of values) {
+    assert.equal(serializeVariant(parseVariant(text)), text);
+  }
+});
+
+test("parses connections and editable paths", async () => {
+  const hud = parseTscn(await readFile(new URL("hud.tscn", FIXTURES_DIR), "utf-8"));
+  assert.deepEqual(hud.connections, [
+    {
+      signal: "pressed",
+      from: "Pause",
+      to: ".",
+      method: "_on_pause_pressed",
+      flags: 3,
+      binds: [true],
+    },
+  ]);
+
+  hud.connections.push({
+    signal: "timeout",
+    from: "Panel",
+    to: ".",
+    method: "_on_timeout",
+    flags: 2,
+    binds: [],
+  });
+  assert.match(
+    serializeTscn(hud),
+    /binds=\[true\]\]\n\[connection signal="timeout" from="Panel" to="\." method="_on_timeout"\]\n$/
+  );
+
+  const level = parseTscn(await readFile(new URL("level.tscn", FIXTURES_DIR), "utf-8"));
+  assert.deepEqual(level.editable, [{ path: "Player" }]);
+});
+
+test("round-trips .tres resources byte-for-byte", async () => {
+  const names = (await readdir(RESOURCE_FIXTURES_DIR)).filter((name) => name.endsWith(".tres"));
+  assert.ok(names.length >= 3);
+  for (const name of names) {
+    const text = await readFile(new URL(name, RESOURCE_FIXTURES_DIR), "utf-8");
+    assert.equal(serializeTres(parseTres(text)), text, name);
+  }
+});
+
+test("parses resource values and rewrites only edited ones", async () => {
+  const text = await readFile(new URL("enemy_stats.tres", RESOURCE_FIXTURES_DIR), "utf-8");
+  const resource = parseTres(text);
+  assert.equal(resource.type, "Resource");
+  assert.equal(resource.script_class, "EnemyStats");
+  assert.deepEqual(resource.properties.drops, {
+    type: "Array",
+    element_type: "String",
+    values: ["coin", "gem"],
+  });
+
+  resource.properties.speed = 90;
+  delete resource.properties.icon;
+  resource.ext_resources.pop();
+  const out = serializeTres(resource);
+  assert.match(out, /^\[gd_resource type="Resource" script_class="EnemyStats" load_steps=2 format=3/);
+  assert.match(out, /\nspeed = 90\.0\n/);
+  assert.doesNotMatch(out, /enemy\.png|icon =/);
+  assert.match(out, /drops = Array\[String\]\(\["coin", "gem"\]\)/);
+
+  assert.throws(() => parseTres("[gd_scene format=3]\n"), /Expected a \[gd_resource\] header/);
+});
@@ -0,0 +1,164 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { dirname, join } from "path";
+
+// scene-parser.js reads GODOT_PROJECT_PATH at import time
+const project = await mkdtemp(join(tmpdir(), "signal-graph-"));
+process.env.GODOT_PROJECT_PATH = project;
+const { buildSignalGraph } = await import("../src/signal-graph.js");
+
+after(() => rm(project, { recursive: true, force: true }));
+
+const FILES = {
+  "scripts/base_menu.gd": `class_name BaseMenu
+extends Control
+
+func _on_start_pressed() -> void:
+	pass
+`,
+  "scripts/menu.gd": `extends BaseMenu
+
+func _on_back() -> void:
+	pass
+`,
+  "scripts/base_enemy.gd": `class_name BaseEnemy
+extends Area2D
+
+func _on_hit(amount := 1) -> void:
+	pass
+`,
+  "scripts/enemy.gd": `extends BaseEnemy
+
+func _ready() -> void:
+	body_entered.connect(_on_hit)
+	$Cooldown.timeout.connect(_on_cooldown)
+	connect("area_entered", Callable(self, "_on_area"))
+	connect("mouse_entered", self, "_on_hit")
+	body_exited.connect(func(body): print(body))
+	monitoring_changed.connect(_on_hit.bind(2))
+	input_event.connect(queue_free)
+	$Hud/Button.pressed.connect(other._on_pressed)
+`,
+  "scripts/decal.gd": `extends Sprite2D
+
+func _ready() -> void:
+	visibility_changed.connect(fade_out)
+`,
+  "scenes/menu.tscn": `[gd_scene load_steps=2 format=3]
+
+[ext_resource type="Script" path="res://scripts/menu.gd" id="1_menu"]
+
+[node name="Menu" type="Control"]
+script = ExtResource("1_menu")
+
+[node name="Start" type="Button" parent="."]
+text = "Start"
+
+[node name="Sound" type="Button" parent="."]
+toggle_mode = true
+
+[node name="Blink" type="Timer" parent="."]
+
+[node name="Logo" type="Sprite2D" parent="."]
+
+[connection signal="pressed" from="Start" to="." method="_on_start_pressed"]
+[connection signal="pressed" from="Start" to="." method="_on_quit_pressed"]
+[connection signal="toggled" from="Sound" to="Start" method="set_pressed" binds=[false]]
+[connection signal="timeout" from="Blink" to="Sound" method="_on_blink"]
+[connection signal="timeout" from="Blink" to="Logo" method="flash"]
+[connection signal="timeout" from="Blink" to="Missing" method="hide"]
+`,
+};
+
+for (const [path, content] of Object.entries(FILES)) {
+  await mkdir(dirname(join(project, path)), { recursive: true });
+  await writeFile(join(project, path), content);
+}
+
+const graph = await buildSignalGraph({
+  scenePaths: ["res://scenes/menu.tscn"],
+  scriptPaths: Object.keys(FILES)
+    .filter((path) => path.endsWith(".gd"))
+    .map((path) => `res://${path}`),
+});
+
+function find(source, signal, method) {
+  const found = graph.connections.filter(
+    (c) => c.source === source && c.signal === signal && c.method === method
+  );
+  assert.equal(found.length, 1, `${source} ${signal} -> ${method}`);
+  return found[0];
+}
+
+test("reads [connection] sections with their line numbers, binds and node types", () => {
+  assert.deepEqual(graph.errors, []);
+  const sceneConnections = graph.connections.filter((c) => c.source === "scene");
+  assert.equal(sceneConnections.length, 6);
+
+  const toggled = find("scene", "toggled", "set_pressed");
+  assert.equal(toggled.file, "res://scenes/menu.tscn");
+  assert.equal(toggled.line, 20);
+  assert.equal(toggled.from_type, "Button");
+  assert.equal(toggled.to_type, "Button");
+  assert.deepEqual(toggled.binds, [false]);
+  assert.equal(toggled.target_script, null);
+});
+
+test("finds scene target methods through the scripts a script extends", () => {
+  const inherited = find("scene", "pressed", "_on_start_pressed");
+  assert.equal(inherited.status, "ok");
+  assert.equal(inherited.defined_in, "res://scripts/base_menu.gd");
+  assert.equal(inherited.target_script, "res://scripts/menu.gd");
+
+  const missing = find("scene", "pressed", "_on_quit_pressed");
+  assert.equal(missing.status, "missing_method");
+  assert.match(missing.issue, /'_on_quit_pressed' is not defined in res:\/\/scripts\/menu\.gd or its base class Control/);
+
+  assert.match(find("scene", "timeout", "hide").issue, /Target node 'Missing' does not exist/);
+});
+
+test("resolves methods of script-less targets through their engine classes", () => {
+  const inherited = find("scene", "toggled", "set_pressed");
+  assert.equal(inherited.status, "builtin");
+  assert.equal(inherited.engine_class, "BaseButton");
+
+  const missing = find("scene", "timeout", "_on_blink");
+  assert.equal(missing.status, "missing_method");
+  assert.match(missing.issue, /Target Button node has no script, and Button has no method '_on_blink'/);
+
+  // Sprite2D's methods are not described, so nothing can be concluded
+  const unknown = find("scene", "timeout", "flash");
+  assert.equal(unknown.status, "unresolved");
+  assert.equal(unknown.issue, undefined);
+});
+
+test("understands every connect() form in scripts", () => {
+  const member = find("script", "body_entered", "_on_hit");
+  assert.deepEqual(
+    [member.from, member.to, member.status, member.defined_in],
+    ["self", "self", "ok", "res://scripts/base_enemy.gd"]
+  );
+
+  const nested = find("script", "timeout", "_on_cooldown");
+  assert.equal(nested.from, "$Cooldown");
+  assert.equal(nested.status, "missing_method");
+  assert.match(nested.issue, /res:\/\/scripts\/enemy\.gd or its base class Area2D/);
+
+  assert.equal(find("script", "area_entered", "_on_area").status, "missing_method");
+  assert.equal(find("script", "mouse_entered", "_on_hit").status, "ok");
+  assert.equal(find("script", "body_exited", "").status, "lambda");
+  assert.equal(find("script", "monitoring_changed", "_on_hit").status, "ok");
+
+  const engine = find("script", "input_event", "queue_free");
+  assert.equal(engine.status, "builtin");
+  assert.equal(engine.engine_class, "Node");
+
+  const other = find("script", "pressed", "_on_pressed");
+  assert.equal(other.from, "$Hud/Button");
+  assert.equal(other.to, "other");
+  assert.equal(other.status, "unresolved");
+
+  assert.equal(find("script", "visibility_changed", "fade_out").status, "unresolved");
+});
@@ -0,0 +1,379 @@
+/**
+ * Scriptable stand-in for the Godot editor's HTTP bridge (http_bridge.gd),
+ * so tools can be tested without a running editor.
+ *
+ * Every route the plugin serves is implemented against an in-memory editor
+ * (scene tree, errors, play state, phase, open scripts) loaded from a JSON
+ * fixture, with the plugin's response shapes — including its habit of
+ * answering editor-side failures with HTTP 200 and `{error}`. GET /events
+ * is a Server-Sent Events stream with the same format and Last-Event-ID
+ * replay as the plugin.
+ *
+ * Any route can be scripted to misbehave:
+ *
+ *   mock.respond("GET /scene_tree", { delayMs: 300 });          // slow, then the normal answer
+ *   mock.respond("GET /errors", { status: 500, json: { error: "boom" } });
+ *   mock.respond("GET /status", { body: "<html>", contentType: "text/html" });
+ *   mock.respond("GET /detailed_errors", { hang: true }, { times: 1 });
+ *   mock.respond("POST /run", { reset: true });                 // drop the connection
+ *   mock.respond("POST /add_node", (req, editor) => ({ json: { success: true, path: req.body.node_name } }));
+ *
+ * Fixtures may also carry a `routes` object with the same static specs.
+ */
+import { createServer } from "http";
+import { readFileSync } from "fs";
+import { ENGINE_CLASSES } from "../../src/godot-classes.js";
+
+export const DEFAULT_BRIDGE_FIXTURE = new URL("../fixtures/bridge/editor.json", import.meta.url);
+
+const EVENT_LOG_SIZE = 200;
+
+/**
+ * @typedef {object} ResponseSpec
+ * @property {number} [status] HTTP status (default 200)
+ * @property {any} [json] Body sent as JSON
+ * @property {string} [body] Raw body, sent as-is
+ * @property {string} [contentType]
+ * @property {number} [delayMs] Wait before answering
+ * @property {boolean} [hang] Never answer (the client times out)
+ * @property {boolean} [reset] Destroy the socket without answering
+ *
+ * A spec with none of json/body/hang/reset delays and then falls through to
+ * the built-in handler.
+ */
+
+// ---------------------------------------------------------------------------
+// Editor model
+// ---------------------------------------------------------------------------
+
+function loadFixture(fixture) {
+  if (fixture && typeof fixture === "object" && !(fixture instanceof URL)) {
+    return structuredClone(fixture);
+  }
+  return JSON.parse(readFileSync(fixture ?? DEFAULT_BRIDGE_FIXTURE, "utf-8"));
+}
+
+function createEditor(fixture) {
+  return {
+    status: fixture.status ?? {},
+    errors: fixture.errors ?? [],
+    warnings: fixture.warnings ?? [],
+    detailedErrors: fixture.detailed_errors ?? null,
+    sceneTree: fixture.scene_tree ?? null,
+    classes: fixture.classes ?? {},
+    openScripts: fixture.open_scripts ?? [],
+    screenshot: fixture.screenshot ?? null,
+    isPlaying: false,
+    runningScene: null,
+    phase: {},
+    logs: [],
+  };
+}
+
+function findNode(root, nodePath) {
+  if (nodePath === ".") return root;
+  let node = root;
+  for (const name of nodePath.split("/").filter(Boolean)) {
+    node = (node.children ?? []).find((child) => child.name === name);
+    if (!node) return null;
+  }
+  return node;
+}
+
+function serializeTree(node, maxDepth, depth = 0, path = "") {
+  const { children = [], properties, ...rest } = node;
+  return {
+    ...rest,
+    path: depth === 0 ? "." : path,
+    process_mode: node.process_mode ?? 0,
+    children:
+      depth < maxDepth
+        ? children.map((child) =>
+            serializeTree(child, maxDepth, depth + 1, path ? `${path}/${child.name}` : child.name)
+          )
+        : [],
+  };
+}
+
+const NO_SCENE = { error: "No scene open in the editor" };
+
+// Built-in handlers, mirroring http_bridge.gd's _route(). Each returns the
+// JSON body; the plugin always answers these with HTTP 200.
+const ROUTES = {
+  "GET /status": (req, editor) => ({
+    connected: true,
+    plugin_version: "mock",
+    project_name: "",
+    main_scene: "",
+    scripts: [],
+    scenes: [],
+    ...editor.status,
+    is_playing: editor.isPlaying,
+  }),
+  "GET /errors": (req, editor) => ({ errors: editor.errors, warnings: editor.warnings }),
+  "POST /run": (req, editor, mock) => {
+    editor.isPlaying = true;
+    editor.runningScene = req.body.scene_path ?? "";
+    mock.emit("play_state", { is_playing: true });
+    return { ok: true, scene: editor.runningScene };
+  },
+  "POST /stop": (req, editor, mock) => {
+    if (editor.isPlaying) mock.emit("play_state", { is_playing: false });
+    editor.isPlaying = false;
+    editor.runningScene = null;
+    return { ok: true };
+  },
+  "POST /reload": () => ({ ok: true }),
+  "POST /log": (req, editor) => {
+    if (req.body.message) editor.logs.push(req.body.message);
+    return { ok: true };
+  },
+  "POST /phase": (req, editor, mock) => {
+    editor.phase = req.body;
+    mock.emit("phase", req.body);
+    return { ok: true };
+  },
+  "GET /phase": (req, editor) => editor.phase,
+  "GET /scene_tree": (req, editor) => {
+    if (!editor.sceneTree) return NO_SCENE;
+    const maxDepth = Math.max(0, parseInt(req.query.max_depth ?? "10", 10) || 0);
+    return serializeTree(editor.sceneTree, maxDepth);
+  },
+  "GET /class_info": (req, editor) => {
+    const className = req.query.class_name ?? "";
+    if (!className) return { error: "class_name parameter required" };
+    const info = editor.classes[className];
+    if (!info) return { error: `Unknown class: ${className}` };
+    return { class_name: className, properties: [], methods: [], signals: [], ...info };
+  },
+  "POST /add_node": (req, editor) => {
+    const root = editor.sceneTree;
+    if (!root) return NO_SCENE;
+    const { parent_path: parentPath = ".", node_name: nodeName = "", node_type: nodeType = "", properties = {} } = req.body;
+    if (!nodeName || !nodeType) return { error: "node_name and node_type are required" };
+    if (!ENGINE_CLASSES.has(nodeType) && !editor.classes[nodeType]) return { error: `Unknown node type: ${nodeType}` };
+    const parent = findNode(root, parentPath);
+    if (!parent) return { error: `Parent not found: ${parentPath}` };
+    (parent.children ??= []).push({ name: nodeName, type: nodeType, properties, children: [] });
+    return { success: true, path: parentPath === "." ? nodeName : `${parentPath}/${nodeName}` };
+  },
+  "POST /update_node": (req, editor) => {
+    if (!editor.sceneTree) return NO_SCENE;
+    const { node_path: nodePath = "", properties = {} } = req.body;
+    if (!nodePath) return { error: "node_path is required" };
+    const node = findNode(editor.sceneTree, nodePath);
+    if (!node) return { error: `Node not found: ${nodePath}` };
+    node.properties = { ...node.properties, ...properties };
+    return { success: true, updated: Object.keys(properties) };
+  },
+  "POST /delete_node": (req, editor) => {
+    if (!editor.sceneTree) return NO_SCENE;
+    const nodePath = req.body.node_path ?? "";
+    if (!nodePath || nodePath === ".") return { error: "Cannot delete the scene root" };
+    const slash = nodePath.lastIndexOf("/");
+    const parent = slash < 0 ? editor.sceneTree : findNode(editor.sceneTree, nodePath.slice(0, slash));
+    const index = parent?.children?.findIndex((child) => child.name === nodePath.slice(slash + 1)) ?? -1;
+    if (index < 0) return { error: `Node not found: ${nodePath}` };
+    parent.children.splice(index, 1);
+    return { success: true };
+  },
+  "GET /screenshot": (req, editor) => editor.screenshot ?? { error: "Could not access editor viewport" },
+  "GET /open_scripts": (req, editor) => ({ scripts: editor.openScripts }),
+  "GET /detailed_errors": (req, editor) => ({
+    errors: editor.detailedErrors ?? editor.errors,
+    warnings: editor.warnings,
+  }),
+};
+
+/** Routes served by the plugin, as "METHOD /path" (GET /events included). */
+export const BRIDGE_ROUTES = [...Object.keys(ROUTES), "GET /events"];
+
+// ---------------------------------------------------------------------------
+// Server
+// ---------------------------------------------------------------------------
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let text = "";
+    req.setEncoding("utf-8");
+    req.on("data", (chunk) => (text += chunk));
+    req.on("end", () => resolve(text));
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Start a mock bridge on 127.0.0.1.
+ * @param {{fixture?: string|URL|object, port?: number, latencyMs?: number}} [options]
+ *   `fixture` is a path/URL to a JSON fixture or the fixture object itself;
+ *   `latencyMs` delays every response except the event stream.
+ */
+export async function startMockBridge({ fixture, port = 0, latencyMs = 0 } = {}) {
+  const loaded = loadFixture(fixture);
+  let editor = createEditor(loaded);
+  const overrides = new Map();
+  const requests = [];
+  const streams = new Set();
+  const sockets = new Set();
+  let seq = 0;
+  let eventLog = [];
+
+  function format(event) {
+    return `id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+  }
+
+  function emit(type, data) {
+    seq += 1;
+    const event = { seq, type, data };
+    eventLog.push(event);
+    if (eventLog.length > EVENT_LOG_SIZE) eventLog.shift();
+    for (const res of streams) res.write(format(event));
+  }
+
+  function errorsEvent() {
+    emit("errors", {
+      errors: editor.errors,
+      warnings: editor.warnings,
+      error_count: editor.errors.length,
+      warning_count: editor.warnings.length,
+    });
+  }
+
+  function respond(route, spec, { times = Infinity } = {}) {
+    const queue = overrides.get(route) ?? [];
+    queue.push({ spec, remaining: times });
+    overrides.set(route, queue);
+  }
+
+  function takeOverride(route) {
+    for (const key of [route, "*"]) {
+      const queue = overrides.get(key);
+      const entry = queue?.[0];
+      if (!entry) continue;
+      entry.remaining -= 1;
+      if (entry.remaining <= 0) queue.shift();
+      return entry.spec;
+    }
+    return null;
+  }
+
+  for (const [route, spec] of Object.entries(loaded.routes ?? {})) respond(route, spec);
+
+  const mock = {
+    url: "",
+    port: 0,
+    requests,
+    get editor() {
+      return editor;
+    },
+    respond,
+    /** Remove scripted responses for one route, or all of them. */
+    clear(route) {
+      if (route) overrides.delete(route);
+      else overrides.clear();
+    },
+    /** Requests received for one route ("METHOD /path"). */
+    calls(route) {
+      return requests.filter((request) => `${request.method} ${request.path}` === route);
+    },
+    emit,
+    setErrors(errors, warnings = editor.warnings) {
+      editor.errors = errors;
+      editor.warnings = warnings;
+      errorsEvent();
+    },
+    dropStreams() {
+      for (const res of streams) res.destroy();
+      streams.clear();
+    },
+    /** Back to the fixture state: no scripted responses, no requests, no events. */
+    reset() {
+      editor = createEditor(loadFixture(fixture));
+      overrides.clear();
+      for (const [route, spec] of Object.entries(loaded.routes ?? {})) respond(route, spec);
+      requests.length = 0;
+      eventLog = [];
+    },
+    async close() {
+      for (const socket of sockets) socket.destroy();
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+
+  function openStream(req, res, query) {
+    const since = Number(req.headers["last-event-id"] ?? query.since ?? -1);
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.write("retry: 2000\n\n");
+    res.write(format({ seq, type: "hello", data: { seq, is_playing: editor.isPlaying } }));
+    for (const event of eventLog) if (since >= 0 && event.seq > since) res.write(format(event));
+    streams.add(res);
+    req.on("close", () => streams.delete(res));
+    errorsEvent();
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    const query = Object.fromEntries(url.searchParams);
+    const route = `${req.method} ${url.pathname}`;
+    const text = await readBody(req);
+    let body = {};
+    if (text) {
+      try {
+        body = JSON.parse(text);
+      } catch {
+        body = null;
+      }
+    }
+    const request = { method: req.method, path: url.pathname, query, body };
+    requests.push(request);
+
+    const send = (status, payload, contentType = "application/json") => {
+      if (res.destroyed) return;
+      res.writeHead(status, { "Content-Type": contentType });
+      res.end(typeof payload === "string" ? payload : JSON.stringify(payload));
+    };
+
+    if (body === null || Array.isArray(body) || typeof body !== "object") {
+      return send(400, { error: "invalid JSON body" });
+    }
+
+    const override = takeOverride(route);
+    const spec = typeof override === "function" ? await override(request, editor, mock) : override;
+    const delay = (spec?.delayMs ?? 0) + (route === "GET /events" ? 0 : latencyMs);
+    if (delay > 0) await sleep(delay);
+
+    if (spec?.hang) return;
+    if (spec?.reset) return req.socket.destroy();
+    if (spec && "body" in spec) return send(spec.status ?? 200, String(spec.body), spec.contentType ?? "text/plain");
+    if (spec && "json" in spec) return send(spec.status ?? 200, spec.json, spec.contentType);
+
+    if (route === "GET /events") return openStream(req, res, query);
+    const handler = ROUTES[route];
+    if (!handler) return send(404, { error: "not found", path: url.pathname });
+    return send(spec?.status ?? 200, handler(request, editor, mock));
+  }
+
+  const server = createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      if (!res.headersSent) res.writeHead(500, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: err.message }));
+    });
+  });
+  server.on("connection", (socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", resolve);
+  });
+  mock.port = server.address().port;
+  mock.url = `http://127.0.0.1:${mock.port}`;
+  return mock;
+}
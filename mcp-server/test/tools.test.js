@@ -0,0 +1,309 @@
+import { test, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { access, cp, mkdtemp, readFile, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { startMockBridge } from "./support/mock-bridge.js";
+
+// godot-bridge.js and tools.js read their configuration at import time
+const mock = await startMockBridge();
+const project = await mkdtemp(join(tmpdir(), "tools-harness-"));
+const fixtures = new URL("./fixtures/", import.meta.url);
+await cp(new URL("project/project.godot", fixtures), join(project, "project.godot"));
+for (const dir of ["scenes", "scripts", "resources"]) {
+  await cp(new URL(dir, fixtures), join(project, dir), { recursive: true });
+}
+await writeFile(join(project, "scripts", "game_state.gd"), "extends Node\n\nvar score := 0\n");
+Object.assign(process.env, {
+  GODOT_BRIDGE_PORT: String(mock.port),
+  GODOT_PROJECT_PATH: project,
+  GODOT_BRIDGE_TIMEOUT_MS: "400",
+  GODOT_BRIDGE_DETAILED_TIMEOUT: "500",
+  GODOT_BRIDGE_RETRY_BASE_MS: "10",
+});
+const { TOOL_DEFINITIONS, handleToolCall, getErrorCount } = await import("../src/tools.js");
+const { getBridgeState, resetBridgeState } = await import("../src/godot-bridge.js");
+
+beforeEach(() => resetBridgeState());
+
+after(async () => {
+  await mock.close();
+  await rm(project, { recursive: true, force: true });
+});
+
+const flags = (...names) => Object.fromEntries(names.map((name) => [name, true]));
+const POC_REVIEW = {
+  iteration_count: 1,
+  hard_gates: flags("zero_script_errors", "no_critical_warnings", "play_loop_complete", "controls_clear", "no_soft_lock", "quality_gates_passed"),
+  anti_tutorial_visual_checks: flags(
+    "named_art_direction",
+    "palette_discipline",
+    "silhouette_readability",
+    "layering_depth",
+    "feedback_clarity",
+    "ui_theme_consistency",
+    "no_raw_placeholder_feel"
+  ),
+  scores: {
+    core_loop_fun: 4,
+    controls_game_feel: 4,
+    progression_variety: 4,
+    encounter_depth: 4,
+    visual_polish_cohesion: 4,
+    ux_onboarding_feedback: 4,
+  },
+};
+
+/**
+ * One call per tool, run in order against the mock bridge. `args` may be a
+ * function of the earlier results (by tool name); `routes` lists bridge
+ * routes the call must reach; `check` inspects the result.
+ */
+const CASES = [
+  ["godot_get_project_state", {}, { routes: ["GET /status"], check: (r) => assert.equal(r.editor_status.project_name, "Space Blaster") }],
+  ["godot_run_scene", { scene_path: "res://scenes/level.tscn" }, { routes: ["POST /run"], check: () => assert.equal(mock.editor.isPlaying, true) }],
+  ["godot_stop_scene", {}, { routes: ["POST /stop"], check: () => assert.equal(mock.editor.isPlaying, false) }],
+  ["godot_get_errors", {}, { routes: ["GET /errors", "GET /detailed_errors"], check: (r) => assert.equal(r.warnings.length, 1) }],
+  ["godot_get_events", {}, { check: (r) => assert.equal(r.stream.connected, false) }],
+  ["godot_lint_scripts", { paths: ["res://scripts/broken.gd"] }, { check: (r) => assert.ok(r.errors.length > 0) }],
+  ["godot_reload_filesystem", {}, { routes: ["POST /reload", "GET /errors"], check: (r) => assert.equal(r._error_count, 0) }],
+  ["godot_parse_scene", { scene_path: "res://scenes/player.tscn" }, { check: (r) => assert.ok(r.nodes.length > 0) }],
+  ["godot_generate_asset", { name: "hero", type: "character" }, { check: (r) => assert.equal(r.path, "res://assets/sprites/hero.svg") }],
+  ["godot_generate_asset_pack", { preset: "platformer", include_background: false, include_ui: false }, { check: (r) => assert.ok(r.generated.length > 0) }],
+  ["godot_scan_project_files", { extensions: ["tscn"] }, { check: (r) => assert.ok(r.files.includes("res://scenes/player.tscn")) }],
+  ["godot_read_project_setting", { key: "application/config/name" }, { check: (r) => assert.equal(r.value, "Space Blaster") }],
+  ["godot_write_project_setting", { key: "display/window/size/viewport_width", value: 1920 }, { check: (r) => assert.equal(r.success, true) }],
+  ["godot_list_input_actions", {}, { check: (r) => assert.ok(r.actions.some((action) => action.name === "move_left")) }],
+  ["godot_add_input_action", { action: "jump", events: ["Space"] }, { check: (r) => assert.equal(r.success, true) }],
+  ["godot_remove_input_action", { action: "jump" }, { check: (r) => assert.equal(r.success, true) }],
+  ["godot_list_autoloads", {}, { check: (r) => assert.equal(r.autoloads[0].name, "GameState") }],
+  ["godot_add_autoload", { name: "Audio", path: "res://scripts/clean.gd" }, { check: (r) => assert.equal(r.success, true) }],
+  ["godot_reorder_autoloads", { order: ["Audio", "GameState"] }, { check: (r) => assert.deepEqual(r.autoloads, ["Audio", "GameState"]) }],
+  ["godot_remove_autoload", { name: "Audio" }, { check: (r) => assert.equal(r.removed, true) }],
+  ["godot_list_addons", {}, { check: (r) => assert.equal(r.ok, true) }],
+  // Unknown ids: a real install clones from the network
+  ["godot_install_addon", { addon_id: "not_in_catalog" }, { check: (r) => assert.equal(r.ok, false) }],
+  ["godot_verify_addon", { addon_id: "not_in_catalog" }, { check: (r) => assert.equal(r.ok, false) }],
+  ["godot_apply_integration_pack", { pack_id: "not_in_catalog" }, { check: (r) => assert.equal(r.rejected, true) }],
+  ["godot_score_poc_quality", { benchmark_id: "harness", run_id: "run-1", ...POC_REVIEW }, { check: (r) => assert.equal(r.ok, true) }],
+  ["godot_log", { message: "harness says hi" }, { routes: ["POST /log"], check: () => assert.ok(mock.editor.logs.includes("harness says hi")) }],
+  ["godot_save_build_state", { state: { game_name: "Space Blaster", current_phase: { number: 1, status: "in_progress" } } }, { check: (r) => assert.equal(r.ok, true) }],
+  ["godot_get_build_state", {}, { check: (r) => assert.equal(r.state.game_name, "Space Blaster") }],
+  ["godot_list_build_states", {}, { check: (r) => assert.equal(r.checkpoints.length, 1) }],
+  ["godot_restore_build_state", (results) => ({ checkpoint_id: results.godot_save_build_state.checkpoint }), { check: (r) => assert.equal(r.ok, true) }],
+  ["godot_snapshot_project", { label: "harness" }, { check: (r) => assert.ok(r.snapshot_id) }],
+  ["godot_list_snapshots", {}, { check: (r) => assert.equal(r.snapshots.length, 1) }],
+  ["godot_diff_snapshots", { from: "latest" }, { check: (r) => assert.deepEqual(r.modified, []) }],
+  ["godot_rollback_project", { snapshot_id: "latest", dry_run: true }, { check: (r) => assert.equal(r.dry_run, true) }],
+  ["godot_git_checkpoints", {}, { check: (r) => assert.equal(r.repo, false) }],
+  ["godot_git_diff_since_phase", { phase_number: 1 }, { check: (r) => assert.match(r.error, /not in a git repository/) }],
+  ["godot_get_latest_quality_report", {}, { check: (r) => assert.ok(Array.isArray(r.reports)) }],
+  ["godot_export_quality_dashboard", {}, { check: (r) => assert.equal(r.ok, true) }],
+  ["godot_quality_trend", {}, { check: (r) => assert.equal(typeof r.found, "boolean") }],
+  ["godot_quality_summary", {}, { check: (r) => assert.equal(r.decision, "INSUFFICIENT_DATA") }],
+  ["godot_compare_benchmarks", {}, { check: (r) => assert.equal(r.baseline.report_files_matched, 0) }],
+  ["godot_evaluate_quality_gates", { phase_number: 1, phase_name: "Foundation" }, { check: (r) => assert.equal(r.ok, true) }],
+  ["godot_update_phase", { phase_number: 1, phase_name: "Foundation", status: "in_progress" }, { routes: ["POST /phase"], check: () => assert.equal(mock.editor.phase.phase_number, 1) }],
+  ["godot_get_scene_tree", { max_depth: 1 }, { routes: ["GET /scene_tree"], check: (r) => assert.equal(r.children.length, 2) }],
+  ["godot_get_class_info", { class_name: "CharacterBody2D" }, { routes: ["GET /class_info"], check: (r) => assert.equal(r.parent_class, "PhysicsBody2D") }],
+  ["godot_add_node", { node_name: "Hitbox", node_type: "Area2D" }, { routes: ["POST /add_node"], check: (r) => assert.equal(r.path, "Hitbox") }],
+  ["godot_update_node", { node_path: "Hitbox", properties: { monitoring: false } }, { routes: ["POST /update_node"], check: (r) => assert.deepEqual(r.updated, ["monitoring"]) }],
+  ["godot_delete_node", { node_path: "Hitbox" }, { routes: ["POST /delete_node"], check: (r) => assert.equal(r.success, true) }],
+  ["godot_get_editor_screenshot", {}, { routes: ["GET /screenshot"], check: (r) => assert.equal(r.width, 1) }],
+  ["godot_get_open_scripts", {}, { routes: ["GET /open_scripts"], check: (r) => assert.equal(r.scripts.length, 1) }],
+  ["godot_scene_add_node", { scene_path: "res://scenes/player.tscn", node_name: "Shadow", node_type: "Sprite2D" }, { check: (r) => assert.equal(r.success, true) }],
+  ["godot_scene_update_node", { scene_path: "res://scenes/player.tscn", node_path: "Shadow", properties: { visible: false } }, { check: (r) => assert.equal(r.success, true) }],
+  ["godot_scene_delete_node", { scene_path: "res://scenes/player.tscn", node_path: "Shadow" }, { check: (r) => assert.equal(r.success, true) }],
+  ["godot_get_signal_graph", {}, { check: (r) => assert.equal(r.scenes_scanned, 4) }],
+  ["godot_get_dependency_graph", {}, { check: (r) => assert.ok(r.edge_count > 0) }],
+  ["godot_get_symbols", { file: "res://scripts/clean.gd" }, { check: (r) => assert.equal(r.scripts[0].class_name, "Player") }],
+  ["godot_find_references", { symbol: "score" }, { check: (r) => assert.equal(r.declarations.length, 1) }],
+  ["godot_parse_resource", { resource_path: "res://resources/gradient.tres" }, { check: (r) => assert.equal(r.type, "Gradient") }],
+  ["godot_write_resource", { resource_path: "res://resources/panel.tres", type: "StyleBoxFlat", properties: { corner_radius_top_left: 4 } }, { check: (r) => assert.equal(r.success, true) }],
+];
+
+test("the harness covers every tool", () => {
+  const covered = CASES.map(([name]) => name);
+  assert.deepEqual(
+    TOOL_DEFINITIONS.map((tool) => tool.name).filter((name) => !covered.includes(name)),
+    [],
+    "add a case for each new tool"
+  );
+});
+
+test("every tool runs against the mock bridge", async (t) => {
+  const results = {};
+  for (const [name, args, { routes = [], check }] of CASES) {
+    await t.test(name, async () => {
+      const before = mock.requests.length;
+      const result = await handleToolCall(name, typeof args === "function" ? args(results) : args);
+      results[name] = result;
+      assert.equal(typeof result, "object", `${name} returned ${result}`);
+      const reached = mock.requests.slice(before).map((request) => `${request.method} ${request.path}`);
+      for (const route of routes) assert.ok(reached.includes(route), `${name} did not call ${route}`);
+      check?.(result);
+    });
+  }
+});
+
+test("surfaces bridge failures as tool errors", async () => {
+  mock.respond("GET /scene_tree", { body: "<html>busy</html>", contentType: "text/html" }, { times: 1 });
+  await assert.rejects(handleToolCall("godot_get_scene_tree", {}), /GET \/scene_tree\?max_depth=10 returned non-JSON response/);
+
+  mock.respond("POST /run", { status: 500, json: { error: "editor crashed" } }, { times: 1 });
+  await assert.rejects(handleToolCall("godot_run_scene", {}), /POST \/run failed: editor crashed/);
+
+  // GETs are retried, so these fail only when every attempt does
+  mock.respond("GET /open_scripts", { hang: true }, { times: 3 });
+  await assert.rejects(handleToolCall("godot_get_open_scripts", {}), /not responding/);
+
+  mock.respond("GET /class_info", { reset: true }, { times: 3 });
+  await assert.rejects(handleToolCall("godot_get_class_info", { class_name: "Node" }), /Cannot connect to Godot editor/);
+  assert.equal(mock.calls("GET /class_info").length, 4);
+});
+
+test("tolerates latency and falls back when detailed errors time out", async () => {
+  mock.respond("GET /scene_tree", { delayMs: 150 }, { times: 1 });
+  const tree = await handleToolCall("godot_get_scene_tree", {});
+  assert.equal(tree.name, "Player");
+
+  mock.setErrors([{ message: "Parse error", file: "res://scripts/broken.gd", line: 4 }]);
+  mock.respond("GET /detailed_errors", { hang: true }, { times: 1 });
+  const errors = await handleToolCall("godot_get_errors", { detailed: true });
+  assert.equal(errors.errors[0].file, "res://scripts/broken.gd");
+  assert.equal(await getErrorCount(), 1);
+  mock.setErrors([]);
+});
+
+test("editor tools fail cleanly while offline tools keep working", async () => {
+  mock.respond("*", { reset: true });
+  try {
+    await assert.rejects(handleToolCall("godot_get_scene_tree", {}), /Cannot connect/);
+    const state = await handleToolCall("godot_get_project_state", {});
+    assert.equal(state.editor_connected, false);
+    assert.equal(state.project_name, "Space Blaster");
+    assert.equal(getBridgeState().status, "down");
+  } finally {
+    mock.clear("*");
+  }
+});
+
+test("godot_parse_scene's tree matches the shape of godot_get_scene_tree", async () => {
+  const live = await handleToolCall("godot_get_scene_tree", {});
+  const offline = await handleToolCall("godot_parse_scene", { scene_path: "res://scenes/player.tscn", format: "tree" });
+  const { children: liveChildren, ...liveRoot } = live;
+  for (const [key, value] of Object.entries(liveRoot)) {
+    if (key.startsWith("_") || key === "bridge_state") continue;
+    assert.deepEqual(offline[key], value, key);
+  }
+  assert.equal(offline.path, ".");
+  const sprite = offline.children.find((child) => child.name === "Sprite");
+  assert.deepEqual(
+    [sprite.path, sprite.visible, sprite.process_mode],
+    [liveChildren[0].path, liveChildren[0].visible, liveChildren[0].process_mode]
+  );
+  assert.equal(sprite.children[0].path, "Sprite/Trail");
+  assert.equal(sprite.children[0].visible, true);
+  assert.equal("visible" in offline.children.find((child) => child.name === "ShootTimer"), false);
+});
+
+test("godot_parse_scene's tree resolves instanced scenes, editable children and built-in scripts", async () => {
+  const tree = await handleToolCall("godot_parse_scene", { scene_path: "res://scenes/level.tscn", format: "tree" });
+  assert.deepEqual(
+    [tree.name, tree.type, tree.path, tree.absolute_path, tree.script, tree.visible],
+    ["Level", "Node2D", ".", "/root/Level", "res://scenes/level.tscn::GDScript_inline", true]
+  );
+
+  const [player, hud] = tree.children;
+  assert.deepEqual(
+    [player.type, player.instance, player.script, player.visible],
+    ["CharacterBody2D", "res://scenes/player.tscn", "res://scripts/player.gd", true]
+  );
+  assert.deepEqual(player.children.map((child) => [child.path, child.absolute_path, child.type]), [
+    ["Player/Camera", "/root/Level/Player/Camera", "Camera2D"],
+  ]);
+
+  // CanvasLayer has no `visible`, in the editor or here
+  assert.deepEqual([hud.type, hud.script, "visible" in hud], ["CanvasLayer", "res://scripts/hud.gd", false]);
+
+  const shallow = await handleToolCall("godot_parse_scene", { scene_path: "res://scenes/level.tscn", format: "tree", max_depth: 0 });
+  assert.deepEqual(shallow.children, []);
+});
+
+test("a malformed project.godot value doesn't hide the other settings", async () => {
+  const path = join(project, "project.godot");
+  const original = await readFile(path, "utf-8");
+  await writeFile(path, `${original}\n[physics]\n\n2d/default_gravity_vector=Vector2(0\n`);
+  try {
+    const state = await handleToolCall("godot_get_project_state", {});
+    assert.equal(state.project_name, "Space Blaster");
+    assert.equal(state.main_scene, "uid://cq1m2x");
+    assert.deepEqual(state.autoloads.map((autoload) => autoload.name), ["GameState"]);
+    assert.ok(mock.editor.logs.some((line) => /project\.godot could not be fully parsed/.test(line)));
+  } finally {
+    await writeFile(path, original);
+  }
+});
+
+test("resource tools only accept .tres paths", async () => {
+  await assert.rejects(
+    handleToolCall("godot_parse_resource", { resource_path: "res://resources/gradient.res" }),
+    /resource_path must point to a \.tres file, got: res:\/\/resources\/gradient\.res/
+  );
+});
+
+test("autoload tools clamp positions, keep slots and warn about bad targets", async () => {
+  const path = join(project, "project.godot");
+  const original = await readFile(path, "utf-8");
+  await writeFile(join(project, "scripts", "audio.gd"), "extends Node\n");
+  await writeFile(join(project, "scripts", "stats.gd"), "extends RefCounted\n");
+  const add = (args) => handleToolCall("godot_add_autoload", args);
+  try {
+    const audio = await add({ name: "Audio", path: "res://scripts/audio.gd", singleton: false, position: 99 });
+    assert.deepEqual([audio.position, audio.autoloads, audio.warnings], [1, ["GameState", "Audio"], []]);
+
+    const stats = await add({ name: "Stats", path: "res://scripts/stats.gd", position: -5 });
+    assert.deepEqual([stats.position, stats.singleton], [0, true]);
+    assert.deepEqual(stats.warnings.map((warning) => warning.type), ["not_a_node"]);
+
+    // Re-adding moves nothing and keeps the Global Variable flag
+    const moved = await add({ name: "Audio", path: "res://scripts/game_state.gd" });
+    assert.deepEqual([moved.created, moved.position, moved.singleton], [false, 2, false]);
+    assert.match(await readFile(path, "utf-8"), /\nAudio="res:\/\/scripts\/game_state\.gd"\n/);
+
+    const player = await add({ name: "Player", path: "res://scripts/audio.gd" });
+    assert.deepEqual(player.warnings.map((warning) => [warning.type, warning.script]), [
+      ["class_name_collision", "res://scripts/clean.gd"],
+    ]);
+
+    for (const position of ["1", 1.5]) {
+      const invalid = await add({ name: "Late", path: "res://scripts/audio.gd", position });
+      assert.equal(invalid.success, false);
+      assert.match(invalid.error, /Invalid position \(must be an integer\)/);
+    }
+
+    const unknown = await handleToolCall("godot_reorder_autoloads", { order: ["Audio", "Nope"] });
+    assert.deepEqual([unknown.success, unknown.error], [false, "Unknown autoloads: Nope"]);
+    assert.deepEqual(unknown.autoloads, ["Stats", "GameState", "Audio", "Player"]);
+    const reordered = await handleToolCall("godot_reorder_autoloads", { order: ["Player", "Audio"] });
+    assert.deepEqual(reordered.autoloads, ["Player", "Audio", "Stats", "GameState"]);
+
+    const missing = await handleToolCall("godot_remove_autoload", { name: "Nope" });
+    assert.deepEqual([missing.success, missing.error], [false, "Autoload not found: Nope"]);
+  } finally {
+    await writeFile(path, original);
+    await rm(join(project, "scripts", "audio.gd"));
+    await rm(join(project, "scripts", "stats.gd"));
+  }
+});
+
+test("a failed node add does not leave the new scene's folder behind", async () => {
+  const failed = await handleToolCall("godot_scene_add_node", { scene_path: "res://levels/new/level.tscn", node_name: "Level" });
+  assert.deepEqual([failed.success, failed.error], [false, "node_type or instance_scene is required"]);
+  await assert.rejects(access(join(project, "levels")), { code: "ENOENT" });
+
+  const added = await handleToolCall("godot_scene_add_node", { scene_path: "res://levels/new/level.tscn", node_name: "Level", node_type: "Node2D" });
+  assert.deepEqual([added.success, added.created_scene], [true, true]);
+  assert.match(await readFile(join(project, "levels", "new", "level.tscn"), "utf-8"), /\[node name="Level" type="Node2D"\]/);
+  await rm(join(project, "levels"), { recursive: true });
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { keepFloat, parseVariant, serializeVariant } from "../src/variant.js";
+import { parseTscn, serializeTscn } from "../src/scene-parser.js";
+
+test("keeps 64-bit integers exact", () => {
+  const text = "PackedInt64Array(9223372036854775807, -9223372036854775808, 42)";
+  const value = parseVariant(text);
+  assert.deepEqual(value.values, [
+    { type: "int", value: "9223372036854775807" },
+    { type: "int", value: "-9223372036854775808" },
+    42,
+  ]);
+  assert.equal(serializeVariant(value), text);
+
+  assert.deepEqual(parseVariant("9007199254740993"), { type: "int", value: "9007199254740993" });
+  assert.equal(parseVariant("9007199254740991"), 9007199254740991);
+  assert.equal(serializeVariant({ type: "int", value: "+12345678901234567890" }), "12345678901234567890");
+  assert.throws(() => serializeVariant({ type: "int", value: "1.5" }), /Invalid int value/);
+});
+
+test("writes tagged floats with a decimal point", () => {
+  assert.equal(serializeVariant({ type: "float", value: 3 }), "3.0");
+  assert.equal(serializeVariant({ type: "float", value: -2 }), "-2.0");
+  assert.equal(serializeVariant({ type: "float", value: 0.25 }), "0.25");
+  assert.equal(serializeVariant({ type: "float", value: "inf" }), "inf");
+  assert.equal(serializeVariant(3), "3");
+});
+
+test("writes floats from 1e15 up in exponent form", () => {
+  assert.equal(serializeVariant(1e20), "1e+20");
+  assert.equal(serializeVariant(-2.5e300), "-2.5e+300");
+  assert.equal(serializeVariant({ type: "float", value: 1e15 }), "1e+15");
+  assert.equal(serializeVariant({ type: "float", value: 1e14 }), "100000000000000.0");
+  assert.equal(serializeVariant(1e15), "1000000000000000");
+  assert.equal(parseVariant(serializeVariant(1e20)), 1e20);
+});
+
+test("a whole number replacing a float literal stays a float", () => {
+  assert.deepEqual(keepFloat(3, "2.0"), { type: "float", value: 3 });
+  assert.deepEqual(keepFloat(3, " 1e3"), { type: "float", value: 3 });
+  assert.equal(keepFloat(3, "2"), 3);
+  assert.equal(keepFloat(3.5, "2.0"), 3.5);
+  assert.equal(keepFloat("fast", "2.0"), "fast");
+  assert.equal(keepFloat(3, undefined), 3);
+  assert.deepEqual(keepFloat([1, 2, { type: "Vector2", x: 1, y: 2 }], "[1.0, 2, Vector2(1.0, 2)]"), [
+    { type: "float", value: 1 },
+    2,
+    { type: "Vector2", x: 1, y: 2 },
+  ]);
+  assert.deepEqual(parseVariant("90.0", { tagFloats: true }), { type: "float", value: 90 });
+  assert.deepEqual(parseVariant("90.5", { tagFloats: true }), { type: "float", value: 90.5 });
+  assert.equal(parseVariant("90.5"), 90.5);
+
+  const scene = parseTscn('[gd_scene format=3]\n\n[node name="Main" type="Node"]\nspeed = 2.0\nlives = 3\n');
+  assert.equal(scene.nodes[0].properties.speed, 2);
+  scene.nodes[0].properties.speed = 3;
+  scene.nodes[0].properties.lives = 4;
+  assert.match(serializeTscn(scene), /\nspeed = 3\.0\nlives = 4\n$/);
+});
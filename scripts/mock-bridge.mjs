@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+import { resolve } from "path";
+import { startMockBridge } from "../mcp-server/test/support/mock-bridge.js";
+
+function parseArgs(argv) {
+  const opts = {
+    port: parseInt(process.env.GODOT_BRIDGE_PORT || "6100", 10),
+    fixture: "",
+    latencyMs: 0,
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--port") {
+      opts.port = parseInt(argv[i + 1] || "", 10);
+      i += 1;
+      continue;
+    }
+    if (arg === "--fixture") {
+      opts.fixture = argv[i + 1] || "";
+      i += 1;
+      continue;
+    }
+    if (arg === "--latency") {
+      opts.latencyMs = parseInt(argv[i + 1] || "", 10);
+      i += 1;
+      continue;
+    }
+    if (arg === "--help" || arg === "-h") {
+      printHelp();
+      process.exit(0);
+    }
+    throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  if (!Number.isFinite(opts.port) || opts.port < 0) {
+    throw new Error(`Invalid --port value: ${opts.port}`);
+  }
+  if (!Number.isFinite(opts.latencyMs) || opts.latencyMs < 0) {
+    throw new Error(`Invalid --latency value: ${opts.latencyMs}`);
+  }
+  return opts;
+}
+
+function printHelp() {
+  console.log(
+    [
+      "Usage: node scripts/mock-bridge.mjs [--port 6100] [--fixture <editor.json>] [--latency <ms>]",
+      "",
+      "Serves a fake Godot editor bridge so the MCP server and",
+      "scripts/smoke-test.mjs can run without Godot. The editor state comes",
+      "from mcp-server/test/fixtures/bridge/editor.json unless --fixture is given.",
+      "--latency delays every response.",
+    ].join("\n")
+  );
+}
+
+async function run() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    printHelp();
+    process.exit(1);
+  }
+
+  const mock = await startMockBridge({
+    port: opts.port,
+    fixture: opts.fixture ? resolve(opts.fixture) : undefined,
+    latencyMs: opts.latencyMs,
+  });
+  console.log(`Mock Godot bridge listening on ${mock.url} (Ctrl+C to stop)`);
+
+  const stop = async () => {
+    await mock.close();
+    process.exit(0);
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+}
+
+run();
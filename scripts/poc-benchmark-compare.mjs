@@ -1,12 +1,14 @@
 #!/usr/bin/env node
-import { readdir, readFile } from "fs/promises";
+import { writeFile } from "fs/promises";
 import { resolve } from "path";
-
-const DEFAULT_BENCHMARKS = [
-  "poc_prompt_01",
-  "poc_prompt_02",
-  "poc_prompt_03",
-];
+import {
+  benchmarkComparisonHtml,
+  benchmarkComparisonMarkdown,
+  compareBenchmarks,
+  loadPocReports,
+  DEFAULT_BENCHMARKS,
+  DEFAULT_MIN_SCORE_DELTA,
+} from "../mcp-server/src/poc-benchmarks.js";
 
 function printHelp() {
   console.log(
@@ -23,6 +25,9 @@ function printHelp() {
       "  --benchmarks <csv>            Comma-separated benchmark IDs (default: poc_prompt_01..03)",
       "  --min-score-delta <n>         Score delta threshold for BETTER/WORSE (default: 3)",
       "  --json                        JSON output",
+      "  --markdown                    Markdown report",
+      "  --html                        Standalone HTML report",
+      "  --out <file>                  Write the selected format to a file",
       "  -h, --help                    Show help",
     ].join("\n")
   );
@@ -34,14 +39,28 @@ function parseArgs(argv) {
     baselinePrefix: "baseline",
     candidatePrefix: "candidate",
     benchmarks: [...DEFAULT_BENCHMARKS],
-    minScoreDelta: 3,
-    asJson: false,
+    minScoreDelta: DEFAULT_MIN_SCORE_DELTA,
+    format: "text",
+    out: "",
   };
 
   for (let i = 0; i < argv.length; i += 1) {
     const arg = argv[i];
     if (arg === "--json") {
-      opts.asJson = true;
+      opts.format = "json";
+      continue;
+    }
+    if (arg === "--markdown") {
+      opts.format = "markdown";
+      continue;
+    }
+    if (arg === "--html") {
+      opts.format = "html";
+      continue;
+    }
+    if (arg === "--out") {
+      opts.out = argv[i + 1] || "";
+      i += 1;
       continue;
     }
     if (arg === "--dir") {
@@ -88,154 +107,6 @@ function parseArgs(argv) {
   return opts;
 }
 
-function safeDate(value) {
-  const d = new Date(value || "");
-  return Number.isNaN(d.getTime()) ? null : d;
-}
-
-function reportTimestamp(report) {
-  return safeDate(report.timestamp_utc) || safeDate(report.generated_at);
-}
-
-function avg(values) {
-  if (values.length === 0) return null;
-  const sum = values.reduce((acc, value) => acc + value, 0);
-  return Number((sum / values.length).toFixed(2));
-}
-
-async function loadPocReports(reportsDirAbs) {
-  let entries = [];
-  try {
-    entries = await readdir(reportsDirAbs, { withFileTypes: true });
-  } catch {
-    return [];
-  }
-
-  const reports = [];
-  for (const entry of entries) {
-    if (!entry.isFile() || !entry.name.endsWith(".json")) continue;
-    const absPath = resolve(reportsDirAbs, entry.name);
-    let payload;
-    try {
-      payload = JSON.parse(await readFile(absPath, "utf-8"));
-    } catch {
-      continue;
-    }
-
-    const report = payload?.report;
-    if (!report || report.schema_version !== "poc-quality-report-v1") continue;
-    reports.push({
-      ...report,
-      generated_at: payload.generated_at || "",
-      _file: absPath,
-    });
-  }
-
-  return reports;
-}
-
-function selectLatestByBenchmark(reports, runPrefix) {
-  const latest = new Map();
-  for (const report of reports) {
-    const runId = typeof report.run_id === "string" ? report.run_id : "";
-    if (!runId.startsWith(runPrefix)) continue;
-    const benchmarkId = report.benchmark_id || "unknown";
-    const existing = latest.get(benchmarkId);
-    if (!existing) {
-      latest.set(benchmarkId, report);
-      continue;
-    }
-    const existingTs = reportTimestamp(existing);
-    const currentTs = reportTimestamp(report);
-    if (!existingTs || (currentTs && currentTs > existingTs)) {
-      latest.set(benchmarkId, report);
-    }
-  }
-  return latest;
-}
-
-function summarizeCohort(name, runPrefix, benchmarks, reports) {
-  const latestByBenchmark = selectLatestByBenchmark(reports, runPrefix);
-  const rows = benchmarks.map((benchmarkId) => {
-    const report = latestByBenchmark.get(benchmarkId) || null;
-    return {
-      benchmark_id: benchmarkId,
-      run_id: report?.run_id || null,
-      verdict: report?.verdict || null,
-      weighted_total_score: report?.weighted_total_score ?? null,
-      gates_passed: report?.gates_passed ?? null,
-      very_good_status: report?.very_good_status ?? null,
-      quality_report_path: report?.quality_report_path || null,
-      timestamp_utc: report?.timestamp_utc || report?.generated_at || null,
-    };
-  });
-
-  const available = rows.filter((row) => row.verdict !== null);
-  const scores = available
-    .map((row) => row.weighted_total_score)
-    .filter((value) => Number.isFinite(value));
-  const goCount = available.filter((row) => row.verdict === "go").length;
-  const noGoCount = available.filter((row) => row.verdict === "no_go").length;
-  const needsIterationCount = available.filter(
-    (row) => row.verdict === "needs_iteration"
-  ).length;
-  const veryGoodCount = available.filter((row) => row.very_good_status === true)
-    .length;
-  const missingBenchmarks = rows
-    .filter((row) => row.verdict === null)
-    .map((row) => row.benchmark_id);
-
-  const cohortReports = reports.filter((report) =>
-    (typeof report.run_id === "string" ? report.run_id : "").startsWith(runPrefix)
-  );
-
-  return {
-    name,
-    run_prefix: runPrefix,
-    report_files_matched: cohortReports.length,
-    latest_per_benchmark: rows,
-    missing_benchmarks: missingBenchmarks,
-    complete: missingBenchmarks.length === 0,
-    go_count: goCount,
-    no_go_count: noGoCount,
-    needs_iteration_count: needsIterationCount,
-    very_good_count: veryGoodCount,
-    average_weighted_score: avg(scores),
-  };
-}
-
-function compareCohorts(baseline, candidate, minScoreDelta) {
-  const hasComparableScores =
-    Number.isFinite(baseline.average_weighted_score) &&
-    Number.isFinite(candidate.average_weighted_score);
-  const scoreDelta = hasComparableScores
-    ? Number(
-        (
-          candidate.average_weighted_score - baseline.average_weighted_score
-        ).toFixed(2)
-      )
-    : null;
-  const goDelta = candidate.go_count - baseline.go_count;
-
-  let verdict = "INSUFFICIENT_DATA";
-  if (baseline.complete && candidate.complete && hasComparableScores) {
-    if (goDelta > 0 || scoreDelta >= minScoreDelta) {
-      verdict = "BETTER";
-    } else if (goDelta < 0 || scoreDelta <= -minScoreDelta) {
-      verdict = "WORSE";
-    } else {
-      verdict = "SAME";
-    }
-  }
-
-  return {
-    verdict,
-    min_score_delta: minScoreDelta,
-    go_delta: goDelta,
-    average_score_delta: scoreDelta,
-  };
-}
-
 function printCohort(label, cohort) {
   console.log(`${label} (${cohort.run_prefix})`);
   console.log(
@@ -254,39 +125,40 @@ function printCohort(label, cohort) {
 async function main() {
   const opts = parseArgs(process.argv.slice(2));
   const reportsDirAbs = resolve(process.cwd(), opts.reportsDir);
-  const reports = await loadPocReports(reportsDirAbs);
-
-  const baseline = summarizeCohort(
-    "baseline",
-    opts.baselinePrefix,
-    opts.benchmarks,
-    reports
-  );
-  const candidate = summarizeCohort(
-    "candidate",
-    opts.candidatePrefix,
-    opts.benchmarks,
-    reports
-  );
-  const comparison = compareCohorts(
-    baseline,
-    candidate,
-    opts.minScoreDelta
-  );
-
+  const { reports, invalid } = await loadPocReports(reportsDirAbs);
   const output = {
     reports_dir: reportsDirAbs,
-    benchmarks: opts.benchmarks,
-    baseline,
-    candidate,
-    comparison,
+    invalid_reports: invalid,
+    ...compareBenchmarks(reports, {
+      baselinePrefix: opts.baselinePrefix,
+      candidatePrefix: opts.candidatePrefix,
+      benchmarks: opts.benchmarks,
+      minScoreDelta: opts.minScoreDelta,
+    }),
   };
-
-  if (opts.asJson) {
-    console.log(JSON.stringify(output, null, 2));
+  const { baseline, candidate, comparison } = output;
+
+  const rendered = {
+    json: () => JSON.stringify(output, null, 2),
+    markdown: () => benchmarkComparisonMarkdown(output),
+    html: () => benchmarkComparisonHtml(output),
+  }[opts.format];
+
+  if (opts.out && rendered) {
+    await writeFile(resolve(process.cwd(), opts.out), rendered(), "utf-8");
+    console.log(`Wrote ${opts.out}`);
+  } else if (rendered) {
+    console.log(rendered());
   } else {
     console.log("PoC Benchmark Comparison");
     console.log(`Reports dir: ${reportsDirAbs}`);
+    if (invalid.length > 0) {
+      console.log(`Invalid reports skipped: ${invalid.length}`);
+      for (const entry of invalid) {
+        const first = entry.errors[0];
+        console.log(`  - ${entry.file}: ${first.path || "(root)"} ${first.message}`);
+      }
+    }
     console.log("");
     printCohort("Baseline", baseline);
     console.log("");
@@ -295,6 +167,9 @@ async function main() {
     console.log(
       `Comparison verdict=${comparison.verdict} go_delta=${comparison.go_delta} avg_score_delta=${comparison.average_score_delta ?? "n/a"} (threshold=${comparison.min_score_delta})`
     );
+    if (comparison.regressed_benchmarks.length > 0) {
+      console.log(`Regressed from go: ${comparison.regressed_benchmarks.join(", ")}`);
+    }
   }
 
   if (comparison.verdict === "BETTER" || comparison.verdict === "SAME") {